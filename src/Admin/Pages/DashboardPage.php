@@ -18,6 +18,8 @@ namespace WooAiAssistant\Admin\Pages;
 use WooAiAssistant\Common\Traits\Singleton;
 use WooAiAssistant\Common\Logger;
 use WooAiAssistant\Common\Utils;
+use WooAiAssistant\RestApi\Endpoints\AnalyticsEndpoint;
+use Exception;
 
 // Exit if accessed directly
 if (!defined('ABSPATH')) {
@@ -132,6 +134,8 @@ class DashboardPage
                     </div>
                 </div>
 
+                <?php $this->renderApiPerformance(); ?>
+
                 <!-- Quick Actions -->
                 <div class="woo-ai-assistant-card quick-actions-card">
                     <div class="card-header">
@@ -238,6 +242,111 @@ class DashboardPage
         <?php
     }
 
+    /**
+     * Render the chat performance card from the widget telemetry
+     *
+     * @return void
+     */
+    private function renderApiPerformance(): void
+    {
+        $summary = $this->getApiPerformanceStats();
+        $requests = $summary['requests'] ?? null;
+        $streams = $summary['streams'] ?? null;
+
+        ?>
+        <!-- Chat Performance -->
+        <div class="woo-ai-assistant-card api-performance-card">
+            <div class="card-header">
+                <h3><?php esc_html_e('Chat Performance (last 7 days)', 'woo-ai-assistant'); ?></h3>
+            </div>
+            <div class="card-body">
+                <?php if (empty($requests['count']) && empty($streams['count'])) : ?>
+                    <p><?php esc_html_e('No performance data yet. The chat widget reports response times as shoppers use it.', 'woo-ai-assistant'); ?></p>
+                <?php else : ?>
+                    <div class="status-grid">
+                        <div class="status-item">
+                            <span class="status-label"><?php esc_html_e('Requests:', 'woo-ai-assistant'); ?></span>
+                            <span class="status-value"><?php echo esc_html(number_format_i18n($requests['count'])); ?></span>
+                        </div>
+                        <div class="status-item">
+                            <span class="status-label"><?php esc_html_e('Average / 95th percentile latency:', 'woo-ai-assistant'); ?></span>
+                            <span class="status-value"><?php echo esc_html(sprintf('%d ms / %d ms', $requests['avg_latency'], $requests['p95_latency'])); ?></span>
+                        </div>
+                        <div class="status-item">
+                            <span class="status-label"><?php esc_html_e('Streamed replies:', 'woo-ai-assistant'); ?></span>
+                            <span class="status-value"><?php echo esc_html(number_format_i18n($streams['count'])); ?></span>
+                        </div>
+                        <div class="status-item">
+                            <span class="status-label"><?php esc_html_e('Time to first token (average / 95th percentile):', 'woo-ai-assistant'); ?></span>
+                            <span class="status-value"><?php echo esc_html(sprintf('%d ms / %d ms', $streams['avg_ttft'], $streams['p95_ttft'])); ?></span>
+                        </div>
+                        <div class="status-item">
+                            <span class="status-label"><?php esc_html_e('Full reply duration (average):', 'woo-ai-assistant'); ?></span>
+                            <span class="status-value"><?php echo esc_html(sprintf('%d ms', $streams['avg_latency'])); ?></span>
+                        </div>
+                        <div class="status-item">
+                            <span class="status-label"><?php esc_html_e('Error rate (requests / streams):', 'woo-ai-assistant'); ?></span>
+                            <span class="status-value"><?php echo esc_html(sprintf('%s%% / %s%%', $requests['error_rate'], $streams['error_rate'])); ?></span>
+                        </div>
+                        <div class="status-item">
+                            <span class="status-label"><?php esc_html_e('Retries:', 'woo-ai-assistant'); ?></span>
+                            <span class="status-value"><?php echo esc_html(number_format_i18n($requests['retries'] + $streams['retries'])); ?></span>
+                        </div>
+                    </div>
+
+                    <?php if (!empty($summary['errors'])) : ?>
+                        <h4><?php esc_html_e('Errors by class', 'woo-ai-assistant'); ?></h4>
+                        <ul class="api-performance-errors">
+                            <?php foreach ($summary['errors'] as $class => $count) : ?>
+                                <li><code><?php echo esc_html($class); ?></code> <?php echo esc_html(number_format_i18n($count)); ?></li>
+                            <?php endforeach; ?>
+                        </ul>
+                    <?php endif; ?>
+
+                    <h4><?php esc_html_e('Slowest routes', 'woo-ai-assistant'); ?></h4>
+                    <table class="widefat striped api-performance-routes">
+                        <thead>
+                            <tr>
+                                <th><?php esc_html_e('Route', 'woo-ai-assistant'); ?></th>
+                                <th><?php esc_html_e('Calls', 'woo-ai-assistant'); ?></th>
+                                <th><?php esc_html_e('Average', 'woo-ai-assistant'); ?></th>
+                                <th><?php esc_html_e('95th percentile', 'woo-ai-assistant'); ?></th>
+                                <th><?php esc_html_e('Errors', 'woo-ai-assistant'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <?php foreach ($summary['slowest_routes'] as $route) : ?>
+                                <tr>
+                                    <td><code><?php echo esc_html($route['method'] . ' ' . $route['route']); ?></code></td>
+                                    <td><?php echo esc_html(number_format_i18n($route['count'])); ?></td>
+                                    <td><?php echo esc_html($route['avg_latency'] . ' ms'); ?></td>
+                                    <td><?php echo esc_html($route['p95_latency'] . ' ms'); ?></td>
+                                    <td><?php echo esc_html($route['error_rate'] . '%'); ?></td>
+                                </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                <?php endif; ?>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Get the widget telemetry summary
+     *
+     * @return array Summary, empty when it cannot be read
+     */
+    private function getApiPerformanceStats(): array
+    {
+        try {
+            return (new AnalyticsEndpoint())->getApiMetricsSummary(7);
+        } catch (Exception $e) {
+            Logger::error('Failed to load API performance stats', ['error' => $e->getMessage()]);
+            return [];
+        }
+    }
+
     /**
      * Get plugin information for display
      *
@@ -88,6 +88,11 @@ class ConversationHandler
     public const CONTEXT_RETENTION_HOURS = 24;
     public const MAX_CONTEXT_SIZE = 10000; // bytes
 
+    /**
+     * Message metadata key marking messages replaced by an edit
+     */
+    public const META_SUPERSEDED_BRANCH = 'superseded_branch';
+
     /**
      * Initialize the conversation handler
      *
@@ -235,7 +240,7 @@ class ConversationHandler
      *
      * @return array|null Conversation data or null if not found
      */
-    public function getConversation(int $conversationId, bool $includeMessages = false): ?array
+    public function getConversation(int $conversationId, bool $includeMessages = false, bool $includeSuperseded = false): ?array
     {
         // Try cache first
         $cacheKey = self::CACHE_CONVERSATION_PREFIX . $conversationId;
@@ -265,7 +270,7 @@ class ConversationHandler
 
         // Include messages if requested
         if ($includeMessages) {
-            $conversation['messages'] = $this->getConversationMessages($conversationId);
+            $conversation['messages'] = $this->getConversationMessages($conversationId, 50, 0, $includeSuperseded);
         }
 
         return $conversation;
@@ -403,21 +408,27 @@ class ConversationHandler
      * @param int $conversationId Conversation ID
      * @param int $limit Maximum number of messages to retrieve
      * @param int $offset Number of messages to skip
+     * @param bool $includeSuperseded Whether to include messages replaced by an edit
      *
      * @return array Array of message objects
      */
-    public function getConversationMessages(int $conversationId, int $limit = 50, int $offset = 0): array
+    public function getConversationMessages(int $conversationId, int $limit = 50, int $offset = 0, bool $includeSuperseded = false): array
     {
+        $query = "SELECT * FROM {$this->wpdb->prefix}woo_ai_messages 
+                  WHERE conversation_id = %d";
+        $queryArgs = [$conversationId];
+
+        if (!$includeSuperseded) {
+            $query .= " AND (metadata IS NULL OR metadata NOT LIKE %s)";
+            $queryArgs[] = '%' . $this->wpdb->esc_like('"' . self::META_SUPERSEDED_BRANCH . '":') . '%';
+        }
+
+        $query .= " ORDER BY created_at ASC, id ASC LIMIT %d OFFSET %d";
+        $queryArgs[] = $limit;
+        $queryArgs[] = $offset;
+
         $messages = $this->wpdb->get_results(
-            $this->wpdb->prepare(
-                "SELECT * FROM {$this->wpdb->prefix}woo_ai_messages 
-                 WHERE conversation_id = %d 
-                 ORDER BY created_at ASC 
-                 LIMIT %d OFFSET %d",
-                $conversationId,
-                $limit,
-                $offset
-            ),
+            $this->wpdb->prepare($query, $queryArgs),
             ARRAY_A
         );
 
@@ -433,6 +444,95 @@ class ConversationHandler
         return $messages;
     }
 
+    /**
+     * Fork a conversation at an edited user message
+     *
+     * The edited message and everything after it are marked as superseded
+     * rather than deleted, so the original branch stays available to
+     * support staff while the shopper continues from the edit.
+     *
+     * @param int $conversationId Conversation ID
+     * @param int $messageId ID of the user message being edited
+     *
+     * @return string|false Branch identifier of the superseded messages or false on failure
+     */
+    public function forkConversationAt(int $conversationId, int $messageId): string|false
+    {
+        try {
+            $message = $this->wpdb->get_row(
+                $this->wpdb->prepare(
+                    "SELECT id, role, metadata FROM {$this->wpdb->prefix}woo_ai_messages 
+                     WHERE id = %d AND conversation_id = %d",
+                    $messageId,
+                    $conversationId
+                ),
+                ARRAY_A
+            );
+
+            if (!$message || $message['role'] !== self::ROLE_USER) {
+                throw new \InvalidArgumentException('Only user messages of this conversation can be edited');
+            }
+
+            $metadata = json_decode($message['metadata'] ?: '{}', true) ?: [];
+            if (!empty($metadata[self::META_SUPERSEDED_BRANCH])) {
+                throw new \InvalidArgumentException('Message has already been edited');
+            }
+
+            $branch = 'branch_' . uniqid();
+            $supersededAt = current_time('mysql');
+
+            $messages = $this->wpdb->get_results(
+                $this->wpdb->prepare(
+                    "SELECT id, metadata FROM {$this->wpdb->prefix}woo_ai_messages 
+                     WHERE conversation_id = %d AND id >= %d",
+                    $conversationId,
+                    $messageId
+                ),
+                ARRAY_A
+            );
+
+            foreach ($messages as $superseded) {
+                $supersededMetadata = json_decode($superseded['metadata'] ?: '{}', true) ?: [];
+
+                // Messages from an earlier edit keep their original branch
+                if (!empty($supersededMetadata[self::META_SUPERSEDED_BRANCH])) {
+                    continue;
+                }
+
+                $supersededMetadata[self::META_SUPERSEDED_BRANCH] = $branch;
+                $supersededMetadata['superseded_at'] = $supersededAt;
+
+                $this->wpdb->update(
+                    $this->wpdb->prefix . 'woo_ai_messages',
+                    ['metadata' => json_encode($supersededMetadata)],
+                    ['id' => $superseded['id']],
+                    ['%s'],
+                    ['%d']
+                );
+            }
+
+            $this->cache->delete(self::CACHE_CONVERSATION_PREFIX . $conversationId);
+
+            $this->logger->info('Conversation forked at edited message', [
+                'conversation_id' => $conversationId,
+                'message_id' => $messageId,
+                'branch' => $branch,
+                'superseded_count' => count($messages)
+            ]);
+
+            do_action('woo_ai_conversation_forked', $conversationId, $messageId, $branch);
+
+            return $branch;
+        } catch (\Exception $e) {
+            $this->logger->error('Exception forking conversation', [
+                'conversation_id' => $conversationId,
+                'message_id' => $messageId,
+                'error' => $e->getMessage()
+            ]);
+            return false;
+        }
+    }
+
     /**
      * Update conversation context data
      *
@@ -600,6 +700,51 @@ class ConversationHandler
         return $conversations;
     }
 
+    /**
+     * Get a customer's conversations, most recently active first
+     *
+     * Each conversation includes its first and latest message so lists can
+     * show a title and preview without loading the full transcript.
+     * Messages replaced by edits are left out.
+     *
+     * @param int $userId WordPress user ID
+     * @param int $limit Maximum number of conversations to retrieve
+     * @param int $offset Number of conversations to skip
+     *
+     * @return array Array of conversation summaries
+     */
+    public function getUserConversations(int $userId, int $limit = 20, int $offset = 0): array
+    {
+        $messagesTable = $this->wpdb->prefix . 'woo_ai_messages';
+        $supersededPattern = '%' . $this->wpdb->esc_like('"' . self::META_SUPERSEDED_BRANCH . '":') . '%';
+
+        $conversations = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT c.id, c.status, c.created_at, c.updated_at, c.total_messages,
+                        (SELECT content FROM {$messagesTable} 
+                         WHERE conversation_id = c.id AND role = 'user' 
+                         AND (metadata IS NULL OR metadata NOT LIKE %s) 
+                         ORDER BY created_at ASC, id ASC LIMIT 1) AS first_message,
+                        (SELECT content FROM {$messagesTable} 
+                         WHERE conversation_id = c.id AND role != 'system' 
+                         AND (metadata IS NULL OR metadata NOT LIKE %s) 
+                         ORDER BY created_at DESC, id DESC LIMIT 1) AS last_message
+                 FROM {$this->wpdb->prefix}woo_ai_conversations c 
+                 WHERE c.user_id = %d 
+                 ORDER BY c.updated_at DESC 
+                 LIMIT %d OFFSET %d",
+                $supersededPattern,
+                $supersededPattern,
+                $userId,
+                $limit,
+                $offset
+            ),
+            ARRAY_A
+        );
+
+        return $conversations ?: [];
+    }
+
     /**
      * Clean up old conversations and sessions
      *
@@ -307,8 +307,9 @@ class Main
      */
     private function registerAjaxHooks(): void
     {
-        // TODO: Register AJAX handlers in future tasks
-        Logger::debug('AJAX hooks registration placeholder');
+        // Serve the REST routes through admin-ajax.php where /wp-json/ is blocked
+        $ajaxBridge = \WooAiAssistant\RestApi\AjaxBridge::getInstance();
+        $this->registerModule('ajax_bridge', $ajaxBridge);
 
         do_action('woo_ai_assistant_ajax_hooks_init');
     }
@@ -0,0 +1,246 @@
+<?php
+
+/**
+ * AJAX Bridge Class
+ *
+ * Serves the plugin's REST routes through admin-ajax.php for sites where a
+ * security plugin or host rule blocks /wp-json/. Requests are dispatched
+ * internally with rest_do_request(), so endpoints behave exactly as they do
+ * over REST.
+ *
+ * @package WooAiAssistant
+ * @subpackage RestApi
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ * @link https://github.com/woo-ai-assistant/woo-ai-assistant
+ */
+
+namespace WooAiAssistant\RestApi;
+
+use WooAiAssistant\Common\Traits\Singleton;
+use WooAiAssistant\Common\Logger;
+use WP_REST_Request;
+use WP_Error;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class AjaxBridge
+ *
+ * Forwards {route, method, params, data} envelopes posted to admin-ajax.php
+ * to the matching REST route in the plugin namespace.
+ *
+ * @since 1.0.0
+ */
+class AjaxBridge
+{
+    use Singleton;
+
+    /**
+     * AJAX action handled by the bridge
+     *
+     * @var string
+     */
+    const ACTION = 'woo_ai_assistant_rest';
+
+    /**
+     * AJAX action returning a fresh REST nonce
+     *
+     * @var string
+     */
+    const NONCE_ACTION = 'woo_ai_assistant_refresh_nonce';
+
+    /**
+     * HTTP methods that can be forwarded
+     *
+     * @var array
+     */
+    const ALLOWED_METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+
+    /**
+     * Headers passed on to the REST request
+     *
+     * @var array
+     */
+    const FORWARDED_HEADERS = ['X-WP-Nonce', 'X-Session-ID'];
+
+    /**
+     * Initialize AJAX bridge
+     *
+     * @return void
+     */
+    protected function init(): void
+    {
+        add_action('wp_ajax_' . self::ACTION, [$this, 'handleRequest']);
+        add_action('wp_ajax_nopriv_' . self::ACTION, [$this, 'handleRequest']);
+        add_action('wp_ajax_' . self::NONCE_ACTION, [$this, 'handleNonceRefresh']);
+        add_action('wp_ajax_nopriv_' . self::NONCE_ACTION, [$this, 'handleNonceRefresh']);
+
+        Logger::debug('AJAX bridge initialized');
+    }
+
+    /**
+     * Handle a bridged REST request
+     *
+     * @return void
+     */
+    public function handleRequest(): void
+    {
+        $envelope = json_decode((string) file_get_contents('php://input'), true);
+
+        if (!is_array($envelope)) {
+            $this->sendError(new WP_Error('invalid_request', 'Invalid request body', ['status' => 400]));
+        }
+
+        $method = strtoupper(sanitize_text_field($envelope['method'] ?? 'GET'));
+        $route = '/' . ltrim(sanitize_text_field($envelope['route'] ?? ''), '/');
+
+        if (!in_array($method, self::ALLOWED_METHODS, true)) {
+            $this->sendError(new WP_Error('method_not_allowed', 'Method not allowed', ['status' => 405]));
+        }
+
+        // Only the plugin's own routes are reachable through the bridge
+        if (strpos($route, '/' . RestController::NAMESPACE . '/') !== 0) {
+            $this->sendError(new WP_Error('rest_no_route', 'No route was found matching the URL and request method.', ['status' => 404]));
+        }
+
+        // Event streams write straight to the output and cannot be bridged
+        if (preg_match('#/chat/stream/?$#', $route)) {
+            $this->sendError(new WP_Error('stream_unsupported', 'Streaming is not available over admin-ajax', ['status' => 501]));
+        }
+
+        $authError = $this->checkCookieNonce();
+        if ($authError) {
+            $this->sendError($authError);
+        }
+
+        $request = new WP_REST_Request($method, $route);
+
+        foreach (self::FORWARDED_HEADERS as $header) {
+            $serverKey = 'HTTP_' . strtoupper(str_replace('-', '_', $header));
+            if (!empty($_SERVER[$serverKey])) {
+                $request->set_header($header, sanitize_text_field(wp_unslash($_SERVER[$serverKey])));
+            }
+        }
+
+        if (!empty($envelope['params']) && is_array($envelope['params'])) {
+            $request->set_query_params($envelope['params']);
+        }
+
+        if ($method !== 'GET' && isset($envelope['data']) && is_array($envelope['data'])) {
+            $request->set_header('Content-Type', 'application/json');
+            $request->set_body(wp_json_encode($envelope['data']));
+        }
+
+        $response = rest_do_request($request);
+        $data = rest_get_server()->response_to_data($response, false);
+
+        Logger::debug('Bridged REST request', [
+            'route' => $route,
+            'method' => $method,
+            'status' => $response->get_status()
+        ]);
+
+        // Rate limited responses tell the widget how long to wait
+        $headers = $response->get_headers();
+        if (isset($headers['Retry-After'])) {
+            header('Retry-After: ' . $headers['Retry-After']);
+        }
+
+        wp_send_json($data, $response->get_status());
+    }
+
+    /**
+     * Send a fresh REST nonce for the current cookie session
+     *
+     * Pages served from a full-page cache carry nonces that may have expired.
+     * admin-ajax.php authenticates by cookie alone, so the widget can get a
+     * valid nonce here after the REST API rejected the cached one.
+     *
+     * @return void
+     */
+    public function handleNonceRefresh(): void
+    {
+        nocache_headers();
+
+        wp_send_json(['nonce' => wp_create_nonce('wp_rest')]);
+    }
+
+    /**
+     * Get the transport settings sent to the widget in /config
+     *
+     * The widget tries the transports in the preferred order and falls back
+     * to the next one when a transport turns out to be blocked.
+     *
+     * @return array Transport configuration
+     */
+    public function getTransportConfig(): array
+    {
+        $websocketUrl = (string) get_option('woo_ai_websocket_url', '');
+
+        $config = [
+            'preferred' => ['sse', 'rest', 'ajax'],
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'ajax_action' => self::ACTION,
+            'nonce_action' => self::NONCE_ACTION,
+            'websocket_url' => $websocketUrl
+        ];
+
+        if ($websocketUrl !== '') {
+            array_unshift($config['preferred'], 'websocket');
+        }
+
+        return apply_filters('woo_ai_assistant_transport_config', $config);
+    }
+
+    /**
+     * Apply the same cookie nonce rules as the REST API
+     *
+     * Logged-in requests without a nonce are treated as guests, requests
+     * with an invalid nonce are rejected.
+     *
+     * @return WP_Error|null Error if the nonce is invalid
+     */
+    private function checkCookieNonce(): ?WP_Error
+    {
+        if (!is_user_logged_in()) {
+            return null;
+        }
+
+        $nonce = isset($_SERVER['HTTP_X_WP_NONCE']) ? sanitize_text_field(wp_unslash($_SERVER['HTTP_X_WP_NONCE'])) : '';
+
+        if ($nonce === '') {
+            wp_set_current_user(0);
+            return null;
+        }
+
+        if (!wp_verify_nonce($nonce, 'wp_rest')) {
+            return new WP_Error('rest_cookie_invalid_nonce', 'Cookie check failed', ['status' => 403]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Send an error in the REST error format and stop
+     *
+     * @param WP_Error $error Error to send
+     * @return void
+     */
+    private function sendError(WP_Error $error): void
+    {
+        $data = $error->get_error_data();
+
+        wp_send_json(
+            [
+                'code' => $error->get_error_code(),
+                'message' => $error->get_error_message(),
+                'data' => $data
+            ],
+            $data['status'] ?? 400
+        );
+    }
+}
@@ -17,6 +17,7 @@ namespace WooAiAssistant\RestApi\Endpoints;
 
 use WooAiAssistant\Common\Logger;
 use WooAiAssistant\Common\Utils;
+use WooAiAssistant\Chatbot\CouponHandler;
 use WP_REST_Server;
 use WP_REST_Request;
 use WP_REST_Response;
@@ -37,6 +38,15 @@ if (!defined('ABSPATH')) {
  */
 class ActionEndpoint
 {
+    /**
+     * Suggested actions the shopper confirms before the widget runs them.
+     * Must match CONFIRMABLE_ACTIONS in
+     * widget-src/src/services/ProductActionService.js.
+     *
+     * @var array
+     */
+    public const CONFIRMABLE_ACTIONS = ['add-to-cart', 'update-cart', 'apply-coupon', 'remove-coupon'];
+
     /**
      * Register action routes
      *
@@ -186,6 +196,84 @@ class ActionEndpoint
             ]
         );
 
+        // Generate personalized coupon endpoint
+        register_rest_route(
+            $namespace,
+            '/actions/generate-coupon',
+            [
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => [$this, 'generateCoupon'],
+                'permission_callback' => [$this, 'checkActionPermission'],
+                'args' => [
+                    'context' => [
+                        'type' => 'object',
+                        'description' => 'Conversation context (sentiment, intent, page type)',
+                        'default' => []
+                    ],
+                    'conversation_id' => [
+                        'type' => 'integer',
+                        'description' => 'Conversation the coupon is offered in',
+                        'sanitize_callback' => 'absint'
+                    ]
+                ]
+            ]
+        );
+
+        // Shopper decisions on suggested actions, kept in the audit log
+        register_rest_route(
+            $namespace,
+            '/actions/confirmation',
+            [
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => [$this, 'recordConfirmation'],
+                'permission_callback' => [$this, 'checkActionPermission'],
+                'args' => [
+                    'action_type' => [
+                        'required' => true,
+                        'type' => 'string',
+                        'description' => 'Type of the suggested action',
+                        'enum' => self::CONFIRMABLE_ACTIONS
+                    ],
+                    'decision' => [
+                        'required' => true,
+                        'type' => 'string',
+                        'description' => 'Whether the shopper confirmed or declined the action',
+                        'enum' => ['confirmed', 'declined']
+                    ],
+                    'details' => [
+                        'type' => 'object',
+                        'description' => 'Change, quantity and price impact shown to the shopper',
+                        'default' => []
+                    ],
+                    'conversation_id' => [
+                        'type' => 'integer',
+                        'description' => 'Conversation the action was suggested in',
+                        'sanitize_callback' => 'absint'
+                    ],
+                    'success' => [
+                        'type' => 'boolean',
+                        'description' => 'Whether the confirmed action succeeded'
+                    ],
+                    'error' => [
+                        'type' => 'string',
+                        'description' => 'Why the confirmed action failed',
+                        'sanitize_callback' => 'sanitize_text_field'
+                    ]
+                ]
+            ]
+        );
+
+        // Available coupon offers endpoint
+        register_rest_route(
+            $namespace,
+            '/coupons/available',
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'getAvailableCoupons'],
+                'permission_callback' => [$this, 'checkActionPermission']
+            ]
+        );
+
         Logger::debug('Action endpoints registered');
     }
 
@@ -340,6 +428,7 @@ class ActionEndpoint
                         'image' => wp_get_attachment_image_url($product->get_image_id(), 'thumbnail')
                     ],
                     'quantity' => $quantity,
+                    'cart_item_quantity' => WC()->cart->get_cart_item($cartItemKey)['quantity'] ?? $quantity,
                     'cart_totals' => $cartData['totals']
                 ]
             ], 200);
@@ -647,6 +736,7 @@ class ActionEndpoint
                 'data' => [
                     'cart_item_key' => $cartItemKey,
                     'quantity' => $quantity,
+                    'previous_quantity' => $cartItem['quantity'],
                     'cart_totals' => $cartData['totals'],
                     'cart_items_count' => WC()->cart->get_cart_contents_count()
                 ]
@@ -848,6 +938,170 @@ class ActionEndpoint
         }
     }
 
+    /**
+     * Generate a personalized coupon for the current cart
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response object
+     */
+    public function generateCoupon(WP_REST_Request $request)
+    {
+        try {
+            $context = array_merge((array) $request->get_param('context'), [
+                'user_id' => get_current_user_id(),
+                'cart_total' => (float) WC()->cart->get_total('edit'),
+                'conversation_id' => $request->get_param('conversation_id') ?: ''
+            ]);
+
+            $coupon = CouponHandler::getInstance()->generateContextualCoupon($context);
+
+            if (is_wp_error($coupon)) {
+                // Limit errors mean the customer already received their offers
+                $isLimit = in_array($coupon->get_error_code(), [
+                    'daily_limit_exceeded',
+                    'weekly_limit_exceeded',
+                    'monthly_limit_exceeded',
+                    'time_limit_not_met'
+                ], true);
+
+                return new WP_Error(
+                    $coupon->get_error_code(),
+                    $coupon->get_error_message(),
+                    ['status' => $isLimit ? 403 : 500]
+                );
+            }
+
+            return new WP_REST_Response([
+                'success' => true,
+                'message' => $coupon['description'],
+                'data' => $coupon
+            ], 200);
+        } catch (Exception $e) {
+            Logger::error('Exception in generate coupon', [
+                'error' => $e->getMessage(),
+                'trace' => $e->getTraceAsString()
+            ]);
+
+            return new WP_Error(
+                'coupon_generation_exception',
+                'An error occurred while generating the coupon',
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Get the coupon offers the current cart is eligible for
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response object
+     */
+    public function getAvailableCoupons(WP_REST_Request $request)
+    {
+        try {
+            $offers = CouponHandler::getInstance()->getCouponRecommendations([
+                'user_id' => get_current_user_id(),
+                'cart_total' => (float) WC()->cart->get_total('edit')
+            ]);
+
+            return new WP_REST_Response([
+                'success' => true,
+                'message' => 'Coupon offers retrieved successfully',
+                'data' => array_merge($offers, ['applied' => $this->getAppliedCoupons()])
+            ], 200);
+        } catch (Exception $e) {
+            Logger::error('Exception in get available coupons', [
+                'error' => $e->getMessage(),
+                'trace' => $e->getTraceAsString()
+            ]);
+
+            return new WP_Error(
+                'coupon_retrieval_exception',
+                'An error occurred while retrieving coupon offers',
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Record the shopper's decision on an action suggested by the assistant
+     *
+     * Every confirmation and decline is written to the action log, together
+     * with the change the shopper was shown and, once confirmed, whether the
+     * action went through.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response object
+     */
+    public function recordConfirmation(WP_REST_Request $request)
+    {
+        global $wpdb;
+
+        try {
+            $decision = $request->get_param('decision');
+            $details = (array) $request->get_param('details');
+            $failed = $decision === 'confirmed' && $request->get_param('success') === false;
+
+            $row = [
+                'action_type' => 'suggested_action_' . $decision,
+                'details' => wp_json_encode([
+                    'action' => $request->get_param('action_type'),
+                    'change' => sanitize_text_field((string) ($details['change'] ?? '')),
+                    'quantity' => isset($details['quantity']) ? absint($details['quantity']) : null,
+                    'price_impact' => is_numeric($details['price_impact'] ?? null) ? (float) $details['price_impact'] : null,
+                    'data' => map_deep((array) ($details['data'] ?? []), 'sanitize_text_field')
+                ]),
+                'created_at' => current_time('mysql'),
+                'success' => $failed ? 0 : 1,
+                'ip_address' => Utils::getUserIp(),
+                'user_agent' => substr(Utils::getUserAgent(), 0, 500),
+                'severity' => $failed ? 'warning' : 'info'
+            ];
+
+            if (get_current_user_id()) {
+                $row['user_id'] = get_current_user_id();
+            }
+            if ($request->get_param('conversation_id')) {
+                $row['conversation_id'] = $request->get_param('conversation_id');
+            }
+            if ($failed) {
+                $row['error_message'] = (string) $request->get_param('error');
+            }
+
+            if ($wpdb->insert($wpdb->prefix . 'woo_ai_action_logs', $row) === false) {
+                return new WP_Error(
+                    'confirmation_not_recorded',
+                    'The decision could not be recorded',
+                    ['status' => 500]
+                );
+            }
+
+            Logger::info('Suggested action ' . $decision, [
+                'action_type' => $request->get_param('action_type'),
+                'conversation_id' => $request->get_param('conversation_id')
+            ]);
+
+            return new WP_REST_Response([
+                'success' => true,
+                'message' => 'Decision recorded',
+                'data' => [
+                    'log_id' => $wpdb->insert_id
+                ]
+            ], 201);
+        } catch (Exception $e) {
+            Logger::error('Exception in record confirmation', [
+                'error' => $e->getMessage(),
+                'trace' => $e->getTraceAsString()
+            ]);
+
+            return new WP_Error(
+                'confirmation_exception',
+                'An error occurred while recording the decision',
+                ['status' => 500]
+            );
+        }
+    }
+
     /**
      * Check action permission
      *
@@ -981,7 +1235,10 @@ class ActionEndpoint
             'coupons' => $this->getAppliedCoupons(),
             'needs_payment' => $cart->needs_payment(),
             'needs_shipping' => $cart->needs_shipping(),
-            'is_empty' => $cart->is_empty()
+            'is_empty' => $cart->is_empty(),
+            'checkout_url' => wc_get_checkout_url(),
+            // Also in the woocommerce_cart_hash cookie the mini-cart fragments follow
+            'cart_hash' => $cart->get_cart_hash()
         ];
     }
 
@@ -0,0 +1,596 @@
+<?php
+
+/**
+ * Analytics Endpoint Class
+ *
+ * Handles REST API endpoints that record shopper interactions reported by
+ * the chat widget, such as product views and clicks on product cards, and
+ * the request latency and error telemetry the widget collects.
+ *
+ * @package WooAiAssistant
+ * @subpackage RestApi\Endpoints
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ * @link https://github.com/woo-ai-assistant/woo-ai-assistant
+ */
+
+namespace WooAiAssistant\RestApi\Endpoints;
+
+use WooAiAssistant\Common\Logger;
+use WooAiAssistant\RestApi\RestController;
+use WP_REST_Server;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use Exception;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class AnalyticsEndpoint
+ *
+ * Manages analytics REST API endpoints for the chat widget.
+ *
+ * @since 1.0.0
+ */
+class AnalyticsEndpoint
+{
+    /**
+     * Upper bounds in milliseconds of the latency histogram buckets sent by
+     * the widget, plus one overflow bucket. Must match LATENCY_BUCKETS in
+     * widget-src/src/services/ApiTelemetry.js.
+     *
+     * @var array
+     */
+    public const LATENCY_BUCKETS = [100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+    /**
+     * Error classes the widget reports
+     *
+     * @var array
+     */
+    public const ERROR_CLASSES = [
+        'timeout',
+        'network',
+        'rate_limited',
+        'auth',
+        'client',
+        'server',
+        'invalid_response',
+        'stream_interrupted',
+        'unsupported'
+    ];
+
+    /**
+     * Metric type of the stored telemetry rows
+     *
+     * @var string
+     */
+    private const API_METRIC_TYPE = 'api_latency';
+
+    /**
+     * Most entries accepted per telemetry batch
+     *
+     * @var int
+     */
+    private const MAX_BATCH_ENTRIES = 50;
+
+    /**
+     * Most samples a single entry may claim
+     *
+     * @var int
+     */
+    private const MAX_ENTRY_COUNT = 10000;
+
+    /**
+     * Longest latency accepted, in milliseconds
+     *
+     * @var int
+     */
+    private const MAX_LATENCY = 600000;
+
+    /**
+     * Most telemetry batches accepted per client IP and minute
+     *
+     * @var int
+     */
+    private const MAX_BATCHES_PER_MINUTE = 10;
+
+    /**
+     * Most rows stored per session within one flush interval
+     *
+     * @var int
+     */
+    private const MAX_SESSION_ROWS = 50;
+
+    /**
+     * Seconds between widget batches, as sent in the /config telemetry settings
+     *
+     * @var int
+     */
+    private const FLUSH_INTERVAL = 60;
+
+    /**
+     * WordPress database instance
+     *
+     * @var \wpdb
+     */
+    private $wpdb;
+
+    /**
+     * Initialize analytics endpoint
+     *
+     * @return void
+     */
+    public function __construct()
+    {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+    }
+
+    /**
+     * Register analytics routes
+     *
+     * @param string $namespace API namespace
+     * @return void
+     */
+    public function registerRoutes(string $namespace): void
+    {
+        // Product interaction tracking endpoint
+        register_rest_route(
+            $namespace,
+            '/analytics/product-interaction',
+            [
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => [$this, 'trackProductInteraction'],
+                'permission_callback' => '__return_true',
+                'args' => [
+                    'type' => [
+                        'required' => true,
+                        'type' => 'string',
+                        'description' => 'Interaction type (view, click, add_to_cart, etc.)',
+                        'sanitize_callback' => 'sanitize_key'
+                    ],
+                    'product_id' => [
+                        'required' => true,
+                        'type' => 'integer',
+                        'description' => 'Product the shopper interacted with',
+                        'sanitize_callback' => 'absint'
+                    ],
+                    'context' => [
+                        'type' => 'object',
+                        'description' => 'Additional interaction context',
+                        'default' => []
+                    ]
+                ]
+            ]
+        );
+
+        // API latency and error telemetry endpoint
+        register_rest_route(
+            $namespace,
+            '/analytics/api-metrics',
+            [
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => [$this, 'recordApiMetrics'],
+                'permission_callback' => [$this, 'checkApiMetricsPermission'],
+                'args' => [
+                    'metrics' => [
+                        'required' => true,
+                        'type' => 'array',
+                        'description' => 'Request and stream timings aggregated per route by the widget',
+                        'items' => ['type' => 'object']
+                    ]
+                ]
+            ]
+        );
+
+        Logger::debug('Analytics endpoints registered');
+    }
+
+    /**
+     * Record a product interaction
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response object
+     */
+    public function trackProductInteraction(WP_REST_Request $request)
+    {
+        try {
+            $type = $request->get_param('type');
+            $productId = $request->get_param('product_id');
+            $context = (array) $request->get_param('context');
+
+            $this->wpdb->insert(
+                $this->wpdb->prefix . 'woo_ai_analytics',
+                [
+                    'metric_type' => 'product_' . $type,
+                    'metric_value' => 1,
+                    'context' => wp_json_encode(array_merge($context, ['product_id' => $productId])),
+                    'created_at' => current_time('mysql'),
+                    'user_id' => get_current_user_id(),
+                    'session_id' => sanitize_text_field($request->get_header('X-Session-ID') ?? ''),
+                    'source' => 'widget'
+                ],
+                ['%s', '%f', '%s', '%s', '%d', '%s', '%s']
+            );
+
+            do_action('woo_ai_assistant_product_interaction', $type, $productId, $context);
+
+            return new WP_REST_Response([
+                'success' => true
+            ], 202);
+        } catch (Exception $e) {
+            Logger::error('Exception in product interaction tracking', [
+                'error' => $e->getMessage()
+            ]);
+
+            return new WP_Error(
+                'tracking_exception',
+                'An error occurred while recording the interaction',
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Record a batch of API telemetry
+     *
+     * Each entry holds the timings of one route since the previous batch and
+     * is stored as one analytics row. Malformed entries are skipped.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response object
+     */
+    public function recordApiMetrics(WP_REST_Request $request)
+    {
+        try {
+            $entries = array_slice((array) $request->get_param('metrics'), 0, self::MAX_BATCH_ENTRIES);
+            $sessionId = sanitize_text_field($request->get_header('X-Session-ID') ?? '');
+            $budgetKey = $this->getRowBudgetKey($sessionId);
+            $stored = (int) get_transient($budgetKey);
+            $recorded = 0;
+
+            foreach ($entries as $entry) {
+                if ($stored + $recorded >= self::MAX_SESSION_ROWS) {
+                    Logger::warning('API metrics row limit reached', [
+                        'session_id' => $sessionId,
+                        'dropped' => count($entries) - $recorded
+                    ]);
+                    break;
+                }
+
+                $metric = $this->sanitizeMetricEntry($entry);
+                if ($metric === null) {
+                    continue;
+                }
+
+                $this->wpdb->insert(
+                    $this->wpdb->prefix . 'woo_ai_analytics',
+                    [
+                        'metric_type' => self::API_METRIC_TYPE,
+                        'metric_value' => $metric['count'],
+                        'context' => wp_json_encode($metric),
+                        'created_at' => current_time('mysql'),
+                        'user_id' => get_current_user_id(),
+                        'session_id' => $sessionId,
+                        'source' => 'widget'
+                    ],
+                    ['%s', '%f', '%s', '%s', '%d', '%s', '%s']
+                );
+                $recorded++;
+            }
+
+            if ($recorded > 0) {
+                set_transient($budgetKey, $stored + $recorded, self::FLUSH_INTERVAL);
+            }
+
+            return new WP_REST_Response([
+                'success' => true,
+                'recorded' => $recorded
+            ], 202);
+        } catch (Exception $e) {
+            Logger::error('Exception in API metrics recording', [
+                'error' => $e->getMessage()
+            ]);
+
+            return new WP_Error(
+                'tracking_exception',
+                'An error occurred while recording the metrics',
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Throttle anonymous telemetry batches per client IP
+     *
+     * @param WP_REST_Request $request Request object
+     * @return true|WP_Error True if the batch may be recorded
+     */
+    public function checkApiMetricsPermission(WP_REST_Request $request)
+    {
+        if (!RestController::getInstance()->checkRateLimit($request, self::MAX_BATCHES_PER_MINUTE)) {
+            return new WP_Error(
+                'rate_limit_exceeded',
+                'Rate limit exceeded. Please try again later.',
+                ['status' => 429]
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Transient key counting the rows a session stored in the current flush interval
+     *
+     * Requests without a session ID share one budget per client address.
+     *
+     * @param string $sessionId Session ID sent by the widget
+     * @return string Transient key
+     */
+    private function getRowBudgetKey(string $sessionId): string
+    {
+        $identifier = $sessionId !== ''
+            ? "session_{$sessionId}"
+            : 'ip_' . sanitize_text_field(wp_unslash($_SERVER['REMOTE_ADDR'] ?? ''));
+
+        return 'woo_ai_api_metrics_' . md5($identifier);
+    }
+
+    /**
+     * Summarize the API telemetry of the last days for the admin dashboard
+     *
+     * @param int $days Number of days to include
+     * @return array Totals, latency percentiles, error classes and the slowest routes
+     */
+    public function getApiMetricsSummary(int $days = 7): array
+    {
+        $rows = $this->wpdb->get_col(
+            $this->wpdb->prepare(
+                "SELECT context FROM {$this->wpdb->prefix}woo_ai_analytics WHERE metric_type = %s AND created_at >= %s",
+                self::API_METRIC_TYPE,
+                gmdate('Y-m-d H:i:s', current_time('timestamp') - $days * DAY_IN_SECONDS)
+            )
+        );
+
+        $totals = [
+            'request' => $this->createRouteTotals(),
+            'stream' => $this->createRouteTotals()
+        ];
+        $routes = [];
+
+        foreach ((array) $rows as $row) {
+            $metric = $this->sanitizeMetricEntry(json_decode((string) $row, true));
+            if ($metric === null) {
+                continue;
+            }
+
+            $totals[$metric['kind']] = $this->addToRouteTotals($totals[$metric['kind']], $metric);
+
+            $key = $metric['kind'] . ' ' . $metric['method'] . ' ' . $metric['route'];
+            $routes[$key] = $this->addToRouteTotals($routes[$key] ?? $this->createRouteTotals($metric), $metric);
+        }
+
+        $routes = array_map([$this, 'describeRouteTotals'], array_values($routes));
+        usort($routes, function ($a, $b) {
+            return $b['p95_latency'] <=> $a['p95_latency'];
+        });
+
+        $errors = array_fill_keys(self::ERROR_CLASSES, 0);
+        foreach ($totals as $kindTotals) {
+            foreach ($kindTotals['errors'] as $class => $count) {
+                $errors[$class] += $count;
+            }
+        }
+
+        return [
+            'days' => $days,
+            'requests' => $this->describeRouteTotals($totals['request']),
+            'streams' => $this->describeRouteTotals($totals['stream']),
+            'errors' => array_filter($errors),
+            'slowest_routes' => array_slice($routes, 0, 5)
+        ];
+    }
+
+    /**
+     * Validate a telemetry entry and bring it into its stored shape
+     *
+     * @param mixed $entry Entry sent by the widget or read back from the table
+     * @return array|null Sanitized entry, null if it is unusable
+     */
+    private function sanitizeMetricEntry($entry): ?array
+    {
+        if (!is_array($entry)) {
+            return null;
+        }
+
+        $count = min(absint($entry['count'] ?? 0), self::MAX_ENTRY_COUNT);
+        $kind = $entry['kind'] ?? '';
+        $method = strtoupper((string) ($entry['method'] ?? ''));
+        $route = substr(preg_replace('#[^A-Za-z0-9/:_-]#', '', (string) ($entry['route'] ?? '')), 0, 100);
+
+        if ($count === 0 || $route === '' || !in_array($kind, ['request', 'stream'], true) ||
+            !in_array($method, ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], true)) {
+            return null;
+        }
+
+        $errors = [];
+        foreach ((array) ($entry['errors'] ?? []) as $class => $errorCount) {
+            if (in_array($class, self::ERROR_CLASSES, true) && absint($errorCount) > 0) {
+                $errors[$class] = min(absint($errorCount), $count);
+            }
+        }
+
+        return [
+            'route' => $route,
+            'method' => $method,
+            'kind' => $kind,
+            'transport' => substr(sanitize_key((string) ($entry['transport'] ?? '')), 0, 20),
+            'count' => $count,
+            'cancelled' => min(absint($entry['cancelled'] ?? 0), $count),
+            'retries' => min(absint($entry['retries'] ?? 0), $count * 10),
+            'errors' => $errors,
+            'latency' => $this->sanitizeHistogram($entry['latency'] ?? null, $count),
+            'ttft' => $this->sanitizeHistogram($entry['ttft'] ?? null, $count)
+        ];
+    }
+
+    /**
+     * Validate a latency histogram
+     *
+     * @param mixed $histogram Histogram with count, sum, max and buckets
+     * @param int $limit Most samples the histogram may hold
+     * @return array Sanitized histogram, empty if malformed
+     */
+    private function sanitizeHistogram($histogram, int $limit): array
+    {
+        $empty = [
+            'count' => 0,
+            'sum' => 0,
+            'max' => 0,
+            'buckets' => array_fill(0, count(self::LATENCY_BUCKETS) + 1, 0)
+        ];
+
+        if (!is_array($histogram) || !is_array($histogram['buckets'] ?? null) ||
+            count($histogram['buckets']) !== count($empty['buckets'])) {
+            return $empty;
+        }
+
+        $buckets = array_map('absint', array_values($histogram['buckets']));
+        $count = array_sum($buckets);
+        if ($count === 0 || $count > $limit) {
+            return $empty;
+        }
+
+        // Nothing the widget measures outlasts its longest timeout by much
+        $max = min(max(0, (float) ($histogram['max'] ?? 0)), self::MAX_LATENCY);
+
+        return [
+            'count' => $count,
+            'sum' => min(max(0, (float) ($histogram['sum'] ?? 0)), $count * $max),
+            'max' => $max,
+            'buckets' => $buckets
+        ];
+    }
+
+    /**
+     * Create empty totals for a route, or for all routes of a kind
+     *
+     * @param array $metric Entry the totals belong to
+     * @return array Totals
+     */
+    private function createRouteTotals(array $metric = []): array
+    {
+        return [
+            'route' => $metric['route'] ?? '',
+            'method' => $metric['method'] ?? '',
+            'kind' => $metric['kind'] ?? '',
+            'count' => 0,
+            'cancelled' => 0,
+            'retries' => 0,
+            'errors' => [],
+            'latency' => $this->sanitizeHistogram(null, 0),
+            'ttft' => $this->sanitizeHistogram(null, 0)
+        ];
+    }
+
+    /**
+     * Add an entry to totals
+     *
+     * @param array $totals Totals
+     * @param array $metric Sanitized entry
+     * @return array Updated totals
+     */
+    private function addToRouteTotals(array $totals, array $metric): array
+    {
+        foreach (['count', 'cancelled', 'retries'] as $field) {
+            $totals[$field] += $metric[$field];
+        }
+
+        foreach ($metric['errors'] as $class => $count) {
+            $totals['errors'][$class] = ($totals['errors'][$class] ?? 0) + $count;
+        }
+
+        foreach (['latency', 'ttft'] as $field) {
+            $totals[$field]['count'] += $metric[$field]['count'];
+            $totals[$field]['sum'] += $metric[$field]['sum'];
+            $totals[$field]['max'] = max($totals[$field]['max'], $metric[$field]['max']);
+            foreach ($metric[$field]['buckets'] as $index => $count) {
+                $totals[$field]['buckets'][$index] += $count;
+            }
+        }
+
+        return $totals;
+    }
+
+    /**
+     * Turn totals into the figures shown on the dashboard
+     *
+     * @param array $totals Totals
+     * @return array Counts, error rate in percent and latencies in milliseconds
+     */
+    private function describeRouteTotals(array $totals): array
+    {
+        $completed = $totals['count'] - $totals['cancelled'];
+        $errors = array_sum($totals['errors']);
+
+        return [
+            'route' => $totals['route'],
+            'method' => $totals['method'],
+            'kind' => $totals['kind'],
+            'count' => $totals['count'],
+            'cancelled' => $totals['cancelled'],
+            'retries' => $totals['retries'],
+            'errors' => $errors,
+            'error_rate' => $completed > 0 ? round($errors / $completed * 100, 1) : 0,
+            'avg_latency' => $this->averageOf($totals['latency']),
+            'p95_latency' => $this->percentileOf($totals['latency'], 0.95),
+            'avg_ttft' => $this->averageOf($totals['ttft']),
+            'p95_ttft' => $this->percentileOf($totals['ttft'], 0.95)
+        ];
+    }
+
+    /**
+     * Average of a histogram
+     *
+     * @param array $histogram Histogram
+     * @return int Milliseconds, 0 without samples
+     */
+    private function averageOf(array $histogram): int
+    {
+        return $histogram['count'] > 0 ? (int) round($histogram['sum'] / $histogram['count']) : 0;
+    }
+
+    /**
+     * Estimate a percentile from a histogram
+     *
+     * Answers with the upper bound of the bucket the percentile falls in, or
+     * the largest sample for the overflow bucket.
+     *
+     * @param array $histogram Histogram
+     * @param float $percentile Percentile between 0 and 1
+     * @return int Milliseconds, 0 without samples
+     */
+    private function percentileOf(array $histogram, float $percentile): int
+    {
+        if ($histogram['count'] === 0) {
+            return 0;
+        }
+
+        $target = (int) ceil($histogram['count'] * $percentile);
+        $seen = 0;
+
+        foreach ($histogram['buckets'] as $index => $count) {
+            $seen += $count;
+            if ($seen >= $target) {
+                return (int) min(self::LATENCY_BUCKETS[$index] ?? $histogram['max'], $histogram['max']);
+            }
+        }
+
+        return (int) $histogram['max'];
+    }
+}
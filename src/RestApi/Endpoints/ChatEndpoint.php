@@ -103,6 +103,20 @@ class ChatEndpoint
         'concurrent_conversations' => 5
     ];
 
+    /**
+     * Reconnection delay suggested to streaming clients (milliseconds)
+     *
+     * @var int
+     */
+    private const STREAM_RETRY_MS = 3000;
+
+    /**
+     * How long streamed events stay available for resumption (seconds)
+     *
+     * @var int
+     */
+    private const STREAM_CACHE_TTL = 300;
+
     /**
      * Initialize chat endpoint
      *
@@ -155,6 +169,16 @@ class ChatEndpoint
                         'type' => 'boolean',
                         'description' => 'Enable streaming response',
                         'default' => false
+                    ],
+                    'edit_message_id' => [
+                        'type' => 'integer',
+                        'description' => 'ID of an earlier user message this message replaces (optional)',
+                        'sanitize_callback' => 'absint'
+                    ],
+                    'regenerate' => [
+                        'type' => 'boolean',
+                        'description' => 'Resend the message given by edit_message_id to replace the reply to it',
+                        'default' => false
                     ]
                 ]
             ]
@@ -192,6 +216,39 @@ class ChatEndpoint
                         'description' => 'Number of messages to skip',
                         'default' => 0,
                         'sanitize_callback' => 'absint'
+                    ],
+                    'include_superseded' => [
+                        'type' => 'string',
+                        'description' => 'Whether to include messages replaced by edits (shop managers only)',
+                        'default' => 'false',
+                        'sanitize_callback' => 'sanitize_text_field'
+                    ]
+                ]
+            ]
+        );
+
+        // List the current customer's conversations endpoint
+        register_rest_route(
+            $namespace,
+            '/chat/conversations',
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'listConversations'],
+                'permission_callback' => [$this, 'checkChatPermission'],
+                'args' => [
+                    'limit' => [
+                        'type' => 'integer',
+                        'description' => 'Maximum number of conversations',
+                        'default' => 20,
+                        'minimum' => 1,
+                        'maximum' => 50,
+                        'sanitize_callback' => 'absint'
+                    ],
+                    'offset' => [
+                        'type' => 'integer',
+                        'description' => 'Number of conversations to skip',
+                        'default' => 0,
+                        'sanitize_callback' => 'absint'
                     ]
                 ]
             ]
@@ -220,6 +277,11 @@ class ChatEndpoint
                         'type' => 'string',
                         'description' => 'Optional initial message to start conversation',
                         'sanitize_callback' => 'sanitize_textarea_field'
+                    ],
+                    'previous_conversation_id' => [
+                        'type' => 'integer',
+                        'description' => 'Conversation the new one replaces, marked completed (optional)',
+                        'sanitize_callback' => 'absint'
                     ]
                 ]
             ]
@@ -251,6 +313,16 @@ class ChatEndpoint
                         'type' => 'object',
                         'description' => 'Chat context',
                         'default' => []
+                    ],
+                    'edit_message_id' => [
+                        'type' => 'integer',
+                        'description' => 'ID of an earlier user message this message replaces (optional)',
+                        'sanitize_callback' => 'absint'
+                    ],
+                    'regenerate' => [
+                        'type' => 'boolean',
+                        'description' => 'Resend the message given by edit_message_id to replace the reply to it',
+                        'default' => false
                     ]
                 ]
             ]
@@ -260,6 +332,7 @@ class ChatEndpoint
             'endpoints' => [
                 'POST /chat/message',
                 'GET /chat/conversation/{id}',
+                'GET /chat/conversations',
                 'POST /chat/conversation',
                 'POST /chat/stream'
             ]
@@ -285,6 +358,8 @@ class ChatEndpoint
             $conversationId = $request->get_param('conversation_id');
             $context = $request->get_param('context') ?: [];
             $streaming = $request->get_param('streaming') ?: false;
+            $editMessageId = (int) $request->get_param('edit_message_id');
+            $regenerate = (bool) $request->get_param('regenerate');
             $userId = get_current_user_id() ?: null;
             $sessionId = $this->getOrCreateSessionId($request);
 
@@ -299,11 +374,7 @@ class ChatEndpoint
 
             // Rate limiting check
             if (!$this->checkRateLimit($userId, $sessionId)) {
-                return new WP_Error(
-                    'rate_limit_exceeded',
-                    'Rate limit exceeded. Please try again later.',
-                    ['status' => 429]
-                );
+                return $this->rateLimitedResponse($userId, $sessionId);
             }
 
             // Handle conversation management
@@ -327,16 +398,25 @@ class ChatEndpoint
                 );
             }
 
+            // Fork the thread when the message replaces an earlier one
+            $editMetadata = [];
+            if ($editMessageId) {
+                $editMetadata = $this->forkAtEditedMessage($conversationId, $editMessageId, $regenerate);
+                if (is_wp_error($editMetadata)) {
+                    return $editMetadata;
+                }
+            }
+
             // Add user message to conversation
             $userMessageId = $this->conversationHandler->addMessage(
                 $conversationId,
                 ConversationHandler::ROLE_USER,
                 $message,
-                [
+                array_merge([
                     'user_ip' => Utils::getUserIp(),
                     'user_agent' => Utils::getUserAgent(),
                     'timestamp' => current_time('mysql')
-                ]
+                ], $editMetadata)
             );
 
             if (!$userMessageId) {
@@ -347,6 +427,25 @@ class ChatEndpoint
                 );
             }
 
+            // Shop staff answer the shopper during a handoff, the assistant stays quiet
+            if ($conversation['status'] === ConversationHandler::STATUS_HANDOFF) {
+                return new WP_REST_Response([
+                    'success' => true,
+                    'data' => [
+                        'conversation_id' => $conversationId,
+                        'message_id' => null,
+                        'user_message_id' => $userMessageId,
+                        'response' => '',
+                        'timestamp' => current_time('mysql')
+                    ],
+                    'metadata' => [
+                        'conversation_status' => ConversationHandler::STATUS_HANDOFF,
+                        'session_id' => $sessionId,
+                        'rate_limit_remaining' => $this->getRateLimitRemaining($userId, $sessionId)
+                    ]
+                ], 200);
+            }
+
             // Get conversation history for context
             $conversationHistory = $this->getConversationHistory($conversationId, 10);
 
@@ -404,6 +503,7 @@ class ChatEndpoint
                 'data' => [
                     'conversation_id' => $conversationId,
                     'message_id' => $assistantMessageId,
+                    'user_message_id' => $userMessageId,
                     'response' => $aiResponse['response'],
                     'model_used' => $aiResponse['model_used'],
                     'tokens_used' => $aiResponse['tokens_used'],
@@ -413,7 +513,7 @@ class ChatEndpoint
                     'is_fallback' => $aiResponse['is_fallback'] ?? false
                 ],
                 'metadata' => [
-                    'conversation_status' => 'active',
+                    'conversation_status' => $conversation['status'],
                     'total_messages' => count($conversationHistory) + 2, // +2 for current exchange
                     'session_id' => $sessionId,
                     'rate_limit_remaining' => $this->getRateLimitRemaining($userId, $sessionId)
@@ -459,6 +559,10 @@ class ChatEndpoint
             $limit = (int) ($request->get_param('limit') ?: 50);
             $offset = (int) ($request->get_param('offset') ?: 0);
 
+            // Messages replaced by edits stay available to shop staff
+            $includeSuperseded = $request->get_param('include_superseded') === 'true'
+                && current_user_can('manage_woocommerce');
+
             $this->logger->debug('Retrieving conversation', [
                 'conversation_id' => $conversationId,
                 'include_messages' => $includeMessages,
@@ -467,7 +571,7 @@ class ChatEndpoint
             ]);
 
             // Get conversation data
-            $conversation = $this->conversationHandler->getConversation($conversationId, $includeMessages);
+            $conversation = $this->conversationHandler->getConversation($conversationId, $includeMessages, $includeSuperseded);
 
             if (!$conversation) {
                 return new WP_Error(
@@ -478,7 +582,8 @@ class ChatEndpoint
             }
 
             // Check permission to access conversation
-            if (!$this->canAccessConversation($conversation)) {
+            $sessionId = $this->getOrCreateSessionId($request);
+            if (!$this->canAccessConversation($conversation, $sessionId)) {
                 return new WP_Error(
                     'conversation_access_denied',
                     'Access denied to this conversation.',
@@ -497,7 +602,7 @@ class ChatEndpoint
                 'created_at_human' => human_time_diff(strtotime($conversation['created_at'])) . ' ago',
                 'updated_at_human' => human_time_diff(strtotime($conversation['updated_at'])) . ' ago',
                 'is_active' => $conversation['status'] === ConversationHandler::STATUS_ACTIVE,
-                'can_send_messages' => $this->canSendMessages($conversation)
+                'can_send_messages' => $this->canSendMessages($conversation, $sessionId)
             ];
 
             $response = [
@@ -526,6 +631,65 @@ class ChatEndpoint
         }
     }
 
+    /**
+     * List the current customer's conversations
+     *
+     * Returns a summary of each conversation (title, dates, last message)
+     * for the conversation history drawer. Only available to logged-in users.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response object
+     */
+    public function listConversations(WP_REST_Request $request)
+    {
+        $userId = get_current_user_id();
+
+        if (!$userId) {
+            return new WP_Error(
+                'login_required',
+                'Log in to see your conversations.',
+                ['status' => 401]
+            );
+        }
+
+        try {
+            $limit = min((int) ($request->get_param('limit') ?: 20), 50);
+            $offset = (int) ($request->get_param('offset') ?: 0);
+
+            $conversations = array_map(function ($conversation) {
+                return [
+                    'id' => (int) $conversation['id'],
+                    'status' => $conversation['status'],
+                    'title' => wp_trim_words($conversation['first_message'] ?? '', 8, '...'),
+                    'last_message' => wp_trim_words($conversation['last_message'] ?? '', 16, '...'),
+                    'total_messages' => (int) $conversation['total_messages'],
+                    'created_at' => $conversation['created_at'],
+                    'updated_at' => $conversation['updated_at'],
+                    'is_active' => $conversation['status'] === ConversationHandler::STATUS_ACTIVE
+                ];
+            }, $this->conversationHandler->getUserConversations($userId, $limit, $offset));
+
+            return new WP_REST_Response([
+                'success' => true,
+                'data' => [
+                    'conversations' => $conversations,
+                    'has_more' => count($conversations) === $limit
+                ]
+            ], 200);
+        } catch (Exception $e) {
+            $this->logger->error('Failed to list conversations', [
+                'user_id' => $userId,
+                'error' => $e->getMessage()
+            ]);
+
+            return new WP_Error(
+                'conversation_list_error',
+                'Failed to retrieve conversations.',
+                ['status' => 500]
+            );
+        }
+    }
+
     /**
      * Start new conversation
      *
@@ -541,6 +705,7 @@ class ChatEndpoint
             $userId = $request->get_param('user_id') ?: get_current_user_id();
             $sessionId = $this->getOrCreateSessionId($request);
             $initialMessage = $request->get_param('initial_message');
+            $previousConversationId = (int) $request->get_param('previous_conversation_id');
 
             $this->logger->info('Starting new conversation', [
                 'user_id' => $userId,
@@ -549,6 +714,11 @@ class ChatEndpoint
                 'has_initial_message' => !empty($initialMessage)
             ]);
 
+            // A new chat ends the one it replaces so it no longer counts as active
+            if ($previousConversationId) {
+                $this->completePreviousConversation($previousConversationId, $sessionId);
+            }
+
             // Check if user can create new conversations
             if (!$this->canCreateConversation($userId, $sessionId)) {
                 return new WP_Error(
@@ -761,6 +931,8 @@ class ChatEndpoint
      * Handle streaming message response
      *
      * Processes messages with streaming AI responses for real-time user experience.
+     * Every event carries an `id` of the form "{stream}:{sequence}" so clients can
+     * reconnect with a Last-Event-ID header and receive only the missed events.
      *
      * @param WP_REST_Request $request Request object
      * @return WP_REST_Response|WP_Error Response object
@@ -771,10 +943,13 @@ class ChatEndpoint
             $message = $request->get_param('message');
             $conversationId = (int) $request->get_param('conversation_id');
             $context = $request->get_param('context') ?: [];
+            $editMessageId = (int) $request->get_param('edit_message_id');
+            $regenerate = (bool) $request->get_param('regenerate');
+            $lastEventId = (string) $request->get_header('Last-Event-ID');
 
             // Verify conversation exists
             $conversation = $this->conversationHandler->getConversation($conversationId);
-            if (!$conversation || !$this->canAccessConversation($conversation)) {
+            if (!$conversation || !$this->canAccessConversation($conversation, $this->getOrCreateSessionId($request))) {
                 return new WP_Error(
                     'conversation_not_found',
                     'Conversation not found or access denied.',
@@ -782,19 +957,68 @@ class ChatEndpoint
                 );
             }
 
+            // Resumed streams belong to a message that was already counted
+            $userId = get_current_user_id() ?: null;
+            $sessionId = $this->getOrCreateSessionId($request);
+            if ($lastEventId === '' && !$this->checkRateLimit($userId, $sessionId)) {
+                return $this->rateLimitedResponse($userId, $sessionId);
+            }
+
+            // Fork the thread before streaming so a bad edit can still be refused.
+            // Resumed streams already applied the edit on the first request.
+            $editMetadata = [];
+            if ($editMessageId && $lastEventId === '') {
+                $editMetadata = $this->forkAtEditedMessage($conversationId, $editMessageId, $regenerate);
+                if (is_wp_error($editMetadata)) {
+                    return $editMetadata;
+                }
+            }
+
             // Set headers for streaming
             header('Content-Type: text/event-stream');
             header('Cache-Control: no-cache');
             header('Connection: keep-alive');
             header('X-Accel-Buffering: no'); // Disable nginx buffering
 
+            // Tell the client how long to wait before reconnecting
+            echo "retry: " . self::STREAM_RETRY_MS . "\n\n";
+
+            if ($lastEventId !== '') {
+                $this->resumeStream($conversationId, $lastEventId);
+                exit;
+            }
+
             // Add user message
             $userMessageId = $this->conversationHandler->addMessage(
                 $conversationId,
                 ConversationHandler::ROLE_USER,
-                $message
+                $message,
+                $editMetadata
             );
 
+            $streamId = "{$conversationId}-{$userMessageId}";
+            $streamState = [
+                'chunks' => [],
+                'complete' => null
+            ];
+
+            // Shop staff answer the shopper during a handoff, only confirm the message
+            if ($conversation['status'] === ConversationHandler::STATUS_HANDOFF) {
+                $streamState['complete'] = [
+                    'type' => 'complete',
+                    'message_id' => null,
+                    'user_message_id' => $userMessageId,
+                    'total_tokens' => 0,
+                    'processing_time' => 0,
+                    'conversation_status' => ConversationHandler::STATUS_HANDOFF
+                ];
+                Cache::set($this->getStreamCacheKey($streamId), $streamState, 'streams', self::STREAM_CACHE_TTL);
+
+                $this->sendStreamEvent('done', $streamState['complete'], $streamId . ':done');
+                echo "data: [DONE]\n\n";
+                exit;
+            }
+
             // Get conversation history
             $conversationHistory = $this->getConversationHistory($conversationId, 10);
 
@@ -814,18 +1038,19 @@ class ChatEndpoint
                 $fullResponse .= $chunk['content'];
                 $totalTokens = $chunk['tokens_used'];
 
-                // Send chunk to client
-                echo "data: " . wp_json_encode([
+                $payload = [
                     'type' => 'chunk',
                     'content' => $chunk['content'],
                     'is_final' => $chunk['is_final'],
                     'tokens_used' => $totalTokens
-                ]) . "\n\n";
+                ];
 
-                if (ob_get_level()) {
-                    ob_flush();
-                }
-                flush();
+                // Keep the events so a reconnecting client can catch up
+                $streamState['chunks'][] = $payload;
+                Cache::set($this->getStreamCacheKey($streamId), $streamState, 'streams', self::STREAM_CACHE_TTL);
+
+                // Send chunk to client
+                $this->sendStreamEvent('token', $payload, $streamId . ':' . count($streamState['chunks']));
 
                 // Check if client disconnected
                 if (connection_aborted()) {
@@ -845,32 +1070,143 @@ class ChatEndpoint
                 ]
             );
 
-            // Send final message
-            echo "data: " . wp_json_encode([
+            $streamState['complete'] = [
                 'type' => 'complete',
                 'message_id' => $assistantMessageId,
+                'user_message_id' => $userMessageId,
                 'total_tokens' => $totalTokens,
-                'processing_time' => round(microtime(true) - $startTime, 3)
-            ]) . "\n\n";
+                'processing_time' => round(microtime(true) - $startTime, 3),
+                'conversation_status' => $conversation['status']
+            ];
+            Cache::set($this->getStreamCacheKey($streamId), $streamState, 'streams', self::STREAM_CACHE_TTL);
 
-            if (ob_get_level()) {
-                ob_flush();
-            }
-            flush();
+            // Send final message
+            $this->sendStreamEvent('done', $streamState['complete'], $streamId . ':done');
 
             // Close connection
             echo "data: [DONE]\n\n";
             exit;
         } catch (Exception $e) {
             // Send error as server-sent event
-            echo "data: " . wp_json_encode([
+            $this->sendStreamEvent('error', [
                 'type' => 'error',
                 'error' => $e->getMessage()
-            ]) . "\n\n";
+            ]);
             exit;
         }
     }
 
+    /**
+     * Supersede an edited message and the replies that followed it
+     *
+     * A regenerated message is the same text sent again, so the thread keeps
+     * one copy of it followed by the new reply.
+     *
+     * @param int $conversationId Conversation ID
+     * @param int $editMessageId ID of the user message being replaced
+     * @param bool $regenerate Whether the message is resent unchanged
+     * @return array|WP_Error Metadata for the replacement message or error
+     */
+    private function forkAtEditedMessage(int $conversationId, int $editMessageId, bool $regenerate = false)
+    {
+        $branch = $this->conversationHandler->forkConversationAt($conversationId, $editMessageId);
+
+        if (!$branch) {
+            return new WP_Error(
+                'message_edit_failed',
+                'This message can no longer be edited.',
+                ['status' => 409]
+            );
+        }
+
+        return [
+            ($regenerate ? 'regenerated_from' : 'edited_from') => $editMessageId,
+            'replaces_branch' => $branch
+        ];
+    }
+
+    /**
+     * Replay the events a reconnecting client missed
+     *
+     * @param int $conversationId Conversation ID the stream belongs to
+     * @param string $lastEventId Value of the Last-Event-ID header
+     * @return void
+     */
+    private function resumeStream(int $conversationId, string $lastEventId): void
+    {
+        [$streamId, $sequence] = array_pad(explode(':', $lastEventId, 2), 2, '');
+        $streamState = strpos($streamId, "{$conversationId}-") === 0
+            ? Cache::get($this->getStreamCacheKey($streamId), 'streams')
+            : false;
+
+        if (!is_array($streamState)) {
+            $this->sendStreamEvent('error', [
+                'type' => 'error',
+                'code' => 'stream_expired',
+                'error' => 'The response can no longer be resumed.'
+            ]);
+            return;
+        }
+
+        $this->logger->debug('Resuming chat stream', [
+            'stream_id' => $streamId,
+            'last_sequence' => $sequence
+        ]);
+
+        $chunks = $streamState['chunks'] ?? [];
+        $startAt = $sequence === 'done' ? count($chunks) : (int) $sequence;
+
+        for ($index = $startAt; $index < count($chunks); $index++) {
+            $this->sendStreamEvent('token', $chunks[$index], $streamId . ':' . ($index + 1));
+        }
+
+        if (!empty($streamState['complete'])) {
+            $this->sendStreamEvent('done', $streamState['complete'], $streamId . ':done');
+            echo "data: [DONE]\n\n";
+            return;
+        }
+
+        $this->sendStreamEvent('error', [
+            'type' => 'error',
+            'code' => 'stream_incomplete',
+            'error' => 'The response was interrupted before it finished.'
+        ]);
+    }
+
+    /**
+     * Write a single server-sent event and flush it to the client
+     *
+     * @param string $event Event name (token, metadata, done, error)
+     * @param array $data Event payload, JSON encoded into the data field
+     * @param string|null $id Optional event ID for Last-Event-ID resumption
+     * @return void
+     */
+    private function sendStreamEvent(string $event, array $data, ?string $id = null): void
+    {
+        if ($id !== null) {
+            echo "id: {$id}\n";
+        }
+
+        echo "event: {$event}\n";
+        echo "data: " . wp_json_encode($data) . "\n\n";
+
+        if (ob_get_level()) {
+            ob_flush();
+        }
+        flush();
+    }
+
+    /**
+     * Get the cache key holding a stream's events
+     *
+     * @param string $streamId Stream identifier
+     * @return string Cache key
+     */
+    private function getStreamCacheKey(string $streamId): string
+    {
+        return 'chat_stream_' . sanitize_key($streamId);
+    }
+
     /**
      * Get or create session ID from request
      *
@@ -903,7 +1239,7 @@ class ChatEndpoint
     {
         if ($conversationId) {
             $conversation = $this->conversationHandler->getConversation($conversationId);
-            if ($conversation && $this->canAccessConversation($conversation)) {
+            if ($conversation && $this->canAccessConversation($conversation, $sessionId)) {
                 return $conversation;
             }
         }
@@ -922,12 +1258,12 @@ class ChatEndpoint
      * Check if user can access conversation
      *
      * @param array $conversation Conversation data
+     * @param string $sessionId Session ID sent by the client
      * @return bool True if user can access
      */
-    private function canAccessConversation(array $conversation): bool
+    private function canAccessConversation(array $conversation, string $sessionId = ''): bool
     {
         $currentUserId = get_current_user_id();
-        $sessionId = $this->getOrCreateSessionId(new WP_REST_Request());
 
         // Allow access if:
         // 1. User owns the conversation
@@ -935,7 +1271,7 @@ class ChatEndpoint
         // 3. User is admin
         return (
             ($conversation['user_id'] && $conversation['user_id'] == $currentUserId) ||
-            ($conversation['session_id'] === $sessionId) ||
+            ($sessionId !== '' && $conversation['session_id'] === $sessionId) ||
             current_user_can('manage_woocommerce')
         );
     }
@@ -992,6 +1328,59 @@ class ChatEndpoint
         return true;
     }
 
+    /**
+     * Build the response for a rate limited request
+     *
+     * The wait time is sent as Retry-After and also in the error data, for
+     * clients that cannot read response headers.
+     *
+     * @param int|null $userId User ID
+     * @param string $sessionId Session ID
+     * @return WP_REST_Response 429 response
+     */
+    private function rateLimitedResponse(?int $userId, string $sessionId): WP_REST_Response
+    {
+        $retryAfter = $this->getRateLimitRetryAfter($userId, $sessionId);
+
+        $response = rest_convert_error_to_response(new WP_Error(
+            'rate_limit_exceeded',
+            'Rate limit exceeded. Please try again later.',
+            ['status' => 429, 'retry_after' => $retryAfter]
+        ));
+        $response->header('Retry-After', (string) $retryAfter);
+
+        return $response;
+    }
+
+    /**
+     * Get the seconds until a rate limited user/session may send again
+     *
+     * @param int|null $userId User ID
+     * @param string $sessionId Session ID
+     * @return int Seconds to wait, at least 1
+     */
+    private function getRateLimitRetryAfter(?int $userId, string $sessionId): int
+    {
+        $identifier = $userId ? "user_{$userId}" : "session_{$sessionId}";
+        $cacheKey = "woo_ai_rate_limit_{$identifier}";
+
+        $rateLimitData = $this->cache->get($cacheKey);
+        if ($rateLimitData === false) {
+            return 1;
+        }
+
+        // The hourly limit outlasts the per-minute one when both are reached
+        $resets = [];
+        if ($rateLimitData['messages_minute'] >= $this->rateLimits['messages_per_minute']) {
+            $resets[] = $rateLimitData['minute_reset'];
+        }
+        if ($rateLimitData['messages_hour'] >= $this->rateLimits['messages_per_hour']) {
+            $resets[] = $rateLimitData['hour_reset'];
+        }
+
+        return $resets ? max(1, max($resets) - time()) : 1;
+    }
+
     /**
      * Get remaining rate limit for user/session
      *
@@ -1159,16 +1548,42 @@ class ChatEndpoint
      * Check if user can send messages to conversation
      *
      * @param array $conversation Conversation data
+     * @param string $sessionId Session ID sent by the client
      * @return bool True if user can send messages
      */
-    private function canSendMessages(array $conversation): bool
+    private function canSendMessages(array $conversation, string $sessionId = ''): bool
     {
+        // Shop staff answer the shopper during a handoff
         return (
-            $conversation['status'] === ConversationHandler::STATUS_ACTIVE &&
-            $this->canAccessConversation($conversation)
+            in_array(
+                $conversation['status'],
+                [ConversationHandler::STATUS_ACTIVE, ConversationHandler::STATUS_HANDOFF],
+                true
+            ) &&
+            $this->canAccessConversation($conversation, $sessionId)
         );
     }
 
+    /**
+     * Mark the conversation a new chat replaces as completed
+     *
+     * @param int $conversationId Conversation ID
+     * @param string $sessionId Session ID sent by the client
+     * @return void
+     */
+    private function completePreviousConversation(int $conversationId, string $sessionId): void
+    {
+        $conversation = $this->conversationHandler->getConversation($conversationId);
+
+        if (
+            $conversation &&
+            $conversation['status'] === ConversationHandler::STATUS_ACTIVE &&
+            $this->canAccessConversation($conversation, $sessionId)
+        ) {
+            $this->conversationHandler->updateConversationStatus($conversationId, ConversationHandler::STATUS_COMPLETED);
+        }
+    }
+
     /**
      * Check if user can create new conversations
      *
@@ -18,6 +18,7 @@ namespace WooAiAssistant\RestApi\Endpoints;
 use WooAiAssistant\Common\Logger;
 use WooAiAssistant\Common\Utils;
 use WooAiAssistant\Config\ApiConfiguration;
+use WooAiAssistant\RestApi\AjaxBridge;
 use WP_REST_Server;
 use WP_REST_Request;
 use WP_REST_Response;
@@ -173,6 +174,8 @@ class ConfigEndpoint
             'version' => Utils::getVersion(),
             'api_base_url' => rest_url('woo-ai-assistant/v1'),
             'nonce' => wp_create_nonce('woo_ai_assistant_nonce'),
+            // WordPress checks X-WP-Nonce against the wp_rest action
+            'rest_nonce' => wp_create_nonce('wp_rest'),
             'context' => $context,
             'enabled' => $this->isWidgetEnabled($context),
             'appearance' => [
@@ -203,8 +206,15 @@ class ConfigEndpoint
             ],
             'features' => $this->getFeatureFlagsForUser($userId),
             'rate_limiting' => [
+                'requests_per_minute' => 60,
                 'messages_per_minute' => 10,
                 'actions_per_minute' => 5
+            ],
+            'transports' => AjaxBridge::getInstance()->getTransportConfig(),
+            'telemetry' => [
+                'enabled' => (bool) get_option('woo_ai_api_telemetry_enabled', 1),
+                'sample_rate' => (float) apply_filters('woo_ai_assistant_telemetry_sample_rate', 1.0),
+                'flush_interval' => 60
             ]
         ];
 
@@ -0,0 +1,363 @@
+<?php
+
+/**
+ * Product Endpoint Class
+ *
+ * Handles REST API endpoints for product lookups made by the chat widget,
+ * such as stock checks before adding to cart and product recommendations.
+ *
+ * @package WooAiAssistant
+ * @subpackage RestApi\Endpoints
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ * @link https://github.com/woo-ai-assistant/woo-ai-assistant
+ */
+
+namespace WooAiAssistant\RestApi\Endpoints;
+
+use WooAiAssistant\Common\Logger;
+use WooAiAssistant\Common\Utils;
+use WP_REST_Server;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+use WC_Product;
+use Exception;
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class ProductEndpoint
+ *
+ * Manages product-related REST API endpoints for the chat widget.
+ *
+ * @since 1.0.0
+ */
+class ProductEndpoint
+{
+    /**
+     * Maximum number of recommended products per request
+     *
+     * @var int
+     */
+    const MAX_RECOMMENDATIONS = 20;
+
+    /**
+     * Register product routes
+     *
+     * @param string $namespace API namespace
+     * @return void
+     */
+    public function registerRoutes(string $namespace): void
+    {
+        // Product availability endpoint
+        register_rest_route(
+            $namespace,
+            '/products/(?P<id>\d+)/availability',
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'getAvailability'],
+                'permission_callback' => [$this, 'checkProductPermission'],
+                'args' => [
+                    'id' => [
+                        'required' => true,
+                        'type' => 'integer',
+                        'description' => 'Product or variation ID',
+                        'sanitize_callback' => 'absint'
+                    ],
+                    'quantity' => [
+                        'type' => 'integer',
+                        'description' => 'Quantity the customer wants to buy',
+                        'default' => 1,
+                        'minimum' => 1,
+                        'sanitize_callback' => 'absint'
+                    ]
+                ]
+            ]
+        );
+
+        // Product recommendations endpoint
+        register_rest_route(
+            $namespace,
+            '/products/recommendations',
+            [
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => [$this, 'getRecommendations'],
+                'permission_callback' => [$this, 'checkProductPermission'],
+                'args' => [
+                    'context' => [
+                        'type' => 'object',
+                        'description' => 'Shopping context (current product, viewed products, etc.)',
+                        'default' => []
+                    ],
+                    'limit' => [
+                        'type' => 'integer',
+                        'description' => 'Maximum number of products',
+                        'default' => 5,
+                        'minimum' => 1,
+                        'maximum' => self::MAX_RECOMMENDATIONS,
+                        'sanitize_callback' => 'absint'
+                    ]
+                ]
+            ]
+        );
+
+        Logger::debug('Product endpoints registered');
+    }
+
+    /**
+     * Check whether a product can be bought in the requested quantity
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response object
+     */
+    public function getAvailability(WP_REST_Request $request)
+    {
+        try {
+            $quantity = max(1, (int) $request->get_param('quantity'));
+            $product = wc_get_product((int) $request->get_param('id'));
+
+            if (!$product || ($product->get_status() !== 'publish' && !$product->is_type('variation'))) {
+                return new WP_Error(
+                    'product_not_found',
+                    'Product not found',
+                    ['status' => 404]
+                );
+            }
+
+            $available = $product->is_purchasable() && $product->is_in_stock() && $product->has_enough_stock($quantity);
+            $stock = $product->managing_stock() ? (int) $product->get_stock_quantity() : null;
+
+            if ($available) {
+                $message = 'In stock';
+            } elseif (!$product->is_in_stock()) {
+                $message = 'Out of stock';
+            } elseif ($stock !== null) {
+                $message = sprintf('Only %d available', $stock);
+            } else {
+                $message = 'Product is not available for purchase';
+            }
+
+            return new WP_REST_Response([
+                'success' => true,
+                'available' => $available,
+                'stock' => $stock,
+                'stock_status' => $product->get_stock_status(),
+                'backorders_allowed' => $product->backorders_allowed(),
+                'message' => $message
+            ], 200);
+        } catch (Exception $e) {
+            Logger::error('Exception in product availability', [
+                'error' => $e->getMessage(),
+                'trace' => $e->getTraceAsString()
+            ]);
+
+            return new WP_Error(
+                'availability_exception',
+                'An error occurred while checking product availability',
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Recommend products for the current shopping context
+     *
+     * Uses the upsells and related products of the product being viewed,
+     * then the cross-sells of the cart, and fills up with popular products.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response object
+     */
+    public function getRecommendations(WP_REST_Request $request)
+    {
+        try {
+            $context = (array) $request->get_param('context');
+            $limit = min(self::MAX_RECOMMENDATIONS, max(1, (int) $request->get_param('limit')));
+            $productId = absint($context['product_id'] ?? $context['productId'] ?? 0);
+
+            $excluded = $productId ? [$productId] : [];
+            $candidates = [];
+
+            if ($productId && ($product = wc_get_product($productId))) {
+                $candidates = array_merge(
+                    $product->get_upsell_ids(),
+                    wc_get_related_products($productId, $limit, $excluded)
+                );
+            }
+
+            if (Utils::canUseCart() && !WC()->cart->is_empty()) {
+                $candidates = array_merge($candidates, WC()->cart->get_cross_sells());
+
+                foreach (WC()->cart->get_cart() as $cartItem) {
+                    $excluded[] = (int) $cartItem['product_id'];
+                }
+            }
+
+            $ids = array_slice(array_values(array_diff(array_unique(array_map('intval', $candidates)), $excluded)), 0, $limit);
+
+            if (count($ids) < $limit) {
+                $popular = wc_get_products([
+                    'status' => 'publish',
+                    'visibility' => 'catalog',
+                    'stock_status' => 'instock',
+                    'limit' => $limit + count($excluded),
+                    'orderby' => 'popularity',
+                    'exclude' => array_merge($excluded, $ids),
+                    'return' => 'ids'
+                ]);
+
+                $ids = array_slice(array_merge($ids, $popular), 0, $limit);
+            }
+
+            $products = [];
+            foreach ($ids as $id) {
+                $product = wc_get_product($id);
+                if ($product && $product->is_visible()) {
+                    $products[] = $this->formatProduct($product);
+                }
+            }
+
+            return new WP_REST_Response([
+                'success' => true,
+                'products' => $products
+            ], 200);
+        } catch (Exception $e) {
+            Logger::error('Exception in product recommendations', [
+                'error' => $e->getMessage(),
+                'trace' => $e->getTraceAsString()
+            ]);
+
+            return new WP_Error(
+                'recommendations_exception',
+                'An error occurred while getting product recommendations',
+                ['status' => 500]
+            );
+        }
+    }
+
+    /**
+     * Check product permission
+     *
+     * @param WP_REST_Request $request Request object
+     * @return bool|WP_Error True if permission granted
+     */
+    public function checkProductPermission(WP_REST_Request $request)
+    {
+        if (!Utils::isWooCommerceActive()) {
+            return new WP_Error(
+                'woocommerce_inactive',
+                'WooCommerce is not active',
+                ['status' => 400]
+            );
+        }
+
+        // Product data is public catalog information
+        return true;
+    }
+
+    /**
+     * Format a product for the widget
+     *
+     * @param WC_Product $product Product object
+     * @return array Product data
+     */
+    private function formatProduct(WC_Product $product): array
+    {
+        $data = [
+            'id' => $product->get_id(),
+            'name' => $product->get_name(),
+            'type' => $product->get_type(),
+            'price' => $product->get_price(),
+            'regular_price' => $product->get_regular_price(),
+            'sale_price' => $product->get_sale_price(),
+            'price_html' => $product->get_price_html(),
+            'image' => wp_get_attachment_image_url($product->get_image_id(), 'woocommerce_thumbnail'),
+            'permalink' => $product->get_permalink(),
+            'sku' => $product->get_sku(),
+            'stock_status' => $product->get_stock_status(),
+            'stock_quantity' => $product->get_stock_quantity(),
+            'in_stock' => $product->is_in_stock()
+        ];
+
+        // Variable products are added to the cart as one of their variations
+        if ($product->is_type('variable')) {
+            $data['attributes'] = $this->formatVariationAttributes($product);
+            $data['variations'] = $this->formatVariations($product);
+        }
+
+        return $data;
+    }
+
+    /**
+     * Format the attributes shoppers pick a variation by
+     *
+     * Names match the keys of the variation attributes, e.g. attribute_pa_color.
+     *
+     * @param WC_Product $product Variable product
+     * @return array Attributes with their options
+     */
+    private function formatVariationAttributes(WC_Product $product): array
+    {
+        $attributes = [];
+
+        foreach ($product->get_variation_attributes() as $attribute => $values) {
+            $isTaxonomy = taxonomy_exists($attribute);
+            $options = [];
+
+            foreach ($values as $value) {
+                $term = $isTaxonomy ? get_term_by('slug', $value, $attribute) : false;
+                $options[] = [
+                    'value' => $value,
+                    'label' => $term ? $term->name : $value
+                ];
+            }
+
+            $attributes[] = [
+                'name' => 'attribute_' . sanitize_title($attribute),
+                'label' => wc_attribute_label($attribute, $product),
+                'options' => $options
+            ];
+        }
+
+        return $attributes;
+    }
+
+    /**
+     * Format the variations of a variable product
+     *
+     * An empty attribute value means the variation matches any option.
+     *
+     * @param WC_Product $product Variable product
+     * @return array Visible variations
+     */
+    private function formatVariations(WC_Product $product): array
+    {
+        $variations = [];
+
+        foreach ($product->get_children() as $variationId) {
+            $variation = wc_get_product($variationId);
+            if (!$variation || !$variation->variation_is_visible()) {
+                continue;
+            }
+
+            $variations[] = [
+                'id' => $variationId,
+                'attributes' => $variation->get_variation_attributes(),
+                'price' => $variation->get_price(),
+                'regular_price' => $variation->get_regular_price(),
+                'sale_price' => $variation->get_sale_price(),
+                'image' => wp_get_attachment_image_url($variation->get_image_id(), 'woocommerce_thumbnail'),
+                'sku' => $variation->get_sku(),
+                'stock_status' => $variation->get_stock_status(),
+                'stock_quantity' => $variation->get_stock_quantity(),
+                'in_stock' => $variation->is_purchasable() && $variation->is_in_stock()
+            ];
+        }
+
+        return $variations;
+    }
+}
@@ -144,7 +144,9 @@ class RestController
             'chat' => 'WooAiAssistant\RestApi\Endpoints\ChatEndpoint',
             'action' => 'WooAiAssistant\RestApi\Endpoints\ActionEndpoint',
             'rating' => 'WooAiAssistant\RestApi\Endpoints\RatingEndpoint',
-            'config' => 'WooAiAssistant\RestApi\Endpoints\ConfigEndpoint'
+            'config' => 'WooAiAssistant\RestApi\Endpoints\ConfigEndpoint',
+            'product' => 'WooAiAssistant\RestApi\Endpoints\ProductEndpoint',
+            'analytics' => 'WooAiAssistant\RestApi\Endpoints\AnalyticsEndpoint'
         ];
 
         foreach ($endpointClasses as $key => $className) {
@@ -219,6 +221,8 @@ class RestController
         $config = [
             'api_base_url' => rest_url(self::NAMESPACE),
             'nonce' => wp_create_nonce('woo_ai_assistant_nonce'),
+            // WordPress checks X-WP-Nonce against the wp_rest action
+            'rest_nonce' => wp_create_nonce('wp_rest'),
             'context' => $context,
             'user' => [
                 'id' => $userId,
@@ -240,7 +244,8 @@ class RestController
                 'widget_position' => get_option('woo_ai_widget_position', 'bottom-right'),
                 'widget_theme' => get_option('woo_ai_widget_theme', 'light'),
                 'greeting_message' => get_option('woo_ai_greeting_message', __('Hi! How can I help you today?', 'woo-ai-assistant')),
-            ]
+            ],
+            'transports' => AjaxBridge::getInstance()->getTransportConfig()
         ];
 
         // Filter config to allow customization
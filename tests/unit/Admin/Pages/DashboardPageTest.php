@@ -176,6 +176,43 @@ class DashboardPageTest extends WooAiBaseTestCase
         $this->assertStringContains('⭐', $output, 'Should display rating icon');
     }
 
+    /**
+     * Test dashboard renders the chat performance card
+     *
+     * Verifies that the widget telemetry stored by AnalyticsEndpoint is summarized.
+     *
+     * @return void
+     */
+    public function test_render_should_display_chat_performance(): void
+    {
+        wp_set_current_user($this->adminUserId);
+
+        $request = new \WP_REST_Request('POST', '/woo-ai-assistant/v1/analytics/api-metrics');
+        $request->set_param('metrics', [
+            [
+                'route' => '/chat/message',
+                'method' => 'POST',
+                'kind' => 'request',
+                'transport' => 'rest',
+                'count' => 4,
+                'cancelled' => 0,
+                'retries' => 1,
+                'errors' => ['timeout' => 1],
+                'latency' => ['count' => 4, 'sum' => 2400, 'max' => 1200, 'buckets' => [0, 0, 1, 2, 1, 0, 0, 0, 0]]
+            ]
+        ]);
+        (new \WooAiAssistant\RestApi\Endpoints\AnalyticsEndpoint())->recordApiMetrics($request);
+
+        ob_start();
+        $this->dashboardPage->render();
+        $output = ob_get_clean();
+
+        $this->assertStringContains('api-performance-card', $output, 'Should contain chat performance card');
+        $this->assertStringContains('POST /chat/message', $output, 'Should list the measured route');
+        $this->assertStringContains('600 ms / 1200 ms', $output, 'Should display average and 95th percentile latency');
+        $this->assertStringContains('timeout', $output, 'Should display error classes');
+    }
+
     /**
      * Test dashboard renders quick actions
      *
@@ -0,0 +1,138 @@
+<?php
+
+/**
+ * Tests for AJAX Bridge Class
+ *
+ * Unit tests for the AjaxBridge class that serves the plugin's REST routes
+ * through admin-ajax.php and describes the available transports.
+ *
+ * @package WooAiAssistant
+ * @subpackage Tests\Unit\RestApi
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+namespace WooAiAssistant\Tests\Unit\RestApi;
+
+use WooAiAssistant\Tests\Unit\WooAiBaseTestCase;
+use WooAiAssistant\RestApi\AjaxBridge;
+
+/**
+ * Class AjaxBridgeTest
+ *
+ * Test cases for the AjaxBridge class.
+ *
+ * @since 1.0.0
+ */
+class AjaxBridgeTest extends WooAiBaseTestCase
+{
+    /**
+     * AjaxBridge instance
+     *
+     * @var AjaxBridge
+     */
+    private $ajaxBridge;
+
+    /**
+     * Set up test environment
+     *
+     * @return void
+     */
+    public function setUp(): void
+    {
+        parent::setUp();
+
+        $this->ajaxBridge = AjaxBridge::getInstance();
+    }
+
+    /**
+     * Test AJAX hook registration
+     *
+     * Verifies that the bridge answers both logged-in and guest requests.
+     *
+     * @return void
+     */
+    public function test_ajaxBridge_should_register_ajax_hooks(): void
+    {
+        $action = AjaxBridge::ACTION;
+
+        $this->assertNotFalse(has_action("wp_ajax_{$action}", [$this->ajaxBridge, 'handleRequest']), 'Should handle logged-in requests');
+        $this->assertNotFalse(has_action("wp_ajax_nopriv_{$action}", [$this->ajaxBridge, 'handleRequest']), 'Should handle guest requests');
+    }
+
+    /**
+     * Test nonce refresh hook registration
+     *
+     * Verifies that a fresh nonce can be requested with or without a login.
+     *
+     * @return void
+     */
+    public function test_ajaxBridge_should_register_nonce_refresh_hooks(): void
+    {
+        $action = AjaxBridge::NONCE_ACTION;
+
+        $this->assertNotFalse(has_action("wp_ajax_{$action}", [$this->ajaxBridge, 'handleNonceRefresh']), 'Should refresh nonces for logged-in users');
+        $this->assertNotFalse(has_action("wp_ajax_nopriv_{$action}", [$this->ajaxBridge, 'handleNonceRefresh']), 'Should refresh nonces for guests');
+    }
+
+    /**
+     * Test transport configuration
+     *
+     * Verifies the default transport order and the admin-ajax details.
+     *
+     * @return void
+     */
+    public function test_getTransportConfig_should_describe_available_transports(): void
+    {
+        delete_option('woo_ai_websocket_url');
+
+        $config = $this->ajaxBridge->getTransportConfig();
+
+        $this->assertEquals(['sse', 'rest', 'ajax'], $config['preferred'], 'Should prefer REST transports by default');
+        $this->assertEquals(admin_url('admin-ajax.php'), $config['ajax_url'], 'Should point to admin-ajax.php');
+        $this->assertEquals(AjaxBridge::ACTION, $config['ajax_action'], 'Should include the AJAX action');
+        $this->assertEquals(AjaxBridge::NONCE_ACTION, $config['nonce_action'], 'Should include the nonce refresh action');
+        $this->assertSame('', $config['websocket_url'], 'Should not offer WebSocket without a relay URL');
+    }
+
+    /**
+     * Test WebSocket preference
+     *
+     * Verifies that a configured WebSocket relay is tried first.
+     *
+     * @return void
+     */
+    public function test_getTransportConfig_should_prefer_configured_websocket(): void
+    {
+        update_option('woo_ai_websocket_url', 'wss://relay.example.com/chat');
+
+        $config = $this->ajaxBridge->getTransportConfig();
+
+        $this->assertEquals('websocket', $config['preferred'][0], 'Should try WebSocket first');
+        $this->assertEquals('wss://relay.example.com/chat', $config['websocket_url'], 'Should include the relay URL');
+
+        delete_option('woo_ai_websocket_url');
+    }
+
+    /**
+     * Test transport configuration filter
+     *
+     * Verifies that site owners can change the transport order.
+     *
+     * @return void
+     */
+    public function test_getTransportConfig_should_be_filterable(): void
+    {
+        $forceAjax = function ($config) {
+            $config['preferred'] = ['ajax'];
+            return $config;
+        };
+        add_filter('woo_ai_assistant_transport_config', $forceAjax);
+
+        $config = $this->ajaxBridge->getTransportConfig();
+
+        $this->assertEquals(['ajax'], $config['preferred'], 'Should apply the transport config filter');
+
+        remove_filter('woo_ai_assistant_transport_config', $forceAjax);
+    }
+}
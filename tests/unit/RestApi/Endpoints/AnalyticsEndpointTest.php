@@ -0,0 +1,114 @@
+<?php
+
+/**
+ * Tests for Analytics Endpoint Class
+ *
+ * Unit tests for the AnalyticsEndpoint class that records the product
+ * interactions reported by the chat widget.
+ *
+ * @package WooAiAssistant
+ * @subpackage Tests\Unit\RestApi\Endpoints
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+namespace WooAiAssistant\Tests\Unit\RestApi\Endpoints;
+
+use WooAiAssistant\Tests\Unit\WooAiBaseTestCase;
+use WooAiAssistant\RestApi\Endpoints\AnalyticsEndpoint;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Class AnalyticsEndpointTest
+ *
+ * Test cases for the AnalyticsEndpoint class.
+ *
+ * @since 1.0.0
+ */
+class AnalyticsEndpointTest extends WooAiBaseTestCase
+{
+    /**
+     * AnalyticsEndpoint instance
+     *
+     * @var AnalyticsEndpoint
+     */
+    private $analyticsEndpoint;
+
+    /**
+     * Set up test environment
+     *
+     * @return void
+     */
+    public function setUp(): void
+    {
+        parent::setUp();
+
+        $this->analyticsEndpoint = new AnalyticsEndpoint();
+    }
+
+    /**
+     * Build a product interaction request
+     *
+     * @param string $type Interaction type
+     * @param int $productId Product ID
+     * @param array $context Interaction context
+     * @return WP_REST_Request Request object
+     */
+    private function interactionRequest(string $type, int $productId, array $context = []): WP_REST_Request
+    {
+        $request = new WP_REST_Request('POST', '/woo-ai-assistant/v1/analytics/product-interaction');
+        $request->set_param('type', $type);
+        $request->set_param('product_id', $productId);
+        $request->set_param('context', $context);
+        $request->set_header('X-Session-ID', 'sess_abc');
+
+        return $request;
+    }
+
+    /**
+     * Test product interactions are stored
+     *
+     * Verifies that the interaction is recorded with its product and session.
+     *
+     * @return void
+     */
+    public function test_trackProductInteraction_should_store_the_interaction(): void
+    {
+        global $wpdb;
+
+        $response = $this->analyticsEndpoint->trackProductInteraction(
+            $this->interactionRequest('click', 42, ['source' => 'recommendation'])
+        );
+
+        $this->assertInstanceOf(WP_REST_Response::class, $response, 'Should return WP_REST_Response');
+        $this->assertEquals(202, $response->get_status(), 'Should accept the interaction');
+
+        $row = $wpdb->get_row(
+            "SELECT * FROM {$wpdb->prefix}woo_ai_analytics WHERE metric_type = 'product_click' ORDER BY id DESC LIMIT 1",
+            ARRAY_A
+        );
+
+        $this->assertNotNull($row, 'Interaction should be stored');
+        $this->assertEquals('sess_abc', $row['session_id']);
+        $this->assertEquals('widget', $row['source']);
+        $this->assertEquals(['source' => 'recommendation', 'product_id' => 42], json_decode($row['context'], true));
+    }
+
+    /**
+     * Test product interactions are announced to other code
+     *
+     * @return void
+     */
+    public function test_trackProductInteraction_should_fire_interaction_action(): void
+    {
+        $tracked = [];
+        add_action('woo_ai_assistant_product_interaction', function ($type, $productId) use (&$tracked) {
+            $tracked[] = [$type, $productId];
+        }, 10, 2);
+
+        $this->analyticsEndpoint->trackProductInteraction($this->interactionRequest('view', 7));
+
+        $this->assertEquals([['view', 7]], $tracked, 'Should fire woo_ai_assistant_product_interaction');
+    }
+}
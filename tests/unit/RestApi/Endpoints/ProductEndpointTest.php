@@ -0,0 +1,150 @@
+<?php
+
+/**
+ * Tests for Product Endpoint Class
+ *
+ * Unit tests for the ProductEndpoint class that answers the stock checks
+ * and product recommendations requested by the chat widget.
+ *
+ * @package WooAiAssistant
+ * @subpackage Tests\Unit\RestApi\Endpoints
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+namespace WooAiAssistant\Tests\Unit\RestApi\Endpoints;
+
+use WooAiAssistant\Tests\Unit\WooAiBaseTestCase;
+use WooAiAssistant\RestApi\Endpoints\ProductEndpoint;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+/**
+ * Class ProductEndpointTest
+ *
+ * Test cases for the ProductEndpoint class.
+ *
+ * @since 1.0.0
+ */
+class ProductEndpointTest extends WooAiBaseTestCase
+{
+    /**
+     * ProductEndpoint instance
+     *
+     * @var ProductEndpoint
+     */
+    private $productEndpoint;
+
+    /**
+     * Set up test environment
+     *
+     * @return void
+     */
+    public function setUp(): void
+    {
+        parent::setUp();
+
+        $this->productEndpoint = new ProductEndpoint();
+    }
+
+    /**
+     * Create a published product with a managed stock
+     *
+     * @param int $stock Stock quantity
+     * @param array $args Product arguments
+     * @return \WC_Product Product object
+     */
+    private function createStockedProduct(int $stock, array $args = []): \WC_Product
+    {
+        $product = $this->createTestProduct(array_merge(['manage_stock' => true], $args));
+        $product->set_stock_quantity($stock);
+        $product->save();
+
+        return wc_get_product($product->get_id());
+    }
+
+    /**
+     * Test availability of a product with enough stock
+     *
+     * @return void
+     */
+    public function test_getAvailability_should_report_products_in_stock(): void
+    {
+        $product = $this->createStockedProduct(3);
+
+        $request = new WP_REST_Request('GET', "/woo-ai-assistant/v1/products/{$product->get_id()}/availability");
+        $request->set_param('id', $product->get_id());
+        $request->set_param('quantity', 2);
+        $response = $this->productEndpoint->getAvailability($request);
+
+        $this->assertInstanceOf(WP_REST_Response::class, $response, 'Should return WP_REST_Response');
+        $data = $response->get_data();
+        $this->assertTrue($data['available'], 'Two of three items should be available');
+        $this->assertEquals(3, $data['stock'], 'Should report the stock quantity');
+        $this->assertEquals('In stock', $data['message']);
+    }
+
+    /**
+     * Test availability when less stock is left than requested
+     *
+     * @return void
+     */
+    public function test_getAvailability_should_report_remaining_stock_when_quantity_exceeds_it(): void
+    {
+        $product = $this->createStockedProduct(3);
+
+        $request = new WP_REST_Request('GET', "/woo-ai-assistant/v1/products/{$product->get_id()}/availability");
+        $request->set_param('id', $product->get_id());
+        $request->set_param('quantity', 5);
+        $data = $this->productEndpoint->getAvailability($request)->get_data();
+
+        $this->assertFalse($data['available'], 'Five items should not be available');
+        $this->assertEquals('Only 3 available', $data['message']);
+    }
+
+    /**
+     * Test availability of a product that does not exist
+     *
+     * @return void
+     */
+    public function test_getAvailability_should_return_404_for_unknown_products(): void
+    {
+        $request = new WP_REST_Request('GET', '/woo-ai-assistant/v1/products/999999/availability');
+        $request->set_param('id', 999999);
+        $response = $this->productEndpoint->getAvailability($request);
+
+        $this->assertInstanceOf(WP_Error::class, $response, 'Should return WP_Error');
+        $this->assertEquals('product_not_found', $response->get_error_code());
+        $this->assertEquals(404, $response->get_error_data()['status']);
+    }
+
+    /**
+     * Test recommendations leave out the product being viewed
+     *
+     * @return void
+     */
+    public function test_getRecommendations_should_exclude_current_product_and_respect_limit(): void
+    {
+        $viewed = $this->createTestProduct(['name' => 'Viewed Hoodie', 'slug' => 'viewed-hoodie']);
+        $this->createTestProduct(['name' => 'Scarf', 'slug' => 'scarf']);
+        $this->createTestProduct(['name' => 'Beanie', 'slug' => 'beanie']);
+        $this->createTestProduct(['name' => 'Gloves', 'slug' => 'gloves']);
+
+        $request = new WP_REST_Request('POST', '/woo-ai-assistant/v1/products/recommendations');
+        $request->set_param('context', ['product_id' => $viewed->get_id()]);
+        $request->set_param('limit', 2);
+        $response = $this->productEndpoint->getRecommendations($request);
+
+        $this->assertInstanceOf(WP_REST_Response::class, $response, 'Should return WP_REST_Response');
+        $products = $response->get_data()['products'];
+        $this->assertLessThanOrEqual(2, count($products), 'Should not return more products than the limit');
+        $this->assertNotContains($viewed->get_id(), array_column($products, 'id'), 'Should not recommend the product being viewed');
+
+        foreach ($products as $product) {
+            foreach (['id', 'name', 'price', 'permalink', 'in_stock'] as $key) {
+                $this->assertArrayHasKey($key, $product, "Recommended products should contain {$key}");
+            }
+        }
+    }
+}
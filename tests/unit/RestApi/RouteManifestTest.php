@@ -0,0 +1,157 @@
+<?php
+
+/**
+ * Tests for the REST Route Manifest
+ *
+ * Verifies that the routes registered with the WordPress REST server match
+ * src/RestApi/routes.json, the manifest the widget API client is tested
+ * against.
+ *
+ * @package WooAiAssistant
+ * @subpackage Tests\Unit\RestApi
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+namespace WooAiAssistant\Tests\Unit\RestApi;
+
+use WooAiAssistant\Tests\Unit\WooAiBaseTestCase;
+use WooAiAssistant\RestApi\RestController;
+
+/**
+ * Class RouteManifestTest
+ *
+ * Test cases for the shared route manifest.
+ *
+ * @since 1.0.0
+ */
+class RouteManifestTest extends WooAiBaseTestCase
+{
+    /**
+     * Decoded route manifest
+     *
+     * @var array
+     */
+    private $manifest;
+
+    /**
+     * Routes registered in the plugin namespace
+     *
+     * @var array
+     */
+    private $routes;
+
+    /**
+     * Set up test environment
+     *
+     * @return void
+     */
+    public function setUp(): void
+    {
+        parent::setUp();
+
+        $this->manifest = json_decode(
+            file_get_contents(dirname(__DIR__, 3) . '/src/RestApi/routes.json'),
+            true
+        );
+
+        global $wp_rest_server;
+        $wp_rest_server = new \WP_REST_Server();
+        RestController::getInstance()->registerEndpoints();
+
+        $this->routes = $wp_rest_server->get_routes(RestController::NAMESPACE);
+    }
+
+    /**
+     * Test manifest namespace
+     *
+     * @return void
+     */
+    public function test_manifest_should_describe_the_plugin_namespace(): void
+    {
+        $this->assertEquals(RestController::NAMESPACE, $this->manifest['namespace']);
+    }
+
+    /**
+     * Test that every manifest route is registered
+     *
+     * Verifies the methods and arguments of each route listed in the manifest.
+     *
+     * @return void
+     */
+    public function test_manifest_routes_should_be_registered(): void
+    {
+        foreach ($this->manifest['routes'] as $route) {
+            $key = '/' . RestController::NAMESPACE . $route['path'];
+            $label = implode('|', $route['methods']) . ' ' . $route['path'];
+
+            $this->assertArrayHasKey($key, $this->routes, "{$label} should be registered");
+
+            $handler = $this->findHandler($this->routes[$key], $route['methods']);
+            $this->assertNotNull($handler, "{$label} should accept exactly these methods");
+            $this->assertEquals($route['args'], $this->describeArgs($handler['args']), "{$label} arguments should match the manifest");
+        }
+    }
+
+    /**
+     * Test that no route is registered without a manifest entry
+     *
+     * @return void
+     */
+    public function test_registered_routes_should_be_listed_in_manifest(): void
+    {
+        $listed = [];
+        foreach ($this->manifest['routes'] as $route) {
+            $listed['/' . RestController::NAMESPACE . $route['path']][] = $route['methods'];
+        }
+
+        foreach ($this->routes as $key => $handlers) {
+            // The namespace index route is added by WordPress itself
+            if ($key === '/' . RestController::NAMESPACE) {
+                continue;
+            }
+
+            foreach ($handlers as $handler) {
+                $methods = array_keys(array_filter($handler['methods']));
+                $this->assertContains($methods, $listed[$key] ?? [], implode('|', $methods) . " {$key} should be listed in routes.json");
+            }
+        }
+    }
+
+    /**
+     * Find the handler of a route accepting the given methods
+     *
+     * @param array $handlers Route handlers
+     * @param array $methods HTTP methods
+     * @return array|null Handler
+     */
+    private function findHandler(array $handlers, array $methods): ?array
+    {
+        foreach ($handlers as $handler) {
+            if (array_keys(array_filter($handler['methods'])) === $methods) {
+                return $handler;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Reduce registered arguments to the manifest format
+     *
+     * @param array $args Registered arguments
+     * @return array Argument types and required flags
+     */
+    private function describeArgs(array $args): array
+    {
+        $described = [];
+        foreach ($args as $name => $arg) {
+            $described[$name] = ['type' => $arg['type'] ?? ''];
+            if (!empty($arg['required'])) {
+                $described[$name]['required'] = true;
+            }
+        }
+
+        return $described;
+    }
+}
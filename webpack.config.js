@@ -103,12 +103,28 @@ module.exports = (env, argv) => {
             headers: {
                 'Access-Control-Allow-Origin': '*'
             },
-            proxy: {
-                '/wp-json': {
-                    target: 'http://localhost:8888',
-                    changeOrigin: true
+            // --env fakeBackend answers /wp-json/ in memory instead of proxying to WordPress
+            ...(env.fakeBackend ? {
+                setupMiddlewares: (middlewares) => {
+                    const { FakeBackend, createMiddleware } = require('./widget-src/dev/fake-backend');
+                    const backend = new FakeBackend({ tokenDelay: 40 });
+
+                    // FAKE_BACKEND_SCENARIO=slow,malformed-sse starts with scenarios active
+                    (process.env.FAKE_BACKEND_SCENARIO || '').split(',').filter(Boolean).forEach(name => {
+                        backend.useScenario(name.trim());
+                    });
+
+                    middlewares.unshift({ name: 'fake-backend', middleware: createMiddleware(backend) });
+                    return middlewares;
                 }
-            }
+            } : {
+                proxy: {
+                    '/wp-json': {
+                        target: 'http://localhost:8888',
+                        changeOrigin: true
+                    }
+                }
+            })
         },
         
         stats: {
@@ -0,0 +1,1306 @@
+/**
+ * Fake Backend
+ *
+ * In-memory stand-in for the plugin REST API, for developing the widget
+ * without WordPress and for integration tests. Routes, methods and
+ * argument types come from src/RestApi/routes.json and are validated the
+ * way WordPress does; responses follow the shapes of the PHP endpoints.
+ *
+ * Requests are plain objects and responses are either JSON or an async
+ * iterable of text/event-stream chunks, so the same backend can sit behind
+ * the webpack dev server and behind a fetch() stub in Jest (see adapters.js).
+ *
+ * @package WooAiAssistant
+ * @subpackage Development
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+const manifest = require('../../../src/RestApi/routes.json');
+const { PRODUCTS, COUPONS } = require('./fixtures');
+const { SCENARIOS } = require('./scenarios');
+
+/**
+ * Reconnect delay sent at the start of every reply stream
+ */
+const STREAM_RETRY_MS = 3000;
+
+/**
+ * Replies left before a visitor is rate limited, as reported to the widget
+ */
+const RATE_LIMIT_REMAINING = 50;
+
+/**
+ * Manifest routes with their path patterns
+ */
+const ROUTES = manifest.routes.map(route => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(/\(\?P</g, '(?<')}$`)
+}));
+
+/**
+ * Checks and conversions for the REST argument types, as loose as WordPress
+ */
+const ARG_TYPES = {
+  integer: value => (String(value).trim() !== '' && Number.isInteger(Number(value)) ? Number(value) : undefined),
+  number: value => (String(value).trim() !== '' && !isNaN(Number(value)) ? Number(value) : undefined),
+  string: value => (typeof value === 'string' || typeof value === 'number' ? String(value) : undefined),
+  boolean: value => {
+    if ([true, 'true', '1', 1].includes(value)) return true;
+    return [false, 'false', '0', 0].includes(value) ? false : undefined;
+  },
+  object: value => (value && typeof value === 'object' && (!Array.isArray(value) || value.length === 0) ? value : undefined),
+  array: value => (Array.isArray(value) ? value : undefined)
+};
+
+/**
+ * Wait, giving up when the request is aborted
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort);
+});
+
+/**
+ * Current time as a MySQL datetime, like current_time('mysql')
+ */
+const mysqlNow = () => new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Build a JSON response
+ */
+const json = (body, status = 200, headers = {}) => ({
+  status,
+  headers: { 'Content-Type': 'application/json; charset=UTF-8', ...headers },
+  body
+});
+
+/**
+ * Build a WP_Error response
+ */
+const wpError = (status, code, message, data = {}, headers = {}) => json({
+  code,
+  message,
+  data: { status, ...data }
+}, status, headers);
+
+/**
+ * Format a server-sent event like ChatEndpoint::sendStreamEvent()
+ */
+const sseEvent = (event, data, id = null) => (
+  `${id !== null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+);
+
+/**
+ * Fake Backend class
+ */
+class FakeBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {Object} options.user - Logged-in customer ({ id, display_name }), null for guests
+   * @param {number} options.tokenDelay - Milliseconds between streamed tokens
+   * @param {number} options.streamRetry - Reconnect delay sent to stream clients, in milliseconds
+   * @param {number} options.requestsPerMinute - Client rate limit announced in /config
+   */
+  constructor(options = {}) {
+    this.options = {
+      user: null,
+      tokenDelay: 0,
+      streamRetry: STREAM_RETRY_MS,
+      requestsPerMinute: 60,
+      ...options
+    };
+
+    this.routeHandlers = {
+      'GET /health': this.getHealth,
+      'GET /config': this.getConfig,
+      'POST /actions/add-to-cart': this.addToCart,
+      'POST /actions/apply-coupon': this.applyCoupon,
+      'DELETE /actions/remove-coupon': this.removeCoupon,
+      'POST|PUT|PATCH /actions/update-cart': this.updateCart,
+      'DELETE /actions/clear-cart': this.clearCart,
+      'DELETE /actions/remove-from-cart': this.removeFromCart,
+      'GET /actions/cart': this.getCart,
+      'POST /actions/generate-coupon': this.generateCoupon,
+      'POST /actions/confirmation': this.recordConfirmation,
+      'GET /coupons/available': this.getAvailableCoupons,
+      'POST /analytics/product-interaction': this.trackProductInteraction,
+      'POST /analytics/api-metrics': this.recordApiMetrics,
+      'POST /chat/message': this.sendMessage,
+      'GET /chat/conversation/(?P<id>\\d+)': this.getConversation,
+      'GET /chat/conversations': this.getConversations,
+      'POST /chat/conversation': this.startConversation,
+      'POST /chat/stream': this.streamMessage,
+      'GET /config/widget': this.getWidgetSettings,
+      'POST|PUT|PATCH /config/widget': this.updateWidgetSettings,
+      'GET /config/system': this.getSystemInfo,
+      'GET /config/features': this.getFeatures,
+      'GET /products/(?P<id>\\d+)/availability': this.getProductAvailability,
+      'POST /products/recommendations': this.getProductRecommendations,
+      'POST /rating/submit': this.submitRating,
+      'POST /rating/feedback': this.submitFeedback,
+      'GET /rating/conversation/(?P<id>\\d+)': this.getConversationRating,
+      'POST|PUT|PATCH /rating/update': this.submitRating,
+      'GET /rating/analytics': this.getRatingAnalytics
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Forget all conversations, cart contents, scenarios and recorded requests
+   */
+  reset() {
+    this.nextId = 1;
+    this.conversations = new Map();
+    this.streams = new Map();
+    this.cart = { items: new Map(), coupons: [] };
+    this.coupons = { ...COUPONS };
+    this.ratings = new Map();
+    this.feedback = [];
+    this.interactions = [];
+    this.metrics = [];
+    this.confirmations = [];
+    this.widgetSettings = {
+      position: 'bottom-right',
+      theme: 'light',
+      greeting_message: 'Hi! How can I help you today?',
+      enabled: true,
+      pages: []
+    };
+    this.replies = [];
+    this.scenarios = [];
+    this.requests = [];
+  }
+
+  /**
+   * Activate a scripted scenario
+   *
+   * @param {string} name - Scenario name, see scenarios.js
+   * @param {Object} options - Scenario options
+   * @param {string|RegExp} options.route - Only affect this endpoint path
+   * @param {string} options.method - Only affect this HTTP method
+   * @param {number} options.times - Only affect this many requests
+   * @returns {FakeBackend} The backend, for chaining
+   */
+  useScenario(name, options = {}) {
+    if (!SCENARIOS[name]) {
+      throw new Error(`Unknown fake backend scenario "${name}", expected one of: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+
+    this.scenarios.push({ name, options, remaining: options.times ?? Infinity });
+    return this;
+  }
+
+  /**
+   * Deactivate all scenarios
+   *
+   * @returns {FakeBackend} The backend, for chaining
+   */
+  clearScenarios() {
+    this.scenarios = [];
+    return this;
+  }
+
+  /**
+   * Script the next assistant reply
+   *
+   * @param {Object|string} reply - Reply text, or { response, products, suggested_coupons, quick_actions }
+   *                                where products may be product IDs
+   * @returns {FakeBackend} The backend, for chaining
+   */
+  queueReply(reply) {
+    this.replies.push(typeof reply === 'string' ? { response: reply } : reply);
+    return this;
+  }
+
+  /**
+   * Answer a request
+   *
+   * @param {Object} request - Request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Route inside the namespace, e.g. /chat/message
+   * @param {Object} request.query - Query parameters
+   * @param {Object} request.headers - Request headers
+   * @param {Object|string} request.body - JSON body, decoded or not
+   * @param {AbortSignal} request.signal - Aborts delayed responses and streams
+   * @returns {Promise<Object>} { status, headers, body } or { status, headers, stream }
+   */
+  async handle({ method = 'GET', path, query = {}, headers = {}, body = null, signal } = {}) {
+    let decoded = body || {};
+    if (typeof body === 'string' && body !== '') {
+      try {
+        decoded = JSON.parse(body);
+      } catch (parseError) {
+        return wpError(400, 'rest_invalid_json', 'Invalid JSON body passed.');
+      }
+    }
+
+    const request = {
+      method: method.toUpperCase(),
+      path,
+      query,
+      body: decoded,
+      headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+      signal
+    };
+    this.requests.push({ method: request.method, path, query, body: request.body });
+
+    const directive = this.takeScenario(request);
+    if (directive.delay) {
+      await sleep(directive.delay, signal);
+    }
+
+    if (directive.error) {
+      const { status, code, message, data, headers: errorHeaders } = directive.error;
+      return wpError(status, code, message, data, errorHeaders);
+    }
+
+    const route = ROUTES.find(candidate => candidate.methods.includes(request.method) && candidate.pattern.test(path));
+    if (!route) {
+      return wpError(404, 'rest_no_route', 'No route was found matching the URL and request method.');
+    }
+
+    const { params, error } = this.parseParams(route, {
+      ...request.query,
+      ...request.body,
+      ...path.match(route.pattern).groups
+    });
+    if (error) {
+      return error;
+    }
+
+    const handler = this.routeHandlers[`${route.methods.join('|')} ${route.path}`];
+    return handler.call(this, params, request, directive);
+  }
+
+  /**
+   * Combine the directives of the scenarios matching a request
+   */
+  takeScenario(request) {
+    const matching = this.scenarios.filter(({ options }) => {
+      const route = options.route;
+      const routeMatches = !route || (route instanceof RegExp ? route.test(request.path) : route === request.path);
+      return routeMatches && (!options.method || options.method.toUpperCase() === request.method);
+    });
+
+    matching.forEach(scenario => {
+      scenario.remaining--;
+    });
+    this.scenarios = this.scenarios.filter(scenario => scenario.remaining > 0);
+
+    return Object.assign({}, ...matching.map(({ name, options }) => SCENARIOS[name](options)));
+  }
+
+  /**
+   * Validate and convert request parameters like WP_REST_Request
+   *
+   * Unknown parameters are ignored and null counts as omitted.
+   */
+  parseParams(route, raw) {
+    const params = {};
+    const invalid = {};
+    const missing = [];
+
+    Object.entries(route.args).forEach(([name, arg]) => {
+      const value = raw[name];
+
+      if (value === null || value === undefined) {
+        if (arg.required) {
+          missing.push(name);
+        }
+        return;
+      }
+
+      const converted = ARG_TYPES[arg.type] ? ARG_TYPES[arg.type](value) : value;
+      if (converted === undefined) {
+        invalid[name] = `${name} is not of type ${arg.type}.`;
+        return;
+      }
+
+      params[name] = converted;
+    });
+
+    if (missing.length > 0) {
+      return {
+        error: wpError(400, 'rest_missing_callback_param', `Missing parameter(s): ${missing.join(', ')}`, { params: missing })
+      };
+    }
+
+    if (Object.keys(invalid).length > 0) {
+      return {
+        error: wpError(400, 'rest_invalid_param', `Invalid parameter(s): ${Object.keys(invalid).join(', ')}`, { params: invalid })
+      };
+    }
+
+    return { params };
+  }
+
+  // ===========================
+  // SYSTEM
+  // ===========================
+
+  getHealth() {
+    return json({
+      status: 'healthy',
+      timestamp: Math.floor(Date.now() / 1000),
+      version: '1.0.0',
+      woocommerce_active: true,
+      fake_backend: true
+    });
+  }
+
+  getConfig(params) {
+    const { user } = this.options;
+
+    return json({
+      api_base_url: '/wp-json/woo-ai-assistant/v1',
+      nonce: 'fake-backend-nonce',
+      rest_nonce: 'fake-backend-rest-nonce',
+      context: params.context || 'general',
+      user: {
+        id: user?.id || 0,
+        is_logged_in: !!user,
+        display_name: user?.display_name || ''
+      },
+      woocommerce: {
+        active: true,
+        currency: 'USD',
+        currency_symbol: '$'
+      },
+      features: {
+        chat_enabled: true,
+        product_recommendations: true,
+        coupon_generation: true,
+        human_handoff: false
+      },
+      settings: {
+        widget_position: this.widgetSettings.position,
+        widget_theme: this.widgetSettings.theme,
+        greeting_message: this.widgetSettings.greeting_message
+      },
+      transports: {
+        preferred: ['sse', 'rest']
+      },
+      rate_limiting: {
+        requests_per_minute: this.options.requestsPerMinute
+      },
+      telemetry: {
+        enabled: true,
+        sample_rate: 1,
+        flush_interval: 60
+      }
+    });
+  }
+
+  getWidgetSettings() {
+    return json({ success: true, data: this.widgetSettings });
+  }
+
+  updateWidgetSettings(params) {
+    this.widgetSettings = { ...this.widgetSettings, ...params };
+    return json({ success: true, message: 'Widget settings updated', data: this.widgetSettings });
+  }
+
+  getSystemInfo() {
+    return json({
+      success: true,
+      data: {
+        plugin_version: '1.0.0',
+        wordpress_version: 'fake',
+        woocommerce_version: 'fake',
+        php_version: 'fake'
+      }
+    });
+  }
+
+  getFeatures() {
+    return json({
+      success: true,
+      data: {
+        chat: true,
+        streaming: true,
+        product_recommendations: true,
+        coupon_generation: true,
+        conversation_history: !!this.options.user
+      }
+    });
+  }
+
+  // ===========================
+  // CHAT
+  // ===========================
+
+  startConversation(params, request) {
+    const conversation = this.createConversation(request, params.context || {});
+
+    if (params.previous_conversation_id && this.conversations.has(params.previous_conversation_id)) {
+      this.conversations.get(params.previous_conversation_id).status = 'completed';
+    }
+
+    let initialResponse = null;
+    if (params.initial_message) {
+      initialResponse = this.converse(conversation, params.initial_message).reply.response;
+    }
+
+    return json({
+      success: true,
+      data: {
+        conversation_id: conversation.id,
+        session_id: conversation.session_id,
+        status: conversation.status,
+        created_at: conversation.created_at,
+        context: conversation.context,
+        initial_response: initialResponse,
+        welcome_message: null
+      },
+      metadata: {
+        user_id: this.options.user?.id || null,
+        can_send_messages: true,
+        message_count: conversation.messages.length,
+        rate_limit_remaining: RATE_LIMIT_REMAINING
+      }
+    }, 201);
+  }
+
+  sendMessage(params, request) {
+    const conversation = this.conversations.get(params.conversation_id) ||
+      this.createConversation(request, params.context || {});
+
+    const fork = this.forkAtEditedMessage(conversation, params.edit_message_id, params.regenerate);
+    if (fork.error) {
+      return fork.error;
+    }
+
+    // Shop staff answer the shopper during a handoff, the assistant stays quiet
+    if (conversation.status === 'handoff') {
+      const userMessage = this.addMessage(conversation, 'user', params.message, fork.metadata);
+
+      return json({
+        success: true,
+        data: {
+          conversation_id: conversation.id,
+          message_id: null,
+          user_message_id: userMessage.id,
+          response: '',
+          timestamp: userMessage.created_at
+        },
+        metadata: {
+          conversation_status: conversation.status,
+          session_id: conversation.session_id,
+          rate_limit_remaining: RATE_LIMIT_REMAINING
+        }
+      });
+    }
+
+    const startTime = Date.now();
+    const { reply, userMessage, assistantMessage } = this.converse(conversation, params.message, fork.metadata);
+
+    return json({
+      success: true,
+      data: {
+        conversation_id: conversation.id,
+        message_id: assistantMessage.id,
+        user_message_id: userMessage.id,
+        response: reply.response,
+        model_used: assistantMessage.model_used,
+        tokens_used: assistantMessage.metadata.tokens_used,
+        processing_time: (Date.now() - startTime) / 1000,
+        context_chunks_used: 0,
+        timestamp: assistantMessage.created_at,
+        is_fallback: false,
+        ...this.replyExtras(reply)
+      },
+      metadata: {
+        conversation_status: conversation.status,
+        total_messages: conversation.messages.length,
+        session_id: conversation.session_id,
+        rate_limit_remaining: RATE_LIMIT_REMAINING
+      }
+    });
+  }
+
+  streamMessage(params, request, directive) {
+    const conversation = this.conversations.get(params.conversation_id);
+    if (!conversation) {
+      return wpError(404, 'conversation_not_found', 'Conversation not found.');
+    }
+
+    const lastEventId = request.headers['last-event-id'] || '';
+    const headers = { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' };
+    const tokenDelay = directive.tokenDelay ?? this.options.tokenDelay;
+
+    if (lastEventId) {
+      const [streamId, sequence] = lastEventId.split(':');
+      const state = streamId.startsWith(`${conversation.id}-`) ? this.streams.get(streamId) : null;
+      const startAt = sequence === 'done' ? Infinity : Number(sequence) || 0;
+
+      return { status: 200, headers, stream: this.writeStream(state, streamId, startAt, tokenDelay, directive, request.signal) };
+    }
+
+    const fork = this.forkAtEditedMessage(conversation, params.edit_message_id, params.regenerate);
+    if (fork.error) {
+      return fork.error;
+    }
+
+    // Shop staff answer the shopper during a handoff, only confirm the message
+    if (conversation.status === 'handoff') {
+      const userMessage = this.addMessage(conversation, 'user', params.message, fork.metadata);
+      const streamId = `${conversation.id}-${userMessage.id}`;
+
+      this.streams.set(streamId, {
+        chunks: [],
+        extras: {},
+        complete: {
+          type: 'complete',
+          message_id: null,
+          user_message_id: userMessage.id,
+          total_tokens: 0,
+          processing_time: 0,
+          conversation_status: conversation.status
+        }
+      });
+
+      return {
+        status: 200,
+        headers,
+        stream: this.writeStream(this.streams.get(streamId), streamId, 0, tokenDelay, directive, request.signal)
+      };
+    }
+
+    const { reply, userMessage, assistantMessage } = this.converse(conversation, params.message, fork.metadata);
+    const streamId = `${conversation.id}-${userMessage.id}`;
+    const pieces = reply.response.match(/\S+\s*/g) || [''];
+
+    this.streams.set(streamId, {
+      chunks: pieces.map((content, index) => ({
+        type: 'chunk',
+        content,
+        is_final: index === pieces.length - 1,
+        tokens_used: index + 1
+      })),
+      extras: this.replyExtras(reply),
+      complete: {
+        type: 'complete',
+        message_id: assistantMessage.id,
+        user_message_id: userMessage.id,
+        total_tokens: pieces.length,
+        processing_time: 0,
+        conversation_status: conversation.status
+      }
+    });
+
+    return {
+      status: 200,
+      headers,
+      stream: this.writeStream(this.streams.get(streamId), streamId, 0, tokenDelay, directive, request.signal)
+    };
+  }
+
+  /**
+   * Write the events of a reply stream, starting after the given token
+   */
+  async * writeStream(state, streamId, startAt, tokenDelay, directive, signal) {
+    yield `retry: ${this.options.streamRetry}\n\n`;
+
+    if (!state) {
+      yield sseEvent('error', { type: 'error', code: 'stream_expired', error: 'The response can no longer be resumed.' });
+      return;
+    }
+
+    const chunks = state.chunks.slice(Math.min(startAt, state.chunks.length));
+
+    if (directive.stream === 'malformed') {
+      // One good token, an event whose JSON is cut off, then a close in the middle of an event
+      if (chunks.length > 0) {
+        yield sseEvent('token', chunks[0], `${streamId}:${startAt + 1}`);
+      }
+      yield 'event: token\ndata: {"type":"chunk","content":"\n\n';
+      yield ': keep-alive\n\nevent: tok';
+      return;
+    }
+
+    for (let index = 0; index < chunks.length; index++) {
+      if (tokenDelay) {
+        await sleep(tokenDelay, signal);
+      }
+      yield sseEvent('token', chunks[index], `${streamId}:${startAt + index + 1}`);
+    }
+
+    if (Object.keys(state.extras).length > 0) {
+      yield sseEvent('metadata', state.extras);
+    }
+
+    yield sseEvent('done', state.complete, `${streamId}:done`);
+    yield 'data: [DONE]\n\n';
+  }
+
+  getConversation(params) {
+    const conversation = this.conversations.get(params.id);
+    if (!conversation) {
+      return wpError(404, 'conversation_not_found', 'Conversation not found.');
+    }
+
+    const includeMessages = params.include_messages !== false;
+    const visible = conversation.messages.filter(message => params.include_superseded || !message.superseded);
+    const offset = params.offset || 0;
+    const messages = visible.slice(offset, params.limit ? offset + params.limit : undefined);
+
+    return json({
+      success: true,
+      data: {
+        id: conversation.id,
+        session_id: conversation.session_id,
+        user_id: conversation.user_id,
+        status: conversation.status,
+        context: conversation.context,
+        created_at: conversation.created_at,
+        updated_at: conversation.updated_at,
+        ...(includeMessages ? {
+          messages: messages.map(({ superseded: _superseded, ...message }) => message),
+          total_messages: messages.length
+        } : {}),
+        metadata: {
+          is_active: conversation.status === 'active',
+          can_send_messages: ['active', 'handoff'].includes(conversation.status)
+        }
+      }
+    });
+  }
+
+  getConversations(params) {
+    if (!this.options.user) {
+      return wpError(401, 'authentication_required', 'You must be logged in to view your conversations.');
+    }
+
+    const limit = params.limit || 20;
+    const offset = params.offset || 0;
+    const conversations = [...this.conversations.values()]
+      .filter(conversation => conversation.user_id === this.options.user.id)
+      .sort((a, b) => b.id - a.id)
+      .slice(offset, offset + limit)
+      .map(conversation => {
+        const messages = conversation.messages.filter(message => !message.superseded && message.role !== 'system');
+        return {
+          id: conversation.id,
+          status: conversation.status,
+          title: messages.find(message => message.role === 'user')?.content || '',
+          last_message: messages.length > 0 ? messages[messages.length - 1].content : '',
+          total_messages: messages.length,
+          created_at: conversation.created_at,
+          updated_at: conversation.updated_at,
+          is_active: conversation.status === 'active'
+        };
+      });
+
+    return json({
+      success: true,
+      data: {
+        conversations,
+        has_more: conversations.length === limit
+      }
+    });
+  }
+
+  /**
+   * Create a conversation for the session of a request
+   */
+  createConversation(request, context) {
+    const id = this.nextId++;
+    const conversation = {
+      id,
+      session_id: request.headers['x-session-id'] || `fake_session_${id}`,
+      user_id: this.options.user?.id || null,
+      status: 'active',
+      context,
+      created_at: mysqlNow(),
+      updated_at: mysqlNow(),
+      messages: []
+    };
+
+    this.conversations.set(id, conversation);
+    return conversation;
+  }
+
+  /**
+   * Supersede an edited message and everything after it, a regenerated
+   * message is stored again unchanged
+   */
+  forkAtEditedMessage(conversation, editMessageId, regenerate = false) {
+    if (!editMessageId) {
+      return { metadata: {} };
+    }
+
+    const index = conversation.messages.findIndex(message => message.id === editMessageId && !message.superseded);
+    if (index === -1 || conversation.messages[index].role !== 'user') {
+      return { error: wpError(409, 'message_edit_failed', 'This message can no longer be edited.') };
+    }
+
+    conversation.messages.slice(index).forEach(message => {
+      message.superseded = true;
+    });
+
+    return { metadata: { [regenerate ? 'regenerated_from' : 'edited_from']: editMessageId } };
+  }
+
+  /**
+   * Store a user message and the assistant reply to it
+   */
+  converse(conversation, text, metadata = {}) {
+    const reply = this.composeReply(text);
+    const userMessage = this.addMessage(conversation, 'user', text, metadata);
+    const assistantMessage = this.addMessage(conversation, 'assistant', reply.response, {
+      tokens_used: (reply.response.match(/\S+/g) || []).length,
+      ...this.replyExtras(reply)
+    });
+
+    return { reply, userMessage, assistantMessage };
+  }
+
+  addMessage(conversation, role, content, metadata = {}) {
+    const message = {
+      id: this.nextId++,
+      role,
+      content,
+      created_at: mysqlNow(),
+      model_used: role === 'assistant' ? 'fake-backend' : null,
+      metadata
+    };
+
+    conversation.messages.push(message);
+    conversation.updated_at = message.created_at;
+    return message;
+  }
+
+  /**
+   * Pick the reply to a message, from the queue or from its keywords
+   */
+  composeReply(text) {
+    if (this.replies.length > 0) {
+      const reply = this.replies.shift();
+      return {
+        ...reply,
+        response: reply.response || '',
+        products: (reply.products || []).map(product => (
+          typeof product === 'object' ? product : PRODUCTS.find(candidate => candidate.id === product)
+        )).filter(Boolean)
+      };
+    }
+
+    const lower = String(text).toLowerCase();
+
+    if (/coupon|discount|deal|cheaper/.test(lower)) {
+      return {
+        response: 'Good news, you can save 10% on your order with this coupon.',
+        suggested_coupons: [this.coupons.save10],
+        quick_actions: [{ label: 'Apply save10', type: 'apply-coupon', data: { couponCode: 'save10' } }]
+      };
+    }
+
+    const named = PRODUCTS.filter(product => lower.includes(product.name.toLowerCase().split(' ').pop()));
+    if (named.length > 0 || /recommend|suggest|looking for|show me|gift/.test(lower)) {
+      return {
+        response: 'Here are a few products you might like.',
+        products: named.length > 0 ? named : PRODUCTS.filter(product => product.in_stock).slice(0, 3)
+      };
+    }
+
+    return {
+      response: `This reply comes from the fake backend. You said: "${text}". ` +
+        'Ask for a recommendation or a coupon to see product cards and coupons.'
+    };
+  }
+
+  /**
+   * Reply fields beyond the text
+   */
+  replyExtras(reply) {
+    const extras = {};
+    ['products', 'suggested_coupons', 'quick_actions'].forEach(key => {
+      if (Array.isArray(reply[key]) && reply[key].length > 0) {
+        extras[key] = reply[key];
+      }
+    });
+    return extras;
+  }
+
+  // ===========================
+  // CART AND COUPONS
+  // ===========================
+
+  addToCart(params) {
+    const product = PRODUCTS.find(candidate => candidate.id === params.product_id);
+    if (!product) {
+      return wpError(404, 'product_not_found', 'Product not found');
+    }
+    if (!product.in_stock) {
+      return wpError(400, 'product_not_purchasable', 'Product is not available for purchase');
+    }
+
+    if (product.type === 'variable') {
+      if (!params.variation_id) {
+        return wpError(400, 'variation_required', 'Variation ID is required for variable products');
+      }
+
+      const variation = product.variations.find(candidate => candidate.id === params.variation_id);
+      if (!variation) {
+        return wpError(400, 'invalid_variation', 'Invalid variation for this product');
+      }
+      if (!variation.in_stock) {
+        return wpError(400, 'insufficient_stock', `Not enough stock. Only ${variation.stock_quantity || 0} available.`);
+      }
+    }
+
+    const quantity = params.quantity || 1;
+    const key = `fake_${product.id}_${params.variation_id || 0}`;
+    const existing = this.cart.items.get(key);
+
+    this.cart.items.set(key, {
+      product_id: product.id,
+      variation_id: params.variation_id || 0,
+      variation: params.variation || {},
+      quantity: (existing?.quantity || 0) + quantity
+    });
+
+    return json({
+      success: true,
+      message: existing ? 'Product quantity updated in cart' : 'Product added to cart successfully',
+      data: {
+        cart_item_key: key,
+        product: { id: product.id, name: product.name, price: product.price, image: product.image },
+        quantity,
+        cart_item_quantity: this.cart.items.get(key).quantity,
+        cart_totals: this.getCartTotals()
+      }
+    });
+  }
+
+  applyCoupon(params) {
+    const code = String(params.coupon_code || '').trim().toLowerCase();
+
+    if (!code) {
+      return wpError(400, 'empty_coupon_code', 'Coupon code cannot be empty');
+    }
+    if (this.cart.items.size === 0) {
+      return wpError(400, 'cart_empty', 'Cannot apply coupon to empty cart');
+    }
+    if (this.cart.coupons.includes(code)) {
+      return wpError(400, 'coupon_already_applied', 'Coupon is already applied to cart');
+    }
+    if (!this.coupons[code]) {
+      return wpError(404, 'coupon_not_found', 'Coupon code not found');
+    }
+
+    this.cart.coupons.push(code);
+    const coupon = this.coupons[code];
+
+    return json({
+      success: true,
+      message: 'Coupon applied successfully',
+      data: {
+        coupon: {
+          code,
+          description: coupon.description,
+          discount_type: coupon.discount_type,
+          amount: coupon.amount,
+          minimum_amount: coupon.minimum_amount,
+          maximum_amount: coupon.maximum_amount
+        },
+        cart_totals: this.getCartTotals(),
+        applied_coupons: this.getAppliedCoupons()
+      }
+    });
+  }
+
+  removeCoupon(params) {
+    const code = String(params.coupon_code).trim().toLowerCase();
+
+    if (!this.cart.coupons.includes(code)) {
+      return wpError(400, 'coupon_not_applied', 'Coupon is not currently applied to cart');
+    }
+
+    this.cart.coupons = this.cart.coupons.filter(applied => applied !== code);
+
+    return json({
+      success: true,
+      message: 'Coupon removed successfully',
+      data: {
+        removed_coupon: code,
+        cart_totals: this.getCartTotals(),
+        applied_coupons: this.getAppliedCoupons()
+      }
+    });
+  }
+
+  updateCart(params) {
+    const item = this.cart.items.get(params.cart_item_key);
+    if (!item) {
+      return wpError(404, 'cart_item_not_found', 'Cart item not found');
+    }
+
+    const previousQuantity = item.quantity;
+    if (params.quantity <= 0) {
+      this.cart.items.delete(params.cart_item_key);
+    } else {
+      item.quantity = params.quantity;
+    }
+
+    return json({
+      success: true,
+      message: params.quantity <= 0 ? 'Item removed from cart' : 'Cart item quantity updated',
+      data: {
+        cart_item_key: params.cart_item_key,
+        quantity: Math.max(0, params.quantity),
+        previous_quantity: previousQuantity,
+        cart_totals: this.getCartTotals(),
+        cart_items_count: this.getItemsCount()
+      }
+    });
+  }
+
+  removeFromCart(params) {
+    if (!this.cart.items.delete(params.cart_item_key)) {
+      return wpError(404, 'cart_item_not_found', 'Cart item not found');
+    }
+
+    return json({
+      success: true,
+      message: 'Item removed from cart successfully',
+      data: {
+        removed_item_key: params.cart_item_key,
+        cart_totals: this.getCartTotals(),
+        cart_items_count: this.getItemsCount()
+      }
+    });
+  }
+
+  clearCart() {
+    const itemsRemoved = this.getItemsCount();
+    this.cart = { items: new Map(), coupons: [] };
+
+    return json({
+      success: true,
+      message: itemsRemoved > 0 ? 'Cart cleared successfully' : 'Cart is already empty',
+      data: {
+        items_removed: itemsRemoved,
+        cart_totals: this.getCartTotals(),
+        cart_items_count: 0
+      }
+    });
+  }
+
+  getCart() {
+    const items = [...this.cart.items.entries()].map(([key, item]) => {
+      const product = this.getCartProduct(item);
+      const lineTotal = Number(product.price) * item.quantity;
+
+      return {
+        key,
+        product_id: item.product_id,
+        variation_id: item.variation_id,
+        quantity: item.quantity,
+        line_total: lineTotal,
+        line_subtotal: lineTotal,
+        product: {
+          name: product.name,
+          price: product.price,
+          regular_price: product.regular_price,
+          sale_price: product.sale_price,
+          image: product.image,
+          permalink: product.permalink,
+          sku: product.sku,
+          stock_status: product.stock_status,
+          stock_quantity: product.stock_quantity
+        },
+        variation: item.variation
+      };
+    });
+
+    return json({
+      success: true,
+      message: 'Cart retrieved successfully',
+      data: {
+        items,
+        items_count: this.getItemsCount(),
+        totals: this.getCartTotals(),
+        coupons: this.getAppliedCoupons(),
+        needs_payment: items.length > 0,
+        needs_shipping: items.length > 0,
+        is_empty: items.length === 0,
+        checkout_url: 'https://shop.example.com/checkout/',
+        cart_hash: items.length > 0 ? `fake-${items.map(item => `${item.key}:${item.quantity}`).join(',')}` : ''
+      }
+    });
+  }
+
+  generateCoupon() {
+    const code = `ai-${String(this.nextId++).padStart(4, '0')}`;
+    const coupon = {
+      code,
+      description: '15% off, just for you',
+      discount_type: 'percent',
+      amount: '15',
+      minimum_amount: '',
+      maximum_amount: '',
+      free_shipping: false
+    };
+    this.coupons[code] = coupon;
+
+    return json({
+      success: true,
+      message: coupon.description,
+      data: {
+        coupon_code: code,
+        discount_type: coupon.discount_type,
+        amount: Number(coupon.amount),
+        description: coupon.description,
+        expiry_date: new Date(Date.now() + 7 * 86400000).toISOString().slice(0, 10),
+        min_amount: 0,
+        free_shipping: false
+      }
+    });
+  }
+
+  recordConfirmation(params) {
+    if (!['confirmed', 'declined'].includes(params.decision)) {
+      return wpError(400, 'rest_invalid_param', 'Invalid parameter(s): decision', { params: { decision: 'decision is not one of confirmed and declined.' } });
+    }
+
+    this.confirmations.push(params);
+    return json({ success: true, message: 'Decision recorded', data: { log_id: this.confirmations.length } }, 201);
+  }
+
+  getAvailableCoupons() {
+    const subtotal = this.getSubtotal();
+
+    return json({
+      success: true,
+      message: 'Coupon offers retrieved successfully',
+      data: {
+        eligible: subtotal > 0,
+        recommendations: subtotal > 0 ? {
+          percentage: {
+            type: 'percentage',
+            discount: 10,
+            estimated_savings: Math.round(subtotal * 10) / 100,
+            description: '10% off your order',
+            urgency: 1,
+            recommended: true
+          }
+        } : {},
+        best_option: subtotal > 0 ? 'percentage' : null,
+        applied: this.getAppliedCoupons()
+      }
+    });
+  }
+
+  getSubtotal() {
+    return [...this.cart.items.values()].reduce((total, item) => (
+      total + Number(this.getCartProduct(item).price) * item.quantity
+    ), 0);
+  }
+
+  /**
+   * Product a cart item was added as, with the fields of its variation
+   */
+  getCartProduct(item) {
+    const product = PRODUCTS.find(candidate => candidate.id === item.product_id);
+    const variation = (product.variations || []).find(candidate => candidate.id === item.variation_id);
+
+    return variation ? { ...product, ...variation, id: product.id } : product;
+  }
+
+  getItemsCount() {
+    return [...this.cart.items.values()].reduce((count, item) => count + item.quantity, 0);
+  }
+
+  getDiscount(code, subtotal) {
+    const coupon = this.coupons[code];
+    return coupon.discount_type === 'percent'
+      ? Math.round(subtotal * Number(coupon.amount)) / 100
+      : Math.min(subtotal, Number(coupon.amount));
+  }
+
+  getAppliedCoupons() {
+    const subtotal = this.getSubtotal();
+
+    return this.cart.coupons.map(code => ({
+      code,
+      description: this.coupons[code].description,
+      discount_type: this.coupons[code].discount_type,
+      amount: this.coupons[code].amount,
+      discount_amount: this.getDiscount(code, subtotal),
+      free_shipping: this.coupons[code].free_shipping,
+      minimum_amount: this.coupons[code].minimum_amount,
+      maximum_amount: this.coupons[code].maximum_amount
+    }));
+  }
+
+  getCartTotals() {
+    const subtotal = this.getSubtotal();
+    const discount = this.cart.coupons.reduce((total, code) => total + this.getDiscount(code, subtotal), 0);
+    const freeShipping = this.cart.coupons.some(code => this.coupons[code].free_shipping);
+    const shipping = subtotal === 0 || freeShipping ? 0 : 5;
+    const format = value => (Math.round(value * 100) / 100).toFixed(2);
+
+    return {
+      subtotal: format(subtotal),
+      subtotal_tax: '0.00',
+      discount_total: format(discount),
+      discount_tax: '0.00',
+      shipping_total: format(shipping),
+      shipping_tax: '0.00',
+      fee_total: '0.00',
+      fee_tax: '0.00',
+      tax_total: '0.00',
+      total: format(subtotal - discount + shipping),
+      currency: 'USD',
+      currency_symbol: '$'
+    };
+  }
+
+  // ===========================
+  // PRODUCTS AND ANALYTICS
+  // ===========================
+
+  getProductAvailability(params) {
+    // Variations are checked like products, as by ProductEndpoint::getAvailability()
+    const product = PRODUCTS.find(candidate => candidate.id === params.id) ||
+      PRODUCTS.flatMap(candidate => candidate.variations || []).find(variation => variation.id === params.id);
+    if (!product) {
+      return wpError(404, 'product_not_found', 'Product not found');
+    }
+
+    const quantity = params.quantity || 1;
+    const backordersAllowed = product.stock_status === 'onbackorder';
+    const available = product.in_stock && (
+      backordersAllowed || product.stock_quantity === null || product.stock_quantity >= quantity
+    );
+
+    return json({
+      success: true,
+      available,
+      stock: product.stock_quantity,
+      stock_status: product.stock_status,
+      backorders_allowed: backordersAllowed,
+      message: available ? 'Product is available' : 'Not enough stock'
+    });
+  }
+
+  getProductRecommendations(params) {
+    const inCart = [...this.cart.items.values()].map(item => item.product_id);
+
+    return json({
+      success: true,
+      products: PRODUCTS
+        .filter(product => product.in_stock && !inCart.includes(product.id))
+        .slice(0, Math.min(params.limit || 5, 20))
+    });
+  }
+
+  trackProductInteraction(params) {
+    this.interactions.push(params);
+    return json({ success: true }, 202);
+  }
+
+  recordApiMetrics(params) {
+    const entries = params.metrics.filter(entry => entry && entry.count > 0 && entry.route).slice(0, 50);
+    this.metrics.push(...entries);
+    return json({ success: true, recorded: entries.length }, 202);
+  }
+
+  // ===========================
+  // RATINGS
+  // ===========================
+
+  submitRating(params) {
+    if (!this.conversations.has(params.conversation_id)) {
+      return wpError(404, 'conversation_not_found', 'Conversation not found.');
+    }
+    if (params.rating < 1 || params.rating > 5) {
+      return wpError(400, 'invalid_rating', 'Rating must be between 1 and 5.');
+    }
+
+    const isUpdate = this.ratings.has(params.conversation_id);
+    this.ratings.set(params.conversation_id, {
+      rating: params.rating,
+      feedback: params.feedback || this.ratings.get(params.conversation_id)?.feedback || ''
+    });
+
+    return json({
+      success: true,
+      message: isUpdate ? 'Rating updated successfully' : 'Thank you for your rating!',
+      data: {
+        conversation_id: params.conversation_id,
+        rating: params.rating,
+        is_update: isUpdate
+      }
+    }, isUpdate ? 200 : 201);
+  }
+
+  submitFeedback(params) {
+    if (!this.conversations.has(params.conversation_id)) {
+      return wpError(404, 'conversation_not_found', 'Conversation not found.');
+    }
+
+    this.feedback.push(params);
+
+    return json({
+      success: true,
+      message: 'Thank you for your feedback!',
+      data: {
+        feedback_id: this.feedback.length,
+        conversation_id: params.conversation_id,
+        feedback_type: params.feedback_type || 'general'
+      }
+    }, 201);
+  }
+
+  getConversationRating(params) {
+    const rating = this.ratings.get(params.id);
+
+    return json({
+      success: true,
+      data: {
+        conversation_id: params.id,
+        has_rating: !!rating,
+        rating: rating?.rating || null,
+        feedback: rating?.feedback || ''
+      }
+    });
+  }
+
+  getRatingAnalytics() {
+    const ratings = [...this.ratings.values()].map(entry => entry.rating);
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    ratings.forEach(rating => {
+      distribution[rating]++;
+    });
+
+    return json({
+      success: true,
+      data: {
+        total_ratings: ratings.length,
+        average_rating: ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : 0,
+        distribution,
+        feedback: this.feedback
+      }
+    });
+  }
+}
+
+module.exports = { FakeBackend, STREAM_RETRY_MS };
@@ -0,0 +1,302 @@
+/**
+ * Fake Backend Adapters
+ *
+ * Put a FakeBackend behind the webpack dev server (createMiddleware) or
+ * behind the global fetch() of Jest tests (createFetch). Both accept
+ * /wp-json/ URLs and plain permalink ?rest_route= URLs.
+ *
+ * The middleware also serves a page loading the widget at / and a small
+ * control API for switching scenarios while the widget is open:
+ *
+ *   GET    /__fake-backend            active scenarios and recorded requests
+ *   POST   /__fake-backend/scenario   { name, route, method, times, ...options }
+ *   DELETE /__fake-backend/scenario   deactivate all scenarios
+ *   POST   /__fake-backend/reset      forget conversations, cart and scenarios
+ *
+ * @package WooAiAssistant
+ * @subpackage Development
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+const { TextEncoder } = require('util');
+const manifest = require('../../../src/RestApi/routes.json');
+const { SCENARIOS } = require('./scenarios');
+
+/**
+ * Path of the control API
+ */
+const CONTROL_PATH = '/__fake-backend';
+
+/**
+ * Reason phrases of the statuses the fake backend answers with
+ */
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable'
+};
+
+const createAbortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+/**
+ * Find the plugin route of a URL
+ *
+ * @param {string} url - Absolute or root-relative URL
+ * @returns {Object|null} { path, query }, null for URLs outside the plugin namespace
+ */
+const resolveRoute = (url) => {
+  const parsed = new URL(url, 'http://localhost');
+  const restRoute = parsed.searchParams.get('rest_route');
+  const route = restRoute !== null ? restRoute : parsed.pathname.replace(/^.*?\/wp-json(?=\/)/, '');
+  const prefix = `/${manifest.namespace}`;
+
+  if (route !== prefix && !route.startsWith(`${prefix}/`)) {
+    return null;
+  }
+
+  const query = {};
+  parsed.searchParams.forEach((value, name) => {
+    if (name !== 'rest_route') {
+      query[name] = value;
+    }
+  });
+
+  return { path: route.slice(prefix.length) || '/', query };
+};
+
+/**
+ * Build a fetch() Response lookalike for a backend response
+ */
+const createResponse = ({ status, headers = {}, body, stream }, signal) => {
+  const headerMap = new Map(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const text = stream ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+
+  const readStream = () => {
+    const iterator = stream[Symbol.asyncIterator]();
+    const encoder = new TextEncoder();
+
+    return {
+      read: async () => {
+        if (signal?.aborted) {
+          await iterator.return();
+          throw createAbortError();
+        }
+
+        const { done, value } = await iterator.next();
+        return done ? { done: true, value: undefined } : { done: false, value: encoder.encode(value) };
+      },
+      cancel: () => iterator.return(),
+      releaseLock: () => {}
+    };
+  };
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: STATUS_TEXT[status] || '',
+    headers: { get: name => headerMap.get(name.toLowerCase()) ?? null },
+    body: stream ? { getReader: readStream } : null,
+    json: async () => JSON.parse(text),
+    text: async () => text
+  };
+};
+
+/**
+ * Create a fetch() answering plugin REST requests from a fake backend
+ *
+ * Requests outside the plugin namespace get a 404 page, like a WordPress
+ * site without the route would give.
+ *
+ * @param {FakeBackend} backend - Backend answering the requests
+ * @returns {Function} fetch(url, init) implementation
+ */
+const createFetch = (backend) => async (url, init = {}) => {
+  const { signal } = init;
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+
+  const target = resolveRoute(String(url));
+  if (!target) {
+    return createResponse({ status: 404, headers: { 'Content-Type': 'text/html' }, body: '<h1>Not Found</h1>' });
+  }
+
+  const headers = typeof init.headers?.entries === 'function'
+    ? Object.fromEntries(init.headers.entries())
+    : init.headers || {};
+
+  const response = await backend.handle({
+    method: init.method || 'GET',
+    path: target.path,
+    query: target.query,
+    headers,
+    body: init.body || null,
+    signal
+  });
+
+  return createResponse(response, signal);
+};
+
+/**
+ * Read the body of a Node request
+ */
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+/**
+ * Write a JSON response to a Node response
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Page loading the widget, as the plugin would print it into a storefront
+ */
+const renderPage = (backend) => {
+  const { user } = backend.options;
+  const settings = {
+    nonce: 'fake-backend-nonce',
+    settings: { chatEnabled: true },
+    ...(user ? { user: { userId: user.id, userName: user.display_name, isLoggedIn: true } } : {})
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Woo AI Assistant - fake backend</title>
+  <script>window.wooAiAssistant = ${JSON.stringify(settings)};</script>
+</head>
+<body>
+  <h1>Woo AI Assistant</h1>
+  <p>
+    The widget talks to the in-memory fake backend. Switch scenarios with
+    <code>POST ${CONTROL_PATH}/scenario</code>, available: ${Object.keys(SCENARIOS).join(', ')}.
+  </p>
+  <script src="/js/vendor.js"></script>
+  <script src="/js/widget.js"></script>
+</body>
+</html>`;
+};
+
+/**
+ * Answer a request to the control API
+ */
+const handleControl = async (backend, req, res, path) => {
+  if (req.method === 'GET' && path === '') {
+    sendJson(res, 200, {
+      scenarios: Object.keys(SCENARIOS),
+      active: backend.scenarios.map(({ name, options, remaining }) => ({ name, options, remaining })),
+      requests: backend.requests
+    });
+    return;
+  }
+
+  if (path === '/scenario' && req.method === 'DELETE') {
+    backend.clearScenarios();
+    sendJson(res, 200, { active: [] });
+    return;
+  }
+
+  if (path === '/scenario' && req.method === 'POST') {
+    try {
+      const { name, ...options } = JSON.parse((await readBody(req)) || '{}');
+      backend.useScenario(name, options);
+      sendJson(res, 201, { active: backend.scenarios.map(scenario => scenario.name) });
+    } catch (error) {
+      sendJson(res, 400, { code: 'invalid_scenario', message: error.message });
+    }
+    return;
+  }
+
+  if (path === '/reset' && req.method === 'POST') {
+    backend.reset();
+    sendJson(res, 200, { reset: true });
+    return;
+  }
+
+  sendJson(res, 404, { code: 'not_found', message: `No fake backend control route ${req.method} ${CONTROL_PATH}${path}` });
+};
+
+/**
+ * Create an express/connect middleware answering plugin REST requests
+ *
+ * @param {FakeBackend} backend - Backend answering the requests
+ * @returns {Function} middleware(req, res, next)
+ */
+const createMiddleware = (backend) => (req, res, next) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname === CONTROL_PATH || pathname.startsWith(`${CONTROL_PATH}/`)) {
+    handleControl(backend, req, res, pathname.slice(CONTROL_PATH.length).replace(/\/$/, '')).catch(next);
+    return;
+  }
+
+  const target = resolveRoute(req.url);
+  if (!target) {
+    if (req.method === 'GET' && (pathname === '/' || pathname === '/index.html')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=UTF-8' });
+      res.end(renderPage(backend));
+      return;
+    }
+
+    next();
+    return;
+  }
+
+  // Stop delayed responses and streams when the widget goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  readBody(req)
+    .then(body => backend.handle({
+      method: req.method,
+      path: target.path,
+      query: target.query,
+      headers: req.headers,
+      body,
+      signal: controller.signal
+    }))
+    .then(async response => {
+      res.writeHead(response.status, response.headers);
+
+      if (!response.stream) {
+        res.end(JSON.stringify(response.body));
+        return;
+      }
+
+      for await (const chunk of response.stream) {
+        res.write(chunk);
+      }
+      res.end();
+    })
+    .catch(error => {
+      if (error.name !== 'AbortError') {
+        next(error);
+      }
+    });
+};
+
+module.exports = { createFetch, createMiddleware, resolveRoute, CONTROL_PATH };
@@ -0,0 +1,153 @@
+/**
+ * Fake Backend Fixtures
+ *
+ * Catalogue and coupons served by the fake backend, in the snake_case
+ * shape the PHP endpoints return.
+ *
+ * @package WooAiAssistant
+ * @subpackage Development
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+const image = (name) => `https://placehold.co/300x300?text=${encodeURIComponent(name)}`;
+
+const CATEGORY_IDS = {
+  Clothing: 15,
+  Footwear: 16,
+  Accessories: 17
+};
+
+/**
+ * Products as returned by ProductEndpoint::formatProduct(), variable
+ * products with their attributes and variations
+ */
+const PRODUCTS = [
+  {
+    id: 101,
+    name: 'Merino Hoodie',
+    type: 'simple',
+    price: '79.00',
+    regular_price: '89.00',
+    sale_price: '79.00',
+    sku: 'HOOD-01',
+    stock_status: 'instock',
+    stock_quantity: 12,
+    categories: ['Clothing']
+  },
+  {
+    id: 102,
+    name: 'Trail Running Shoes',
+    type: 'simple',
+    price: '120.00',
+    regular_price: '120.00',
+    sale_price: '',
+    sku: 'SHOE-02',
+    stock_status: 'instock',
+    stock_quantity: 4,
+    categories: ['Footwear']
+  },
+  {
+    id: 103,
+    name: 'Insulated Water Bottle',
+    type: 'simple',
+    price: '25.00',
+    regular_price: '25.00',
+    sale_price: '',
+    sku: 'BOTT-03',
+    stock_status: 'instock',
+    stock_quantity: null,
+    categories: ['Accessories']
+  },
+  {
+    id: 104,
+    name: 'Rain Shell Jacket',
+    type: 'simple',
+    price: '149.00',
+    regular_price: '149.00',
+    sale_price: '',
+    sku: 'JACK-04',
+    stock_status: 'outofstock',
+    stock_quantity: 0,
+    categories: ['Clothing']
+  },
+  {
+    id: 105,
+    name: 'Wool Beanie',
+    type: 'simple',
+    price: '19.00',
+    regular_price: '24.00',
+    sale_price: '19.00',
+    sku: 'BEAN-05',
+    stock_status: 'onbackorder',
+    stock_quantity: 0,
+    categories: ['Accessories']
+  },
+  {
+    // Navy comes in S to L with L sold out, Sand in any size, Navy XL does not exist
+    id: 106,
+    name: 'Organic Cotton T-Shirt',
+    type: 'variable',
+    price: '29.00',
+    regular_price: '29.00',
+    sale_price: '',
+    sku: 'TEE-06',
+    stock_status: 'instock',
+    stock_quantity: null,
+    categories: ['Clothing'],
+    attributes: [
+      { name: 'attribute_pa_color', label: 'Color', options: [{ value: 'navy', label: 'Navy' }, { value: 'sand', label: 'Sand' }] },
+      { name: 'attribute_pa_size', label: 'Size', options: ['s', 'm', 'l', 'xl'].map(size => ({ value: size, label: size.toUpperCase() })) }
+    ],
+    variations: [
+      { id: 1061, attributes: { attribute_pa_color: 'navy', attribute_pa_size: 's' }, price: '29.00', stock_quantity: 5 },
+      { id: 1062, attributes: { attribute_pa_color: 'navy', attribute_pa_size: 'm' }, price: '29.00', stock_quantity: 3 },
+      { id: 1063, attributes: { attribute_pa_color: 'navy', attribute_pa_size: 'l' }, price: '29.00', stock_quantity: 0 },
+      { id: 1064, attributes: { attribute_pa_color: 'sand', attribute_pa_size: '' }, price: '32.00', regular_price: '35.00', sale_price: '32.00', stock_quantity: 8 }
+    ]
+  }
+].map(product => ({
+  ...product,
+  price_html: `$${product.price}`,
+  image: image(product.name),
+  permalink: `https://shop.example.com/product/${product.sku.toLowerCase()}/`,
+  in_stock: product.stock_status !== 'outofstock',
+  categories: product.categories.map(name => ({ id: CATEGORY_IDS[name], name })),
+  ...(product.variations ? {
+    variations: product.variations.map(variation => ({
+      regular_price: variation.price,
+      sale_price: '',
+      image: image(`${product.name} ${Object.values(variation.attributes).filter(Boolean).join(' ')}`),
+      sku: `${product.sku}-${variation.id}`,
+      stock_status: variation.stock_quantity > 0 ? 'instock' : 'outofstock',
+      in_stock: variation.stock_quantity > 0,
+      ...variation
+    }))
+  } : {})
+}));
+
+/**
+ * Coupons the store accepts, keyed by code
+ */
+const COUPONS = {
+  save10: {
+    code: 'save10',
+    description: '10% off your order',
+    discount_type: 'percent',
+    amount: '10',
+    minimum_amount: '',
+    maximum_amount: '',
+    free_shipping: false
+  },
+  freeship: {
+    code: 'freeship',
+    description: 'Free shipping on orders over $50',
+    discount_type: 'fixed_cart',
+    amount: '0',
+    minimum_amount: '50',
+    maximum_amount: '',
+    free_shipping: true
+  }
+};
+
+module.exports = { PRODUCTS, COUPONS };
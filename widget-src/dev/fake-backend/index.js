@@ -0,0 +1,28 @@
+/**
+ * Fake Backend
+ *
+ * Entry point of the in-memory plugin REST API used by `npm run start:fake`
+ * and by the integration tests.
+ *
+ * @package WooAiAssistant
+ * @subpackage Development
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+const { FakeBackend, STREAM_RETRY_MS } = require('./FakeBackend');
+const { createFetch, createMiddleware, resolveRoute, CONTROL_PATH } = require('./adapters');
+const { SCENARIOS } = require('./scenarios');
+const { PRODUCTS, COUPONS } = require('./fixtures');
+
+module.exports = {
+  FakeBackend,
+  SCENARIOS,
+  PRODUCTS,
+  COUPONS,
+  STREAM_RETRY_MS,
+  CONTROL_PATH,
+  createFetch,
+  createMiddleware,
+  resolveRoute
+};
@@ -0,0 +1,60 @@
+/**
+ * Fake Backend Scenarios
+ *
+ * Scripted misbehaviour for the fake backend. Each scenario turns its
+ * options into a directive:
+ *
+ *   delay  - milliseconds to wait before answering
+ *   error  - { status, code, message, data, headers } to answer with instead
+ *   stream - 'malformed' to break the reply stream of /chat/stream
+ *
+ * @package WooAiAssistant
+ * @subpackage Development
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+const SCENARIOS = {
+  /**
+   * Answer late, and stream replies slowly
+   *
+   * @param {Object} options
+   * @param {number} options.delay - Milliseconds before the response starts
+   * @param {number} options.tokenDelay - Milliseconds between streamed tokens
+   */
+  slow: ({ delay = 2000, tokenDelay = 250 } = {}) => ({ delay, tokenDelay }),
+
+  /**
+   * Refuse requests like ChatEndpoint::rateLimitedResponse()
+   *
+   * @param {Object} options
+   * @param {number} options.retryAfter - Seconds sent in Retry-After
+   */
+  'rate-limited': ({ retryAfter = 5 } = {}) => ({
+    error: {
+      status: 429,
+      code: 'rate_limit_exceeded',
+      message: 'Rate limit exceeded. Please try again later.',
+      data: { retry_after: retryAfter },
+      headers: { 'Retry-After': String(retryAfter) }
+    }
+  }),
+
+  /**
+   * Fail with an internal server error
+   */
+  'server-error': () => ({
+    error: {
+      status: 500,
+      code: 'internal_server_error',
+      message: 'The server encountered an error. Please try again.'
+    }
+  }),
+
+  /**
+   * Send a reply stream with a broken event that closes before completion
+   */
+  'malformed-sse': () => ({ stream: 'malformed' })
+};
+
+module.exports = { SCENARIOS };
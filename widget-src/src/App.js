@@ -11,12 +11,13 @@
  * @author Claude Code Assistant
  */
 
-import React, { useState, useCallback, useEffect, useMemo } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
 import WidgetErrorBoundary from './components/WidgetErrorBoundary';
 import ChatToggleButton from './components/ChatToggleButton';
 import ChatWindow from './components/ChatWindow';
 import { useChat } from './hooks/useChat';
+import tabSync, { SYNC_EVENTS } from './services/TabSync';
 
 /**
  * Main App Component
@@ -33,13 +34,32 @@ const App = ({ userContext = {}, wooCommerceData = {}, config = {} }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [isMinimized, setIsMinimized] = useState(false);
 
+  // Last visibility received from another tab, so it is not echoed back.
+  // Starts out matching the initial state so opening a tab closes nothing.
+  const remoteVisibilityRef = useRef({ isOpen: false, isMinimized: false });
+
   // Chat hook for conversation management
   const {
     messages,
     isTyping,
     isConnected,
     conversationId,
+    isOnline,
+    cooldownUntil,
+    isGenerating,
     sendMessage,
+    retryMessage,
+    stopGeneration,
+    regenerateResponse,
+    editMessage,
+    isReadOnly,
+    conversations,
+    isHistoryLoading,
+    historyError,
+    canUseHistory,
+    loadConversations,
+    startNewConversation,
+    openConversation,
     clearMessages,
     error: chatError
   } = useChat({
@@ -76,6 +96,27 @@ const App = ({ userContext = {}, wooCommerceData = {}, config = {} }) => {
     setIsOpen(false);
   }, []);
 
+  // Keep the widget open or closed in every tab
+  useEffect(() => {
+    return tabSync.subscribe(({ type, payload }) => {
+      if (type === SYNC_EVENTS.VISIBILITY) {
+        remoteVisibilityRef.current = payload;
+        setIsOpen(payload.isOpen);
+        setIsMinimized(payload.isMinimized);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    const remote = remoteVisibilityRef.current;
+    if (remote && remote.isOpen === isOpen && remote.isMinimized === isMinimized) {
+      return;
+    }
+
+    remoteVisibilityRef.current = null;
+    tabSync.publish(SYNC_EVENTS.VISIBILITY, { isOpen, isMinimized });
+  }, [isOpen, isMinimized]);
+
   // Handle escape key to close widget
   useEffect(() => {
     const handleEscape = (event) => {
@@ -135,6 +176,9 @@ const App = ({ userContext = {}, wooCommerceData = {}, config = {} }) => {
             messages={messages}
             isTyping={isTyping}
             isConnected={isConnected}
+            isOnline={isOnline}
+            cooldownUntil={cooldownUntil}
+            isGenerating={isGenerating}
             conversationId={conversationId}
             userContext={userContext}
             wooCommerceData={wooCommerceData}
@@ -144,6 +188,18 @@ const App = ({ userContext = {}, wooCommerceData = {}, config = {} }) => {
             onMinimize={handleMinimize}
             onSendMessage={sendMessage}
             onClearMessages={clearMessages}
+            onRetryMessage={retryMessage}
+            onStopGeneration={stopGeneration}
+            onRegenerate={regenerateResponse}
+            onEditMessage={editMessage}
+            isReadOnly={isReadOnly}
+            canUseHistory={canUseHistory}
+            conversations={conversations}
+            isHistoryLoading={isHistoryLoading}
+            historyError={historyError}
+            onLoadConversations={loadConversations}
+            onSelectConversation={openConversation}
+            onNewConversation={startNewConversation}
           />
         )}
 
@@ -0,0 +1,155 @@
+/**
+ * Cart Panel Component Tests
+ *
+ * Tests for listing the shared cart, changing quantities and coupons from
+ * the panel, undoing those changes and going to checkout.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import React from 'react';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CartPanel from '../../components/CartPanel';
+import productActionService from '../../services/ProductActionService';
+import cartStore from '../../services/CartStore';
+
+describe('CartPanel Component', () => {
+  const cart = {
+    items: [
+      {
+        key: 'a',
+        productId: 106,
+        variationId: 1064,
+        quantity: 2,
+        lineTotal: 64,
+        product: { id: 1064, name: 'Linen Shirt', stockQuantity: 3 },
+        variation: { attribute_pa_color: 'Sand', attribute_pa_size: 'M' }
+      },
+      { key: 'b', productId: 101, variationId: 0, quantity: 1, lineTotal: 79, product: { id: 101, name: 'Merino Hoodie' }, variation: {} }
+    ],
+    itemCount: 3,
+    totals: { subtotal: 143, discountTotal: 14.3, total: 128.7, currencySymbol: '€' },
+    coupons: [{ code: 'save10', discountAmount: 14.3 }],
+    checkoutUrl: 'https://shop.example.com/checkout/'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(productActionService, 'getCart').mockResolvedValue({ success: true, data: cart });
+    cartStore.setState({ cart });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    act(() => {
+      cartStore.reset();
+    });
+  });
+
+  it('lists the items, coupons and totals of the shared cart', () => {
+    render(<CartPanel />);
+
+    expect(productActionService.getCart).toHaveBeenCalledWith({ signal: expect.any(AbortSignal) });
+    expect(screen.getByText('Linen Shirt')).toBeInTheDocument();
+    expect(screen.getByText('Sand, M')).toBeInTheDocument();
+    expect(screen.getByLabelText('Quantity of Linen Shirt')).toHaveTextContent('2');
+    expect(screen.getByRole('list', { name: 'Applied coupons' })).toHaveTextContent('SAVE10−€14.30');
+    expect(screen.getByText('Total').nextSibling).toHaveTextContent('€128.70');
+  });
+
+  it('follows changes the assistant makes to the cart', () => {
+    render(<CartPanel />);
+
+    act(() => {
+      cartStore.setState({ cart: { ...cart, items: [{ ...cart.items[1], quantity: 4 }] } });
+    });
+
+    expect(screen.queryByText('Linen Shirt')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Quantity of Merino Hoodie')).toHaveTextContent('4');
+  });
+
+  it('changes quantities within the stock', async () => {
+    const user = userEvent.setup();
+    const updateCartItem = jest.spyOn(productActionService, 'updateCartItem').mockResolvedValue({ success: true });
+    render(<CartPanel />);
+
+    const remove = screen.getByRole('button', { name: 'Remove Merino Hoodie' });
+
+    await user.click(screen.getByRole('button', { name: 'Increase quantity of Linen Shirt' }));
+    await waitFor(() => expect(remove).toBeEnabled());
+    await user.click(remove);
+    await waitFor(() => expect(remove).toBeEnabled());
+
+    expect(updateCartItem).toHaveBeenNthCalledWith(1, 'a', 3);
+    expect(updateCartItem).toHaveBeenNthCalledWith(2, 'b', 0);
+    expect(screen.getByRole('button', { name: 'Decrease quantity of Merino Hoodie' })).toBeDisabled();
+
+    act(() => {
+      cartStore.setState({ cart: { ...cart, items: [{ ...cart.items[0], quantity: 3 }] } });
+    });
+    expect(screen.getByRole('button', { name: 'Increase quantity of Linen Shirt' })).toBeDisabled();
+  });
+
+  it('removes coupons and offers to undo it', async () => {
+    const user = userEvent.setup();
+    const undo = { id: 'undo_1', description: 'Coupon "save10" removed successfully', expiresIn: 5000 };
+    const removeCoupon = jest.spyOn(productActionService, 'removeCoupon').mockResolvedValue({ success: true, undo });
+    const undoAction = jest.spyOn(productActionService, 'undoAction').mockResolvedValue({ success: true });
+    render(<CartPanel />);
+
+    await user.click(screen.getByRole('button', { name: 'Remove coupon SAVE10' }));
+    expect(removeCoupon).toHaveBeenCalledWith('save10');
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Coupon "save10" removed successfully');
+    await user.click(screen.getByRole('button', { name: 'Undo' }));
+
+    expect(undoAction).toHaveBeenCalledWith('undo_1');
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'Undo' })).not.toBeInTheDocument();
+    });
+  });
+
+  it('shows why a change failed', async () => {
+    const user = userEvent.setup();
+    jest.spyOn(productActionService, 'updateCartItem').mockResolvedValue({ success: false, error: 'Not enough stock' });
+    render(<CartPanel />);
+
+    await user.click(screen.getByRole('button', { name: 'Increase quantity of Merino Hoodie' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Not enough stock');
+  });
+
+  it('goes to checkout', async () => {
+    const user = userEvent.setup();
+    const { location } = window;
+    delete window.location;
+    window.location = { assign: jest.fn() };
+
+    try {
+      render(<CartPanel />);
+      await user.click(screen.getByRole('button', { name: /checkout/i }));
+
+      expect(window.location.assign).toHaveBeenCalledWith('https://shop.example.com/checkout/');
+    } finally {
+      window.location = location;
+    }
+  });
+
+  it('tells the shopper when the cart is empty or cannot be read', () => {
+    cartStore.setState({ cart: { ...cart, items: [], coupons: [] } });
+    const { rerender } = render(<CartPanel />);
+
+    expect(screen.getByText(/Your cart is empty/)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /checkout/i })).not.toBeInTheDocument();
+
+    act(() => {
+      cartStore.reset();
+      cartStore.setState({ error: 'Cart not found' });
+    });
+    rerender(<CartPanel />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Cart not found');
+  });
+});
@@ -20,18 +20,31 @@ import {
   mockWordPressGlobals
 } from '../utils/testUtils';
 import { mockMessages } from '../mocks/mockData';
+import cartStore from '../../services/CartStore';
 
 // Mock dependencies
 jest.mock('../../components/Message', () => {
-  return function MockMessage({ message, isLatest }) {
+  return function MockMessage({ message, isLatest, onRegenerate, onEdit }) {
     return (
-      <div data-testid="mock-message" data-message-id={message.id} data-is-latest={isLatest}>
+      <div
+        data-testid="mock-message"
+        data-message-id={message.id}
+        data-is-latest={isLatest}
+        data-can-regenerate={!!onRegenerate}
+        data-can-edit={!!onEdit}
+      >
         {message.content}
       </div>
     );
   };
 });
 
+jest.mock('../../components/CartPanel', () => {
+  return function MockCartPanel() {
+    return <div data-testid="cart-panel">Cart panel</div>;
+  };
+});
+
 jest.mock('../../components/TypingIndicator', () => {
   return function MockTypingIndicator() {
     return <div data-testid="typing-indicator">AI is typing...</div>;
@@ -179,6 +192,42 @@ describe('ChatWindow Component', () => {
       expect(screen.getByText(error.message)).toBeInTheDocument();
       expect(screen.getByText('Retry')).toBeInTheDocument();
     });
+
+    test('shows an offline notice while the backend is unreachable', () => {
+      const { rerender } = renderWithContext(<ChatWindow {...defaultProps} isOnline={false} />);
+
+      expect(screen.getByText(/Messages will be sent when the connection returns/)).toBeInTheDocument();
+
+      rerender(<ChatWindow {...defaultProps} isOnline={true} />);
+
+      expect(screen.queryByText(/Messages will be sent when the connection returns/)).not.toBeInTheDocument();
+    });
+
+    test('counts down until messages can be sent again after a rate limit', () => {
+      jest.useFakeTimers();
+      const onSendMessage = jest.fn();
+      renderWithContext(
+        <ChatWindow {...defaultProps} onSendMessage={onSendMessage} cooldownUntil={Date.now() + 8000} />
+      );
+
+      expect(screen.getByText('You can send again in 8s')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Message input'), { target: { value: 'Hello' } });
+      expect(screen.getByLabelText('Send message')).toBeDisabled();
+
+      act(() => {
+        jest.advanceTimersByTime(3000);
+      });
+      expect(screen.getByText('You can send again in 5s')).toBeInTheDocument();
+
+      act(() => {
+        jest.advanceTimersByTime(5000);
+      });
+      expect(screen.queryByText(/You can send again/)).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Send message')).not.toBeDisabled();
+
+      jest.useRealTimers();
+    });
   });
 
   describe('Input Area', () => {
@@ -297,6 +346,182 @@ describe('ChatWindow Component', () => {
       const sendButton = screen.getByLabelText('Send message');
       expect(sendButton).toContainHTML('LoadingIcon');
     });
+
+    test('replaces the send button with a stop button while a reply is generated', async () => {
+      const user = userEvent.setup();
+      const onStopGeneration = jest.fn();
+      renderWithContext(
+        <ChatWindow {...defaultProps} isGenerating={true} onStopGeneration={onStopGeneration} />
+      );
+
+      expect(screen.queryByLabelText('Send message')).not.toBeInTheDocument();
+      await user.click(screen.getByLabelText('Stop generating'));
+
+      expect(onStopGeneration).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Regenerate', () => {
+    const conversation = [
+      { id: 'welcome', type: 'assistant', content: 'Hi there!', timestamp: '2024-01-01T10:00:00Z', metadata: { isWelcome: true } },
+      { id: 'q1', type: 'user', content: 'Any hoodies?', timestamp: '2024-01-01T10:01:00Z' },
+      { id: 'a1', type: 'assistant', content: 'Yes, three.', timestamp: '2024-01-01T10:01:05Z' }
+    ];
+
+    const regenerable = () => screen.getAllByTestId('mock-message')
+      .filter(message => message.getAttribute('data-can-regenerate') === 'true')
+      .map(message => message.getAttribute('data-message-id'));
+
+    test('offers regenerate only on the latest answer', () => {
+      renderWithContext(
+        <ChatWindow {...defaultProps} messages={conversation} onRegenerate={jest.fn()} />
+      );
+
+      expect(regenerable()).toEqual(['a1']);
+    });
+
+    test('hides regenerate while a reply is generated or only the welcome is shown', () => {
+      const { rerender } = renderWithContext(
+        <ChatWindow {...defaultProps} messages={conversation} isGenerating={true} onRegenerate={jest.fn()} />
+      );
+      expect(regenerable()).toEqual([]);
+
+      rerender(<ChatWindow {...defaultProps} messages={conversation.slice(0, 1)} onRegenerate={jest.fn()} />);
+      expect(regenerable()).toEqual([]);
+    });
+  });
+
+  describe('Conversation History', () => {
+    const conversations = [
+      { id: '8', title: 'Shipping to Italy', lastMessage: 'Yes, in 3-5 days.', updatedAt: '2024-01-02T09:30:00.000Z' }
+    ];
+
+    test('only offers history when it is available', () => {
+      const { rerender } = renderWithContext(<ChatWindow {...defaultProps} />);
+
+      expect(screen.queryByLabelText('Conversation history')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('New chat')).not.toBeInTheDocument();
+
+      rerender(<ChatWindow {...defaultProps} canUseHistory={true} />);
+
+      expect(screen.getByLabelText('Conversation history')).toBeInTheDocument();
+      expect(screen.getByLabelText('New chat')).toBeInTheDocument();
+    });
+
+    test('loads the list when the drawer opens and reopens a conversation', async () => {
+      const user = userEvent.setup();
+      const onLoadConversations = jest.fn();
+      const onSelectConversation = jest.fn();
+      renderWithContext(
+        <ChatWindow
+          {...defaultProps}
+          canUseHistory={true}
+          conversations={conversations}
+          onLoadConversations={onLoadConversations}
+          onSelectConversation={onSelectConversation}
+          onNewConversation={jest.fn()}
+        />
+      );
+
+      await user.click(screen.getByLabelText('Conversation history'));
+
+      expect(onLoadConversations).toHaveBeenCalledTimes(1);
+      await user.click(screen.getByText('Shipping to Italy'));
+
+      expect(onSelectConversation).toHaveBeenCalledWith('8');
+      expect(screen.queryByText('Your conversations')).not.toBeInTheDocument();
+    });
+
+    test('shows ended conversations read-only', async () => {
+      const user = userEvent.setup();
+      const onNewConversation = jest.fn();
+      renderWithContext(
+        <ChatWindow {...defaultProps} isReadOnly={true} onNewConversation={onNewConversation} />
+      );
+
+      expect(screen.getByText(/This conversation has ended/)).toBeInTheDocument();
+      expect(screen.getByLabelText('Message input')).toBeDisabled();
+
+      await user.click(screen.getByText('Start a new chat'));
+      expect(onNewConversation).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Cart Tab', () => {
+    afterEach(() => {
+      act(() => {
+        cartStore.reset();
+      });
+    });
+
+    test('switches between the chat and the cart', async () => {
+      const user = userEvent.setup();
+      renderWithContext(<ChatWindow {...defaultProps} messages={mockMessages} />);
+
+      expect(screen.getByRole('tab', { name: 'Chat' })).toHaveAttribute('aria-selected', 'true');
+      expect(screen.queryByTestId('cart-panel')).not.toBeInTheDocument();
+
+      await user.click(screen.getByRole('tab', { name: /Cart/ }));
+
+      expect(screen.getByRole('tab', { name: /Cart/ })).toHaveAttribute('aria-selected', 'true');
+      expect(screen.getByTestId('cart-panel')).toBeInTheDocument();
+      expect(screen.getByRole('log', { hidden: true })).not.toBeVisible();
+
+      await user.click(screen.getByRole('tab', { name: 'Chat' }));
+
+      expect(screen.queryByTestId('cart-panel')).not.toBeInTheDocument();
+      expect(screen.getAllByTestId('mock-message')).toHaveLength(mockMessages.length);
+    });
+
+    test('moves between the tabs with the arrow keys', async () => {
+      const user = userEvent.setup();
+      renderWithContext(<ChatWindow {...defaultProps} />);
+
+      screen.getByRole('tab', { name: 'Chat' }).focus();
+      await user.keyboard('{ArrowRight}');
+
+      expect(screen.getByRole('tab', { name: /Cart/ })).toHaveFocus();
+      expect(screen.getByTestId('cart-panel')).toBeInTheDocument();
+    });
+
+    test('shows how many items are in the shared cart', () => {
+      renderWithContext(<ChatWindow {...defaultProps} />);
+
+      expect(screen.getByRole('tab', { name: 'Cart' })).toBeInTheDocument();
+
+      act(() => {
+        cartStore.setState({ cart: { items: [], itemCount: 3, totals: { total: 30 }, coupons: [] } });
+      });
+
+      expect(screen.getByRole('tab', { name: 'Cart 3 items' })).toBeInTheDocument();
+    });
+  });
+
+  describe('Editing', () => {
+    const conversation = [
+      { id: 'q1', type: 'user', content: 'Size M?', timestamp: '2024-01-01T10:01:00Z' },
+      { id: 'a1', type: 'assistant', content: 'In stock.', timestamp: '2024-01-01T10:01:05Z' }
+    ];
+
+    const editable = () => screen.getAllByTestId('mock-message')
+      .filter(message => message.getAttribute('data-can-edit') === 'true')
+      .map(message => message.getAttribute('data-message-id'));
+
+    test('lets users edit their own messages', () => {
+      renderWithContext(
+        <ChatWindow {...defaultProps} messages={conversation} onEditMessage={jest.fn()} />
+      );
+
+      expect(editable()).toEqual(['q1']);
+    });
+
+    test('disables editing while a reply is generated', () => {
+      renderWithContext(
+        <ChatWindow {...defaultProps} messages={conversation} isGenerating={true} onEditMessage={jest.fn()} />
+      );
+
+      expect(editable()).toEqual([]);
+    });
   });
 
   describe('Accessibility', () => {
@@ -337,6 +562,9 @@ describe('ChatWindow Component', () => {
       await user.tab();
       expect(screen.getByLabelText('Close chat')).toHaveFocus();
 
+      await user.tab();
+      expect(screen.getByRole('tab', { name: 'Chat' })).toHaveFocus();
+
       await user.tab();
       expect(screen.getByLabelText('Message input')).toHaveFocus();
     });
@@ -0,0 +1,110 @@
+/**
+ * ConversationHistory Component Tests
+ *
+ * Tests for the conversation history drawer: listing, selecting and
+ * starting conversations, and empty and loading states.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import React from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import ConversationHistory from '../../components/ConversationHistory';
+import { renderWithContext } from '../utils/testUtils';
+
+describe('ConversationHistory Component', () => {
+  const conversations = [
+    {
+      id: '12',
+      title: 'Hoodie sizes',
+      lastMessage: 'Size L is in stock.',
+      updatedAt: '2024-01-03T10:00:00.000Z',
+      isActive: true
+    },
+    {
+      id: '8',
+      title: 'Shipping to Italy',
+      lastMessage: 'Yes, in 3-5 days.',
+      updatedAt: '2024-01-02T09:30:00.000Z',
+      isActive: false
+    }
+  ];
+
+  const defaultProps = {
+    conversations,
+    activeConversationId: '12',
+    onSelect: jest.fn(),
+    onNewConversation: jest.fn(),
+    onClose: jest.fn()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('lists conversations with title and last message', () => {
+    renderWithContext(<ConversationHistory {...defaultProps} />);
+
+    expect(screen.getByRole('complementary', { name: 'Conversation history' })).toBeInTheDocument();
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.getByText('Shipping to Italy')).toBeInTheDocument();
+    expect(screen.getByText('Yes, in 3-5 days.')).toBeInTheDocument();
+  });
+
+  test('marks the conversation currently shown', () => {
+    renderWithContext(<ConversationHistory {...defaultProps} />);
+
+    expect(screen.getByText('Hoodie sizes').closest('button')).toHaveAttribute('aria-current', 'true');
+    expect(screen.getByText('Shipping to Italy').closest('button')).not.toHaveAttribute('aria-current');
+  });
+
+  test('reopens a conversation when selected', () => {
+    renderWithContext(<ConversationHistory {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('Shipping to Italy'));
+
+    expect(defaultProps.onSelect).toHaveBeenCalledWith('8');
+  });
+
+  test('starts a new chat and closes', () => {
+    renderWithContext(<ConversationHistory {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('+ New chat'));
+    fireEvent.click(screen.getByLabelText('Close conversation history'));
+
+    expect(defaultProps.onNewConversation).toHaveBeenCalledTimes(1);
+    expect(defaultProps.onClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('shows loading and empty states', () => {
+    const { rerender } = renderWithContext(
+      <ConversationHistory {...defaultProps} conversations={[]} isLoading={true} />
+    );
+
+    expect(screen.getByRole('status')).toHaveTextContent('Loading conversations...');
+
+    rerender(<ConversationHistory {...defaultProps} conversations={[]} />);
+
+    expect(screen.getByText('No past conversations yet.')).toBeInTheDocument();
+  });
+
+  test('shows why the list could not be loaded and retries', () => {
+    const onRetry = jest.fn();
+    renderWithContext(
+      <ConversationHistory
+        {...defaultProps}
+        conversations={[]}
+        error={{ type: 'history_failed', message: 'Too many requests' }}
+        onRetry={onRetry}
+      />
+    );
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Too many requests');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+});
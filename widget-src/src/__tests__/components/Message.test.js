@@ -14,6 +14,7 @@ import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import Message from '../../components/Message';
+import productActionService from '../../services/ProductActionService';
 import {
   renderWithContext,
   assertAriaAttributes,
@@ -329,6 +330,243 @@ describe('Message Component', () => {
     });
   });
 
+  describe('Delivery Status', () => {
+    const userMessage = {
+      ...baseMessage,
+      type: 'user',
+      content: 'Do you ship to Italy?'
+    };
+
+    test('shows pending and sent status on user messages', () => {
+      const { rerender } = renderWithContext(
+        <Message {...defaultProps} message={{ ...userMessage, status: 'pending' }} />
+      );
+
+      expect(screen.getByRole('status')).toHaveTextContent('Sending...');
+      expect(screen.getByRole('listitem')).toHaveClass('woo-ai-assistant-message--pending');
+
+      rerender(<Message {...defaultProps} message={{ ...userMessage, status: 'sent' }} />);
+
+      expect(screen.getByRole('status')).toHaveTextContent('Sent');
+    });
+
+    test('offers a retry for failed messages', () => {
+      const onRetry = jest.fn();
+      renderWithContext(
+        <Message {...defaultProps} message={{ ...userMessage, status: 'failed' }} onRetry={onRetry} />
+      );
+
+      expect(screen.getByRole('status')).toHaveTextContent('Not sent');
+      fireEvent.click(screen.getByLabelText('Retry sending message'));
+
+      expect(onRetry).toHaveBeenCalledWith(userMessage.id);
+    });
+
+    test('does not show status on assistant messages', () => {
+      renderWithContext(<Message {...defaultProps} message={{ ...baseMessage, status: 'sent' }} />);
+
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Editing', () => {
+    const userMessage = {
+      ...baseMessage,
+      type: 'user',
+      content: 'Do you have size M?',
+      status: 'sent'
+    };
+
+    test('edits the message inline and submits the new text', () => {
+      const onEdit = jest.fn();
+      renderWithContext(<Message {...defaultProps} message={userMessage} onEdit={onEdit} />);
+
+      fireEvent.click(screen.getByLabelText('Edit message'));
+      fireEvent.change(screen.getByRole('textbox', { name: 'Edit message' }), {
+        target: { value: 'Do you have size L?' }
+      });
+      fireEvent.click(screen.getByText('Save & send'));
+
+      expect(onEdit).toHaveBeenCalledWith(userMessage.id, 'Do you have size L?');
+      expect(screen.queryByRole('textbox')).not.toBeInTheDocument();
+    });
+
+    test('does not resend unchanged text', () => {
+      const onEdit = jest.fn();
+      renderWithContext(<Message {...defaultProps} message={userMessage} onEdit={onEdit} />);
+
+      fireEvent.click(screen.getByLabelText('Edit message'));
+      fireEvent.click(screen.getByText('Save & send'));
+
+      expect(onEdit).not.toHaveBeenCalled();
+    });
+
+    test('marks edited messages and hides editing while sending', () => {
+      renderWithContext(
+        <Message
+          {...defaultProps}
+          message={{ ...userMessage, status: 'pending', metadata: { isEdited: true } }}
+          onEdit={jest.fn()}
+        />
+      );
+
+      expect(screen.getByText('(edited)')).toBeInTheDocument();
+      expect(screen.queryByLabelText('Edit message')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Stop and Regenerate', () => {
+    test('notes answers that were stopped early', () => {
+      renderWithContext(
+        <Message {...defaultProps} message={{ ...baseMessage, metadata: { isStopped: true } }} />
+      );
+
+      expect(screen.getByText('Response stopped')).toBeInTheDocument();
+    });
+
+    test('offers to regenerate the answer when allowed', () => {
+      const onRegenerate = jest.fn();
+      const { rerender } = renderWithContext(<Message {...defaultProps} />);
+
+      expect(screen.queryByLabelText('Regenerate response')).not.toBeInTheDocument();
+
+      rerender(<Message {...defaultProps} onRegenerate={onRegenerate} />);
+      fireEvent.click(screen.getByLabelText('Regenerate response'));
+
+      expect(onRegenerate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Suggested Actions', () => {
+    const suggestionMessage = {
+      ...baseMessage,
+      metadata: {
+        products: [{ id: 101, name: 'Merino Hoodie', price: '79.00', inStock: true }],
+        quickActions: [{ type: 'add-to-cart', label: 'Add the hoodie', data: { productId: 101, quantity: 2 } }]
+      }
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('shows the exact change before running a suggested action', () => {
+      const addToCart = jest.spyOn(productActionService, 'addToCart');
+      renderWithContext(
+        <Message {...defaultProps} message={suggestionMessage} wooCommerceData={{ currencySymbol: '€' }} />
+      );
+
+      fireEvent.click(screen.getByText('Add the hoodie'));
+
+      const card = screen.getByRole('group', { name: 'Confirm suggested action' });
+      expect(card).toHaveTextContent('Add 2 × Merino Hoodie to your cart');
+      expect(card).toHaveTextContent('Quantity2');
+      expect(card).toHaveTextContent('+€158.00');
+      expect(addToCart).not.toHaveBeenCalled();
+    });
+
+    test('runs the action once confirmed', async () => {
+      const confirmAction = jest.spyOn(productActionService, 'confirmAction').mockResolvedValue({ success: true });
+      const onActionSuccess = jest.fn();
+      renderWithContext(
+        <Message {...defaultProps} message={suggestionMessage} conversationId="12" onActionSuccess={onActionSuccess} />
+      );
+
+      fireEvent.click(screen.getByText('Add the hoodie'));
+      fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+      await waitFor(() => {
+        expect(onActionSuccess).toHaveBeenCalledWith('add-to-cart', { success: true });
+      });
+      expect(confirmAction).toHaveBeenCalledWith(expect.stringMatching(/^confirmation_/));
+      expect(screen.queryByRole('group', { name: 'Confirm suggested action' })).not.toBeInTheDocument();
+    });
+
+    test('drops the action when declined', () => {
+      const declineAction = jest.spyOn(productActionService, 'declineAction').mockResolvedValue({ success: true });
+      const confirmAction = jest.spyOn(productActionService, 'confirmAction');
+      renderWithContext(<Message {...defaultProps} message={suggestionMessage} />);
+
+      fireEvent.click(screen.getByText('Add the hoodie'));
+      fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+      expect(declineAction).toHaveBeenCalledTimes(1);
+      expect(confirmAction).not.toHaveBeenCalled();
+      expect(screen.getByText('Add the hoodie')).toBeInTheDocument();
+    });
+
+    test('forgets a suggestion still waiting for confirmation when it unmounts', () => {
+      const declineAction = jest.spyOn(productActionService, 'declineAction');
+      const recordConfirmation = jest.spyOn(productActionService, 'recordConfirmation');
+      const { unmount } = renderWithContext(<Message {...defaultProps} message={suggestionMessage} />);
+
+      fireEvent.click(screen.getByText('Add the hoodie'));
+      const confirmationId = Array.from(productActionService.pendingConfirmations.keys()).pop();
+      unmount();
+
+      // Closing the widget is not a decision of the shopper
+      expect(productActionService.pendingConfirmations.has(confirmationId)).toBe(false);
+      expect(declineAction).not.toHaveBeenCalled();
+      expect(recordConfirmation).not.toHaveBeenCalled();
+    });
+
+    test('offers to undo the change for a few seconds', async () => {
+      const undo = { id: 'undo_1', description: 'Added 2 item(s) to cart', expiresIn: 5000 };
+      jest.spyOn(productActionService, 'confirmAction').mockResolvedValue({ success: true, undo });
+      const undoAction = jest.spyOn(productActionService, 'undoAction').mockResolvedValue({ success: true });
+      const onActionSuccess = jest.fn();
+      renderWithContext(<Message {...defaultProps} message={suggestionMessage} onActionSuccess={onActionSuccess} />);
+
+      fireEvent.click(screen.getByText('Add the hoodie'));
+      fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+      expect(await screen.findByRole('status')).toHaveTextContent('Added 2 item(s) to cart');
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+      await waitFor(() => {
+        expect(onActionSuccess).toHaveBeenCalledWith('undo', { success: true });
+      });
+      expect(undoAction).toHaveBeenCalledWith('undo_1');
+      expect(screen.queryByRole('button', { name: 'Undo' })).not.toBeInTheDocument();
+    });
+
+    test('lets a cart change finish when it unmounts', async () => {
+      let finishAddToCart;
+      const addToCart = jest.spyOn(productActionService, 'addToCart').mockImplementation(() => new Promise(resolve => {
+        finishAddToCart = resolve;
+      }));
+      const onActionSuccess = jest.fn();
+      const { unmount } = renderWithContext(
+        <Message {...defaultProps} message={suggestionMessage} onActionSuccess={onActionSuccess} />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /add to cart/i }));
+      await waitFor(() => expect(finishAddToCart).toBeDefined());
+      unmount();
+
+      // The store may already have applied the change
+      expect(addToCart).toHaveBeenCalledWith(expect.objectContaining({ productId: expect.anything() }));
+      finishAddToCart({ success: true });
+      await waitFor(() => {
+        expect(onActionSuccess).toHaveBeenCalledWith('add-to-cart', { success: true });
+      });
+    });
+
+    test('hides the undo button once the change can no longer be undone', async () => {
+      const undo = { id: 'undo_1', description: 'Added 2 item(s) to cart', expiresIn: 50 };
+      jest.spyOn(productActionService, 'confirmAction').mockResolvedValue({ success: true, undo });
+      renderWithContext(<Message {...defaultProps} message={suggestionMessage} />);
+
+      fireEvent.click(screen.getByText('Add the hoodie'));
+      fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+      expect(await screen.findByRole('button', { name: 'Undo' })).toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.queryByRole('button', { name: 'Undo' })).not.toBeInTheDocument();
+      });
+    });
+  });
+
   describe('Debug Information', () => {
     test('shows debug info in development mode', () => {
       // Mock development environment
@@ -315,6 +315,98 @@ describe('ProductCard Component', () => {
     });
   });
 
+  describe('Variable Products', () => {
+    const variableProduct = {
+      ...baseProduct,
+      id: 126,
+      name: 'Variable Product',
+      type: 'variable',
+      attributes: [
+        { name: 'attribute_pa_color', label: 'Color', options: [{ value: 'navy', label: 'Navy' }, { value: 'sand', label: 'Sand' }] },
+        { name: 'attribute_pa_size', label: 'Size', options: [{ value: 's', label: 'S' }, { value: 'm', label: 'M' }] }
+      ],
+      variations: [
+        {
+          id: 1261,
+          attributes: { attribute_pa_color: 'navy', attribute_pa_size: 's' },
+          price: '24.99',
+          regularPrice: '24.99',
+          image: 'https://example.com/navy.jpg',
+          inStock: true,
+          stockQuantity: 5
+        },
+        {
+          id: 1262,
+          attributes: { attribute_pa_color: 'sand', attribute_pa_size: '' },
+          price: '27.99',
+          regularPrice: '34.99',
+          salePrice: '27.99',
+          image: 'https://example.com/sand.jpg',
+          inStock: true,
+          stockQuantity: 8
+        }
+      ]
+    };
+
+    it('should keep add to cart disabled until a variation is picked', async () => {
+      render(<ProductCard {...defaultProps} product={variableProduct} />);
+
+      const addToCartButton = screen.getByRole('button', { name: /add to cart/i });
+      expect(addToCartButton).toBeDisabled();
+
+      await userEvent.click(screen.getByRole('button', { name: 'Navy' }));
+      expect(addToCartButton).toBeDisabled();
+
+      await userEvent.click(screen.getByRole('button', { name: 'S' }));
+      expect(addToCartButton).toBeEnabled();
+    });
+
+    it('should show the price, image and stock of the picked variation', async () => {
+      render(<ProductCard {...defaultProps} product={variableProduct} />);
+
+      await userEvent.click(screen.getByRole('button', { name: 'Sand' }));
+      await userEvent.click(screen.getByRole('button', { name: 'M' }));
+
+      expect(screen.getByText('$27.99')).toBeInTheDocument();
+      expect(screen.getByText('$34.99')).toBeInTheDocument();
+      expect(screen.getByRole('img')).toHaveAttribute('src', 'https://example.com/sand.jpg');
+      expect(screen.getByText('8 in stock')).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: 'Clear selection' }));
+      expect(screen.getByText('$29.99')).toBeInTheDocument();
+      expect(screen.getByRole('img')).toHaveAttribute('src', baseProduct.image);
+    });
+
+    it('should add the picked variation with every attribute', async () => {
+      const mockOnAddToCart = jest.fn().mockResolvedValue({ success: true });
+      render(<ProductCard {...defaultProps} product={variableProduct} onAddToCart={mockOnAddToCart} />);
+
+      await userEvent.click(screen.getByRole('button', { name: 'Sand' }));
+      await userEvent.click(screen.getByRole('button', { name: 'M' }));
+      await userEvent.click(screen.getByRole('button', { name: /add to cart/i }));
+
+      await waitFor(() => {
+        expect(mockOnAddToCart).toHaveBeenCalledWith({
+          productId: 126,
+          quantity: 1,
+          variationId: 1262,
+          variation: { attribute_pa_color: 'sand', attribute_pa_size: 'm' }
+        });
+      });
+    });
+
+    it('should link to the product page when the variations are not listed', async () => {
+      const mockOnViewProduct = jest.fn();
+      const unlistedProduct = { ...variableProduct, attributes: [], variations: [] };
+      render(<ProductCard {...defaultProps} product={unlistedProduct} onViewProduct={mockOnViewProduct} />);
+
+      expect(screen.queryByRole('button', { name: /add to cart/i })).not.toBeInTheDocument();
+      await userEvent.click(screen.getByRole('button', { name: /choose options/i }));
+
+      expect(mockOnViewProduct).toHaveBeenCalledWith(unlistedProduct);
+    });
+  });
+
   describe('Accessibility', () => {
     it('should have proper ARIA attributes', () => {
       render(<ProductCard {...defaultProps} />);
@@ -0,0 +1,155 @@
+/**
+ * Variation Picker Component Tests
+ *
+ * Tests for matching picked options to variations, disabling options
+ * that lead nowhere, and the swatch and dropdown selectors.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import VariationPicker, {
+  OPTION_STATES,
+  getVariationAttributes,
+  findVariation,
+  getOptionState
+} from '../../components/VariationPicker';
+import { assertComponentNaming } from '../utils/testUtils';
+
+describe('VariationPicker Component', () => {
+  const attributes = [
+    {
+      name: 'attribute_pa_color',
+      label: 'Color',
+      options: [{ value: 'navy', label: 'Navy' }, { value: 'sand', label: 'Sand' }]
+    },
+    {
+      name: 'attribute_pa_size',
+      label: 'Size',
+      options: [
+        { value: 's', label: 'S' },
+        { value: 'm', label: 'M' },
+        { value: 'l', label: 'L' }
+      ]
+    }
+  ];
+
+  const variations = [
+    { id: 1, attributes: { attribute_pa_color: 'navy', attribute_pa_size: 's' }, inStock: true },
+    { id: 2, attributes: { attribute_pa_color: 'navy', attribute_pa_size: 'l' }, inStock: false },
+    { id: 3, attributes: { attribute_pa_color: 'sand', attribute_pa_size: '' }, inStock: true }
+  ];
+
+  const defaultProps = {
+    productId: 106,
+    attributes,
+    variations,
+    selection: {},
+    onChange: jest.fn(),
+    onClear: jest.fn()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should follow PascalCase naming convention', () => {
+    assertComponentNaming(VariationPicker, 'VariationPicker');
+  });
+
+  describe('helpers', () => {
+    it('finds the variation once every attribute is picked', () => {
+      expect(findVariation(variations, attributes, { attribute_pa_color: 'navy' })).toBeNull();
+      expect(findVariation(variations, attributes, { attribute_pa_color: 'navy', attribute_pa_size: 's' }))
+        .toMatchObject({ id: 1 });
+      expect(findVariation(variations, attributes, { attribute_pa_color: 'navy', attribute_pa_size: 'm' }))
+        .toBeNull();
+    });
+
+    it('lets variations without a value match any option', () => {
+      expect(findVariation(variations, attributes, { attribute_pa_color: 'sand', attribute_pa_size: 'm' }))
+        .toMatchObject({ id: 3 });
+    });
+
+    it('tells which options are unavailable or out of stock', () => {
+      const selection = { attribute_pa_color: 'navy' };
+
+      expect(getOptionState(variations, selection, 'attribute_pa_size', 's')).toBe(OPTION_STATES.AVAILABLE);
+      expect(getOptionState(variations, selection, 'attribute_pa_size', 'm')).toBe(OPTION_STATES.UNAVAILABLE);
+      expect(getOptionState(variations, selection, 'attribute_pa_size', 'l')).toBe(OPTION_STATES.OUT_OF_STOCK);
+    });
+
+    it('collects the attributes from the variations when the product lists none', () => {
+      expect(getVariationAttributes({ variations })).toEqual([
+        {
+          name: 'attribute_pa_color',
+          label: 'Color',
+          options: [{ value: 'navy', label: 'navy' }, { value: 'sand', label: 'sand' }]
+        },
+        {
+          name: 'attribute_pa_size',
+          label: 'Size',
+          options: [{ value: 's', label: 's' }, { value: 'l', label: 'l' }]
+        }
+      ]);
+    });
+  });
+
+  describe('rendering', () => {
+    it('disables swatches for combinations that cannot be bought', () => {
+      render(<VariationPicker {...defaultProps} selection={{ attribute_pa_color: 'navy' }} />);
+
+      expect(screen.getByRole('button', { name: 'S' })).toBeEnabled();
+      expect(screen.getByRole('button', { name: 'M (unavailable)' })).toBeDisabled();
+      expect(screen.getByRole('button', { name: 'L (out of stock)' })).toBeDisabled();
+      expect(screen.getByRole('button', { name: 'Navy' })).toHaveAttribute('aria-pressed', 'true');
+    });
+
+    it('picks and unpicks options with the swatches', async () => {
+      const { rerender } = render(<VariationPicker {...defaultProps} />);
+
+      await userEvent.click(screen.getByRole('button', { name: 'Sand' }));
+      expect(defaultProps.onChange).toHaveBeenLastCalledWith('attribute_pa_color', 'sand');
+
+      rerender(<VariationPicker {...defaultProps} selection={{ attribute_pa_color: 'sand' }} />);
+      await userEvent.click(screen.getByRole('button', { name: 'Sand' }));
+      expect(defaultProps.onChange).toHaveBeenLastCalledWith('attribute_pa_color', '');
+    });
+
+    it('uses a dropdown for long option lists', async () => {
+      const sizes = ['xs', 's', 'm', 'l', 'xl', 'xxl', 'xxxl'];
+      const longAttributes = [{
+        name: 'attribute_pa_size',
+        label: 'Size',
+        options: sizes.map(value => ({ value, label: value.toUpperCase() }))
+      }];
+      const longVariations = sizes.map((value, index) => ({
+        id: index + 1,
+        attributes: { attribute_pa_size: value },
+        inStock: value !== 'xxl'
+      }));
+
+      render(<VariationPicker {...defaultProps} attributes={longAttributes} variations={longVariations} />);
+
+      const select = screen.getByLabelText('Size');
+      expect(screen.getByRole('option', { name: 'XXL (out of stock)' })).toBeDisabled();
+
+      await userEvent.selectOptions(select, 'm');
+      expect(defaultProps.onChange).toHaveBeenCalledWith('attribute_pa_size', 'm');
+    });
+
+    it('offers to clear the picked options', async () => {
+      const { rerender } = render(<VariationPicker {...defaultProps} />);
+      expect(screen.queryByRole('button', { name: 'Clear selection' })).not.toBeInTheDocument();
+
+      rerender(<VariationPicker {...defaultProps} selection={{ attribute_pa_color: 'navy' }} />);
+      await userEvent.click(screen.getByRole('button', { name: 'Clear selection' }));
+
+      expect(defaultProps.onClear).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Chat Reducer Tests
+ *
+ * Tests for the chat state machine behind useChat: connecting,
+ * sending and streaming replies, errors, handoff and tab sync.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import chatReducer, { initialChatState, CHAT_STATUS, CHAT_ACTIONS } from '../../hooks/chatReducer';
+
+const welcome = { id: 'msg_welcome', type: 'assistant', content: 'Hi!', metadata: { isWelcome: true } };
+const question = { id: 'msg_q', type: 'user', content: 'Is this in stock?' };
+
+// Apply a list of actions starting from the initial state
+const run = (...actions) => actions.reduce(chatReducer, initialChatState);
+
+const connected = () => run(
+  { type: CHAT_ACTIONS.CONNECT_START },
+  { type: CHAT_ACTIONS.CONNECT_SUCCESS, conversationId: '12', welcomeMessage: welcome }
+);
+
+describe('chatReducer', () => {
+  describe('Connecting', () => {
+    it('starts idle and moves through connecting to ready', () => {
+      expect(initialChatState.status).toBe(CHAT_STATUS.IDLE);
+
+      const connecting = run({ type: CHAT_ACTIONS.CONNECT_START });
+      expect(connecting.status).toBe(CHAT_STATUS.CONNECTING);
+
+      const ready = connected();
+      expect(ready.status).toBe(CHAT_STATUS.READY);
+      expect(ready.isConnected).toBe(true);
+      expect(ready.conversationId).toBe('12');
+      expect(ready.messages).toEqual([welcome]);
+    });
+
+    it('only greets conversations without messages', () => {
+      const state = run(
+        { type: CHAT_ACTIONS.CONNECT_START },
+        { type: CHAT_ACTIONS.CONVERSATION_LOADED, conversationId: '12', messages: [question] },
+        { type: CHAT_ACTIONS.CONNECT_SUCCESS, welcomeMessage: welcome }
+      );
+
+      expect(state.messages).toEqual([question]);
+      expect(state.conversationId).toBe('12');
+    });
+
+    it('reports connection failures as disconnected errors', () => {
+      const error = { type: 'connection_failed', message: 'Offline' };
+      const state = run(
+        { type: CHAT_ACTIONS.CONNECT_START },
+        { type: CHAT_ACTIONS.CONNECT_FAILURE, error }
+      );
+
+      expect(state.status).toBe(CHAT_STATUS.ERROR);
+      expect(state.isConnected).toBe(false);
+      expect(state.error).toBe(error);
+
+      // Clearing the error goes back to idle until connected again
+      expect(chatReducer(state, { type: CHAT_ACTIONS.ERROR_CLEARED }).status).toBe(CHAT_STATUS.IDLE);
+    });
+  });
+
+  describe('Sending and streaming', () => {
+    it('runs a streamed turn from sending to ready', () => {
+      let state = chatReducer(connected(), { type: CHAT_ACTIONS.MESSAGE_ADDED, message: question });
+
+      state = chatReducer(state, { type: CHAT_ACTIONS.SEND_START });
+      expect(state.status).toBe(CHAT_STATUS.SENDING);
+
+      state = chatReducer(state, {
+        type: CHAT_ACTIONS.STREAM_START,
+        message: { id: 'msg_a', type: 'assistant', content: 'Yes', metadata: { isStreaming: true } }
+      });
+      expect(state.status).toBe(CHAT_STATUS.STREAMING);
+
+      state = chatReducer(state, { type: CHAT_ACTIONS.STREAM_TOKEN, messageId: 'msg_a', token: ', 4 left' });
+      state = chatReducer(state, {
+        type: CHAT_ACTIONS.MESSAGE_METADATA_MERGED,
+        messageId: 'msg_a',
+        metadata: { isStreaming: false }
+      });
+      state = chatReducer(state, { type: CHAT_ACTIONS.SEND_FINISHED });
+
+      expect(state.status).toBe(CHAT_STATUS.READY);
+      expect(state.messages[2]).toEqual({
+        id: 'msg_a',
+        type: 'assistant',
+        content: 'Yes, 4 left',
+        metadata: { isStreaming: false }
+      });
+    });
+
+    it('ignores stream events once the turn is over', () => {
+      const state = connected();
+
+      expect(chatReducer(state, {
+        type: CHAT_ACTIONS.STREAM_START,
+        message: { id: 'msg_late', type: 'assistant', content: 'Late' }
+      })).toBe(state);
+    });
+
+    it('keeps errors raised while generating after the turn ends', () => {
+      const error = { type: 'send_failed', message: 'Stream broke off' };
+      const state = [
+        { type: CHAT_ACTIONS.SEND_START },
+        { type: CHAT_ACTIONS.ERROR_SET, error },
+        { type: CHAT_ACTIONS.SEND_FINISHED }
+      ].reduce(chatReducer, connected());
+
+      expect(state.status).toBe(CHAT_STATUS.ERROR);
+      expect(state.error).toBe(error);
+
+      const cleared = chatReducer(state, { type: CHAT_ACTIONS.ERROR_CLEARED });
+      expect(cleared.status).toBe(CHAT_STATUS.READY);
+      expect(cleared.error).toBeNull();
+    });
+
+    it('does not finish a conversation switch started during a reply', () => {
+      const state = [
+        { type: CHAT_ACTIONS.SEND_START },
+        { type: CHAT_ACTIONS.CONNECT_START },
+        { type: CHAT_ACTIONS.SEND_FINISHED }
+      ].reduce(chatReducer, connected());
+
+      expect(state.status).toBe(CHAT_STATUS.CONNECTING);
+    });
+
+    it('truncates the transcript from a message, optionally replacing it', () => {
+      const answer = { id: 'msg_a', type: 'assistant', content: 'Yes' };
+      const state = [
+        { type: CHAT_ACTIONS.MESSAGE_ADDED, message: question },
+        { type: CHAT_ACTIONS.MESSAGE_ADDED, message: answer }
+      ].reduce(chatReducer, connected());
+
+      expect(chatReducer(state, { type: CHAT_ACTIONS.MESSAGES_TRUNCATED, messageId: 'msg_a' }).messages)
+        .toEqual([welcome, question]);
+
+      const edited = { id: 'msg_edit', type: 'user', content: 'Is it in blue?' };
+      expect(chatReducer(state, {
+        type: CHAT_ACTIONS.MESSAGES_TRUNCATED,
+        messageId: 'msg_q',
+        replacement: edited
+      }).messages).toEqual([welcome, edited]);
+    });
+  });
+
+  describe('Handoff', () => {
+    it('parks the chat while a human agent has taken over', () => {
+      let state = chatReducer(connected(), { type: CHAT_ACTIONS.HANDOFF_STARTED, agent: { name: 'Sam' } });
+      expect(state.status).toBe(CHAT_STATUS.HANDOFF);
+      expect(state.handoff).toEqual({ name: 'Sam' });
+
+      // Messages go to the agent, there is no AI reply to wait for
+      state = chatReducer(state, { type: CHAT_ACTIONS.SEND_START });
+      expect(state.status).toBe(CHAT_STATUS.HANDOFF);
+
+      state = chatReducer(state, { type: CHAT_ACTIONS.HANDOFF_ENDED });
+      expect(state.status).toBe(CHAT_STATUS.READY);
+      expect(state.handoff).toBeNull();
+    });
+
+    it('shows the assistant reply once the conversation is handed back', () => {
+      const reply = { id: 'msg_s', type: 'assistant', content: 'Happy to help' };
+      let state = [
+        { type: CHAT_ACTIONS.HANDOFF_STARTED },
+        { type: CHAT_ACTIONS.SEND_START },
+        { type: CHAT_ACTIONS.STREAM_START, message: reply }
+      ].reduce(chatReducer, connected());
+
+      expect(state.status).toBe(CHAT_STATUS.STREAMING);
+      expect(state.messages).toContainEqual(reply);
+
+      state = [
+        { type: CHAT_ACTIONS.HANDOFF_ENDED },
+        { type: CHAT_ACTIONS.SEND_FINISHED }
+      ].reduce(chatReducer, state);
+
+      expect(state.status).toBe(CHAT_STATUS.READY);
+    });
+
+    it('returns to the handoff after an error is cleared', () => {
+      const state = [
+        { type: CHAT_ACTIONS.HANDOFF_STARTED },
+        { type: CHAT_ACTIONS.ERROR_SET, error: { type: 'send_failed' } },
+        { type: CHAT_ACTIONS.ERROR_CLEARED }
+      ].reduce(chatReducer, connected());
+
+      expect(state.status).toBe(CHAT_STATUS.HANDOFF);
+    });
+  });
+
+  describe('History', () => {
+    it('keeps a failed history load out of the conversation', () => {
+      const error = { type: 'history_failed', message: 'Too many requests' };
+      let state = chatReducer(connected(), { type: CHAT_ACTIONS.HISTORY_LOAD_START });
+      expect(state.isHistoryLoading).toBe(true);
+
+      state = chatReducer(state, { type: CHAT_ACTIONS.HISTORY_LOAD_FAILURE, error });
+
+      expect(state.status).toBe(CHAT_STATUS.READY);
+      expect(state.error).toBeNull();
+      expect(state.isHistoryLoading).toBe(false);
+      expect(state.historyError).toEqual(error);
+
+      state = chatReducer(state, { type: CHAT_ACTIONS.HISTORY_LOAD_START });
+      expect(state.historyError).toBeNull();
+    });
+  });
+
+  describe('Tab sync', () => {
+    it('adopts the state published by the leader tab', () => {
+      const state = chatReducer(initialChatState, {
+        type: CHAT_ACTIONS.SYNC_STATE_RECEIVED,
+        state: {
+          status: CHAT_STATUS.STREAMING,
+          messages: [welcome],
+          isConnected: true,
+          conversationId: '12'
+        }
+      });
+
+      expect(state.status).toBe(CHAT_STATUS.STREAMING);
+      expect(state.messages).toEqual([welcome]);
+      expect(state.conversationId).toBe('12');
+      expect(state.isOnline).toBe(true);
+    });
+  });
+
+  it('leaves the state untouched for unknown actions', () => {
+    const state = connected();
+    expect(chatReducer(state, { type: 'UNKNOWN' })).toBe(state);
+  });
+});
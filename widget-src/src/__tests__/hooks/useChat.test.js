@@ -0,0 +1,1073 @@
+/**
+ * useChat Hook Tests
+ *
+ * Tests for the useChat hook covering conversation start-up,
+ * message sending through the API service and error handling.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useChat } from '../../hooks/useChat';
+import apiService from '../../services/ApiService';
+import cartStore from '../../services/CartStore';
+
+// Mock the API service
+jest.mock('../../services/ApiService', () => ({
+  __esModule: true,
+  default: {
+    isInitialized: jest.fn(() => true),
+    initialize: jest.fn(),
+    startConversation: jest.fn(),
+    getConversation: jest.fn(),
+    getConversations: jest.fn(),
+    setSessionId: jest.fn(),
+    getSessionId: jest.fn(() => null),
+    sendMessage: jest.fn(),
+    streamMessage: jest.fn(),
+    isStreamingUnsupported: jest.fn((error) => [404, 405, 501].includes(error?.status)),
+    isNetworkError: jest.fn((error) => error instanceof TypeError),
+    getHealth: jest.fn(),
+    getRetryAfter: jest.fn((error) => error?.retryAfter || 0),
+    onCooldownChange: jest.fn(() => () => {}),
+    getErrorMessage: jest.fn((error) => error.message || 'Unknown error')
+  }
+}));
+
+describe('useChat', () => {
+  const userContext = {
+    userId: 7,
+    userName: 'Jane',
+    isLoggedIn: true,
+    currentPage: '/product/hoodie/'
+  };
+
+  const wooCommerceData = {
+    cartItems: [{ key: 'abc' }],
+    cartTotal: '42.00',
+    currency: 'EUR',
+    currentProduct: { id: 55, name: 'Hoodie' },
+    currentCategory: null
+  };
+
+  const renderChat = (props = {}) => renderHook(() => useChat({
+    userContext,
+    wooCommerceData,
+    config: {},
+    ...props
+  }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.sessionStorage.clear();
+    window.localStorage.clear();
+    apiService.isInitialized.mockReturnValue(true);
+    apiService.startConversation.mockResolvedValue({
+      success: true,
+      data: { conversation_id: 12 }
+    });
+    apiService.streamMessage.mockRejectedValue(
+      Object.assign(new Error('Streaming is not supported by the server'), { status: 501 })
+    );
+  });
+
+  describe('Connection', () => {
+    it('starts a conversation on mount with the page context', async () => {
+      const { result } = renderChat();
+
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      expect(apiService.startConversation).toHaveBeenCalledWith({
+        context: expect.objectContaining({
+          page: '/product/hoodie/',
+          product_id: 55,
+          user_type: 'customer',
+          cart_items: 1,
+          cart_total: '42.00',
+          currency: 'EUR'
+        }),
+        userId: 7
+      });
+      expect(result.current.conversationId).toBe('12');
+      expect(result.current.messages).toHaveLength(1);
+      expect(result.current.messages[0].type).toBe('assistant');
+      expect(result.current.messages[0].content).toContain('Hoodie');
+    });
+
+    it('sends the live cart once the cart store has read it', async () => {
+      cartStore.setState({ cart: { itemCount: 3, items: [], totals: { total: 126, currency: 'EUR' } } });
+
+      try {
+        const { result } = renderChat();
+        await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+        expect(apiService.startConversation).toHaveBeenCalledWith(expect.objectContaining({
+          context: expect.objectContaining({ cart_items: 3, cart_total: '126', currency: 'EUR' })
+        }));
+      } finally {
+        cartStore.reset();
+      }
+    });
+
+    it('initializes the API service when needed', async () => {
+      apiService.isInitialized.mockReturnValue(false);
+
+      const { result } = renderChat({ config: { nonce: 'abc123' } });
+
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+      expect(apiService.initialize).toHaveBeenCalledWith({
+        restUrl: undefined,
+        nonce: 'abc123'
+      });
+    });
+
+    it('remembers the backend session ID', async () => {
+      apiService.startConversation.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 12, session_id: 'sess_abc' }
+      });
+
+      const { result } = renderChat();
+
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+      expect(apiService.setSessionId).toHaveBeenCalledWith('sess_abc');
+    });
+
+    it('reports connection failures', async () => {
+      apiService.startConversation.mockRejectedValue(new Error('Chat disabled'));
+
+      const { result } = renderChat();
+
+      await waitFor(() => expect(result.current.error).not.toBeNull());
+      expect(result.current.isConnected).toBe(false);
+      expect(result.current.error.type).toBe('connection_failed');
+      expect(result.current.error.message).toBe('Chat disabled');
+    });
+  });
+
+  describe('Resuming conversations', () => {
+    const storageKey = 'wooAiAssistant:conversation:user_7';
+
+    const saveConversation = (storage, data = {}) => {
+      storage.setItem(storageKey, JSON.stringify({
+        conversationId: '12',
+        sessionId: 'sess_abc',
+        messages: [
+          { id: 'msg_welcome', type: 'assistant', content: 'Hi Jane!', metadata: { isWelcome: true } },
+          { id: 'msg_local', type: 'user', content: 'Show me hoodies' },
+          { id: 'msg_99', type: 'assistant', content: 'Here you go', metadata: { products: [{ id: 1 }] } }
+        ],
+        savedAt: Date.now(),
+        ...data
+      }));
+    };
+
+    it('persists the conversation to session storage', async () => {
+      apiService.sendMessage.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 12, message_id: 99, response: 'Here you go' }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Hi');
+      });
+
+      const saved = JSON.parse(window.sessionStorage.getItem(storageKey));
+      expect(saved.conversationId).toBe('12');
+      expect(saved.messages.map(m => m.content)).toEqual([
+        expect.stringContaining('Hoodie'),
+        'Hi',
+        'Here you go'
+      ]);
+    });
+
+    it('rehydrates a saved conversation from the backend', async () => {
+      saveConversation(window.sessionStorage);
+      apiService.getConversation.mockResolvedValue({
+        success: true,
+        data: {
+          id: 12,
+          messages: [
+            { id: 1, role: 'system', content: 'Welcome', created_at: '2024-01-01 10:00:00' },
+            { id: 98, role: 'user', content: 'Show me hoodies', created_at: '2024-01-01 10:00:05' },
+            { id: 99, role: 'assistant', content: 'Here you go', created_at: '2024-01-01 10:00:07', model_used: 'gemini-2.5-flash', metadata: {} }
+          ],
+          metadata: { can_send_messages: true }
+        }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      expect(apiService.setSessionId).toHaveBeenCalledWith('sess_abc');
+      expect(apiService.getConversation).toHaveBeenCalledWith('12');
+      expect(apiService.startConversation).not.toHaveBeenCalled();
+      expect(result.current.conversationId).toBe('12');
+      expect(result.current.messages.map(m => m.content)).toEqual(['Hi Jane!', 'Show me hoodies', 'Here you go']);
+      expect(result.current.messages[2].metadata).toMatchObject({
+        products: [{ id: 1 }],
+        source: 'gemini-2.5-flash',
+        messageId: 99
+      });
+    });
+
+    it('starts a new conversation when the saved one is gone', async () => {
+      saveConversation(window.sessionStorage);
+      apiService.getConversation.mockRejectedValue(
+        Object.assign(new Error('Failed to get conversation'), { status: 404 })
+      );
+      apiService.startConversation.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 13 }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.conversationId).toBe('13'));
+
+      expect(result.current.messages).toHaveLength(1);
+      expect(result.current.messages[0].metadata.isWelcome).toBe(true);
+    });
+
+    it('resumes a conversation shop staff have taken over', async () => {
+      saveConversation(window.sessionStorage);
+      apiService.getConversation.mockResolvedValue({
+        success: true,
+        data: { id: 12, status: 'handoff', messages: [], metadata: { can_send_messages: true } }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      expect(result.current.status).toBe('handoff');
+      expect(result.current.handoff).toEqual({});
+      expect(result.current.canSend).toBe(true);
+    });
+
+    it('ignores expired conversations', async () => {
+      saveConversation(window.sessionStorage, { savedAt: Date.now() - 31 * 60 * 1000 });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      expect(apiService.getConversation).not.toHaveBeenCalled();
+      expect(apiService.startConversation).toHaveBeenCalled();
+    });
+
+    it('uses the configured storage mode', async () => {
+      saveConversation(window.sessionStorage);
+
+      const { result } = renderChat({ config: { persistence: { storage: 'none' } } });
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      expect(apiService.getConversation).not.toHaveBeenCalled();
+      expect(apiService.startConversation).toHaveBeenCalled();
+    });
+  });
+
+  describe('Cross-tab sync', () => {
+    const syncKey = 'wooAiAssistant:sync:user_7';
+
+    const claimLeadership = () => {
+      window.localStorage.setItem('wooAiAssistant:leader:user_7', JSON.stringify({
+        tabId: 'tab_leader',
+        expires: Date.now() + 60000
+      }));
+    };
+
+    const receiveFromLeader = (type, payload) => {
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: syncKey,
+        newValue: JSON.stringify({ type, payload, tabId: 'tab_leader' })
+      }));
+    };
+
+    const publishedMessages = (setItemSpy) => setItemSpy.mock.calls
+      .filter(([key]) => key === syncKey)
+      .map(([, value]) => JSON.parse(value));
+
+    let setItemSpy;
+
+    beforeEach(() => {
+      setItemSpy = jest.spyOn(Storage.prototype, 'setItem');
+    });
+
+    afterEach(() => {
+      setItemSpy.mockRestore();
+    });
+
+    it('leads and broadcasts its state when no other tab is open', async () => {
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      expect(result.current.isLeaderTab).toBe(true);
+      expect(publishedMessages(setItemSpy)).toContainEqual(expect.objectContaining({
+        type: 'state',
+        payload: expect.objectContaining({ conversationId: '12', isConnected: true })
+      }));
+    });
+
+    it('follows the leader tab instead of connecting itself', async () => {
+      claimLeadership();
+
+      const { result } = renderChat();
+
+      expect(result.current.isLeaderTab).toBe(false);
+      expect(apiService.startConversation).not.toHaveBeenCalled();
+      expect(publishedMessages(setItemSpy)).toContainEqual(expect.objectContaining({ type: 'state-request' }));
+
+      act(() => receiveFromLeader('state', {
+        messages: [{ id: 'msg_1', type: 'assistant', content: 'Hi Jane!' }],
+        status: 'sending',
+        isConnected: true,
+        conversationId: '12',
+        sessionId: 'sess_abc'
+      }));
+
+      expect(result.current.messages).toEqual([{ id: 'msg_1', type: 'assistant', content: 'Hi Jane!' }]);
+      expect(result.current.isTyping).toBe(true);
+      expect(result.current.conversationId).toBe('12');
+      expect(apiService.setSessionId).toHaveBeenCalledWith('sess_abc');
+    });
+
+    it('forwards messages to the leader tab', async () => {
+      claimLeadership();
+
+      const { result } = renderChat();
+      act(() => receiveFromLeader('state', { messages: [], isConnected: true, conversationId: '12' }));
+
+      await act(async () => {
+        await result.current.sendMessage('Is this in stock?');
+      });
+
+      expect(apiService.sendMessage).not.toHaveBeenCalled();
+      expect(apiService.streamMessage).not.toHaveBeenCalled();
+      expect(publishedMessages(setItemSpy)).toContainEqual(expect.objectContaining({
+        type: 'send',
+        payload: { content: 'Is this in stock?', options: {} }
+      }));
+    });
+
+    it('sends messages forwarded by follower tabs', async () => {
+      apiService.sendMessage.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 12, response: 'Yes, 4 left' }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        receiveFromLeader('send', { content: 'Is this in stock?', options: {} });
+      });
+
+      await waitFor(() => expect(apiService.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Is this in stock?' }),
+        expect.any(Object)
+      ));
+    });
+
+    it('connects when it takes over from a leader that never connected', async () => {
+      claimLeadership();
+
+      const { result } = renderChat();
+      expect(apiService.startConversation).not.toHaveBeenCalled();
+
+      // The leader closes and releases its lease
+      window.localStorage.removeItem('wooAiAssistant:leader:user_7');
+      act(() => receiveFromLeader('leader-resigned', {}));
+
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+      expect(result.current.isLeaderTab).toBe(true);
+      expect(apiService.startConversation).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not sync when disabled', async () => {
+      claimLeadership();
+
+      const { result } = renderChat({ config: { persistence: { syncTabs: false } } });
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      expect(apiService.startConversation).toHaveBeenCalled();
+      expect(publishedMessages(setItemSpy)).toEqual([]);
+    });
+  });
+
+  describe('Sending messages', () => {
+    it('sends messages and maps the reply onto message metadata', async () => {
+      apiService.sendMessage.mockResolvedValue({
+        success: true,
+        data: {
+          conversation_id: 12,
+          message_id: 99,
+          response: 'Here are some hoodies',
+          model_used: 'gemini-2.5-flash',
+          products: [{ id: 1, name: 'Blue Hoodie' }],
+          suggested_coupons: [{ code: 'SAVE10' }],
+          quick_actions: [{ type: 'apply-coupon', label: 'Apply', data: { couponCode: 'SAVE10' } }]
+        }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('  Show me hoodies  ');
+      });
+
+      expect(apiService.sendMessage).toHaveBeenCalledWith({
+        message: 'Show me hoodies',
+        conversationId: '12',
+        context: expect.objectContaining({ product_id: 55 })
+      }, { signal: expect.any(AbortSignal) });
+
+      const [, userMessage, reply] = result.current.messages;
+      expect(userMessage).toMatchObject({ type: 'user', content: 'Show me hoodies' });
+      expect(reply).toMatchObject({
+        id: 'msg_99',
+        type: 'assistant',
+        content: 'Here are some hoodies',
+        conversationId: '12',
+        metadata: {
+          products: [{ id: 1, name: 'Blue Hoodie' }],
+          suggestedCoupons: [{ code: 'SAVE10' }],
+          quickActions: [{ type: 'apply-coupon', label: 'Apply', data: { couponCode: 'SAVE10' } }],
+          source: 'gemini-2.5-flash'
+        }
+      });
+      expect(result.current.isTyping).toBe(false);
+    });
+
+    it('adopts the conversation ID returned by the backend', async () => {
+      apiService.sendMessage.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 31, response: 'Hello again' }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Hi');
+      });
+
+      expect(result.current.conversationId).toBe('31');
+    });
+
+    it('follows shop staff taking the conversation over and handing it back', async () => {
+      apiService.sendMessage
+        .mockResolvedValueOnce({
+          success: true,
+          data: { conversation_id: 12, message_id: null, user_message_id: 5, response: '' },
+          metadata: { conversation_status: 'handoff' }
+        })
+        .mockResolvedValueOnce({
+          success: true,
+          data: { conversation_id: 12, message_id: 8, user_message_id: 7, response: 'Anything else?' },
+          metadata: { conversation_status: 'active' }
+        });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Is anyone there?');
+      });
+
+      // Shop staff answer outside the chat request
+      expect(result.current.status).toBe('handoff');
+      expect(result.current.handoff).not.toBeNull();
+      expect(result.current.messages[result.current.messages.length - 1]).toMatchObject({
+        type: 'user',
+        content: 'Is anyone there?'
+      });
+
+      await act(async () => {
+        await result.current.sendMessage('Thanks!');
+      });
+
+      expect(result.current.status).toBe('ready');
+      expect(result.current.handoff).toBeNull();
+      expect(result.current.messages[result.current.messages.length - 1].content).toBe('Anything else?');
+    });
+
+    it('ignores empty messages', async () => {
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('   ');
+      });
+
+      expect(apiService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('adds an error message when sending fails', async () => {
+      apiService.sendMessage.mockRejectedValue(new Error('Rate limit exceeded'));
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Hi');
+      });
+
+      const lastMessage = result.current.messages[result.current.messages.length - 1];
+      expect(lastMessage.type).toBe('error');
+      expect(result.current.error).toMatchObject({
+        type: 'send_failed',
+        message: 'Rate limit exceeded'
+      });
+    });
+
+    it('leaves rate limited messages to the cooldown notice', async () => {
+      apiService.sendMessage.mockRejectedValue(Object.assign(new Error('Too many requests'), { status: 429, retryAfter: 8000 }));
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Hi');
+      });
+
+      const lastMessage = result.current.messages[result.current.messages.length - 1];
+      expect(lastMessage).toMatchObject({ type: 'user', status: 'failed' });
+      expect(result.current.error).toBeNull();
+    });
+
+    it('exposes the rate limit cooldown', async () => {
+      let notifyCooldown;
+      apiService.onCooldownChange.mockImplementation((handler) => {
+        notifyCooldown = handler;
+        return () => {};
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      act(() => notifyCooldown(1700000008000));
+      expect(result.current.cooldownUntil).toBe(1700000008000);
+
+      act(() => notifyCooldown(null));
+      expect(result.current.cooldownUntil).toBeNull();
+    });
+  });
+
+  describe('Offline outbox', () => {
+    const userMessages = (result) => result.current.messages.filter(m => m.type === 'user');
+
+    it('marks messages as sent once delivered', async () => {
+      apiService.sendMessage.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 12, response: 'Hello' }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Hi');
+      });
+
+      expect(userMessages(result)[0].status).toBe('sent');
+    });
+
+    it('holds messages while offline and resends them in order', async () => {
+      apiService.sendMessage.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+      apiService.sendMessage.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 12, response: 'Back online' }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('First');
+      });
+      await act(async () => {
+        await result.current.sendMessage('Second');
+      });
+
+      expect(result.current.isOnline).toBe(false);
+      expect(userMessages(result).map(m => m.status)).toEqual(['pending', 'pending']);
+      expect(result.current.messages.some(m => m.type === 'error')).toBe(false);
+      expect(apiService.sendMessage).toHaveBeenCalledTimes(1);
+
+      // The browser reports the network is back and /health answers
+      apiService.getHealth.mockResolvedValue({ status: 'ok' });
+      await act(async () => {
+        window.dispatchEvent(new Event('online'));
+      });
+
+      await waitFor(() => expect(userMessages(result).map(m => m.status)).toEqual(['sent', 'sent']));
+      expect(result.current.isOnline).toBe(true);
+      expect(apiService.sendMessage.mock.calls.slice(1).map(([data]) => data.message)).toEqual(['First', 'Second']);
+    });
+
+    it('marks rejected messages as failed and retries them on request', async () => {
+      apiService.sendMessage.mockRejectedValueOnce(new Error('Message is too long'));
+      apiService.sendMessage.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 12, response: 'Got it' }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Hi');
+      });
+
+      const [failed] = userMessages(result);
+      expect(failed.status).toBe('failed');
+
+      await act(async () => {
+        await result.current.retryMessage(failed.id);
+      });
+
+      expect(userMessages(result)).toHaveLength(1);
+      expect(userMessages(result)[0].status).toBe('sent');
+      expect(result.current.error).toBeNull();
+    });
+  });
+
+  describe('Streaming replies', () => {
+    it('streams tokens into a single growing message', async () => {
+      let emitToken;
+      let finishStream;
+      apiService.streamMessage.mockImplementation((messageData, handlers) => {
+        emitToken = handlers.onToken;
+        return new Promise(resolve => {
+          finishStream = () => resolve({ type: 'complete', message_id: 77 });
+        });
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      let sendPromise;
+      act(() => {
+        sendPromise = result.current.sendMessage('Tell me about shipping');
+      });
+
+      // Typing indicator stays up until the first token
+      expect(result.current.isTyping).toBe(true);
+      expect(apiService.streamMessage).toHaveBeenCalledWith({
+        message: 'Tell me about shipping',
+        conversationId: '12',
+        context: expect.any(Object)
+      }, expect.any(Object));
+
+      act(() => emitToken('We ship '));
+      expect(result.current.isTyping).toBe(false);
+
+      act(() => emitToken('worldwide.'));
+
+      await act(async () => {
+        finishStream();
+        await sendPromise;
+      });
+
+      const assistantMessages = result.current.messages.filter(m => m.type === 'assistant');
+      expect(assistantMessages).toHaveLength(2);
+      expect(assistantMessages[1].content).toBe('We ship worldwide.');
+      expect(assistantMessages[1].metadata).toMatchObject({ isStreaming: false, messageId: 77 });
+      expect(apiService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('attaches streamed metadata events to the reply', async () => {
+      apiService.streamMessage.mockImplementation(async (messageData, handlers) => {
+        handlers.onMetadata({ products: [{ id: 3, name: 'Scarf' }] });
+        handlers.onToken('Try this scarf');
+        handlers.onMetadata({ quick_actions: [{ type: 'add-to-cart', label: 'Add' }] });
+        return { type: 'complete' };
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Anything warm?');
+      });
+
+      const reply = result.current.messages[result.current.messages.length - 1];
+      expect(reply.metadata).toMatchObject({
+        products: [{ id: 3, name: 'Scarf' }],
+        quickActions: [{ type: 'add-to-cart', label: 'Add' }],
+        isStreaming: false
+      });
+    });
+
+    it('notices a handoff reported when the stream completes', async () => {
+      apiService.streamMessage
+        .mockResolvedValueOnce({ type: 'complete', message_id: null, user_message_id: 5, conversation_status: 'handoff' })
+        .mockImplementationOnce(async (messageData, handlers) => {
+          handlers.onToken('Happy to help again');
+          return { type: 'complete', message_id: 9, conversation_status: 'active' };
+        });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Is anyone there?');
+      });
+
+      expect(result.current.status).toBe('handoff');
+      expect(result.current.messages.filter(m => m.type === 'assistant')).toHaveLength(1);
+
+      await act(async () => {
+        await result.current.sendMessage('Thanks!');
+      });
+
+      expect(result.current.status).toBe('ready');
+      expect(result.current.messages[result.current.messages.length - 1]).toMatchObject({
+        type: 'assistant',
+        content: 'Happy to help again'
+      });
+    });
+
+    it('falls back to /chat/message when SSE is unsupported', async () => {
+      apiService.sendMessage.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 12, response: 'Plain reply' }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('First');
+      });
+      await act(async () => {
+        await result.current.sendMessage('Second');
+      });
+
+      // Streaming is only attempted once per session
+      expect(apiService.streamMessage).toHaveBeenCalledTimes(1);
+      expect(apiService.sendMessage).toHaveBeenCalledTimes(2);
+      expect(result.current.messages[result.current.messages.length - 1].content).toBe('Plain reply');
+    });
+
+    it('skips streaming when disabled in the widget features', async () => {
+      apiService.sendMessage.mockResolvedValue({
+        success: true,
+        data: { conversation_id: 12, response: 'Plain reply' }
+      });
+
+      const { result } = renderChat({ config: { features: { streaming: false } } });
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Hi');
+      });
+
+      expect(apiService.streamMessage).not.toHaveBeenCalled();
+      expect(apiService.sendMessage).toHaveBeenCalled();
+    });
+
+    it('keeps partial text and reports errors after the stream started', async () => {
+      apiService.streamMessage.mockImplementation(async (messageData, handlers) => {
+        handlers.onToken('Partial');
+        throw new Error('Connection reset');
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Hi');
+      });
+
+      const partial = result.current.messages.find(m => m.content === 'Partial');
+      expect(partial.metadata).toMatchObject({ isStreaming: false, hasError: true });
+      expect(apiService.sendMessage).not.toHaveBeenCalled();
+      expect(result.current.error.type).toBe('send_failed');
+    });
+  });
+
+  describe('Conversation history', () => {
+    it('loads past conversations for logged-in customers', async () => {
+      apiService.getConversations.mockResolvedValue({
+        success: true,
+        data: {
+          conversations: [{
+            id: 8,
+            status: 'completed',
+            title: 'Do you ship to Italy?',
+            last_message: 'Yes, in 3-5 days.',
+            updated_at: '2024-01-02 09:30:00',
+            is_active: false
+          }]
+        }
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+      expect(result.current.canUseHistory).toBe(true);
+
+      await act(async () => {
+        await result.current.loadConversations();
+      });
+
+      expect(result.current.conversations).toEqual([{
+        id: '8',
+        title: 'Do you ship to Italy?',
+        lastMessage: 'Yes, in 3-5 days.',
+        updatedAt: expect.stringMatching(/^2024-01-02T/),
+        isActive: false
+      }]);
+    });
+
+    it('keeps the chat usable when the history cannot be loaded', async () => {
+      apiService.getConversations.mockRejectedValue(Object.assign(new Error('Too many requests'), { status: 429 }));
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.loadConversations();
+      });
+
+      expect(result.current.historyError).toMatchObject({ type: 'history_failed' });
+      expect(result.current.isHistoryLoading).toBe(false);
+      expect(result.current.error).toBeNull();
+      expect(result.current.canSend).toBe(true);
+    });
+
+    it('does not offer history to guests', async () => {
+      const { result } = renderChat({ userContext: { isLoggedIn: false } });
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.loadConversations();
+      });
+
+      expect(result.current.canUseHistory).toBe(false);
+      expect(apiService.getConversations).not.toHaveBeenCalled();
+    });
+
+    it('starts a new chat and ends the current one', async () => {
+      const { result } = renderChat({ config: { features: { streaming: false } } });
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      apiService.sendMessage.mockResolvedValue({ success: true, data: { response: 'Hello' } });
+      await act(async () => {
+        await result.current.sendMessage('Hi');
+      });
+
+      apiService.startConversation.mockResolvedValueOnce({ success: true, data: { conversation_id: 13 } });
+      await act(async () => {
+        await result.current.startNewConversation();
+      });
+
+      expect(apiService.startConversation).toHaveBeenLastCalledWith(
+        expect.objectContaining({ userId: 7, previousConversationId: '12' })
+      );
+      expect(result.current.conversationId).toBe('13');
+      expect(result.current.messages).toHaveLength(1);
+      expect(result.current.messages[0].metadata.isWelcome).toBe(true);
+    });
+
+    it('reopens a past conversation', async () => {
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      apiService.getConversation.mockResolvedValue({
+        success: true,
+        data: {
+          id: 8,
+          messages: [
+            { id: 1, role: 'system', content: 'Welcome', created_at: '2024-01-02 09:00:00' },
+            { id: 2, role: 'user', content: 'Do you ship to Italy?', created_at: '2024-01-02 09:00:05' },
+            { id: 3, role: 'assistant', content: 'Yes, in 3-5 days.', created_at: '2024-01-02 09:00:09', metadata: {} }
+          ],
+          metadata: { can_send_messages: false }
+        }
+      });
+
+      await act(async () => {
+        await result.current.openConversation('8');
+      });
+
+      expect(apiService.getConversation).toHaveBeenCalledWith('8');
+      expect(result.current.conversationId).toBe('8');
+      expect(result.current.messages.map(m => m.content)).toEqual(['Do you ship to Italy?', 'Yes, in 3-5 days.']);
+      expect(result.current.isReadOnly).toBe(true);
+      expect(result.current.canSend).toBe(false);
+    });
+  });
+
+  describe('Editing messages', () => {
+    it('replaces an earlier message and everything after it', async () => {
+      apiService.sendMessage
+        .mockResolvedValueOnce({ success: true, data: { message_id: 41, user_message_id: 40, response: 'Size M is in stock' } })
+        .mockResolvedValueOnce({ success: true, data: { message_id: 43, user_message_id: 42, response: 'Size L is in stock too' } });
+
+      const { result } = renderChat({ config: { features: { streaming: false } } });
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Do you have size M?');
+      });
+
+      const original = result.current.messages[1];
+      expect(original.metadata.messageId).toBe(40);
+
+      await act(async () => {
+        await result.current.editMessage(original.id, 'Do you have size L?');
+      });
+
+      expect(apiService.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({ message: 'Do you have size L?', editMessageId: 40 }),
+        expect.any(Object)
+      );
+
+      const [, edited, reply] = result.current.messages;
+      expect(result.current.messages).toHaveLength(3);
+      expect(edited).toMatchObject({
+        type: 'user',
+        content: 'Do you have size L?',
+        status: 'sent',
+        metadata: { isEdited: true, messageId: 42 }
+      });
+      expect(reply.content).toBe('Size L is in stock too');
+    });
+
+    it('resends messages the backend never stored without forking', async () => {
+      apiService.sendMessage
+        .mockRejectedValueOnce(new Error('Message is too long'))
+        .mockResolvedValueOnce({ success: true, data: { response: 'Got it' } });
+
+      const { result } = renderChat({ config: { features: { streaming: false } } });
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('A very long question');
+      });
+
+      const failed = result.current.messages[1];
+      expect(failed.status).toBe('failed');
+
+      await act(async () => {
+        await result.current.editMessage(failed.id, 'A short question');
+      });
+
+      expect(apiService.sendMessage.mock.calls[1][0]).not.toHaveProperty('editMessageId');
+      expect(result.current.messages.map(m => m.content)).toEqual([
+        expect.any(String),
+        'A short question',
+        'Got it'
+      ]);
+    });
+  });
+
+  describe('Stopping and regenerating', () => {
+    it('stops a streaming reply and keeps the partial text', async () => {
+      let emitToken;
+      apiService.streamMessage.mockImplementation((messageData, handlers) => {
+        emitToken = handlers.onToken;
+        return new Promise((resolve, reject) => {
+          handlers.signal.addEventListener('abort', () => {
+            reject(new DOMException('Aborted', 'AbortError'));
+          });
+        });
+      });
+
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      let sendPromise;
+      act(() => {
+        sendPromise = result.current.sendMessage('Tell me a story');
+      });
+      act(() => emitToken('Once upon'));
+      expect(result.current.isGenerating).toBe(true);
+
+      await act(async () => {
+        result.current.stopGeneration();
+        await sendPromise;
+      });
+
+      const reply = result.current.messages[result.current.messages.length - 1];
+      expect(reply.content).toBe('Once upon');
+      expect(reply.metadata).toMatchObject({ isStreaming: false, isStopped: true });
+      expect(result.current.isGenerating).toBe(false);
+      expect(result.current.error).toBeNull();
+      expect(result.current.messages[1].status).toBe('sent');
+    });
+
+    it('cancels a REST request that has not answered yet', async () => {
+      apiService.sendMessage.mockImplementation((messageData, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => {
+          reject(new DOMException('Aborted', 'AbortError'));
+        });
+      }));
+
+      const { result } = renderChat({ config: { features: { streaming: false } } });
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      let sendPromise;
+      act(() => {
+        sendPromise = result.current.sendMessage('Hi');
+      });
+
+      await act(async () => {
+        result.current.stopGeneration();
+        await sendPromise;
+      });
+
+      expect(result.current.messages.map(m => m.type)).toEqual(['assistant', 'user']);
+      expect(result.current.isTyping).toBe(false);
+      expect(result.current.isOnline).toBe(true);
+    });
+
+    it('replaces the latest answer by resending the previous user turn', async () => {
+      apiService.sendMessage
+        .mockResolvedValueOnce({ success: true, data: { message_id: 2, user_message_id: 1, response: 'First answer' } })
+        .mockResolvedValueOnce({ success: true, data: { message_id: 4, user_message_id: 3, response: 'Better answer' } });
+
+      const { result } = renderChat({ config: { features: { streaming: false } } });
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.sendMessage('Which hoodie is warmest?');
+      });
+
+      await act(async () => {
+        await result.current.regenerateResponse();
+      });
+
+      expect(apiService.sendMessage).toHaveBeenCalledTimes(2);
+      // The backend replaces its copy of the turn instead of storing it twice
+      expect(apiService.sendMessage.mock.calls[1][0]).toEqual(expect.objectContaining({
+        message: 'Which hoodie is warmest?',
+        editMessageId: 1,
+        regenerate: true
+      }));
+      expect(result.current.messages.map(m => m.content)).toEqual([
+        expect.any(String),
+        'Which hoodie is warmest?',
+        'Better answer'
+      ]);
+    });
+
+    it('does not regenerate the welcome message', async () => {
+      const { result } = renderChat();
+      await waitFor(() => expect(result.current.isConnected).toBe(true));
+
+      await act(async () => {
+        await result.current.regenerateResponse();
+      });
+
+      expect(apiService.sendMessage).not.toHaveBeenCalled();
+      expect(apiService.streamMessage).not.toHaveBeenCalled();
+      expect(result.current.messages).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * API Contract Integration Tests
+ *
+ * Checks that the route manifest in src/RestApi/routes.json matches the
+ * routes the PHP controllers register, and that ApiService and
+ * ProductActionService only call registered routes, methods and
+ * parameters.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import apiService from '../../services/ApiService';
+import productActionService, { ProductActionService } from '../../services/ProductActionService';
+import { manifest, readRegisteredRoutes, findContractViolations } from '../utils/routeContract';
+
+const routeKey = route => `${route.methods.join('|')} ${route.path}`;
+
+describe('route manifest', () => {
+  const registered = readRegisteredRoutes();
+
+  it('covers the woo-ai-assistant/v1 namespace', () => {
+    expect(manifest.namespace).toBe(apiService.config.namespace);
+  });
+
+  it('lists every route the PHP controllers register', () => {
+    const listed = manifest.routes.map(routeKey);
+
+    expect(registered.map(routeKey).filter(key => !listed.includes(key))).toEqual([]);
+  });
+
+  it('only lists routes the PHP controllers register', () => {
+    const keys = registered.map(routeKey);
+
+    expect(manifest.routes.map(routeKey).filter(key => !keys.includes(key))).toEqual([]);
+  });
+
+  it.each(manifest.routes.map(route => [routeKey(route), route]))('matches the arguments of %s', (key, route) => {
+    const php = registered.find(candidate => routeKey(candidate) === key);
+
+    expect(php?.args).toEqual(route.args);
+  });
+});
+
+describe('widget API client', () => {
+  let requests;
+
+  const respond = () => Promise.resolve({ success: true, products: [], available: true });
+
+  beforeEach(() => {
+    requests = [];
+    window.sessionStorage.clear();
+    apiService.responseCache.clear();
+
+    jest.spyOn(apiService.transport, 'request').mockImplementation(request => {
+      requests.push(request);
+      return respond();
+    });
+    jest.spyOn(apiService.transport, 'stream').mockImplementation(({ endpoint, data }) => {
+      requests.push({ method: 'POST', endpoint, data });
+      return Promise.resolve();
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const calls = [
+    ['ApiService.loadConfig', () => apiService.loadConfig({ context: 'product' })],
+    ['ApiService.getHealth', () => apiService.getHealth()],
+    ['ApiService.sendMessage', () => apiService.sendMessage({ message: 'Hi', context: { page: 'shop' } })],
+    ['ApiService.sendMessage (edit)', () => apiService.sendMessage({ message: 'Hi', conversationId: 12, editMessageId: 7 })],
+    ['ApiService.streamMessage', () => apiService.streamMessage({ message: 'Hi', conversationId: 12, editMessageId: 7 })],
+    ['ApiService.startConversation', () => apiService.startConversation({ context: {}, userId: 3, previousConversationId: 11 })],
+    ['ApiService.getConversation', () => apiService.getConversation(12)],
+    ['ApiService.getConversations', () => apiService.getConversations({ limit: 10, offset: 20 })],
+    ['ApiService.addToCart', () => apiService.addToCart({ productId: 5, quantity: 2 })],
+    ['ApiService.applyCoupon', () => apiService.applyCoupon('SAVE10')],
+    ['ApiService.removeCoupon', () => apiService.removeCoupon('SAVE10')],
+    ['ApiService.removeFromCart', () => apiService.removeFromCart('abc123')],
+    ['ApiService.updateCart', () => apiService.updateCart({ cart_item_key: 'abc123', quantity: 3 })],
+    ['ApiService.rateConversation', () => apiService.rateConversation({ conversationId: 12, rating: 5, feedback: 'Great' })],
+    ['ApiService.submitFeedback', () => apiService.submitFeedback({ conversationId: 12, type: 'bug', message: 'Broken', email: 'a@example.com' })],
+    ['ProductActionService.addToCart', () => productActionService.addToCart({ productId: 5, quantity: 1, variationId: 6, variation: { attribute_pa_size: 'm' } })],
+    ['ProductActionService.applyCoupon', () => productActionService.applyCoupon('save10')],
+    ['ProductActionService.removeCoupon', () => productActionService.removeCoupon('SAVE10')],
+    ['ProductActionService.updateCartItem', () => productActionService.updateCartItem('abc123', 0)],
+    ['ProductActionService.undoAction', () => productActionService.undoAction(
+      productActionService.offerUndo('Added 2 item(s) to cart', options => apiService.removeFromCart('abc123', options)).id
+    )],
+    ['ProductActionService.getCart', () => productActionService.getCart()],
+    ['ProductActionService.getAvailableCoupons', () => productActionService.getAvailableCoupons()],
+    ['ProductActionService.generatePersonalizedCoupon', () => productActionService.generatePersonalizedCoupon({ conversationId: 12, sentiment: 'positive' })],
+    ['ProductActionService.confirmAction', () => productActionService.confirmAction(
+      productActionService.requestConfirmation({ type: 'update-cart', data: { cartItemKey: 'abc123', quantity: 2 } }).id
+    )],
+    ['ProductActionService.declineAction', () => productActionService.declineAction(
+      productActionService.requestConfirmation({ type: 'apply-coupon', data: { couponCode: 'save10' } }, { conversationId: '12' }).id
+    )],
+    ['ProductActionService.recordConfirmation', () => productActionService.recordConfirmation({
+      action: { type: 'add-to-cart', data: { productId: 5, quantity: 2 } },
+      change: 'Add 2 × Hoodie to your cart',
+      quantity: 2,
+      priceImpact: 158,
+      conversationId: '12'
+    }, 'confirmed', { success: false, error: 'Out of stock' })],
+    ['ProductActionService.trackProductInteraction', () => productActionService.trackProductInteraction({ type: 'view', productId: 5 })],
+    ['ProductActionService.validateProductAvailability', () => productActionService.validateProductAvailability(5, 2)],
+    ['ProductActionService.getProductRecommendations', () => productActionService.getProductRecommendations({ limit: 4 })],
+    ['ApiTelemetry.flush', () => {
+      apiService.telemetry.configure({ enabled: true });
+      apiService.telemetry.record({ route: '/health', method: 'GET', transport: 'rest', kind: 'request', duration: 120 });
+      return apiService.telemetry.flush().finally(() => apiService.telemetry.configure({ enabled: false }));
+    }]
+  ];
+
+  it.each(calls)('%s calls a registered route', async (name, call) => {
+    await call();
+
+    expect(requests.length).toBeGreaterThan(0);
+    expect(requests.flatMap(findContractViolations)).toEqual([]);
+  });
+
+  it('checks every ProductActionService backend call', () => {
+    const methods = Object.getOwnPropertyNames(ProductActionService.prototype)
+      .filter(method => !['constructor', 'on', 'off', 'emit', 'reportError', 'requestConfirmation', 'discardConfirmation', 'offerUndo'].includes(method));
+    const covered = calls.map(([name]) => name.replace('ProductActionService.', ''));
+
+    expect(methods.filter(method => !covered.includes(method))).toEqual([]);
+  });
+
+  it('reports calls that drift from the PHP controllers', () => {
+    expect(findContractViolations({ method: 'GET', endpoint: '/cart' }))
+      .toEqual(['GET /cart: route is not registered']);
+    expect(findContractViolations({ method: 'POST', endpoint: '/actions/remove-coupon', data: { coupon_code: 'X' } }))
+      .toEqual(['POST /actions/remove-coupon: method is not registered, the route accepts DELETE']);
+    expect(findContractViolations({ method: 'POST', endpoint: '/rating/feedback', data: { conversation_id: 'conv-1', message: 'Hi' } }))
+      .toEqual([
+        'POST /rating/feedback: parameter "conversation_id" is not of type integer',
+        'POST /rating/feedback: unknown parameter "message"',
+        'POST /rating/feedback: missing required parameter "feedback_text"'
+      ]);
+  });
+});
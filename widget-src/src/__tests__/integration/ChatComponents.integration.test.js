@@ -508,6 +508,9 @@ describe('Chat Components Integration', () => {
       await user.tab(); // Should focus close button
       expect(screen.getByLabelText('Close chat')).toHaveFocus();
 
+      await user.tab(); // Should focus the selected tab
+      expect(screen.getByRole('tab', { name: 'Chat' })).toHaveFocus();
+
       await user.tab(); // Should focus input
       expect(screen.getByLabelText('Message input')).toHaveFocus();
     });
@@ -0,0 +1,284 @@
+/**
+ * Fake Backend Integration Tests
+ *
+ * Runs the widget services against the in-memory fake backend: chat,
+ * streaming, cart actions, request priorities and the scripted failure
+ * scenarios.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import { waitFor } from '@testing-library/react';
+import apiService from '../../services/ApiService';
+import productActionService from '../../services/ProductActionService';
+import payloadNormalizer from '../../services/PayloadNormalizer';
+import cartStore from '../../services/CartStore';
+import { manifest } from '../utils/routeContract';
+import { installFakeBackend } from '../utils/fakeBackend';
+
+describe('fake backend', () => {
+  let backend;
+
+  const requestsTo = (path) => backend.requests.filter(request => request.path === path);
+
+  beforeAll(async () => {
+    backend = installFakeBackend({ streamRetry: 5, requestsPerMinute: 6000 });
+    await apiService.initialize({ restUrl: 'http://localhost/wp-json/', config: { retryDelay: 1 } });
+  });
+
+  afterAll(() => {
+    cartStore.reset();
+    backend.uninstall();
+  });
+
+  beforeEach(() => {
+    backend.reset();
+    apiService.clearResponseCache();
+    window.sessionStorage.clear();
+  });
+
+  it('implements every route of the manifest', () => {
+    const routes = manifest.routes.map(route => `${route.methods.join('|')} ${route.path}`);
+
+    expect(Object.keys(backend.routeHandlers).sort()).toEqual(routes.sort());
+  });
+
+  it('validates arguments like WordPress', async () => {
+    await expect(apiService.post('/rating/feedback', { conversation_id: 'x' })).rejects.toMatchObject({
+      status: 400,
+      response: { code: 'rest_missing_callback_param', data: { params: ['feedback_text'] } }
+    });
+  });
+
+  it('answers chat messages with coupons and products', async () => {
+    const conversation = await apiService.startConversation({ context: { page: 'shop' } });
+    const conversationId = conversation.data.conversation_id;
+
+    const couponReply = await apiService.sendMessage({ message: 'Is there a coupon?', conversationId });
+    const productReply = await apiService.sendMessage({ message: 'Can you recommend a gift?', conversationId });
+
+    expect(payloadNormalizer.normalizeReplyMetadata(couponReply.data).suggestedCoupons)
+      .toEqual([expect.objectContaining({ code: 'save10' })]);
+    expect(payloadNormalizer.normalizeReplyMetadata(productReply.data).products).toHaveLength(3);
+    expect(productReply.data.conversation_id).toBe(conversationId);
+  });
+
+  it('streams replies that can be restored from the conversation', async () => {
+    const { data } = await apiService.startConversation();
+    backend.queueReply({ response: 'These shoes are great for trails.', products: [102] });
+
+    const tokens = [];
+    const onMetadata = jest.fn();
+    const completion = await apiService.streamMessage(
+      { message: 'Which shoes?', conversationId: data.conversation_id },
+      { onToken: token => tokens.push(token), onMetadata }
+    );
+
+    expect(tokens.join('')).toBe('These shoes are great for trails.');
+    expect(onMetadata).toHaveBeenCalledWith({ products: [expect.objectContaining({ id: 102 })] });
+
+    const restored = payloadNormalizer.normalizeConversation(
+      (await apiService.getConversation(data.conversation_id)).data,
+      String(data.conversation_id)
+    );
+
+    expect(restored.messages.map(message => message.type)).toEqual(['user', 'assistant']);
+    expect(restored.messages[1]).toMatchObject({
+      id: `msg_${completion.message_id}`,
+      content: 'These shoes are great for trails.',
+      metadata: { products: [expect.objectContaining({ name: 'Trail Running Shoes' })] }
+    });
+  });
+
+  it('keeps the cart across actions', async () => {
+    expect((await productActionService.addToCart({ productId: 101, quantity: 2 })).success).toBe(true);
+    expect((await productActionService.applyCoupon('SAVE10')).success).toBe(true);
+
+    const cart = await productActionService.getCart();
+
+    expect(cart.data).toMatchObject({
+      itemCount: 2,
+      totals: { subtotal: 158, discountTotal: 15.8, total: 147.2 },
+      coupons: [{ code: 'save10', discountAmount: 15.8 }]
+    });
+    expect(cart.data.items[0].product).toMatchObject({ id: 101, name: 'Merino Hoodie', inStock: true });
+  });
+
+  it('adds variable products as the picked variation', async () => {
+    const missing = await productActionService.addToCart({ productId: 106, quantity: 1 });
+    expect(missing.success).toBe(false);
+    expect(backend.cart.items.size).toBe(0);
+
+    const added = await productActionService.addToCart({
+      productId: 106,
+      quantity: 1,
+      variationId: 1064,
+      variation: { attribute_pa_color: 'sand', attribute_pa_size: 'm' }
+    });
+    expect(added.success).toBe(true);
+
+    const cart = await productActionService.getCart();
+    expect(cart.data).toMatchObject({ itemCount: 1, totals: { subtotal: 32 } });
+  });
+
+  it('updates the cart store after every cart action', async () => {
+    const nextCart = () => new Promise(resolve => {
+      const unsubscribe = cartStore.subscribe(state => {
+        if (!state.isLoading) {
+          unsubscribe();
+          resolve(state.cart);
+        }
+      });
+    });
+
+    let read = nextCart();
+    await productActionService.addToCart({ productId: 101, quantity: 1 });
+    expect(await read).toMatchObject({ itemCount: 1 });
+
+    read = nextCart();
+    await productActionService.updateCartItem(cartStore.getCart().items[0].key, 3);
+    expect(await read).toMatchObject({ itemCount: 3, items: [{ quantity: 3 }] });
+  });
+
+  it('applies suggested coupons once the shopper confirms and records the decision', async () => {
+    await apiService.addToCart({ productId: 101, quantity: 1 });
+    await productActionService.getCart();
+    const reply = await apiService.sendMessage({ message: 'Is there a coupon?' });
+    const metadata = payloadNormalizer.normalizeReplyMetadata(reply.data);
+
+    const confirmation = productActionService.requestConfirmation(metadata.quickActions[0], {
+      coupons: metadata.suggestedCoupons,
+      conversationId: String(reply.data.conversation_id)
+    });
+    expect(confirmation).toMatchObject({ change: 'Apply coupon SAVE10 to your cart', priceImpact: -7.9 });
+    expect(backend.cart.coupons).toHaveLength(0);
+
+    expect((await productActionService.confirmAction(confirmation.id)).success).toBe(true);
+    expect(backend.cart.coupons).toHaveLength(1);
+
+    await waitFor(() => {
+      expect(backend.confirmations).toEqual([expect.objectContaining({
+        action_type: 'apply-coupon',
+        decision: 'confirmed',
+        conversation_id: reply.data.conversation_id,
+        success: true
+      })]);
+      expect(cartStore.getState().isLoading).toBe(false);
+    });
+  });
+
+  it('undoes cart changes made from the chat', async () => {
+    const settled = () => waitFor(() => expect(cartStore.getState().isLoading).toBe(false));
+
+    const added = await productActionService.addToCart({ productId: 101, quantity: 2 });
+    await settled();
+    const key = cartStore.getCart().items[0].key;
+
+    const removed = await productActionService.updateCartItem(key, 0);
+    expect(backend.cart.items.size).toBe(0);
+    expect((await productActionService.undoAction(removed.undo.id)).success).toBe(true);
+    expect(backend.cart.items.get(key)).toMatchObject({ quantity: 2 });
+
+    const more = await productActionService.addToCart({ productId: 101, quantity: 1 });
+    await productActionService.undoAction(more.undo.id);
+    expect(backend.cart.items.get(key)).toMatchObject({ quantity: 2 });
+
+    await settled();
+    expect((await productActionService.undoAction(added.undo.id)).success).toBe(true);
+    expect(backend.cart.items.size).toBe(0);
+    await settled();
+  });
+
+  describe('priorities and cancellation', () => {
+    it('keeps background analytics back until the chat reply is in', async () => {
+      const paths = () => backend.requests.map(request => request.path);
+      backend.useScenario('slow', { delay: 50, route: '/chat/message' });
+      apiService.rateLimiter.pause(10);
+
+      productActionService.trackProductInteraction({ type: 'view', productId: 101 });
+      const reply = apiService.sendMessage({ message: 'Hello' });
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(paths()).toEqual(['/chat/message']);
+
+      await reply;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(paths()).toEqual(['/chat/message', '/analytics/product-interaction']);
+    });
+
+    it('cancels actions with the caller signal without reporting an error', async () => {
+      backend.useScenario('slow', { delay: 200, route: '/actions/add-to-cart' });
+      const onError = jest.fn();
+      productActionService.on('error', onError);
+      const controller = new AbortController();
+
+      const pending = productActionService.addToCart({ productId: 101 }, { signal: controller.signal });
+      controller.abort();
+
+      try {
+        expect((await pending).success).toBe(false);
+        expect(onError).not.toHaveBeenCalled();
+      } finally {
+        productActionService.off('error', onError);
+      }
+    });
+  });
+
+  describe('scenarios', () => {
+    it('rate limits requests until Retry-After has passed', async () => {
+      backend.useScenario('rate-limited', { route: '/chat/message', times: 1, retryAfter: 0.01 });
+
+      const reply = await apiService.sendMessage({ message: 'Hello' });
+
+      expect(reply.success).toBe(true);
+      expect(requestsTo('/chat/message')).toHaveLength(2);
+    });
+
+    it('fails with server errors once retries run out', async () => {
+      backend.useScenario('server-error', { route: '/actions/cart' });
+
+      const cart = await productActionService.getCart();
+
+      expect(cart.success).toBe(false);
+      expect(requestsTo('/actions/cart')).toHaveLength(apiService.config.retryAttempts);
+    });
+
+    it('times out slow responses', async () => {
+      const { timeout } = apiService.config;
+      apiService.config.timeout = 20;
+      backend.useScenario('slow', { delay: 200, route: '/health' });
+
+      try {
+        await expect(apiService.get('/health')).rejects.toMatchObject({ name: 'AbortError' });
+      } finally {
+        apiService.config.timeout = timeout;
+      }
+    });
+
+    it('resumes a malformed stream from the last good event', async () => {
+      const { data } = await apiService.startConversation();
+      backend.queueReply('One two three four');
+      backend.useScenario('malformed-sse', { times: 1 });
+
+      const tokens = [];
+      await apiService.streamMessage(
+        { message: 'Count', conversationId: data.conversation_id },
+        { onToken: token => tokens.push(token) }
+      );
+
+      expect(tokens.join('')).toBe('One two three four');
+      expect(requestsTo('/chat/stream')).toHaveLength(2);
+    });
+
+    it('gives up on streams that stay malformed', async () => {
+      const { data } = await apiService.startConversation();
+      backend.queueReply('A reply that is long enough to outlast every reconnect attempt');
+      backend.useScenario('malformed-sse');
+
+      await expect(apiService.streamMessage({ message: 'Hi', conversationId: data.conversation_id }))
+        .rejects.toMatchObject({ status: 503 });
+    });
+  });
+});
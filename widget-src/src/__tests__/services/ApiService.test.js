@@ -5,7 +5,7 @@
  * including HTTP methods, error handling, retry logic, and streaming support.
  */
 
-import ApiService, { ApiError, HTTP_STATUS } from '../../services/ApiService';
+import ApiService, { ApiError, HTTP_STATUS, EventStreamParser } from '../../services/ApiService';
 
 // Mock fetch globally
 const mockFetch = jest.fn();
@@ -100,6 +100,88 @@ describe('ApiService', () => {
       expect(apiService.buildUrl('config')).toBe('http://localhost/wp-json/woo-ai-assistant/v1/config');
       expect(apiService.buildUrl('/config')).toBe('http://localhost/wp-json/woo-ai-assistant/v1/config');
     });
+
+    it('should strip the plugin namespace from REST URLs', () => {
+      expect(apiService.normalizeUrl('http://localhost/shop/wp-json/woo-ai-assistant/v1/'))
+        .toBe('http://localhost/shop/wp-json/');
+      expect(apiService.normalizeUrl('http://localhost/api/woo-ai-assistant/v1'))
+        .toBe('http://localhost/api/');
+    });
+
+    it('should normalize plain permalink REST URLs', () => {
+      expect(apiService.normalizeUrl('http://localhost/?rest_route=/')).toBe('http://localhost/?rest_route=/');
+      expect(apiService.normalizeUrl('http://localhost/index.php?rest_route=/woo-ai-assistant/v1/'))
+        .toBe('http://localhost/index.php?rest_route=/');
+      expect(apiService.normalizeUrl('http://localhost/?rest_route=%2F&lang=en'))
+        .toBe('http://localhost/?lang=en&rest_route=/');
+    });
+
+    it('should build URLs for plain permalinks', () => {
+      apiService.baseUrl = 'http://localhost/blog/?rest_route=/';
+
+      expect(apiService.usesPlainPermalinks()).toBe(true);
+      expect(apiService.buildUrl('/config')).toBe('http://localhost/blog/?rest_route=/woo-ai-assistant/v1/config');
+    });
+
+    it('should keep query arguments of the REST root after the route', () => {
+      apiService.baseUrl = 'http://localhost/wp-json/?lang=en';
+
+      expect(apiService.usesPlainPermalinks()).toBe(false);
+      expect(apiService.buildUrl('config')).toBe('http://localhost/wp-json/woo-ai-assistant/v1/config?lang=en');
+    });
+
+    it('should add GET parameters after rest_route', async () => {
+      apiService.baseUrl = 'http://localhost/?rest_route=/';
+      mockFetch.mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValue({}) });
+
+      await apiService.get('/products/search', { query: 'shoes' });
+
+      expect(mockFetch).toHaveBeenCalledWith(
+        'http://localhost/?rest_route=/woo-ai-assistant/v1/products/search&query=shoes',
+        expect.objectContaining({ method: 'GET' })
+      );
+    });
+
+    describe('REST root detection', () => {
+      afterEach(() => {
+        delete window.wpApiSettings;
+        delete window.wooAiAssistantWidget;
+        document.head.innerHTML = '';
+      });
+
+      it('should prefer wpApiSettings', () => {
+        window.wpApiSettings = { root: 'http://localhost/blog/wp-json/' };
+        window.wooAiAssistantWidget = { restUrl: 'http://localhost/other/wp-json/woo-ai-assistant/v1/' };
+
+        expect(apiService.detectRestRoot()).toBe('http://localhost/blog/wp-json/');
+      });
+
+      it('should use the REST URL localized for the widget', () => {
+        window.wooAiAssistantWidget = { restUrl: 'http://localhost/blog/api/woo-ai-assistant/v1/' };
+
+        expect(apiService.detectRestRoot()).toBe('http://localhost/blog/api/woo-ai-assistant/v1/');
+      });
+
+      it('should read the REST link printed in the page head', () => {
+        document.head.innerHTML = '<link rel="https://api.w.org/" href="http://localhost/blog/index.php?rest_route=/">';
+
+        expect(apiService.detectRestRoot()).toBe('http://localhost/blog/index.php?rest_route=/');
+      });
+
+      it('should fall back to /wp-json/ on the current host', () => {
+        expect(apiService.detectRestRoot()).toBe(`${window.location.protocol}//${window.location.host}/wp-json/`);
+      });
+
+      it('should initialize from the detected root', async () => {
+        document.head.innerHTML = '<link rel="https://api.w.org/" href="http://localhost/blog/?rest_route=/">';
+        mockFetch.mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValue({}) });
+
+        await apiService.initialize();
+
+        expect(apiService.baseUrl).toBe('http://localhost/blog/?rest_route=/');
+        expect(mockFetch.mock.calls[0][0]).toBe('http://localhost/blog/?rest_route=/woo-ai-assistant/v1/config');
+      });
+    });
   });
 
   describe('configuration management', () => {
@@ -134,6 +216,18 @@ describe('ApiService', () => {
       expect(mockFetch).not.toHaveBeenCalled();
     });
 
+    it('should scope cached responses to the user from the configuration', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ user: { id: 7, is_logged_in: true } })
+      });
+      const setIdentity = jest.spyOn(apiService.responseCache, 'setIdentity');
+
+      await apiService.loadConfig();
+
+      expect(setIdentity).toHaveBeenCalledWith('7');
+    });
+
     it('should return default config on load failure', async () => {
       mockFetch.mockRejectedValueOnce(new Error('Network error'));
 
@@ -182,6 +276,15 @@ describe('ApiService', () => {
       expect(config.body).toBe(JSON.stringify(data));
     });
 
+    it('should send the session ID once known', () => {
+      expect(apiService.prepareRequest('GET').headers['X-Session-ID']).toBeUndefined();
+
+      apiService.setSessionId('sess_abc');
+
+      expect(apiService.getSessionId()).toBe('sess_abc');
+      expect(apiService.prepareRequest('GET').headers['X-Session-ID']).toBe('sess_abc');
+    });
+
     it('should apply request interceptors', () => {
       const interceptor = jest.fn(config => ({
         ...config,
@@ -321,6 +424,30 @@ describe('ApiService', () => {
       expect(result).toEqual({ success: true });
     });
 
+    it('should not retry requests cancelled by the caller', async () => {
+      const signal = {
+        aborted: false,
+        addEventListener: jest.fn(),
+        removeEventListener: jest.fn()
+      };
+      const abortError = new Error('The operation was aborted');
+      abortError.name = 'AbortError';
+      mockFetch.mockImplementationOnce(() => {
+        signal.aborted = true;
+        return Promise.reject(abortError);
+      });
+
+      const url = 'http://test.com/api';
+      const config = { method: 'GET', headers: {}, signal };
+
+      await expect(apiService.executeRequest(url, config)).rejects.toThrow(abortError);
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(mockFetch.mock.calls[0][1]).not.toBe(config);
+      expect(signal.addEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+      expect(signal.removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+    });
+
     it('should handle timeout with AbortController', async () => {
       const mockAbort = jest.fn();
       global.AbortController = jest.fn(() => ({
@@ -462,6 +589,48 @@ describe('ApiService', () => {
       apiService.baseUrl = 'http://localhost/wp-json/';
     });
 
+    it('should send edits of earlier messages', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ success: true })
+      });
+
+      await apiService.sendMessage({
+        message: 'Size L please',
+        conversationId: 'conv-123',
+        editMessageId: 40
+      });
+
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+        message: 'Size L please',
+        conversation_id: 'conv-123',
+        context: {},
+        edit_message_id: 40
+      });
+    });
+
+    it('should ask for a new reply to an earlier message', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ success: true })
+      });
+
+      await apiService.sendMessage({
+        message: 'Which hoodie is warmest?',
+        conversationId: 'conv-123',
+        editMessageId: 40,
+        regenerate: true
+      });
+
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+        message: 'Which hoodie is warmest?',
+        conversation_id: 'conv-123',
+        context: {},
+        edit_message_id: 40,
+        regenerate: true
+      });
+    });
+
     it('should send messages', async () => {
       const responseData = { success: true, response: 'Hello there!', conversation_id: 'conv-123' };
       mockFetch.mockResolvedValueOnce({
@@ -516,6 +685,34 @@ describe('ApiService', () => {
       expect(result).toEqual(responseData);
     });
 
+    it('should end the previous conversation when starting a new one', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ success: true })
+      });
+
+      await apiService.startConversation({ userId: 123, previousConversationId: '12' });
+
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+        context: {},
+        user_id: 123,
+        previous_conversation_id: '12'
+      });
+    });
+
+    it('should list past conversations', async () => {
+      const responseData = { success: true, data: { conversations: [] } };
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue(responseData)
+      });
+
+      const result = await apiService.getConversations({ limit: 20 });
+
+      expect(mockFetch.mock.calls[0][0]).toBe('http://localhost/wp-json/woo-ai-assistant/v1/chat/conversations?limit=20');
+      expect(result).toEqual(responseData);
+    });
+
     it('should get conversation history', async () => {
       const responseData = {
         success: true,
@@ -594,6 +791,23 @@ describe('ApiService', () => {
       );
       expect(result).toEqual(responseData);
     });
+
+    it('should remove coupons with a DELETE request', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ success: true })
+      });
+
+      await apiService.removeCoupon('SAVE10');
+
+      expect(mockFetch).toHaveBeenCalledWith(
+        'http://localhost/wp-json/woo-ai-assistant/v1/actions/remove-coupon',
+        expect.objectContaining({
+          method: 'DELETE',
+          body: JSON.stringify({ coupon_code: 'SAVE10' })
+        })
+      );
+    });
   });
 
   describe('Rating API methods', () => {
@@ -617,7 +831,7 @@ describe('ApiService', () => {
       const result = await apiService.rateConversation(ratingData);
 
       expect(mockFetch).toHaveBeenCalledWith(
-        'http://localhost/wp-json/woo-ai-assistant/v1/rating/conversation',
+        'http://localhost/wp-json/woo-ai-assistant/v1/rating/submit',
         expect.objectContaining({
           method: 'POST',
           body: JSON.stringify({
@@ -638,9 +852,9 @@ describe('ApiService', () => {
       });
 
       const feedbackData = {
-        type: 'bug_report',
-        message: 'Widget not displaying correctly',
-        context: { browser: 'Chrome', version: '91.0' }
+        conversationId: 123,
+        type: 'bug',
+        message: 'Widget not displaying correctly'
       };
 
       const result = await apiService.submitFeedback(feedbackData);
@@ -650,9 +864,9 @@ describe('ApiService', () => {
         expect.objectContaining({
           method: 'POST',
           body: JSON.stringify({
-            feedback_type: 'bug_report',
-            message: 'Widget not displaying correctly',
-            context: { browser: 'Chrome', version: '91.0' }
+            conversation_id: 123,
+            feedback_text: 'Widget not displaying correctly',
+            feedback_type: 'bug'
           })
         })
       );
@@ -742,11 +956,11 @@ describe('ApiService', () => {
         read: jest.fn()
           .mockResolvedValueOnce({
             done: false,
-            value: new TextEncoder().encode('data: {"message": "Hello"}\n')
+            value: new TextEncoder().encode('data: {"message": "Hello"}\n\n')
           })
           .mockResolvedValueOnce({
             done: false,
-            value: new TextEncoder().encode('data: {"message": "World"}\n')
+            value: new TextEncoder().encode('data: {"message": "World"}\n\n')
           })
           .mockResolvedValueOnce({
             done: true,
@@ -773,8 +987,8 @@ describe('ApiService', () => {
         onComplete
       );
 
-      expect(onMessage).toHaveBeenCalledWith({ message: 'Hello' });
-      expect(onMessage).toHaveBeenCalledWith({ message: 'World' });
+      expect(onMessage).toHaveBeenCalledWith({ message: 'Hello' }, expect.any(Object));
+      expect(onMessage).toHaveBeenCalledWith({ message: 'World' }, expect.any(Object));
       expect(onComplete).toHaveBeenCalled();
       expect(mockReader.releaseLock).toHaveBeenCalled();
     });
@@ -799,6 +1013,520 @@ describe('ApiService', () => {
 
       expect(onError).toHaveBeenCalled();
     });
+
+    const createStreamResponse = (chunks, contentType = 'text/event-stream') => {
+      const read = jest.fn();
+      chunks.forEach(chunk => {
+        read.mockResolvedValueOnce({ done: false, value: new TextEncoder().encode(chunk) });
+      });
+      read.mockResolvedValueOnce({ done: true, value: null });
+
+      return {
+        ok: true,
+        headers: { get: jest.fn(() => contentType) },
+        body: {
+          getReader: jest.fn().mockReturnValue({ read, releaseLock: jest.fn() })
+        }
+      };
+    };
+
+    it('should stream chat tokens and return the completion event', async () => {
+      const onToken = jest.fn();
+      const onComplete = jest.fn();
+
+      mockFetch.mockResolvedValueOnce(createStreamResponse([
+        'data: {"type":"chunk","content":"Hello"}\n\n',
+        'data: {"type":"chunk","content":" there"}\n\n',
+        'data: {"type":"complete","message_id":5}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+      apiService.baseUrl = 'http://localhost/wp-json/';
+
+      const completion = await apiService.streamMessage(
+        { message: 'Hi', conversationId: '12', context: { page: '/' } },
+        { onToken, onComplete }
+      );
+
+      expect(onToken).toHaveBeenNthCalledWith(1, 'Hello', expect.any(Object));
+      expect(onToken).toHaveBeenNthCalledWith(2, ' there', expect.any(Object));
+      expect(completion).toEqual({ type: 'complete', message_id: 5 });
+      expect(onComplete).toHaveBeenCalledWith(completion);
+
+      const [url, config] = mockFetch.mock.calls[0];
+      expect(url).toBe('http://localhost/wp-json/woo-ai-assistant/v1/chat/stream');
+      expect(JSON.parse(config.body)).toEqual({
+        message: 'Hi',
+        conversation_id: '12',
+        context: { page: '/' }
+      });
+    });
+
+    it('should surface error events sent by the stream', async () => {
+      mockFetch.mockResolvedValueOnce(createStreamResponse([
+        'data: {"type":"error","error":"AI provider unavailable"}\n\n'
+      ]));
+      apiService.baseUrl = 'http://localhost/wp-json/';
+
+      await expect(
+        apiService.streamMessage({ message: 'Hi', conversationId: '12' })
+      ).rejects.toThrow('AI provider unavailable');
+    });
+
+    it('should reject non event-stream responses as unsupported', async () => {
+      mockFetch.mockResolvedValueOnce(createStreamResponse([], 'application/json'));
+      apiService.baseUrl = 'http://localhost/wp-json/';
+
+      let caught;
+      try {
+        await apiService.streamMessage({ message: 'Hi', conversationId: '12' });
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught).toBeInstanceOf(ApiError);
+      expect(caught.status).toBe(HTTP_STATUS.NOT_IMPLEMENTED);
+      expect(apiService.isStreamingUnsupported(caught)).toBe(true);
+    });
+
+    it('should emit typed events from named SSE events', async () => {
+      const onToken = jest.fn();
+      const onMetadata = jest.fn();
+
+      mockFetch.mockResolvedValueOnce(createStreamResponse([
+        'retry: 3000\n\nid: 12-4:1\nevent: token\ndata: {"type":"chunk","content":"Hi"}\n\n',
+        'id: 12-4:2\nevent: metadata\ndata: {"products":[{"id":1}]}\n\n',
+        'id: 12-4:done\nevent: done\ndata: {"type":"complete","message_id":8}\n\n'
+      ]));
+      apiService.baseUrl = 'http://localhost/wp-json/';
+
+      const completion = await apiService.streamMessage(
+        { message: 'Hi', conversationId: '12' },
+        { onToken, onMetadata }
+      );
+
+      expect(onToken).toHaveBeenCalledWith('Hi', expect.any(Object));
+      expect(onMetadata).toHaveBeenCalledWith({ products: [{ id: 1 }] });
+      expect(completion).toEqual({ type: 'complete', message_id: 8 });
+    });
+
+    it('should reconnect with Last-Event-ID when the stream drops mid-answer', async () => {
+      jest.useRealTimers();
+      apiService.config.retryDelay = 1;
+      const onToken = jest.fn();
+
+      const droppedRead = jest.fn()
+        .mockResolvedValueOnce({
+          done: false,
+          value: new TextEncoder().encode('retry: 1\nid: 12-4:1\nevent: token\ndata: {"content":"Hel"}\n\nid: 12-4:2\nevent: tok')
+        })
+        .mockRejectedValueOnce(new TypeError('network error'));
+
+      mockFetch
+        .mockResolvedValueOnce({
+          ok: true,
+          headers: { get: () => 'text/event-stream' },
+          body: { getReader: () => ({ read: droppedRead, releaseLock: jest.fn() }) }
+        })
+        .mockResolvedValueOnce(createStreamResponse([
+          'id: 12-4:2\nevent: token\ndata: {"content":"lo"}\n\n',
+          'id: 12-4:done\nevent: done\ndata: {"message_id":9}\n\n'
+        ]));
+      apiService.baseUrl = 'http://localhost/wp-json/';
+
+      const completion = await apiService.streamMessage(
+        { message: 'Hi', conversationId: '12' },
+        { onToken }
+      );
+
+      expect(onToken.mock.calls.map(call => call[0])).toEqual(['Hel', 'lo']);
+      expect(completion).toEqual({ message_id: 9 });
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(mockFetch.mock.calls[0][1].headers['Last-Event-ID']).toBeUndefined();
+      expect(mockFetch.mock.calls[1][1].headers['Last-Event-ID']).toBe('12-4:1');
+    });
+
+    it('should not reconnect when the server never sent event ids', async () => {
+      const read = jest.fn()
+        .mockResolvedValueOnce({ done: false, value: new TextEncoder().encode('data: {"type":"chunk","content":"A"}\n\n') })
+        .mockRejectedValueOnce(new TypeError('network error'));
+
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        headers: { get: () => 'text/event-stream' },
+        body: { getReader: () => ({ read, releaseLock: jest.fn() }) }
+      });
+      apiService.baseUrl = 'http://localhost/wp-json/';
+
+      await expect(
+        apiService.streamMessage({ message: 'Hi', conversationId: '12' })
+      ).rejects.toThrow('network error');
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only treat missing SSE support as a fallback condition', () => {
+      expect(apiService.isStreamingUnsupported(new ApiError('Not found', 404))).toBe(true);
+      expect(apiService.isStreamingUnsupported(new ApiError('Method', 405))).toBe(true);
+      expect(apiService.isStreamingUnsupported(new ApiError('Forbidden', 403))).toBe(false);
+      expect(apiService.isStreamingUnsupported(new ApiError('Server', 500))).toBe(false);
+      expect(apiService.isStreamingUnsupported({ name: 'AbortError' })).toBe(false);
+    });
+  });
+
+  describe('nonce refresh', () => {
+    const jsonResponse = (body, status = 200) => ({
+      ok: status < 400,
+      status,
+      statusText: '',
+      json: jest.fn().mockResolvedValue(body)
+    });
+    const invalidNonce = () => jsonResponse({ code: 'rest_cookie_invalid_nonce', message: 'Cookie check failed' }, 403);
+
+    beforeEach(() => {
+      apiService.baseUrl = 'http://localhost/wp-json/';
+      apiService.nonce = 'stale';
+      apiService.config.retryAttempts = 1;
+    });
+
+    it('should replay a request rejected for an expired nonce with a fresh one', async () => {
+      mockFetch
+        .mockResolvedValueOnce(invalidNonce())
+        .mockResolvedValueOnce(jsonResponse({ nonce: 'fresh' }))
+        .mockResolvedValueOnce(jsonResponse({ status: 'healthy' }));
+
+      const result = await apiService.getHealth();
+
+      expect(result).toEqual({ status: 'healthy' });
+      expect(mockFetch.mock.calls[1][0]).toBe('http://localhost/wp-admin/admin-ajax.php?action=woo_ai_assistant_refresh_nonce');
+      expect(mockFetch.mock.calls[2][1].headers['X-WP-Nonce']).toBe('fresh');
+      expect(apiService.nonce).toBe('fresh');
+    });
+
+    it('should replay only once', async () => {
+      mockFetch
+        .mockResolvedValueOnce(invalidNonce())
+        .mockResolvedValueOnce(jsonResponse({ nonce: 'fresh' }))
+        .mockResolvedValueOnce(invalidNonce());
+
+      await expect(apiService.get('/health')).rejects.toMatchObject({ status: 403 });
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should load the nonce from /config when admin-ajax is unavailable', async () => {
+      mockFetch
+        .mockResolvedValueOnce(invalidNonce())
+        .mockResolvedValueOnce(jsonResponse({}, 400))
+        .mockResolvedValueOnce(jsonResponse({ nonce: 'plugin-nonce', rest_nonce: 'config-nonce' }))
+        .mockResolvedValueOnce(jsonResponse({ status: 'healthy' }));
+
+      await expect(apiService.get('/health')).resolves.toEqual({ status: 'healthy' });
+
+      expect(mockFetch.mock.calls[2][0]).toBe('http://localhost/wp-json/woo-ai-assistant/v1/config');
+      expect(mockFetch.mock.calls[2][1].headers['X-WP-Nonce']).toBeUndefined();
+      expect(mockFetch.mock.calls[3][1].headers['X-WP-Nonce']).toBe('config-nonce');
+    });
+
+    it('should keep sending the nonce with other requests while /config reloads', async () => {
+      let answerConfig;
+      let configRequested;
+      const configSent = new Promise(resolve => {
+        configRequested = resolve;
+      });
+      mockFetch
+        .mockResolvedValueOnce(invalidNonce())
+        .mockResolvedValueOnce(jsonResponse({}, 400))
+        .mockImplementationOnce(() => {
+          configRequested();
+          return new Promise(resolve => {
+            answerConfig = resolve;
+          });
+        })
+        .mockResolvedValue(jsonResponse({ success: true }));
+
+      const replayed = apiService.get('/health');
+      await configSent;
+      await apiService.get('/conversations');
+
+      expect(mockFetch.mock.calls[2][1].headers['X-WP-Nonce']).toBeUndefined();
+      expect(mockFetch.mock.calls[3][1].headers['X-WP-Nonce']).toBe('stale');
+
+      answerConfig(jsonResponse({ rest_nonce: 'config-nonce' }));
+      await expect(replayed).resolves.toEqual({ success: true });
+      expect(apiService.nonce).toBe('config-nonce');
+    });
+
+    it('should not replay with the plugin nonce from /config', async () => {
+      mockFetch
+        .mockResolvedValueOnce(invalidNonce())
+        .mockResolvedValueOnce(jsonResponse({}, 400))
+        .mockResolvedValueOnce(jsonResponse({ nonce: 'plugin-nonce' }));
+
+      await expect(apiService.get('/health')).rejects.toMatchObject({ status: 403 });
+
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+      expect(apiService.nonce).toBe('stale');
+    });
+
+    it('should share one refresh between concurrent requests', async () => {
+      mockFetch.mockImplementation(async (url, config) => {
+        if (url.includes('admin-ajax.php')) {
+          return jsonResponse({ nonce: 'fresh' });
+        }
+        return config.headers['X-WP-Nonce'] === 'stale' ? invalidNonce() : jsonResponse({ success: true });
+      });
+
+      await Promise.all([apiService.get('/health'), apiService.get('/config')]);
+
+      expect(mockFetch.mock.calls.filter(([url]) => url.includes('admin-ajax.php'))).toHaveLength(1);
+    });
+
+    it('should not refresh the nonce for other permission errors', async () => {
+      mockFetch.mockResolvedValueOnce(jsonResponse({ code: 'rest_forbidden', message: 'Sorry' }, 403));
+
+      await expect(apiService.get('/health')).rejects.toMatchObject({ status: 403 });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should restart a stream rejected for an expired nonce', async () => {
+      const read = jest.fn()
+        .mockResolvedValueOnce({ done: false, value: new TextEncoder().encode('event: done\ndata: {"message_id":5}\n\n') })
+        .mockResolvedValueOnce({ done: true, value: null });
+      mockFetch
+        .mockResolvedValueOnce(invalidNonce())
+        .mockResolvedValueOnce(jsonResponse({ nonce: 'fresh' }))
+        .mockResolvedValueOnce({
+          ok: true,
+          headers: { get: jest.fn(() => 'text/event-stream') },
+          body: { getReader: () => ({ read, releaseLock: jest.fn() }) }
+        });
+
+      const completion = await apiService.streamMessage({ message: 'Hi', conversationId: '12' }, {});
+
+      expect(completion).toEqual({ message_id: 5 });
+      expect(mockFetch.mock.calls[2][1].headers['X-WP-Nonce']).toBe('fresh');
+    });
+  });
+
+  describe('rate limiting', () => {
+    const rateLimited = (retryAfter, data = {}) => ({
+      ok: false,
+      status: 429,
+      statusText: 'Too Many Requests',
+      headers: { get: jest.fn(name => (name === 'Retry-After' ? retryAfter : null)) },
+      json: jest.fn().mockResolvedValue({ code: 'rate_limit_exceeded', message: 'Rate limit exceeded.', data })
+    });
+
+    beforeEach(() => {
+      apiService.baseUrl = 'http://localhost/wp-json/';
+    });
+
+    it('should report long Retry-After hints instead of waiting', async () => {
+      mockFetch.mockResolvedValueOnce(rateLimited('8'));
+
+      const error = await apiService.sendMessage({ message: 'Hi' }).catch(e => e);
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(apiService.getRetryAfter(error)).toBe(8000);
+      expect(apiService.getCooldown()).toBe(8000);
+      expect(apiService.getErrorMessage(error)).toBe('Too many requests. You can send again in 8s.');
+    });
+
+    it('should wait out short Retry-After hints and retry', async () => {
+      mockFetch
+        .mockResolvedValueOnce(rateLimited('2'))
+        .mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValue({ success: true }) });
+
+      const request = apiService.get('/health');
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(request).resolves.toEqual({ success: true });
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should read the wait time from the error data without a header', async () => {
+      mockFetch.mockResolvedValueOnce(rateLimited(null, { status: 429, retry_after: 30 }));
+
+      const error = await apiService.get('/health').catch(e => e);
+
+      expect(error.retryAfter).toBe(30000);
+    });
+
+    it('should notify listeners when requests are paused', async () => {
+      const onCooldownChange = jest.fn();
+      apiService.onCooldownChange(onCooldownChange);
+      mockFetch.mockResolvedValueOnce(rateLimited('10'));
+
+      await apiService.get('/health').catch(() => {});
+
+      expect(onCooldownChange).toHaveBeenCalledWith(Date.now() + 10000);
+    });
+
+    it('should apply the request rate from /config', async () => {
+      const configure = jest.spyOn(apiService.rateLimiter, 'configure');
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ rate_limiting: { requests_per_minute: 30 } })
+      });
+
+      await apiService.loadConfig();
+
+      expect(configure).toHaveBeenCalledWith({ requestsPerMinute: 30 });
+    });
+  });
+
+  describe('response caching', () => {
+    const ok = (data) => ({ ok: true, json: jest.fn().mockResolvedValue(data) });
+
+    beforeEach(() => {
+      window.sessionStorage.clear();
+      apiService.baseUrl = 'http://localhost/wp-json/';
+    });
+
+    it('should share one fetch between identical concurrent GETs', async () => {
+      mockFetch.mockResolvedValueOnce(ok({ status: 'ok' }));
+
+      const [first, second] = await Promise.all([apiService.get('/health'), apiService.get('/health')]);
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(first).toEqual({ status: 'ok' });
+      expect(second).toBe(first);
+      expect(apiService.inflightRequests.size).toBe(0);
+    });
+
+    it('should not share GETs with different parameters', async () => {
+      mockFetch.mockResolvedValue(ok({ available: true }));
+
+      await Promise.all([
+        apiService.get('/products/12/availability', { quantity: 1 }),
+        apiService.get('/products/12/availability', { quantity: 2 })
+      ]);
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should answer fresh cached responses without a request', async () => {
+      mockFetch.mockResolvedValueOnce(ok({ coupons: ['SAVE10'] }));
+
+      await apiService.get('/coupons/available');
+      const cached = await apiService.get('/coupons/available');
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(cached).toEqual({ coupons: ['SAVE10'] });
+      expect(window.sessionStorage.length).toBe(1);
+    });
+
+    it('should return stale responses and refresh them in the background', async () => {
+      mockFetch
+        .mockResolvedValueOnce(ok({ coupons: ['SAVE10'] }))
+        .mockResolvedValueOnce(ok({ coupons: ['SAVE20'] }));
+
+      await apiService.get('/coupons/available');
+      jest.advanceTimersByTime(121000);
+
+      await expect(apiService.get('/coupons/available')).resolves.toEqual({ coupons: ['SAVE10'] });
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(0);
+      await expect(apiService.get('/coupons/available')).resolves.toEqual({ coupons: ['SAVE20'] });
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should cache recommendations per request body', async () => {
+      mockFetch.mockResolvedValue(ok({ products: [] }));
+
+      await apiService.post('/products/recommendations', { context: {}, limit: 4 });
+      await apiService.post('/products/recommendations', { limit: 4, context: {} });
+      await apiService.post('/products/recommendations', { context: {}, limit: 8 });
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should drop cart-dependent responses after cart actions', async () => {
+      mockFetch.mockResolvedValue(ok({ success: true }));
+
+      await apiService.get('/coupons/available');
+      await apiService.post('/actions/apply-coupon', { coupon_code: 'SAVE10' });
+      await apiService.get('/coupons/available');
+
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not cache a response requested before a cart action', async () => {
+      let resolveCoupons;
+      mockFetch
+        .mockReturnValueOnce(new Promise(resolve => { resolveCoupons = resolve; }))
+        .mockResolvedValueOnce(ok({ success: true }))
+        .mockResolvedValueOnce(ok({ coupons: ['SAVE20'] }));
+
+      const outdated = apiService.get('/coupons/available');
+      await apiService.post('/actions/apply-coupon', { coupon_code: 'SAVE10' });
+      const current = apiService.get('/coupons/available');
+
+      resolveCoupons(ok({ coupons: ['SAVE10'] }));
+      await expect(outdated).resolves.toEqual({ coupons: ['SAVE10'] });
+      await expect(current).resolves.toEqual({ coupons: ['SAVE20'] });
+
+      await expect(apiService.get('/coupons/available')).resolves.toEqual({ coupons: ['SAVE20'] });
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should skip the cache when asked', async () => {
+      mockFetch.mockResolvedValue(ok({ coupons: [] }));
+
+      await apiService.get('/coupons/available');
+      await apiService.get('/coupons/available', {}, { skipCache: true });
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should let one caller stop waiting without cancelling the shared fetch', async () => {
+      let resolveFetch;
+      mockFetch.mockReturnValueOnce(new Promise(resolve => { resolveFetch = resolve; }));
+      const listeners = [];
+      const signal = {
+        aborted: false,
+        addEventListener: jest.fn((type, listener) => listeners.push(listener)),
+        removeEventListener: jest.fn()
+      };
+
+      const aborted = apiService.get('/health', {}, { signal });
+      const waiting = apiService.get('/health');
+      listeners.forEach(listener => listener());
+
+      await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+
+      resolveFetch(ok({ status: 'ok' }));
+      await expect(waiting).resolves.toEqual({ status: 'ok' });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('network error detection', () => {
+    it('should detect fetch failures wrapped by high-level methods', () => {
+      const wrapped = new ApiError('Failed to send message', 500, new TypeError('Failed to fetch'));
+
+      expect(apiService.isNetworkError(wrapped)).toBe(true);
+    });
+
+    it('should detect timeouts and gateway errors', () => {
+      expect(apiService.isNetworkError({ name: 'AbortError' })).toBe(true);
+      expect(apiService.isNetworkError(new ApiError('Unavailable', 503))).toBe(true);
+      expect(apiService.isNetworkError(new ApiError('Bad gateway', 502))).toBe(true);
+    });
+
+    it('should not treat backend rejections as network errors', () => {
+      expect(apiService.isNetworkError(new ApiError('Bad request', 400, { code: 'invalid' }))).toBe(false);
+      expect(apiService.isNetworkError(new ApiError('Server', 500, { code: 'error' }))).toBe(false);
+    });
+
+    it('should treat the browser being offline as a network error', () => {
+      const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+      expect(apiService.isNetworkError(new ApiError('Server', 500))).toBe(true);
+
+      onLine.mockRestore();
+    });
   });
 });
 
@@ -835,3 +1563,62 @@ describe('HTTP_STATUS constants', () => {
     expect(HTTP_STATUS.SERVICE_UNAVAILABLE).toBe(503);
   });
 });
+
+describe('EventStreamParser', () => {
+  const parse = (chunks) => {
+    const events = [];
+    const parser = new EventStreamParser(event => events.push(event));
+    chunks.forEach(chunk => parser.feed(chunk));
+    return { events, parser };
+  };
+
+  it('should buffer data lines split across chunks', () => {
+    const { events } = parse(['da', 'ta: {"content":', '"Hello"}', '\n', '\n']);
+
+    expect(events).toEqual([{ type: 'message', data: '{"content":"Hello"}', id: '' }]);
+  });
+
+  it('should join multi-line data fields with newlines', () => {
+    const { events } = parse(['data: first\ndata: second\ndata\n\n']);
+
+    expect(events[0].data).toBe('first\nsecond\n');
+  });
+
+  it('should read event, id and retry fields', () => {
+    const { events, parser } = parse(['retry: 2500\nid: 7\nevent: token\ndata: x\n\n']);
+
+    expect(events).toEqual([{ type: 'token', data: 'x', id: '7' }]);
+    expect(parser.retry).toBe(2500);
+    expect(parser.lastEventId).toBe('7');
+  });
+
+  it('should keep the last event id for following events', () => {
+    const { events } = parse(['id: 3\ndata: a\n\ndata: b\n\n']);
+
+    expect(events.map(event => event.id)).toEqual(['3', '3']);
+  });
+
+  it('should handle CRLF and CR line endings, including CRLF split across chunks', () => {
+    const { events } = parse(['data: a\r', '\n\r\ndata: b\r\r', '\n']);
+
+    expect(events.map(event => event.data)).toEqual(['a', 'b']);
+  });
+
+  it('should ignore comments, unknown fields and events without data', () => {
+    const { events, parser } = parse([': keep-alive\n\nfoo: bar\nevent: token\n\nretry: soon\ndata: z\n\n']);
+
+    expect(events).toEqual([{ type: 'message', data: 'z', id: '' }]);
+    expect(parser.retry).toBeNull();
+  });
+
+  it('should discard a partial event on reset', () => {
+    const events = [];
+    const parser = new EventStreamParser(event => events.push(event));
+
+    parser.feed('event: token\ndata: partial');
+    parser.reset();
+    parser.feed('data: fresh\n\n');
+
+    expect(events).toEqual([{ type: 'message', data: 'fresh', id: '' }]);
+  });
+});
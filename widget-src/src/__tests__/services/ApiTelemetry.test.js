@@ -0,0 +1,271 @@
+/**
+ * API Telemetry Tests
+ *
+ * Tests for error classification, route labels, aggregation and batching of
+ * the widget API telemetry, and for how ApiService feeds it.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import ApiTelemetry, {
+  classifyError,
+  describeRequest,
+  ERROR_CLASSES,
+  METRICS_ENDPOINT
+} from '../../services/ApiTelemetry';
+import { ApiServiceClass } from '../../services/ApiService';
+import { ApiError } from '../../services/ApiError';
+import { installFakeBackend } from '../utils/fakeBackend';
+
+const NAMESPACE = 'woo-ai-assistant/v1';
+
+describe('ApiTelemetry', () => {
+  let api;
+  let telemetry;
+
+  const request = (overrides = {}) => ({
+    route: '/chat/message',
+    method: 'POST',
+    transport: 'rest',
+    kind: 'request',
+    duration: 300,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    api = {
+      config: { namespace: NAMESPACE },
+      post: jest.fn().mockResolvedValue({ success: true }),
+      buildUrl: jest.fn(endpoint => `http://shop.test/wp-json/${NAMESPACE}${endpoint}`)
+    };
+    telemetry = new ApiTelemetry(api);
+  });
+
+  afterEach(() => {
+    telemetry.stop();
+  });
+
+  describe('classifyError', () => {
+    it.each([
+      ['timeouts', Object.assign(new Error('aborted'), { name: 'AbortError' }), ERROR_CLASSES.TIMEOUT],
+      ['failed fetches', new TypeError('Failed to fetch'), ERROR_CLASSES.NETWORK],
+      ['429 responses', new ApiError('Slow down', 429), ERROR_CLASSES.RATE_LIMITED],
+      ['rejected nonces', new ApiError('Cookie check failed', 403, { code: 'rest_cookie_invalid_nonce' }), ERROR_CLASSES.AUTH],
+      ['other 4xx responses', new ApiError('Missing parameter', 400, { code: 'rest_missing_callback_param' }), ERROR_CLASSES.CLIENT],
+      ['bodies that are not JSON', new ApiError('Invalid JSON response', 500, new SyntaxError('Unexpected token <')), ERROR_CLASSES.INVALID_RESPONSE],
+      ['streams closed early', new ApiError('Stream closed before completion', 503), ERROR_CLASSES.STREAM_INTERRUPTED],
+      ['hosts without streaming', new ApiError('Streaming is not supported', 501, { code: 'stream_unsupported' }), ERROR_CLASSES.UNSUPPORTED],
+      ['5xx responses', new ApiError('Internal error', 500, { code: 'internal_server_error' }), ERROR_CLASSES.SERVER],
+      ['wrapped errors', new ApiError('Failed to send message', 429, new ApiError('Slow down', 429)), ERROR_CLASSES.RATE_LIMITED]
+    ])('classifies %s', (label, error, errorClass) => {
+      expect(classifyError(error)).toBe(errorClass);
+    });
+  });
+
+  describe('describeRequest', () => {
+    it('reads pretty permalink routes and collapses ids', () => {
+      expect(describeRequest(`http://shop.test/wp-json/${NAMESPACE}/chat/conversation/42`, { method: 'GET' }, NAMESPACE))
+        .toEqual({ route: '/chat/conversation/:id', method: 'GET', transport: 'rest' });
+    });
+
+    it('reads plain permalink routes', () => {
+      const url = `http://shop.test/?rest_route=/${NAMESPACE}/products/7/availability&quantity=2`;
+
+      expect(describeRequest(url, { method: 'GET' }, NAMESPACE))
+        .toEqual({ route: '/products/:id/availability', method: 'GET', transport: 'rest' });
+    });
+
+    it('reads the route and method of admin-ajax envelopes', () => {
+      const config = { method: 'POST', body: JSON.stringify({ route: `/${NAMESPACE}/actions/remove-coupon`, method: 'DELETE' }) };
+
+      expect(describeRequest('http://shop.test/wp-admin/admin-ajax.php?action=woo_ai_assistant_rest', config, NAMESPACE))
+        .toEqual({ route: '/actions/remove-coupon', method: 'DELETE', transport: 'ajax' });
+    });
+  });
+
+  describe('collection', () => {
+    it('is off until configured', () => {
+      telemetry.record = jest.fn();
+      telemetry.recordRequest(`http://shop.test/wp-json/${NAMESPACE}/health`, { method: 'GET' }, { duration: 10 });
+
+      expect(telemetry.isEnabled()).toBe(false);
+      expect(telemetry.record).not.toHaveBeenCalled();
+    });
+
+    it('only measures the sampled share of page views', () => {
+      telemetry.draw = 0.6;
+
+      telemetry.configure({ enabled: true, sample_rate: 0.5 });
+      expect(telemetry.isEnabled()).toBe(false);
+
+      telemetry.configure({ sample_rate: 0.75 });
+      expect(telemetry.isEnabled()).toBe(true);
+    });
+
+    it('aggregates samples per route into histograms', () => {
+      telemetry.configure({ enabled: true });
+
+      telemetry.record(request({ duration: 80 }));
+      telemetry.record(request({ duration: 700, retries: 2, error: new ApiError('Internal error', 500) }));
+      telemetry.record(request({ duration: 50000, cancelled: true }));
+      telemetry.record(request({ route: '/chat/stream', kind: 'stream', transport: 'sse', duration: 4000, ttft: 900 }));
+
+      const [messages, stream] = telemetry.getEntries();
+
+      expect(messages).toMatchObject({
+        route: '/chat/message',
+        count: 3,
+        cancelled: 1,
+        retries: 2,
+        errors: { server: 1 },
+        latency: { count: 2, sum: 780, max: 700, buckets: [1, 0, 0, 1, 0, 0, 0, 0, 0] }
+      });
+      expect(stream).toMatchObject({
+        kind: 'stream',
+        latency: { count: 1, buckets: [0, 0, 0, 0, 0, 1, 0, 0, 0] },
+        ttft: { count: 1, sum: 900, buckets: [0, 0, 0, 1, 0, 0, 0, 0, 0] }
+      });
+    });
+
+    it('never measures its own batches', () => {
+      telemetry.configure({ enabled: true });
+
+      telemetry.recordRequest(`http://shop.test/wp-json/${NAMESPACE}${METRICS_ENDPOINT}`, { method: 'POST' }, { duration: 10 });
+
+      expect(telemetry.getEntries()).toEqual([]);
+    });
+  });
+
+  describe('batching', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('sends a batch once the flush interval has passed', async () => {
+      telemetry.configure({ enabled: true, flush_interval: 30 });
+      telemetry.record(request());
+
+      jest.advanceTimersByTime(29999);
+      expect(api.post).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await Promise.resolve();
+
+      expect(api.post).toHaveBeenCalledWith(METRICS_ENDPOINT, {
+        metrics: [expect.objectContaining({ route: '/chat/message', count: 1 })]
+      }, { priority: 'low' });
+      expect(telemetry.getEntries()).toEqual([]);
+    });
+
+    it('sends a batch right away when it is full', () => {
+      telemetry.configure({ enabled: true, batch_size: 3 });
+
+      telemetry.record(request());
+      telemetry.record(request());
+      expect(api.post).not.toHaveBeenCalled();
+
+      telemetry.record(request({ route: '/health', method: 'GET' }));
+      expect(api.post).toHaveBeenCalledTimes(1);
+      expect(api.post.mock.calls[0][1].metrics).toHaveLength(2);
+    });
+
+    it('drops batches the backend does not accept', async () => {
+      api.post.mockRejectedValueOnce(new ApiError('No route', 404, { code: 'rest_no_route' }));
+      telemetry.configure({ enabled: true });
+      telemetry.record(request());
+
+      await expect(telemetry.flush()).resolves.toBe(false);
+      expect(telemetry.getEntries()).toEqual([]);
+    });
+
+    it('hands the batch to sendBeacon when the page is hidden', () => {
+      navigator.sendBeacon = jest.fn().mockReturnValue(true);
+      telemetry.configure({ enabled: true });
+      telemetry.record(request());
+
+      window.dispatchEvent(new Event('pagehide'));
+
+      expect(navigator.sendBeacon).toHaveBeenCalledWith(
+        `http://shop.test/wp-json/${NAMESPACE}${METRICS_ENDPOINT}`,
+        expect.any(Blob)
+      );
+      expect(api.post).not.toHaveBeenCalled();
+      expect(telemetry.getEntries()).toEqual([]);
+
+      delete navigator.sendBeacon;
+    });
+  });
+});
+
+describe('ApiService telemetry', () => {
+  let backend;
+  let apiService;
+
+  const entryFor = (route) => apiService.telemetry.getEntries().find(entry => entry.route === route);
+
+  beforeEach(async () => {
+    backend = installFakeBackend({ streamRetry: 5, requestsPerMinute: 6000 });
+    apiService = new ApiServiceClass();
+    await apiService.initialize({ restUrl: 'http://localhost/wp-json/', config: { retryDelay: 1 } });
+    apiService.telemetry.clear();
+  });
+
+  afterEach(() => {
+    apiService.telemetry.stop();
+    backend.uninstall();
+  });
+
+  it('is enabled by /config', () => {
+    expect(apiService.telemetry.isEnabled()).toBe(true);
+  });
+
+  it('records latency, retries and error classes of requests', async () => {
+    backend.useScenario('server-error', { route: '/actions/cart' });
+
+    await expect(apiService.get('/actions/cart')).rejects.toThrow();
+    await apiService.get('/health');
+
+    expect(entryFor('/actions/cart')).toMatchObject({
+      method: 'GET',
+      kind: 'request',
+      transport: 'rest',
+      count: 1,
+      retries: 2,
+      errors: { server: 1 }
+    });
+    expect(entryFor('/health')).toMatchObject({ count: 1, retries: 0, errors: {} });
+  });
+
+  it('records time to first token and reconnects of streams', async () => {
+    const { data } = await apiService.startConversation();
+    backend.queueReply('One two three four');
+    backend.useScenario('malformed-sse', { times: 1 });
+
+    await apiService.streamMessage({ message: 'Count', conversationId: data.conversation_id });
+
+    expect(entryFor('/chat/stream')).toMatchObject({
+      kind: 'stream',
+      transport: 'sse',
+      count: 1,
+      retries: 1,
+      errors: {},
+      ttft: { count: 1 },
+      latency: { count: 1 }
+    });
+  });
+
+  it('delivers batches to the analytics route', async () => {
+    await apiService.get('/health');
+
+    await expect(apiService.telemetry.flush()).resolves.toBe(true);
+
+    expect(backend.metrics).toEqual([expect.objectContaining({ route: '/health', method: 'GET', count: 1 })]);
+    expect(apiService.telemetry.getEntries()).toEqual([]);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Cart Store Tests
+ *
+ * Tests for reading the cart, announcing widget changes to the theme and
+ * following the WooCommerce, fragment and Blocks cart events.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import cartStore, { CartStore } from '../../services/CartStore';
+import { useCart } from '../../hooks/useCart';
+import apiService from '../../services/ApiService';
+
+jest.mock('../../services/ApiService', () => ({
+  get: jest.fn(),
+  getErrorMessage: jest.fn((error) => error.message || 'Unknown error'),
+  isAbortError: jest.fn((error) => error?.name === 'AbortError')
+}));
+
+const cartResponse = (quantity = 1) => ({
+  success: true,
+  data: {
+    items: [{
+      key: 'abc',
+      product_id: 101,
+      quantity,
+      line_total: 79 * quantity,
+      product: { name: 'Merino Hoodie', price: '79' }
+    }],
+    items_count: quantity,
+    totals: { subtotal: 79 * quantity, total: 79 * quantity, currency: 'EUR' },
+    coupons: [],
+    cart_hash: `hash-${quantity}`
+  }
+});
+
+describe('CartStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    apiService.get.mockResolvedValue(cartResponse());
+    store = new CartStore();
+  });
+
+  afterEach(() => {
+    store.disconnect();
+    delete window.jQuery;
+    delete window.wp;
+    jest.useRealTimers();
+  });
+
+  describe('reading the cart', () => {
+    it('stores the normalized cart and tells subscribers', async () => {
+      const listener = jest.fn();
+      store.subscribe(listener);
+
+      const cart = await store.refresh();
+
+      expect(apiService.get).toHaveBeenCalledWith('/actions/cart', {}, {});
+      expect(cart).toMatchObject({ itemCount: 1, totals: { total: 79 }, items: [{ key: 'abc', quantity: 1 }] });
+      expect(store.getState()).toMatchObject({ cart, isLoading: false, error: null });
+      expect(listener).toHaveBeenLastCalledWith(store.getState());
+    });
+
+    it('keeps the latest of overlapping reads', async () => {
+      let answerFirst;
+      apiService.get
+        .mockReturnValueOnce(new Promise(resolve => { answerFirst = resolve; }))
+        .mockResolvedValueOnce(cartResponse(3));
+
+      const first = store.refresh();
+      await store.refresh();
+      answerFirst(cartResponse(1));
+      await first;
+
+      expect(store.getCart().itemCount).toBe(3);
+    });
+
+    it('keeps the last cart when a read fails', async () => {
+      await store.refresh();
+      apiService.get.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(store.refresh()).rejects.toThrow('Network error');
+
+      expect(store.getState()).toMatchObject({ cart: { itemCount: 1 }, isLoading: false, error: 'Network error' });
+    });
+
+    it('rejects carts it cannot read', async () => {
+      apiService.get.mockResolvedValueOnce({ success: true, data: { items: [] } });
+
+      await expect(store.refresh()).rejects.toMatchObject({ status: 500 });
+      expect(store.getCart()).toBeNull();
+    });
+  });
+
+  describe('changes made by the widget', () => {
+    it('asks the mini-cart and the cart blocks to reload', async () => {
+      const trigger = jest.fn();
+      const invalidateResolutionForStore = jest.fn();
+      window.jQuery = jest.fn(() => ({ trigger }));
+      window.wp = { data: { dispatch: jest.fn(() => ({ invalidateResolutionForStore })) } };
+
+      await expect(store.sync()).resolves.toMatchObject({ itemCount: 1 });
+
+      expect(window.jQuery).toHaveBeenCalledWith(document.body);
+      expect(trigger).toHaveBeenCalledWith('wc_fragment_refresh');
+      expect(window.wp.data.dispatch).toHaveBeenCalledWith('wc/store/cart');
+      expect(invalidateResolutionForStore).toHaveBeenCalled();
+    });
+
+    it('does not read the cart again when the theme shows the cart just read', async () => {
+      let blocksCart = { items: [{ key: 'abc', quantity: 1 }], totals: { total_price: '7900' }, coupons: [] };
+      let onStoreChange;
+      window.wp = {
+        data: {
+          dispatch: jest.fn(() => ({ invalidateResolutionForStore: jest.fn() })),
+          select: jest.fn(() => ({ getCartData: () => blocksCart })),
+          subscribe: jest.fn((listener) => {
+            onStoreChange = listener;
+            return jest.fn();
+          })
+        }
+      };
+      store.connect();
+
+      apiService.get.mockResolvedValueOnce(cartResponse(2));
+      await store.sync();
+      expect(apiService.get).toHaveBeenCalledTimes(1);
+
+      // The theme reloads the cart sync() read
+      document.cookie = 'woocommerce_cart_hash=hash-2';
+      document.body.dispatchEvent(new Event('wc_fragments_refreshed'));
+      blocksCart = { ...blocksCart, items: [{ key: 'abc', quantity: 2 }], totals: { total_price: '15800' } };
+      onStoreChange();
+      await jest.advanceTimersByTimeAsync(250);
+      expect(apiService.get).toHaveBeenCalledTimes(1);
+
+      // The shopper changes the cart on the page
+      blocksCart = { ...blocksCart, items: [{ key: 'abc', quantity: 3 }], totals: { total_price: '23700' } };
+      onStoreChange();
+      await jest.advanceTimersByTimeAsync(250);
+      expect(apiService.get).toHaveBeenCalledTimes(2);
+
+      document.cookie = 'woocommerce_cart_hash=hash-3';
+      document.body.dispatchEvent(new Event('wc_fragments_refreshed'));
+      await jest.advanceTimersByTimeAsync(250);
+      expect(apiService.get).toHaveBeenCalledTimes(3);
+
+      document.cookie = 'woocommerce_cart_hash=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+    });
+
+    it('does not fail the action when the cart cannot be read', async () => {
+      apiService.get.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(store.sync()).resolves.toBeNull();
+    });
+  });
+
+  describe('changes made by the theme', () => {
+    it('reads the cart once a burst of WooCommerce events is over', async () => {
+      store.connect();
+
+      document.body.dispatchEvent(new Event('added_to_cart'));
+      document.body.dispatchEvent(new Event('wc-blocks_added_to_cart'));
+      await jest.advanceTimersByTimeAsync(100);
+      document.body.dispatchEvent(new Event('wc_fragments_refreshed'));
+
+      await jest.advanceTimersByTimeAsync(249);
+      expect(apiService.get).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(apiService.get).toHaveBeenCalledTimes(1);
+      expect(store.getCart()).not.toBeNull();
+    });
+
+    it('listens through jQuery where WooCommerce triggers its events', () => {
+      const on = jest.fn();
+      const off = jest.fn();
+      window.jQuery = jest.fn(() => ({ on, off }));
+
+      store.connect();
+      const [events, handler] = on.mock.calls[0];
+      store.disconnect();
+
+      expect(events.split(' ')).toEqual(expect.arrayContaining(['added_to_cart', 'wc_fragments_refreshed']));
+      expect(off).toHaveBeenCalledWith(events, handler);
+    });
+
+    it('follows the contents of the Blocks cart store', async () => {
+      let blocksCart = { items: [{ key: 'abc', quantity: 1 }], totals: { total_price: '7900' }, coupons: [] };
+      let onStoreChange;
+      window.wp = {
+        data: {
+          select: jest.fn(() => ({ getCartData: () => blocksCart })),
+          subscribe: jest.fn((listener) => {
+            onStoreChange = listener;
+            return jest.fn();
+          })
+        }
+      };
+
+      store.connect();
+
+      // Other data stores changing
+      onStoreChange();
+      await jest.advanceTimersByTimeAsync(250);
+      expect(apiService.get).not.toHaveBeenCalled();
+
+      blocksCart = { ...blocksCart, items: [{ key: 'abc', quantity: 2 }], totals: { total_price: '15800' } };
+      onStoreChange();
+      await jest.advanceTimersByTimeAsync(250);
+      expect(apiService.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops following the theme when disconnected', async () => {
+      store.connect();
+      store.disconnect();
+
+      document.body.dispatchEvent(new Event('removed_from_cart'));
+      await jest.advanceTimersByTimeAsync(250);
+
+      expect(apiService.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('useCart', () => {
+    afterEach(() => {
+      cartStore.reset();
+    });
+
+    it('renders the cart of the shared store', async () => {
+      const { result } = renderHook(() => useCart());
+      expect(result.current.cart).toBeNull();
+
+      await act(async () => {
+        await cartStore.refresh();
+      });
+
+      expect(result.current.cart).toMatchObject({ itemCount: 1 });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Chat Transport Tests
+ *
+ * Tests for choosing between the REST, SSE, WebSocket and admin-ajax
+ * transports and falling back when one of them is blocked.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import { ApiServiceClass, ApiError } from '../../services/ApiService';
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  json: jest.fn().mockResolvedValue(body)
+});
+
+const htmlResponse = (status) => ({
+  ok: false,
+  status,
+  statusText: 'Forbidden',
+  json: jest.fn().mockRejectedValue(new SyntaxError('Unexpected token <'))
+});
+
+const eventStreamResponse = (text) => {
+  const chunks = [new Uint8Array(Buffer.from(text, 'utf8'))];
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => 'text/event-stream' },
+    body: {
+      getReader: () => ({
+        read: jest.fn(async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true })),
+        releaseLock: jest.fn()
+      })
+    }
+  };
+};
+
+describe('ChatTransport', () => {
+  let apiService;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    apiService = new ApiServiceClass();
+    apiService.baseUrl = 'http://localhost/wp-json/';
+    apiService.config.retryAttempts = 1;
+
+    global.TextDecoder = jest.fn(() => ({
+      decode: jest.fn((buffer) => Buffer.from(buffer).toString('utf8'))
+    }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('Requests', () => {
+    it('uses REST by default', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ status: 'healthy' }));
+
+      await expect(apiService.getHealth()).resolves.toEqual({ status: 'healthy' });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://localhost/wp-json/woo-ai-assistant/v1/health',
+        expect.objectContaining({ method: 'GET' })
+      );
+      expect(apiService.transport.getActiveTransport()).toBe('rest');
+    });
+
+    it('falls back to admin-ajax when a firewall blocks /wp-json/', async () => {
+      apiService.transport.configure({ ajax_url: 'http://localhost/wp-admin/admin-ajax.php' });
+      global.fetch
+        .mockResolvedValueOnce(htmlResponse(403))
+        .mockResolvedValueOnce(jsonResponse({ success: true, data: { conversation_id: 12 } }));
+
+      const response = await apiService.startConversation({ context: { page: '/shop' } });
+
+      expect(response.data.conversation_id).toBe(12);
+      const [url, config] = global.fetch.mock.calls[1];
+      expect(url).toBe('http://localhost/wp-admin/admin-ajax.php?action=woo_ai_assistant_rest');
+      expect(config.method).toBe('POST');
+      expect(JSON.parse(config.body)).toEqual({
+        route: '/woo-ai-assistant/v1/chat/conversation',
+        method: 'POST',
+        params: {},
+        data: { context: { page: '/shop' }, user_id: null }
+      });
+      expect(apiService.transport.getActiveTransport()).toBe('ajax');
+    });
+
+    it('guesses admin-ajax.php next to the REST root of subdirectory installs', () => {
+      const ajax = apiService.transport.transports.ajax;
+
+      apiService.baseUrl = 'http://localhost/blog/wp-json/';
+      expect(ajax.getUrl()).toBe('http://localhost/blog/wp-admin/admin-ajax.php');
+
+      apiService.baseUrl = 'http://localhost/blog/index.php?rest_route=/';
+      expect(ajax.getUrl()).toBe('http://localhost/blog/wp-admin/admin-ajax.php');
+    });
+
+    it('keeps using admin-ajax once REST turned out to be blocked', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({ code: 'rest_disabled', message: 'The REST API is disabled' }, 401))
+        .mockResolvedValue(jsonResponse({ status: 'healthy' }));
+
+      await apiService.getHealth();
+      await apiService.getHealth();
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(global.fetch.mock.calls[2][0]).toContain('admin-ajax.php');
+    });
+
+    it('does not fall back on errors returned by the plugin endpoints', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ code: 'conversation_not_found', message: 'Not found' }, 404));
+
+      await expect(apiService.getConversation('12')).rejects.toMatchObject({ status: 404 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('follows the transport order from /config', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({
+          nonce: 'abc',
+          transports: { preferred: ['ajax', 'rest'], ajax_url: 'http://localhost/sub/wp-admin/admin-ajax.php' }
+        }))
+        .mockResolvedValueOnce(jsonResponse({ status: 'healthy' }));
+
+      await apiService.loadConfig();
+      await apiService.getHealth();
+
+      expect(global.fetch.mock.calls[1][0]).toBe('http://localhost/sub/wp-admin/admin-ajax.php?action=woo_ai_assistant_rest');
+    });
+  });
+
+  describe('Streams', () => {
+    it('streams over SSE', async () => {
+      global.fetch.mockResolvedValueOnce(eventStreamResponse(
+        'event: token\ndata: {"content":"Hi"}\n\nevent: done\ndata: {"message_id":5}\n\n'
+      ));
+      const onToken = jest.fn();
+
+      const completion = await apiService.streamMessage({ message: 'Hello', conversationId: '12' }, { onToken });
+
+      expect(onToken).toHaveBeenCalledWith('Hi', { content: 'Hi' });
+      expect(completion).toEqual({ message_id: 5 });
+      expect(apiService.transport.getActiveTransport('stream')).toBe('sse');
+    });
+
+    it('reports streams as unsupported when every streaming transport is blocked', async () => {
+      global.fetch.mockResolvedValueOnce(htmlResponse(403));
+
+      const error = await apiService.streamMessage({ message: 'Hello', conversationId: '12' }, {}).catch(e => e);
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(apiService.isStreamingUnsupported(error)).toBe(true);
+    });
+
+    it('does not retry a stream on another transport after tokens arrived', async () => {
+      const transport = apiService.transport;
+      const failing = {
+        name: 'websocket',
+        isAvailable: () => true,
+        stream: jest.fn(async ({ onEvent }) => {
+          onEvent({ type: 'token', payload: { content: 'Hi' } });
+          throw new ApiError('Gone', 403, null);
+        })
+      };
+      transport.transports.websocket = failing;
+
+      await expect(apiService.streamMessage({ message: 'Hello', conversationId: '12' }, {})).rejects.toMatchObject({ status: 403 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
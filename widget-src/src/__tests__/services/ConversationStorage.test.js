@@ -0,0 +1,96 @@
+/**
+ * Conversation Storage Tests
+ *
+ * Tests for persisting conversations across page loads, including
+ * storage modes, expiry and message filtering.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import ConversationStorage, { STORAGE_MODES } from '../../services/ConversationStorage';
+
+describe('ConversationStorage', () => {
+  const messages = [
+    { id: 'msg_1', type: 'assistant', content: 'Hi!' },
+    { id: 'msg_2', type: 'user', content: 'Do you ship to Italy?' },
+    { id: 'msg_3', type: 'assistant', content: 'Yes we do.' }
+  ];
+
+  beforeEach(() => {
+    window.sessionStorage.clear();
+    window.localStorage.clear();
+  });
+
+  it('saves and loads conversations from session storage by default', () => {
+    const storage = new ConversationStorage();
+
+    expect(storage.save({ conversationId: '12', sessionId: 'sess_abc', messages })).toBe(true);
+    expect(window.sessionStorage.getItem('wooAiAssistant:conversation:guest')).not.toBeNull();
+
+    expect(storage.load()).toMatchObject({
+      conversationId: '12',
+      sessionId: 'sess_abc',
+      messages
+    });
+  });
+
+  it('uses local storage when configured', () => {
+    const storage = new ConversationStorage({ storage: STORAGE_MODES.LOCAL, visitorKey: 'user_7' });
+
+    storage.save({ conversationId: '12', messages });
+
+    expect(window.localStorage.getItem('wooAiAssistant:conversation:user_7')).not.toBeNull();
+    expect(window.sessionStorage.length).toBe(0);
+  });
+
+  it('keeps nothing when persistence is disabled', () => {
+    const storage = new ConversationStorage({ storage: STORAGE_MODES.NONE });
+
+    expect(storage.isEnabled()).toBe(false);
+    expect(storage.save({ conversationId: '12', messages })).toBe(false);
+    expect(storage.load()).toBeNull();
+  });
+
+  it('keeps conversations separate per visitor', () => {
+    new ConversationStorage({ visitorKey: 'user_7' }).save({ conversationId: '12', messages });
+
+    expect(new ConversationStorage({ visitorKey: 'user_8' }).load()).toBeNull();
+    expect(new ConversationStorage({ visitorKey: 'user_7' }).load().conversationId).toBe('12');
+  });
+
+  it('drops expired conversations', () => {
+    const storage = new ConversationStorage({ expiryMinutes: 5 });
+    storage.save({ conversationId: '12', messages });
+
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 6 * 60 * 1000);
+
+    expect(storage.load()).toBeNull();
+    expect(window.sessionStorage.getItem('wooAiAssistant:conversation:guest')).toBeNull();
+
+    nowSpy.mockRestore();
+  });
+
+  it('skips error and in-progress messages and keeps the most recent ones', () => {
+    const storage = new ConversationStorage({ maxMessages: 2 });
+
+    storage.save({
+      conversationId: '12',
+      messages: [
+        ...messages,
+        { id: 'msg_4', type: 'error', content: 'Sorry', error: new Error('x') },
+        { id: 'msg_5', type: 'assistant', content: 'Typing...', metadata: { isStreaming: true } }
+      ]
+    });
+
+    expect(storage.load().messages.map(message => message.id)).toEqual(['msg_2', 'msg_3']);
+  });
+
+  it('recovers from corrupted entries', () => {
+    window.sessionStorage.setItem('wooAiAssistant:conversation:guest', '{not json');
+
+    expect(new ConversationStorage().load()).toBeNull();
+    expect(window.sessionStorage.getItem('wooAiAssistant:conversation:guest')).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Message Outbox Tests
+ *
+ * Tests for queueing, ordered delivery and connectivity handling
+ * of outgoing chat messages.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import MessageOutbox, { MESSAGE_STATUS } from '../../services/MessageOutbox';
+import apiService from '../../services/ApiService';
+
+// Mock the API service
+jest.mock('../../services/ApiService', () => ({
+  getHealth: jest.fn(),
+  isNetworkError: jest.fn((error) => error instanceof TypeError)
+}));
+
+describe('MessageOutbox', () => {
+  let outbox;
+  let send;
+  let onStatusChange;
+  let onConnectivityChange;
+
+  const statusesOf = (id) => onStatusChange.mock.calls
+    .filter(([messageId]) => messageId === id)
+    .map(([, status]) => status);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    send = jest.fn().mockResolvedValue();
+    onStatusChange = jest.fn();
+    onConnectivityChange = jest.fn();
+    outbox = new MessageOutbox({
+      send,
+      onStatusChange,
+      onConnectivityChange,
+      healthCheckInterval: 1000
+    }).start();
+  });
+
+  afterEach(() => {
+    outbox.stop();
+    jest.useRealTimers();
+  });
+
+  it('sends queued messages and reports them as sent', async () => {
+    await outbox.enqueue({ id: 'msg_1', content: 'Hi' });
+
+    expect(send).toHaveBeenCalledWith({ id: 'msg_1', content: 'Hi' });
+    expect(statusesOf('msg_1')).toEqual([MESSAGE_STATUS.PENDING, MESSAGE_STATUS.SENT]);
+    expect(outbox.getPendingCount()).toBe(0);
+  });
+
+  it('marks messages rejected by the backend as failed and continues', async () => {
+    const rejection = new Error('Message is too long');
+    send.mockRejectedValueOnce(rejection);
+
+    await outbox.enqueue({ id: 'msg_1', content: 'Hi' });
+    await outbox.enqueue({ id: 'msg_2', content: 'Hello' });
+
+    expect(onStatusChange).toHaveBeenCalledWith('msg_1', MESSAGE_STATUS.FAILED, rejection);
+    expect(statusesOf('msg_2')).toEqual([MESSAGE_STATUS.PENDING, MESSAGE_STATUS.SENT]);
+    expect(outbox.isOnline()).toBe(true);
+  });
+
+  it('holds the queue on network errors and resends in order once healthy', async () => {
+    send.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await outbox.enqueue({ id: 'msg_1', content: 'First' });
+    await outbox.enqueue({ id: 'msg_2', content: 'Second' });
+
+    expect(outbox.isOnline()).toBe(false);
+    expect(onConnectivityChange).toHaveBeenCalledWith(false);
+    expect(outbox.getPendingCount()).toBe(2);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    // Health checks fail until the backend is back
+    apiService.getHealth.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(outbox.isOnline()).toBe(false);
+
+    apiService.getHealth.mockResolvedValue({ status: 'ok' });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(outbox.isOnline()).toBe(true);
+    expect(onConnectivityChange).toHaveBeenLastCalledWith(true);
+    expect(send.mock.calls.slice(1).map(([item]) => item.id)).toEqual(['msg_1', 'msg_2']);
+    expect(outbox.getPendingCount()).toBe(0);
+  });
+
+  it('goes offline with the browser and checks health when it comes back', async () => {
+    window.dispatchEvent(new Event('offline'));
+    expect(outbox.isOnline()).toBe(false);
+
+    await outbox.enqueue({ id: 'msg_1', content: 'Hi' });
+    expect(send).not.toHaveBeenCalled();
+    expect(statusesOf('msg_1')).toEqual([MESSAGE_STATUS.PENDING]);
+
+    apiService.getHealth.mockResolvedValue({ status: 'ok' });
+    window.dispatchEvent(new Event('online'));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(apiService.getHealth).toHaveBeenCalled();
+    expect(statusesOf('msg_1')).toEqual([MESSAGE_STATUS.PENDING, MESSAGE_STATUS.SENT]);
+  });
+
+  it('does not queue the same message twice', async () => {
+    window.dispatchEvent(new Event('offline'));
+
+    await outbox.enqueue({ id: 'msg_1', content: 'Hi' });
+    await outbox.enqueue({ id: 'msg_1', content: 'Hi' });
+
+    expect(outbox.getPendingCount()).toBe(1);
+  });
+});
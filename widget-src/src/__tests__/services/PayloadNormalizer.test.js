@@ -0,0 +1,254 @@
+/**
+ * Payload Normalizer Tests
+ *
+ * Tests for mapping REST payloads onto the models rendered by the widget.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import { PayloadNormalizer } from '../../services/PayloadNormalizer';
+
+describe('PayloadNormalizer', () => {
+  let normalizer;
+  let reports;
+
+  beforeEach(() => {
+    normalizer = new PayloadNormalizer();
+    reports = [];
+    normalizer.onMalformed(report => reports.push(report));
+  });
+
+  it('maps WooCommerce product fields onto the ProductCard model', () => {
+    const product = normalizer.normalizeProduct({
+      id: 12,
+      name: 'Hoodie',
+      short_description: 'Warm',
+      price: 45,
+      regular_price: '50.00',
+      sale_price: '45.00',
+      images: [{ src: 'https://example.com/hoodie.jpg' }],
+      permalink: 'https://example.com/hoodie',
+      stock_status: 'onbackorder',
+      stock_quantity: null,
+      categories: [{ id: 3, name: 'Clothing' }, 'Sale', { id: 4 }]
+    });
+
+    expect(product).toEqual({
+      id: 12,
+      name: 'Hoodie',
+      shortDescription: 'Warm',
+      price: '45',
+      regularPrice: '50.00',
+      salePrice: '45.00',
+      image: 'https://example.com/hoodie.jpg',
+      permalink: 'https://example.com/hoodie',
+      inStock: true,
+      categories: [{ id: 3, name: 'Clothing' }, { name: 'Sale' }]
+    });
+    expect(reports).toEqual([
+      expect.objectContaining({ kind: 'product', errors: ['product.categories[2].name: missing required field'] })
+    ]);
+  });
+
+  it('normalizes its own output to the same model', () => {
+    const product = normalizer.normalizeProduct({ id: 1, name: 'Cap', in_stock: false, sale_price: '' });
+
+    expect(product).toEqual({ id: 1, name: 'Cap', inStock: false });
+    expect(normalizer.normalizeProduct(product)).toEqual(product);
+  });
+
+  it('maps the attributes and variations of variable products', () => {
+    const product = normalizer.normalizeProduct({
+      id: 20,
+      name: 'Tee',
+      type: 'variable',
+      attributes: [
+        { name: 'attribute_pa_color', label: 'Color', options: [{ value: 'navy', label: 'Navy' }] },
+        { name: 'attribute_size', options: ['S', 'M'] }
+      ],
+      variations: [
+        { id: 21, attributes: { attribute_pa_color: 'navy', attribute_size: '' }, price: '29.00', sale_price: '', stock_status: 'outofstock' },
+        { variation_id: 22, price: '31' },
+        { price: '10' }
+      ]
+    });
+
+    expect(product.attributes).toEqual([
+      { name: 'attribute_pa_color', label: 'Color', options: [{ value: 'navy', label: 'Navy' }] },
+      { name: 'attribute_size', options: [{ value: 'S', label: 'S' }, { value: 'M', label: 'M' }] }
+    ]);
+    expect(product.variations).toEqual([
+      { id: 21, attributes: { attribute_pa_color: 'navy', attribute_size: '' }, price: '29.00', inStock: false },
+      { id: 22, attributes: {}, price: '31', inStock: true }
+    ]);
+    expect(reports).toEqual([
+      expect.objectContaining({ errors: ['product.variations[2].id: missing required field'] })
+    ]);
+  });
+
+  it('drops products without an ID or name and reports them', () => {
+    const products = normalizer.normalizeProducts([
+      { id: 1, name: 'Cap' },
+      { name: 'No ID' },
+      { id: 3, name: ['Not', 'a', 'string'] },
+      'not a product'
+    ]);
+
+    expect(products).toEqual([{ id: 1, name: 'Cap', inStock: true }]);
+    expect(reports.map(report => report.errors)).toEqual([
+      ['product.id: missing required field'],
+      ['product.name: invalid string'],
+      ['product: expected an object']
+    ]);
+  });
+
+  it('keeps optional fields with the wrong type out of the model', () => {
+    const product = normalizer.normalizeProduct({ id: 1, name: 'Cap', price: 'free', stock_status: 'unknown' });
+
+    expect(product).toEqual({ id: 1, name: 'Cap', inStock: true });
+    expect(reports[0].errors).toEqual([
+      'product.price: expected price',
+      'product.inStock: expected stock'
+    ]);
+  });
+
+  it('maps the cart returned by /actions/cart', () => {
+    const cart = normalizer.normalizeCart({
+      items: [
+        { key: 'a', product_id: 5, variation_id: 6, quantity: '2', product: { name: 'Shirt - M', price: '10' }, variation: { size: 'M' } },
+        { key: 'b', product_id: 7, quantity: 1 }
+      ],
+      items_count: 2,
+      totals: { subtotal: '20', total: '22.5', shipping_total: '2.5', currency_symbol: '$' },
+      coupons: [{ code: 'save5', amount: '5' }],
+      needs_shipping: true,
+      is_empty: false,
+      checkout_url: 'https://shop.example.com/checkout/',
+      cart_hash: 'f3a1c2'
+    });
+
+    expect(cart).toEqual({
+      items: [{
+        key: 'a',
+        productId: 5,
+        variationId: 6,
+        quantity: 2,
+        product: { id: 6, name: 'Shirt - M', price: '10', inStock: true },
+        variation: { size: 'M' }
+      }],
+      itemCount: 2,
+      totals: { subtotal: 20, discountTotal: 0, shippingTotal: 2.5, total: 22.5, currencySymbol: '$' },
+      coupons: [{ code: 'save5', amount: 5, freeShipping: false }],
+      needsShipping: true,
+      isEmpty: false,
+      checkoutUrl: 'https://shop.example.com/checkout/',
+      hash: 'f3a1c2'
+    });
+    expect(reports[0].errors).toEqual(['cart.items[1].product: missing required field']);
+  });
+
+  it('rejects a cart without totals', () => {
+    expect(normalizer.normalizeCart({ items: [] })).toBeNull();
+    expect(normalizer.normalizeCart(null)).toBeNull();
+    expect(reports.map(report => report.errors)).toEqual([
+      ['cart.totals: missing required field'],
+      ['cart: expected an object']
+    ]);
+  });
+
+  it('maps generated coupons and coupon offers', () => {
+    expect(normalizer.normalizeCoupon({ coupon_code: 'WELCOME', min_amount: '50', free_shipping: '1' }))
+      .toEqual({ code: 'WELCOME', minimumAmount: 50, freeShipping: true });
+
+    expect(normalizer.normalizeAvailableCoupons({
+      eligible: true,
+      recommendations: {
+        percentage: { type: 'percentage', discount: 10, estimated_savings: 4.5, recommended: true }
+      },
+      best_option: 'percentage',
+      applied: [{ code: 'SAVE5' }, { amount: 5 }]
+    })).toEqual({
+      eligible: true,
+      offers: [{ type: 'percentage', discount: 10, estimatedSavings: 4.5, recommended: true }],
+      bestOption: 'percentage',
+      applied: [{ code: 'SAVE5', freeShipping: false }]
+    });
+  });
+
+  it('maps stored conversation messages and hides system messages', () => {
+    const conversation = normalizer.normalizeConversation({
+      messages: [
+        { id: 1, role: 'system', content: 'Prompt' },
+        { id: 2, role: 'user', content: 'Hi', created_at: '2024-01-01 10:00:00', metadata: { edited_from: 9 } },
+        { id: 3, role: 'assistant', content: 'Hello', created_at: '2024-01-01 10:00:05', model_used: 'gpt', metadata: { products: [{ id: 4, name: 'Cap' }] } },
+        { id: 4, role: 'robot', content: '?' }
+      ],
+      metadata: { can_send_messages: false }
+    }, '12');
+
+    expect(conversation.isReadOnly).toBe(true);
+    expect(conversation.messages).toEqual([
+      {
+        id: 'msg_2',
+        type: 'user',
+        content: 'Hi',
+        timestamp: new Date('2024-01-01T10:00:00').toISOString(),
+        conversationId: '12',
+        metadata: { messageId: 2, isEdited: true }
+      },
+      {
+        id: 'msg_3',
+        type: 'assistant',
+        content: 'Hello',
+        timestamp: new Date('2024-01-01T10:00:05').toISOString(),
+        conversationId: '12',
+        metadata: { products: [{ id: 4, name: 'Cap', inStock: true }], source: 'gpt', messageId: 3 }
+      }
+    ]);
+    expect(reports[0].errors).toEqual(['message.role: invalid string']);
+  });
+
+  it('maps conversation summaries', () => {
+    expect(normalizer.normalizeConversationSummaries([
+      { id: 7, title: 'Shoes', last_message: 'Thanks', created_at: '2024-02-01 09:00:00', is_active: '1' },
+      { title: 'No ID' }
+    ])).toEqual([{
+      id: '7',
+      title: 'Shoes',
+      lastMessage: 'Thanks',
+      updatedAt: new Date('2024-02-01T09:00:00').toISOString(),
+      isActive: true
+    }]);
+  });
+
+  it('maps reply extras onto Message metadata', () => {
+    expect(normalizer.normalizeReplyMetadata({
+      products: [{ id: 1, name: 'Cap' }, { id: 2 }],
+      suggested_coupons: [{ coupon_code: 'SAVE10' }],
+      quick_actions: [{ label: 'View cart' }],
+      model_used: 'gpt',
+      is_fallback: true
+    })).toEqual({
+      products: [{ id: 1, name: 'Cap', inStock: true }],
+      suggestedCoupons: [{ code: 'SAVE10', freeShipping: false }],
+      quickActions: [{ label: 'View cart' }],
+      source: 'gpt',
+      isFallback: true
+    });
+    expect(normalizer.normalizeReplyMetadata({ products: [], coupons: null })).toEqual({});
+  });
+
+  it('stops reporting to unsubscribed listeners', () => {
+    const listener = jest.fn();
+    const unsubscribe = normalizer.onMalformed(listener);
+
+    normalizer.normalizeProducts('not a list');
+    unsubscribe();
+    normalizer.normalizeProduct({});
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ kind: 'product', errors: ['product: expected a list'], payload: 'not a list' });
+  });
+});
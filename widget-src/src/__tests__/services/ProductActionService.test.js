@@ -9,17 +9,21 @@
  * @since 1.0.0
  */
 
-import productActionService, { ProductActionService } from '../../services/ProductActionService';
+import productActionService, { ProductActionService, UNDO_WINDOW } from '../../services/ProductActionService';
 import apiService from '../../services/ApiService';
+import cartStore from '../../services/CartStore';
 
 // Mock the API service
 jest.mock('../../services/ApiService', () => ({
   addToCart: jest.fn(),
   applyCoupon: jest.fn(),
+  removeCoupon: jest.fn(),
+  removeFromCart: jest.fn(),
   updateCart: jest.fn(),
   post: jest.fn(),
   get: jest.fn(),
-  getErrorMessage: jest.fn((error) => error.message || 'Unknown error')
+  getErrorMessage: jest.fn((error) => error.message || 'Unknown error'),
+  isAbortError: jest.fn((error) => error?.name === 'AbortError')
 }));
 
 describe('ProductActionService', () => {
@@ -138,7 +142,7 @@ describe('ProductActionService', () => {
         quantity: 2,
         variationId: 456,
         variation: { color: 'red', size: 'M' }
-      });
+      }, {});
 
       expect(result).toEqual({
         success: true,
@@ -183,7 +187,7 @@ describe('ProductActionService', () => {
         quantity: 1,
         variationId: undefined,
         variation: undefined
-      });
+      }, {});
 
       // Test quantities - based on actual service behavior
       // Note: service uses parseInt(qty) || 1 then validates the result
@@ -250,7 +254,7 @@ describe('ProductActionService', () => {
       const result = await productActionService.addToCart({
         productId: 123,
         quantity: 3
-      });
+      }, {});
 
       expect(result.message).toBe('Added 3 item(s) to cart');
     });
@@ -268,11 +272,12 @@ describe('ProductActionService', () => {
 
       const result = await productActionService.applyCoupon('SAVE20');
 
-      expect(apiService.applyCoupon).toHaveBeenCalledWith('SAVE20');
+      expect(apiService.applyCoupon).toHaveBeenCalledWith('SAVE20', {});
       expect(result).toEqual({
         success: true,
         data: mockResponse,
-        message: 'Coupon applied successfully'
+        message: 'Coupon applied successfully',
+        undo: { id: expect.any(String), description: 'Coupon applied successfully', expiresIn: UNDO_WINDOW }
       });
     });
 
@@ -325,7 +330,7 @@ describe('ProductActionService', () => {
 
       await productActionService.applyCoupon('  save20  ');
 
-      expect(apiService.applyCoupon).toHaveBeenCalledWith('SAVE20');
+      expect(apiService.applyCoupon).toHaveBeenCalledWith('SAVE20', {});
     });
 
     it('should handle API errors', async () => {
@@ -368,7 +373,7 @@ describe('ProductActionService', () => {
       expect(apiService.updateCart).toHaveBeenCalledWith({
         cart_item_key: 'item-123',
         quantity: 3
-      });
+      }, {});
 
       expect(result).toEqual({
         success: true,
@@ -403,29 +408,66 @@ describe('ProductActionService', () => {
       expect(apiService.updateCart).toHaveBeenCalledWith({
         cart_item_key: 'item-123',
         quantity: 0
-      });
+      }, {});
     });
   });
 
   describe('getCart Method', () => {
     it('should successfully retrieve cart data', async () => {
-      const mockCartData = {
-        items: [
-          { id: 1, name: 'Product 1', quantity: 2 },
-          { id: 2, name: 'Product 2', quantity: 1 }
-        ],
-        total: '$59.99'
-      };
+      apiService.get.mockResolvedValue({
+        success: true,
+        data: {
+          items: [
+            {
+              key: 'item-1',
+              product_id: 1,
+              variation_id: 0,
+              quantity: 2,
+              line_total: 39.98,
+              product: { name: 'Product 1', price: '19.99', sale_price: '', stock_status: 'instock' }
+            }
+          ],
+          items_count: 2,
+          totals: { subtotal: '39.98', discount_total: '0', total: '39.98', currency: 'USD' },
+          coupons: [{ code: 'save10', discount_amount: '4.00', free_shipping: false }],
+          needs_payment: true,
+          is_empty: false
+        }
+      });
+
+      const result = await productActionService.getCart();
+
+      expect(apiService.get).toHaveBeenCalledWith('/actions/cart', {}, {});
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Cart retrieved successfully');
+      expect(result.data).toMatchObject({
+        itemCount: 2,
+        totals: { subtotal: 39.98, discountTotal: 0, total: 39.98, currency: 'USD' },
+        coupons: [{ code: 'save10', discountAmount: 4, freeShipping: false }],
+        needsPayment: true,
+        isEmpty: false
+      });
+      expect(result.data.items).toEqual([
+        expect.objectContaining({
+          key: 'item-1',
+          productId: 1,
+          quantity: 2,
+          lineTotal: 39.98,
+          product: expect.objectContaining({ id: 1, name: 'Product 1', price: '19.99', inStock: true })
+        })
+      ]);
+    });
 
-      apiService.get.mockResolvedValue(mockCartData);
+    it('should reject malformed cart data', async () => {
+      apiService.get.mockResolvedValue({ success: true, data: { items: [] } });
+      apiService.getErrorMessage.mockImplementation(error => error.message);
 
       const result = await productActionService.getCart();
 
-      expect(apiService.get).toHaveBeenCalledWith('/cart');
       expect(result).toEqual({
-        success: true,
-        data: mockCartData,
-        message: 'Cart retrieved successfully'
+        success: false,
+        error: 'The store returned an invalid cart',
+        data: null
       });
     });
 
@@ -441,6 +483,21 @@ describe('ProductActionService', () => {
     });
   });
 
+  describe('getAvailableCoupons Method', () => {
+    it('should report coupon list errors', async () => {
+      apiService.get.mockRejectedValue(new Error('Coupons unavailable'));
+      apiService.getErrorMessage.mockReturnValue('Coupons unavailable');
+
+      const errorHandler = jest.fn();
+      productActionService.on('error', errorHandler);
+
+      const result = await productActionService.getAvailableCoupons();
+
+      expect(result).toEqual({ success: false, error: 'Coupons unavailable', data: [] });
+      expect(errorHandler).toHaveBeenCalledWith({ action: 'getAvailableCoupons', error: 'Coupons unavailable' });
+    });
+  });
+
   describe('generatePersonalizedCoupon Method', () => {
     const mockContext = {
       conversationId: 'conv-123',
@@ -448,38 +505,45 @@ describe('ProductActionService', () => {
     };
 
     it('should successfully generate personalized coupon', async () => {
-      const mockCoupon = {
-        code: 'PERSONAL20',
-        discount: '20%',
-        expires: '2024-12-31'
-      };
-
-      apiService.post.mockResolvedValue(mockCoupon);
+      apiService.post.mockResolvedValue({
+        success: true,
+        data: {
+          coupon_code: 'PERSONAL20',
+          discount_type: 'percent',
+          amount: 20,
+          expiry_date: '2024-12-31'
+        }
+      });
 
       const result = await productActionService.generatePersonalizedCoupon(mockContext);
 
       expect(apiService.post).toHaveBeenCalledWith('/actions/generate-coupon', {
         context: mockContext,
         conversation_id: 'conv-123'
-      });
+      }, {});
 
       expect(result).toEqual({
         success: true,
-        data: mockCoupon,
+        data: {
+          code: 'PERSONAL20',
+          discountType: 'percent',
+          amount: 20,
+          freeShipping: false,
+          expiryDate: '2024-12-31'
+        },
         message: 'Personalized coupon generated successfully'
       });
     });
 
     it('should handle empty context', async () => {
-      const mockCoupon = { code: 'GENERIC10' };
-      apiService.post.mockResolvedValue(mockCoupon);
+      apiService.post.mockResolvedValue({ success: true, data: { coupon_code: 'GENERIC10' } });
 
       const result = await productActionService.generatePersonalizedCoupon();
 
       expect(apiService.post).toHaveBeenCalledWith('/actions/generate-coupon', {
         context: {},
         conversation_id: undefined
-      });
+      }, {});
 
       expect(result.success).toBe(true);
     });
@@ -521,7 +585,8 @@ describe('ProductActionService', () => {
 
       expect(apiService.post).toHaveBeenCalledWith(
         '/analytics/product-interaction',
-        interactionData
+        { type: 'view', product_id: 123, context: { page: 'shop' } },
+        { priority: 'low' }
       );
     });
 
@@ -556,7 +621,7 @@ describe('ProductActionService', () => {
 
       expect(apiService.get).toHaveBeenCalledWith('/products/123/availability', {
         quantity: 2
-      });
+      }, {});
 
       expect(result).toEqual({
         success: true,
@@ -597,15 +662,31 @@ describe('ProductActionService', () => {
       expect(apiService.post).toHaveBeenCalledWith('/products/recommendations', {
         context,
         limit: 5
-      });
+      }, {});
 
       expect(result).toEqual({
         success: true,
-        data: mockRecommendations.products,
+        data: [
+          { id: 1, name: 'Recommended Product 1', inStock: true },
+          { id: 2, name: 'Recommended Product 2', inStock: true }
+        ],
         message: 'Recommendations retrieved successfully'
       });
     });
 
+    it('should leave out malformed recommendations', async () => {
+      apiService.post.mockResolvedValue({
+        products: [
+          { id: 1, name: 'Recommended Product 1', stock_status: 'outofstock' },
+          { name: 'Missing ID' }
+        ]
+      });
+
+      const result = await productActionService.getProductRecommendations();
+
+      expect(result.data).toEqual([{ id: 1, name: 'Recommended Product 1', inStock: false }]);
+    });
+
     it('should handle custom limits', async () => {
       const mockRecommendations = { products: [] };
       apiService.post.mockResolvedValue(mockRecommendations);
@@ -615,7 +696,7 @@ describe('ProductActionService', () => {
       expect(apiService.post).toHaveBeenCalledWith('/products/recommendations', {
         context: { limit: 10 },
         limit: 10
-      });
+      }, {});
     });
 
     it('should handle recommendation errors', async () => {
@@ -631,6 +712,137 @@ describe('ProductActionService', () => {
     });
   });
 
+  describe('Suggested Actions', () => {
+    const products = [{ id: 101, name: 'Merino Hoodie', price: '79.00' }];
+    const coupons = [{ code: 'SAVE10', discountType: 'percent', amount: 10 }];
+
+    beforeEach(() => {
+      apiService.addToCart.mockReset();
+      apiService.applyCoupon.mockReset();
+      apiService.getErrorMessage.mockImplementation(error => error.message);
+      apiService.post.mockResolvedValue({ success: true });
+      cartStore.setState({
+        cart: {
+          items: [{ key: 'abc', productId: 101, quantity: 2, lineTotal: 158, product: { id: 101, name: 'Merino Hoodie' } }],
+          itemCount: 2,
+          totals: { subtotal: 158, total: 158 },
+          coupons: [{ code: 'WELCOME5', discountAmount: 5 }]
+        }
+      });
+    });
+
+    afterEach(() => {
+      cartStore.reset();
+    });
+
+    it('should describe the change and its price impact', () => {
+      const request = (type, data) => productActionService.requestConfirmation({ type, data }, { products, coupons });
+
+      expect(request('add-to-cart', { productId: 101, quantity: 2 }))
+        .toMatchObject({ change: 'Add 2 × Merino Hoodie to your cart', quantity: 2, priceImpact: 158 });
+      expect(request('update-cart', { cartItemKey: 'abc', quantity: 0 }))
+        .toMatchObject({ change: 'Remove Merino Hoodie from your cart', quantity: 0, priceImpact: -158 });
+      expect(request('apply-coupon', { couponCode: 'save10' }))
+        .toMatchObject({ change: 'Apply coupon SAVE10 to your cart', quantity: null, priceImpact: -15.8 });
+      expect(request('remove-coupon', { couponCode: 'welcome5' }))
+        .toMatchObject({ change: 'Remove coupon WELCOME5 from your cart', priceImpact: 5 });
+    });
+
+    it('should leave the price impact to the store when it cannot be told', () => {
+      const confirmation = productActionService.requestConfirmation({ type: 'add-to-cart', data: { productId: 999 } });
+
+      expect(confirmation).toMatchObject({ change: 'Add 1 × product #999 to your cart', priceImpact: null });
+    });
+
+    it('should not ask to confirm actions that do not change the cart', () => {
+      expect(productActionService.requestConfirmation({ type: 'view-cart', label: 'View cart' })).toBeNull();
+    });
+
+    it('should only run a suggested action once it is confirmed', async () => {
+      apiService.applyCoupon.mockResolvedValue({ message: 'Coupon applied' });
+
+      const confirmation = productActionService.requestConfirmation(
+        { type: 'apply-coupon', data: { couponCode: 'save10' } },
+        { coupons, conversationId: '12' }
+      );
+      expect(apiService.applyCoupon).not.toHaveBeenCalled();
+
+      const result = await productActionService.confirmAction(confirmation.id);
+
+      expect(result.success).toBe(true);
+      expect(apiService.applyCoupon).toHaveBeenCalledWith('SAVE10', {});
+      expect(apiService.post).toHaveBeenCalledWith('/actions/confirmation', {
+        action_type: 'apply-coupon',
+        decision: 'confirmed',
+        details: {
+          change: 'Apply coupon SAVE10 to your cart',
+          quantity: null,
+          price_impact: -15.8,
+          data: { couponCode: 'save10' }
+        },
+        conversation_id: 12,
+        success: true
+      }, { priority: 'low' });
+    });
+
+    it('should record confirmed actions that failed', async () => {
+      apiService.addToCart.mockRejectedValue(new Error('Out of stock'));
+      const confirmation = productActionService.requestConfirmation({ type: 'add-to-cart', data: { productId: 101 } }, { products });
+
+      await productActionService.confirmAction(confirmation.id);
+
+      expect(apiService.post).toHaveBeenCalledWith('/actions/confirmation', expect.objectContaining({
+        decision: 'confirmed',
+        success: false,
+        error: 'Out of stock'
+      }), { priority: 'low' });
+    });
+
+    it('should record declined actions without running them', async () => {
+      const confirmation = productActionService.requestConfirmation({ type: 'add-to-cart', data: { productId: 101 } }, { products });
+
+      const result = await productActionService.declineAction(confirmation.id);
+
+      expect(result.success).toBe(true);
+      expect(apiService.addToCart).not.toHaveBeenCalled();
+      expect(apiService.post).toHaveBeenCalledWith('/actions/confirmation', expect.objectContaining({
+        action_type: 'add-to-cart',
+        decision: 'declined'
+      }), { priority: 'low' });
+      expect(apiService.post.mock.calls[0][1]).not.toHaveProperty('success');
+    });
+
+    it('should run each confirmation at most once', async () => {
+      apiService.addToCart.mockResolvedValue({ message: 'Added' });
+      const confirmation = productActionService.requestConfirmation({ type: 'add-to-cart', data: { productId: 101 } }, { products });
+
+      const [first, second] = await Promise.all([
+        productActionService.confirmAction(confirmation.id),
+        productActionService.confirmAction(confirmation.id)
+      ]);
+
+      expect(first.success).toBe(true);
+      expect(second).toMatchObject({ success: false, error: 'This action is no longer waiting for confirmation' });
+      expect(apiService.addToCart).toHaveBeenCalledTimes(1);
+      expect((await productActionService.declineAction(confirmation.id)).success).toBe(false);
+    });
+
+    it('should discard confirmations without recording a decision', async () => {
+      const confirmation = productActionService.requestConfirmation({ type: 'remove-coupon', data: { couponCode: 'welcome5' } });
+
+      expect(productActionService.discardConfirmation(confirmation.id)).toBe(true);
+      expect(apiService.post).not.toHaveBeenCalled();
+      expect((await productActionService.confirmAction(confirmation.id)).success).toBe(false);
+    });
+
+    it('should keep going when the decision cannot be recorded', async () => {
+      apiService.post.mockRejectedValue(new Error('Network error'));
+      const confirmation = productActionService.requestConfirmation({ type: 'remove-coupon', data: { couponCode: 'welcome5' } });
+
+      await expect(productActionService.declineAction(confirmation.id)).resolves.toMatchObject({ success: true });
+    });
+  });
+
   describe('Edge Cases and Error Handling', () => {
     it('should handle service unavailability gracefully', async () => {
       // Simulate complete service failure
@@ -679,4 +891,123 @@ describe('ProductActionService', () => {
       expect(apiService.addToCart).toHaveBeenCalledTimes(3);
     });
   });
+
+  describe('Undo', () => {
+    beforeEach(() => {
+      apiService.addToCart.mockReset();
+      apiService.updateCart.mockReset();
+      apiService.getErrorMessage.mockImplementation(error => error.message);
+      cartStore.setState({
+        cart: {
+          items: [{ key: 'abc', productId: 106, variationId: 1064, variation: { attribute_pa_size: 'm' }, quantity: 2 }],
+          itemCount: 2,
+          totals: { subtotal: 64, total: 64 },
+          coupons: []
+        }
+      });
+    });
+
+    afterEach(() => {
+      cartStore.reset();
+    });
+
+    it('should put an added item back to its previous quantity', async () => {
+      apiService.addToCart.mockResolvedValue({ data: { cart_item_key: 'abc', quantity: 1, cart_item_quantity: 3 } });
+      apiService.updateCart.mockResolvedValue({ success: true });
+
+      const added = await productActionService.addToCart({ productId: 106, quantity: 1 });
+      const result = await productActionService.undoAction(added.undo.id);
+
+      expect(result).toMatchObject({ success: true, message: 'Change undone' });
+      expect(apiService.updateCart).toHaveBeenCalledWith({ cart_item_key: 'abc', quantity: 2 }, {});
+    });
+
+    it('should remove an item that was not in the cart before', async () => {
+      apiService.addToCart.mockResolvedValue({ data: { cart_item_key: 'new', quantity: 2, cart_item_quantity: 2 } });
+      apiService.removeFromCart.mockResolvedValue({ success: true });
+
+      const added = await productActionService.addToCart({ productId: 101, quantity: 2 });
+      await productActionService.undoAction(added.undo.id);
+
+      expect(apiService.removeFromCart).toHaveBeenCalledWith('new', {});
+    });
+
+    it('should add a removed item back as the same variation', async () => {
+      apiService.updateCart.mockResolvedValue({ data: { cart_item_key: 'abc', quantity: 0, previous_quantity: 2 } });
+      apiService.addToCart.mockResolvedValue({ success: true });
+
+      const removed = await productActionService.updateCartItem('abc', 0);
+      await productActionService.undoAction(removed.undo.id);
+
+      expect(apiService.addToCart).toHaveBeenCalledWith({
+        productId: 106,
+        quantity: 2,
+        variationId: 1064,
+        variation: { attribute_pa_size: 'm' }
+      }, {});
+    });
+
+    it('should reverse coupon changes', async () => {
+      apiService.applyCoupon.mockResolvedValue({ success: true });
+      apiService.removeCoupon.mockResolvedValue({ success: true });
+
+      const applied = await productActionService.applyCoupon('save10');
+      await productActionService.undoAction(applied.undo.id);
+      const removed = await productActionService.removeCoupon('SAVE10');
+      await productActionService.undoAction(removed.undo.id);
+
+      expect(apiService.removeCoupon).toHaveBeenLastCalledWith('SAVE10', {});
+      expect(apiService.applyCoupon).toHaveBeenLastCalledWith('SAVE10', {});
+    });
+
+    it('should not offer undo when the store does not say how to reverse the change', async () => {
+      apiService.addToCart.mockResolvedValue({ success: true, message: 'Added' });
+
+      const added = await productActionService.addToCart({ productId: 101 });
+
+      expect(added).not.toHaveProperty('undo');
+    });
+
+    it('should only undo once and not after the undo window', async () => {
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+      apiService.applyCoupon.mockResolvedValue({ success: true });
+      apiService.removeCoupon.mockResolvedValue({ success: true });
+
+      try {
+        const first = await productActionService.applyCoupon('SAVE10');
+        const second = await productActionService.applyCoupon('WELCOME5');
+
+        expect((await productActionService.undoAction(first.undo.id)).success).toBe(true);
+        expect((await productActionService.undoAction(first.undo.id)).success).toBe(false);
+
+        clock.mockReturnValue(now + UNDO_WINDOW);
+        expect(await productActionService.undoAction(second.undo.id)).toEqual({
+          success: false,
+          error: 'This change can no longer be undone',
+          data: null
+        });
+        expect(apiService.removeCoupon).toHaveBeenCalledTimes(1);
+      } finally {
+        clock.mockRestore();
+      }
+    });
+
+    it('should report failed reversals', async () => {
+      const errorHandler = jest.fn();
+      productActionService.on('error', errorHandler);
+      apiService.applyCoupon.mockResolvedValue({ success: true });
+      apiService.removeCoupon.mockRejectedValueOnce(new Error('Failed to remove coupon'));
+
+      const applied = await productActionService.applyCoupon('SAVE10');
+      const result = await productActionService.undoAction(applied.undo.id);
+
+      expect(result).toEqual({ success: false, error: 'Failed to remove coupon', data: null });
+      expect(errorHandler).toHaveBeenCalledWith({
+        action: 'undoAction',
+        error: 'Failed to remove coupon',
+        undoId: applied.undo.id
+      });
+    });
+  });
 });
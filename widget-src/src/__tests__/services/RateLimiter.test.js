@@ -0,0 +1,159 @@
+/**
+ * Rate Limiter Tests
+ *
+ * Tests for the client-side token bucket, request priorities and
+ * Retry-After pauses.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import { RateLimiter, PRIORITY } from '../../services/RateLimiter';
+
+describe('RateLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    limiter = new RateLimiter({ capacity: 2, refillPerSecond: 1 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('lets requests through while tokens are available', () => {
+    expect(limiter.tryAcquire()).toBe(true);
+    expect(limiter.tryAcquire()).toBe(true);
+    expect(limiter.tryAcquire()).toBe(false);
+  });
+
+  it('queues requests until the bucket refills', async () => {
+    limiter.tryAcquire();
+    limiter.tryAcquire();
+
+    const order = [];
+    limiter.acquire().then(() => order.push('first'));
+    limiter.acquire().then(() => order.push('second'));
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(order).toEqual(['first']);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(order).toEqual(['first', 'second']);
+  });
+
+  it('does not let new requests overtake waiting ones', async () => {
+    limiter.tryAcquire();
+    limiter.tryAcquire();
+    limiter.acquire();
+
+    await jest.advanceTimersByTimeAsync(500);
+
+    expect(limiter.tryAcquire()).toBe(false);
+  });
+
+  it('holds every request back during a pause', async () => {
+    const onCooldownChange = jest.fn();
+    limiter.onCooldownChange(onCooldownChange);
+    const acquired = jest.fn();
+
+    limiter.pause(8000);
+    limiter.acquire().then(acquired);
+
+    expect(limiter.getCooldown()).toBe(8000);
+    expect(onCooldownChange).toHaveBeenCalledWith(Date.now() + 8000);
+
+    await jest.advanceTimersByTimeAsync(7999);
+    expect(acquired).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(acquired).toHaveBeenCalled();
+    expect(limiter.getCooldown()).toBe(0);
+    expect(onCooldownChange).toHaveBeenLastCalledWith(null);
+  });
+
+  it('keeps the longer of two pauses', () => {
+    limiter.pause(8000);
+    limiter.pause(2000);
+
+    expect(limiter.getCooldown()).toBe(8000);
+  });
+
+  it('gives up the turn when the request is aborted', async () => {
+    limiter.pause(5000);
+    const controller = new AbortController();
+
+    const turn = limiter.acquire(controller.signal);
+    controller.abort();
+
+    await expect(turn).rejects.toMatchObject({ name: 'AbortError' });
+    expect(limiter.queue).toHaveLength(0);
+  });
+
+  it('follows the request rate from /config', async () => {
+    limiter.configure({ requestsPerMinute: 30 });
+    limiter.tryAcquire();
+    limiter.tryAcquire();
+    const acquired = jest.fn();
+
+    limiter.acquire().then(acquired);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(acquired).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(acquired).toHaveBeenCalled();
+  });
+
+  describe('priorities', () => {
+    it('serves waiting requests by priority', async () => {
+      limiter.tryAcquire();
+      limiter.tryAcquire();
+
+      const order = [];
+      limiter.acquire(null, PRIORITY.LOW).then(() => order.push('low'));
+      limiter.acquire().then(() => order.push('normal'));
+      limiter.acquire(null, PRIORITY.HIGH).then(() => order.push('high'));
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(order).toEqual(['high', 'normal']);
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(order).toEqual(['high', 'normal', 'low']);
+    });
+
+    it('lets urgent requests overtake waiting background ones', () => {
+      limiter.tryAcquire();
+      limiter.acquire(null, PRIORITY.LOW);
+
+      expect(limiter.tryAcquire(PRIORITY.HIGH)).toBe(true);
+    });
+
+    it('keeps a reserve of tokens away from low-priority requests', () => {
+      expect(limiter.tryAcquire()).toBe(true);
+
+      expect(limiter.tryAcquire(PRIORITY.LOW)).toBe(false);
+      expect(limiter.tryAcquire(PRIORITY.HIGH)).toBe(true);
+    });
+
+    it('holds low-priority requests back until the hold ends', async () => {
+      const acquired = jest.fn();
+      const release = limiter.hold();
+
+      expect(limiter.tryAcquire(PRIORITY.LOW)).toBe(false);
+      limiter.acquire(null, PRIORITY.LOW).then(acquired);
+
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(acquired).not.toHaveBeenCalled();
+
+      release();
+      release();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(acquired).toHaveBeenCalled();
+      expect(limiter.holds).toBe(0);
+    });
+  });
+});
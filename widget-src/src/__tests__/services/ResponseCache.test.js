@@ -0,0 +1,123 @@
+/**
+ * Response Cache Tests
+ *
+ * Tests for the session storage backed stale-while-revalidate cache.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import { ResponseCache } from '../../services/ResponseCache';
+
+describe('ResponseCache', () => {
+  const policy = { ttl: 1000, maxAge: 5000 };
+  let cache;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.sessionStorage.clear();
+    cache = new ResponseCache();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('only caches the configured endpoints', () => {
+    expect(cache.getPolicy('GET', '/products/12/availability')).not.toBeNull();
+    expect(cache.getPolicy('GET', 'coupons/available')).not.toBeNull();
+    expect(cache.getPolicy('POST', '/products/recommendations')).not.toBeNull();
+    expect(cache.getPolicy('POST', '/coupons/available')).toBeNull();
+    expect(cache.getPolicy('GET', '/cart')).toBeNull();
+  });
+
+  it('builds the same key for payloads with reordered properties', () => {
+    expect(cache.getKey('POST', '/x', { a: 1, b: { c: 2, d: 3 } }))
+      .toBe(cache.getKey('POST', 'x', { b: { d: 3, c: 2 }, a: 1 }));
+    expect(cache.getKey('GET', '/x', { a: 1 })).not.toBe(cache.getKey('GET', '/x', { a: 2 }));
+  });
+
+  it('marks entries stale after their ttl and drops them after maxAge', () => {
+    cache.set('key', { value: 1 }, policy);
+    expect(cache.get('key')).toEqual({ data: { value: 1 }, isStale: false });
+
+    jest.advanceTimersByTime(1001);
+    expect(cache.get('key')).toEqual({ data: { value: 1 }, isStale: true });
+
+    jest.advanceTimersByTime(4000);
+    expect(cache.get('key')).toBeNull();
+    expect(window.sessionStorage.length).toBe(0);
+  });
+
+  it('reads entries stored by an earlier page view', () => {
+    cache.set('key', { value: 1 }, policy);
+
+    expect(new ResponseCache().get('key')).toEqual({ data: { value: 1 }, isStale: false });
+  });
+
+  it('drops the entries an endpoint call may have changed', () => {
+    const coupons = cache.getKey('GET', '/coupons/available');
+    const availability = cache.getKey('GET', '/products/12/availability', { quantity: 1 });
+    cache.set(coupons, [], policy);
+    cache.set(availability, {}, policy);
+
+    cache.invalidate('/actions/apply-coupon');
+
+    expect(cache.get(coupons)).toBeNull();
+    expect(cache.get(availability)).not.toBeNull();
+  });
+
+  it('does not store responses requested before an invalidation', () => {
+    const couponPolicy = cache.getPolicy('GET', '/coupons/available');
+    const coupons = cache.getKey('GET', '/coupons/available');
+    const generation = cache.getGeneration(couponPolicy);
+
+    cache.invalidate('/actions/apply-coupon');
+    cache.set(coupons, ['SAVE10'], couponPolicy, generation);
+    expect(cache.get(coupons)).toBeNull();
+
+    cache.set(coupons, ['SAVE20'], couponPolicy, cache.getGeneration(couponPolicy));
+    expect(cache.get(coupons).data).toEqual(['SAVE20']);
+  });
+
+  it('drops stock, recommendations and coupons when items leave the cart', () => {
+    const keys = [
+      cache.getKey('GET', '/products/12/availability', { quantity: 1 }),
+      cache.getKey('POST', '/products/recommendations', { limit: 3 }),
+      cache.getKey('GET', '/coupons/available')
+    ];
+
+    ['/actions/remove-from-cart', '/actions/clear-cart'].forEach(endpoint => {
+      keys.forEach(key => cache.set(key, {}, policy));
+
+      cache.invalidate(endpoint);
+
+      keys.forEach(key => expect(cache.get(key)).toBeNull());
+    });
+  });
+
+  it('drops the responses cached for another user', () => {
+    cache.setIdentity('0');
+    cache.set('key', { value: 1 }, policy);
+
+    const afterLogin = new ResponseCache();
+    afterLogin.setIdentity('0');
+    expect(afterLogin.get('key')).not.toBeNull();
+
+    afterLogin.setIdentity('7');
+    expect(afterLogin.get('key')).toBeNull();
+    expect(new ResponseCache().get('key')).toBeNull();
+  });
+
+  it('keeps working in memory when storage is full', () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    cache.set('key', { value: 1 }, policy);
+
+    expect(cache.get('key')).toEqual({ data: { value: 1 }, isStale: false });
+    Storage.prototype.setItem.mockRestore();
+  });
+});
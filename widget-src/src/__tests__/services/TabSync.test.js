@@ -0,0 +1,148 @@
+/**
+ * Tab Sync Tests
+ *
+ * Tests for cross-tab messaging and leader election between
+ * widget instances sharing one browser.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import tabSync, { TabSync, SYNC_EVENTS, LEASE_DURATION, HEARTBEAT_INTERVAL } from '../../services/TabSync';
+
+/**
+ * In-memory BroadcastChannel delivering to every other channel with the same name
+ */
+class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => channel.onmessage?.({ data }));
+  }
+
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+
+FakeBroadcastChannel.channels = [];
+
+describe('TabSync', () => {
+  let tabs;
+
+  const openTab = (scope = 'guest') => {
+    const tab = new TabSync().start(scope);
+    tabs.push(tab);
+    return tab;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.localStorage.clear();
+    window.BroadcastChannel = FakeBroadcastChannel;
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach(tab => tab.stop());
+    delete window.BroadcastChannel;
+    jest.useRealTimers();
+  });
+
+  it('exports a singleton instance', () => {
+    expect(tabSync).toBeInstanceOf(TabSync);
+  });
+
+  it('acts as leader when not syncing', () => {
+    expect(new TabSync().isLeader()).toBe(true);
+  });
+
+  it('elects the first tab as leader', () => {
+    const first = openTab();
+    const second = openTab();
+
+    expect(first.isLeader()).toBe(true);
+    expect(second.isLeader()).toBe(false);
+  });
+
+  it('delivers messages to the other tabs only', () => {
+    const first = openTab();
+    const second = openTab();
+    const otherVisitor = openTab('user_7');
+    const firstHandler = jest.fn();
+    const secondHandler = jest.fn();
+    const otherHandler = jest.fn();
+    first.subscribe(firstHandler);
+    second.subscribe(secondHandler);
+    otherVisitor.subscribe(otherHandler);
+
+    first.publish(SYNC_EVENTS.VISIBILITY, { isOpen: true });
+
+    expect(firstHandler).not.toHaveBeenCalled();
+    expect(otherHandler).not.toHaveBeenCalled();
+    expect(secondHandler).toHaveBeenCalledWith(expect.objectContaining({
+      type: SYNC_EVENTS.VISIBILITY,
+      payload: { isOpen: true },
+      tabId: first.tabId
+    }));
+  });
+
+  it('hands leadership over when the leader stops', () => {
+    const first = openTab();
+    const second = openTab();
+    const onLeaderChange = jest.fn();
+    second.onLeaderChange(onLeaderChange);
+
+    first.stop();
+
+    expect(second.isLeader()).toBe(true);
+    expect(onLeaderChange).toHaveBeenCalledWith(true);
+  });
+
+  it('takes over an expired lease from an unresponsive leader', () => {
+    const first = openTab();
+    const second = openTab();
+
+    // The leader stops renewing its lease, e.g. the tab crashed
+    clearInterval(first.heartbeatTimer);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + LEASE_DURATION + 1);
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+
+    expect(second.isLeader()).toBe(true);
+    Date.now.mockRestore();
+  });
+
+  it('keeps its lease while the heartbeat runs', () => {
+    const first = openTab();
+    const second = openTab();
+
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL * 5);
+
+    expect(first.isLeader()).toBe(true);
+    expect(second.isLeader()).toBe(false);
+  });
+
+  it('falls back to storage events without BroadcastChannel', () => {
+    delete window.BroadcastChannel;
+    const tab = openTab();
+    const handler = jest.fn();
+    tab.subscribe(handler);
+
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'wooAiAssistant:sync:guest',
+      newValue: JSON.stringify({ type: SYNC_EVENTS.SEND, payload: { content: 'Hi' }, tabId: 'tab_other' })
+    }));
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+      type: SYNC_EVENTS.SEND,
+      payload: { content: 'Hi' }
+    }));
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * WebSocket Transport Tests
+ *
+ * Tests for requests and reply streams sent over the WebSocket relay.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import { WebSocketTransport } from '../../services/transports/WebSocketTransport';
+
+class FakeWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(frame) {
+    this.onmessage?.({ data: JSON.stringify(frame) });
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('WebSocketTransport', () => {
+  let transport;
+  let api;
+
+  const openSocket = async () => {
+    await flush();
+    const socket = FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+    socket.open();
+    await flush();
+    return socket;
+  };
+
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    global.WebSocket = FakeWebSocket;
+
+    api = {
+      config: { namespace: 'woo-ai-assistant/v1', timeout: 30000 },
+      prepareRequest: jest.fn(() => ({ headers: { 'X-WP-Nonce': 'abc' } }))
+    };
+    transport = new WebSocketTransport(api);
+    transport.configure({ url: 'wss://relay.example.com/chat' });
+  });
+
+  afterEach(() => {
+    delete global.WebSocket;
+  });
+
+  it('is only available with a relay URL', () => {
+    expect(transport.isAvailable()).toBe(true);
+    expect(new WebSocketTransport(api).isAvailable()).toBe(false);
+  });
+
+  it('matches responses to requests by frame ID', async () => {
+    const promise = transport.request({ method: 'GET', endpoint: '/health', params: { deep: 1 } });
+    const socket = await openSocket();
+
+    expect(socket.url).toBe('wss://relay.example.com/chat');
+    expect(socket.sent[0]).toEqual({
+      id: '1',
+      type: 'request',
+      method: 'GET',
+      route: '/woo-ai-assistant/v1/health',
+      params: { deep: 1 },
+      headers: { 'X-WP-Nonce': 'abc' }
+    });
+
+    socket.receive({ id: '99', type: 'response', status: 200, body: { other: true } });
+    socket.receive({ id: '1', type: 'response', status: 200, body: { status: 'healthy' } });
+
+    await expect(promise).resolves.toEqual({ status: 'healthy' });
+  });
+
+  it('rejects with the WordPress error of a failed response', async () => {
+    const promise = transport.request({ method: 'GET', endpoint: 'chat/conversation/12' });
+    const socket = await openSocket();
+
+    socket.receive({ id: '1', type: 'response', status: 404, body: { code: 'conversation_not_found', message: 'Not found' } });
+
+    await expect(promise).rejects.toMatchObject({
+      status: 404,
+      message: 'Not found',
+      response: { code: 'conversation_not_found', message: 'Not found' }
+    });
+  });
+
+  it('passes stream events on until the server ends the stream', async () => {
+    const onEvent = jest.fn();
+    const promise = transport.stream({ endpoint: '/chat/stream', data: { message: 'Hi' }, onEvent });
+    const socket = await openSocket();
+
+    expect(socket.sent[0]).toMatchObject({ type: 'stream', route: '/woo-ai-assistant/v1/chat/stream', data: { message: 'Hi' } });
+
+    socket.receive({ id: '1', type: 'event', event: 'token', data: { content: 'Hel' } });
+    socket.receive({ id: '1', type: 'event', event: 'done', data: { message_id: 5 } });
+    socket.receive({ id: '1', type: 'end' });
+
+    await expect(promise).resolves.toBeUndefined();
+    expect(onEvent.mock.calls.map(([event]) => event.type)).toEqual(['token', 'done']);
+    expect(onEvent).toHaveBeenCalledWith({ type: 'token', payload: { content: 'Hel' }, id: '' });
+  });
+
+  it('reuses the open connection', async () => {
+    const first = transport.request({ method: 'GET', endpoint: 'health' });
+    const socket = await openSocket();
+    socket.receive({ id: '1', type: 'response', status: 200, body: {} });
+    await first;
+
+    const second = transport.request({ method: 'GET', endpoint: 'health' });
+    await flush();
+    socket.receive({ id: '2', type: 'response', status: 200, body: { again: true } });
+
+    await expect(second).resolves.toEqual({ again: true });
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+
+  it('sends a cancel frame when the caller aborts', async () => {
+    const controller = new AbortController();
+    const promise = transport.stream({ endpoint: 'chat/stream', data: {}, onEvent: jest.fn(), signal: controller.signal });
+    const socket = await openSocket();
+
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(socket.sent[1]).toEqual({ id: '1', type: 'cancel' });
+  });
+
+  it('reports the relay as unavailable when the connection cannot be opened', async () => {
+    const promise = transport.request({ method: 'GET', endpoint: 'health' });
+    await flush();
+    FakeWebSocket.instances[0].close();
+
+    await expect(promise).rejects.toMatchObject({ status: 503, response: { code: 'transport_unavailable' } });
+  });
+
+  it('fails pending requests when an open connection drops', async () => {
+    const promise = transport.request({ method: 'GET', endpoint: 'health' });
+    const socket = await openSocket();
+
+    socket.close();
+
+    await expect(promise).rejects.toMatchObject({ status: 503, response: { code: 'connection_lost' } });
+  });
+});
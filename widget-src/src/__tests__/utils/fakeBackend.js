@@ -0,0 +1,35 @@
+/**
+ * Fake Backend Test Utilities
+ *
+ * Route the global fetch() of a test file to the in-memory fake backend
+ * from widget-src/dev/fake-backend.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+import { TextDecoder } from 'util';
+import { FakeBackend, createFetch } from '../../../dev/fake-backend';
+
+/**
+ * Answer fetch() from a new fake backend until uninstall() is called
+ *
+ * @param {Object} options - FakeBackend options
+ * @returns {FakeBackend} The backend, with an uninstall() method
+ */
+export const installFakeBackend = (options = {}) => {
+  const backend = new FakeBackend(options);
+  const originals = { fetch: global.fetch, TextDecoder: global.TextDecoder };
+
+  global.fetch = createFetch(backend);
+  // jsdom has no TextDecoder, the stream reader of ApiService needs one
+  global.TextDecoder = originals.TextDecoder || TextDecoder;
+
+  backend.uninstall = () => {
+    global.fetch = originals.fetch;
+    global.TextDecoder = originals.TextDecoder;
+  };
+
+  return backend;
+};
@@ -0,0 +1,275 @@
+/**
+ * Route Contract Utilities
+ *
+ * Helpers for checking the widget API client and the PHP controllers
+ * against the shared route manifest in src/RestApi/routes.json.
+ *
+ * @package WooAiAssistant
+ * @subpackage Testing
+ * @since 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory holding the PHP controllers and the route manifest
+ */
+export const REST_API_DIR = path.resolve(__dirname, '../../../../src/RestApi');
+
+/**
+ * Shared route manifest
+ */
+export const manifest = JSON.parse(fs.readFileSync(path.join(REST_API_DIR, 'routes.json'), 'utf8'));
+
+/**
+ * HTTP methods behind the WP_REST_Server method constants
+ */
+const SERVER_METHODS = {
+  READABLE: ['GET'],
+  CREATABLE: ['POST'],
+  EDITABLE: ['POST', 'PUT', 'PATCH'],
+  DELETABLE: ['DELETE'],
+  ALLMETHODS: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
+};
+
+/**
+ * Value checks for the REST argument types, as loose as WordPress is
+ */
+const TYPE_CHECKS = {
+  integer: value => String(value).trim() !== '' && Number.isInteger(Number(value)),
+  number: value => String(value).trim() !== '' && !Number.isNaN(Number(value)),
+  string: value => typeof value === 'string',
+  boolean: value => [true, false, 'true', 'false', '1', '0', 1, 0].includes(value),
+  object: value => typeof value === 'object' && (!Array.isArray(value) || value.length === 0),
+  array: value => Array.isArray(value)
+};
+
+/**
+ * Walk PHP source while tracking string literals
+ *
+ * @param {string} source - PHP source
+ * @param {Function} visit - Called with (char, index) outside string literals, may return a new index
+ */
+const scan = (source, visit) => {
+  let quote = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else {
+      const next = visit(char, i);
+      if (next === -1) {
+        return;
+      }
+      if (next !== undefined) {
+        i = next;
+      }
+    }
+  }
+};
+
+/**
+ * Remove comments, which may contain unbalanced quotes and brackets
+ */
+const stripComments = (source) => {
+  const ranges = [];
+
+  scan(source, (char, i) => {
+    if (char === '/' && (source[i + 1] === '/' || source[i + 1] === '*')) {
+      const end = source[i + 1] === '/' ? source.indexOf('\n', i) : source.indexOf('*/', i) + 2;
+      ranges.push([i, end === -1 || end === 1 ? source.length : end]);
+      return ranges[ranges.length - 1][1] - 1;
+    }
+    return undefined;
+  });
+
+  return ranges.reduceRight((result, [start, end]) => result.slice(0, start) + result.slice(end), source);
+};
+
+/**
+ * Find the bracket closing the one at the given index
+ */
+const findClosing = (source, start) => {
+  let depth = 0;
+  let closing = -1;
+
+  scan(source.slice(start), (char, i) => {
+    if (char === '(' || char === '[') {
+      depth++;
+    } else if ((char === ')' || char === ']') && --depth === 0) {
+      closing = start + i;
+      return -1;
+    }
+    return undefined;
+  });
+
+  return closing;
+};
+
+/**
+ * Split a PHP argument list or array body on its top-level commas
+ */
+const splitTopLevel = (body) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  scan(body, (char, i) => {
+    if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(body.slice(start, i).trim());
+      start = i + 1;
+    }
+    return undefined;
+  });
+
+  parts.push(body.slice(start).trim());
+  return parts.filter(Boolean);
+};
+
+/**
+ * Read the string keys of a PHP array literal
+ */
+const parseArray = (literal) => {
+  const entries = {};
+
+  splitTopLevel(literal.trim().replace(/^\[/, '').replace(/\]$/, '')).forEach(entry => {
+    const match = entry.match(/^'([^']+)'\s*=>\s*([\s\S]*)$/);
+    if (match) {
+      entries[match[1]] = match[2].trim();
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Read a single-quoted PHP string literal
+ */
+const unquote = (literal) => literal.trim().replace(/^'([\s\S]*)'$/, '$1').replace(/\\(['\\])/g, '$1');
+
+/**
+ * Extract the register_rest_route() calls of a PHP file
+ *
+ * @param {string} source - PHP source
+ * @returns {Array<Object>} Routes in manifest format
+ */
+export const parseRegisteredRoutes = (source) => {
+  const code = stripComments(source);
+  const routes = [];
+  let index = code.indexOf('register_rest_route(');
+
+  while (index !== -1) {
+    const open = index + 'register_rest_route'.length;
+    const [, routePath, options] = splitTopLevel(code.slice(open + 1, findClosing(code, open)));
+    const entries = parseArray(options);
+    const constant = entries.methods.match(/WP_REST_Server::(\w+)/);
+    const args = {};
+
+    Object.entries(entries.args ? parseArray(entries.args) : {}).forEach(([name, literal]) => {
+      const arg = parseArray(literal);
+      args[name] = arg.required === 'true'
+        ? { type: unquote(arg.type || ''), required: true }
+        : { type: unquote(arg.type || '') };
+    });
+
+    routes.push({
+      path: unquote(routePath),
+      methods: constant ? SERVER_METHODS[constant[1]] : unquote(entries.methods).split(/\s*,\s*/),
+      args
+    });
+
+    index = code.indexOf('register_rest_route(', open);
+  }
+
+  return routes;
+};
+
+/**
+ * Extract the routes registered by every PHP file of the REST API
+ *
+ * @returns {Array<Object>} Routes in manifest format
+ */
+export const readRegisteredRoutes = () => {
+  const files = [];
+  const collect = (dir) => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      collect(file);
+    } else if (entry.name.endsWith('.php')) {
+      files.push(file);
+    }
+  });
+
+  collect(REST_API_DIR);
+  return files.sort().flatMap(file => parseRegisteredRoutes(fs.readFileSync(file, 'utf8')));
+};
+
+/**
+ * Find the problems of a request against the manifest
+ *
+ * Null parameters count as omitted, like in WP_REST_Request.
+ *
+ * @param {Object} request - Request description
+ * @param {string} request.method - HTTP method
+ * @param {string} request.endpoint - Endpoint path inside the namespace
+ * @param {Object} request.params - Query parameters
+ * @param {Object} request.data - Request body
+ * @returns {Array<string>} Problems, empty when the request is valid
+ */
+export const findContractViolations = ({ method, endpoint, params = {}, data = {} }) => {
+  const label = `${method} ${endpoint}`;
+  const candidates = manifest.routes
+    .map(route => ({ route, match: endpoint.match(new RegExp(`^${route.path.replace(/\(\?P</g, '(?<')}$`)) }))
+    .filter(candidate => candidate.match);
+
+  if (candidates.length === 0) {
+    return [`${label}: route is not registered`];
+  }
+
+  const found = candidates.find(candidate => candidate.route.methods.includes(method));
+  if (!found) {
+    const accepted = candidates.flatMap(candidate => candidate.route.methods).join(', ');
+    return [`${label}: method is not registered, the route accepts ${accepted}`];
+  }
+
+  const { args } = found.route;
+  const isQuery = method === 'GET';
+  const payload = { ...(isQuery ? params : data), ...found.match.groups };
+  const violations = [];
+
+  Object.entries(payload).forEach(([name, value]) => {
+    if (value === null || value === undefined) {
+      return;
+    }
+    if (!args[name]) {
+      violations.push(`${label}: unknown parameter "${name}"`);
+      return;
+    }
+
+    const check = TYPE_CHECKS[args[name].type];
+    if (check && !check(isQuery ? String(value) : value)) {
+      violations.push(`${label}: parameter "${name}" is not of type ${args[name].type}`);
+    }
+  });
+
+  Object.entries(args).forEach(([name, arg]) => {
+    if (arg.required && (payload[name] === null || payload[name] === undefined)) {
+      violations.push(`${label}: missing required parameter "${name}"`);
+    }
+  });
+
+  return violations;
+};
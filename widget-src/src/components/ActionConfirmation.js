@@ -0,0 +1,108 @@
+/**
+ * Action Confirmation Component
+ *
+ * Inline card asking the shopper to confirm a cart or coupon action the
+ * assistant suggested. Shows the exact change, the quantity and how the
+ * cart total moves before anything is changed.
+ *
+ * @package WooAiAssistant
+ * @subpackage Components
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * ActionConfirmation Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.confirmation - Confirmation, see ProductActionService.requestConfirmation()
+ * @param {string} props.currencySymbol - Currency symbol for the price impact
+ * @param {boolean} props.isBusy - Whether the confirmed action is running
+ * @param {Function} props.onConfirm - Runs the action
+ * @param {Function} props.onDecline - Drops the action
+ * @returns {JSX.Element} Confirmation card
+ */
+const ActionConfirmation = ({
+  confirmation,
+  currencySymbol = '$',
+  isBusy = false,
+  onConfirm,
+  onDecline
+}) => {
+  const { change, quantity, priceImpact } = confirmation;
+
+  // Signed amount the cart total changes by
+  const getPriceImpact = () => {
+    if (priceImpact === null || priceImpact === undefined) {
+      return 'Calculated by the store';
+    }
+    const sign = priceImpact < 0 ? '−' : '+';
+    return `${sign}${currencySymbol}${Math.abs(priceImpact).toFixed(2)}`;
+  };
+
+  return (
+    <div
+      className="woo-ai-assistant-action-confirmation"
+      role="group"
+      aria-label="Confirm suggested action"
+    >
+      <p className="woo-ai-assistant-action-confirmation-change">{change}</p>
+
+      <dl className="woo-ai-assistant-action-confirmation-details">
+        {quantity !== null && quantity !== undefined && (
+          <>
+            <dt>Quantity</dt>
+            <dd>{quantity}</dd>
+          </>
+        )}
+        <dt>Cart total</dt>
+        <dd
+          className={`woo-ai-assistant-action-confirmation-impact ${
+            priceImpact < 0 ? 'woo-ai-assistant-action-confirmation-impact--saving' : ''
+          }`}
+        >
+          {getPriceImpact()}
+        </dd>
+      </dl>
+
+      <div className="woo-ai-assistant-action-confirmation-buttons">
+        <button
+          type="button"
+          className="woo-ai-assistant-action-confirmation-confirm"
+          onClick={onConfirm}
+          disabled={isBusy}
+          aria-busy={isBusy}
+        >
+          {isBusy ? 'Working…' : 'Confirm'}
+        </button>
+        <button
+          type="button"
+          className="woo-ai-assistant-action-confirmation-decline"
+          onClick={onDecline}
+          disabled={isBusy}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+ActionConfirmation.propTypes = {
+  confirmation: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    change: PropTypes.string.isRequired,
+    quantity: PropTypes.number,
+    priceImpact: PropTypes.number
+  }).isRequired,
+  currencySymbol: PropTypes.string,
+  isBusy: PropTypes.bool,
+  onConfirm: PropTypes.func.isRequired,
+  onDecline: PropTypes.func.isRequired
+};
+
+export default ActionConfirmation;
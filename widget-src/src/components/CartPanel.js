@@ -0,0 +1,269 @@
+/**
+ * Cart Panel Component
+ *
+ * Cart tab of the chat window. Lists the line items with quantity
+ * steppers, the applied coupons and the totals, and leads to checkout.
+ * Reads the shared cart store, so changes made here, by the assistant or
+ * by the theme all show up in the same cart.
+ *
+ * @package WooAiAssistant
+ * @subpackage Components
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { CheckoutAction } from './QuickAction';
+import UndoNotice from './UndoNotice';
+import productActionService from '../services/ProductActionService';
+import useCart from '../hooks/useCart';
+
+/**
+ * Highest quantity the widget sets, as in ProductActionService.addToCart()
+ */
+const MAX_QUANTITY = 99;
+
+/**
+ * CartPanel Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.wooCommerceData - WooCommerce data context
+ * @returns {JSX.Element} Cart panel
+ */
+const CartPanel = ({ wooCommerceData = {} }) => {
+  const { cart, isLoading, error } = useCart();
+  const [busyKey, setBusyKey] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [undo, setUndo] = useState(null);
+  const [isUndoing, setIsUndoing] = useState(false);
+
+  const currencySymbol = cart?.totals.currencySymbol || wooCommerceData.currencySymbol || '$';
+
+  // Read the cart when the panel opens, the theme may have changed it
+  useEffect(() => {
+    const controller = new AbortController();
+    productActionService.getCart({ signal: controller.signal });
+    return () => controller.abort();
+  }, []);
+
+  const formatPrice = (amount) => `${currencySymbol}${(Number(amount) || 0).toFixed(2)}`;
+
+  // Run a cart change, one at a time
+  const runAction = async (key, action) => {
+    setBusyKey(key);
+    setActionError(null);
+
+    try {
+      const result = await action();
+      if (result.success) {
+        setUndo(result.undo || null);
+      } else {
+        setActionError(result.error);
+      }
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleQuantity = (item, quantity) => runAction(
+    item.key,
+    () => productActionService.updateCartItem(item.key, quantity)
+  );
+
+  const handleRemoveCoupon = (code) => runAction(
+    `coupon:${code}`,
+    () => productActionService.removeCoupon(code)
+  );
+
+  const handleUndo = async () => {
+    setIsUndoing(true);
+
+    try {
+      const result = await productActionService.undoAction(undo.id);
+      if (!result.success) {
+        setActionError(result.error);
+      }
+    } finally {
+      setIsUndoing(false);
+      setUndo(null);
+    }
+  };
+
+  const handleCheckout = () => {
+    window.location.assign(cart.checkoutUrl);
+  };
+
+  // Attribute values of the picked variation, e.g. "Sand, M"
+  const getVariationText = (variation = {}) => Object.values(variation).filter(Boolean).join(', ');
+
+  const renderItems = () => (
+    <ul className="woo-ai-assistant-cart-items">
+      {cart.items.map(item => {
+        const name = item.product.name;
+        const isBusy = busyKey !== null;
+        const maxQuantity = Math.min(item.product.stockQuantity || MAX_QUANTITY, MAX_QUANTITY);
+
+        return (
+          <li
+            key={item.key}
+            className={`woo-ai-assistant-cart-item ${
+              busyKey === item.key ? 'woo-ai-assistant-cart-item--busy' : ''
+            }`}
+          >
+            <div className="woo-ai-assistant-cart-item-details">
+              <span className="woo-ai-assistant-cart-item-name">{name}</span>
+              {getVariationText(item.variation) && (
+                <span className="woo-ai-assistant-cart-item-variation">
+                  {getVariationText(item.variation)}
+                </span>
+              )}
+              <span className="woo-ai-assistant-cart-item-total">{formatPrice(item.lineTotal)}</span>
+            </div>
+
+            <div className="woo-ai-assistant-cart-item-quantity">
+              <button
+                type="button"
+                onClick={() => handleQuantity(item, item.quantity - 1)}
+                disabled={isBusy || item.quantity <= 1}
+                aria-label={`Decrease quantity of ${name}`}
+              >
+                −
+              </button>
+              <span aria-label={`Quantity of ${name}`}>{item.quantity}</span>
+              <button
+                type="button"
+                onClick={() => handleQuantity(item, item.quantity + 1)}
+                disabled={isBusy || item.quantity >= maxQuantity}
+                aria-label={`Increase quantity of ${name}`}
+              >
+                +
+              </button>
+              <button
+                type="button"
+                className="woo-ai-assistant-cart-item-remove"
+                onClick={() => handleQuantity(item, 0)}
+                disabled={isBusy}
+                aria-label={`Remove ${name}`}
+              >
+                Remove
+              </button>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  const renderCoupons = () => (
+    <ul className="woo-ai-assistant-cart-coupons" aria-label="Applied coupons">
+      {cart.coupons.map(coupon => (
+        <li key={coupon.code} className="woo-ai-assistant-cart-coupon">
+          <span className="woo-ai-assistant-cart-coupon-code">{coupon.code.toUpperCase()}</span>
+          {Number.isFinite(coupon.discountAmount) && (
+            <span className="woo-ai-assistant-cart-coupon-amount">−{formatPrice(coupon.discountAmount)}</span>
+          )}
+          <button
+            type="button"
+            onClick={() => handleRemoveCoupon(coupon.code)}
+            disabled={busyKey !== null}
+            aria-label={`Remove coupon ${coupon.code.toUpperCase()}`}
+          >
+            Remove
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+
+  const renderTotals = () => (
+    <dl className="woo-ai-assistant-cart-totals">
+      <dt>Subtotal</dt>
+      <dd>{formatPrice(cart.totals.subtotal)}</dd>
+      {cart.totals.discountTotal > 0 && (
+        <>
+          <dt>Discount</dt>
+          <dd>−{formatPrice(cart.totals.discountTotal)}</dd>
+        </>
+      )}
+      {cart.totals.shippingTotal > 0 && (
+        <>
+          <dt>Shipping</dt>
+          <dd>{formatPrice(cart.totals.shippingTotal)}</dd>
+        </>
+      )}
+      <dt className="woo-ai-assistant-cart-grand-total">Total</dt>
+      <dd className="woo-ai-assistant-cart-grand-total">{formatPrice(cart.totals.total)}</dd>
+    </dl>
+  );
+
+  const renderContent = () => {
+    if (!cart) {
+      return isLoading || !error ? (
+        <p className="woo-ai-assistant-cart-empty" role="status">
+          Loading your cart...
+        </p>
+      ) : (
+        <div className="woo-ai-assistant-cart-empty" role="alert">
+          <p>{error}</p>
+          <button type="button" onClick={() => productActionService.getCart()}>
+            Try again
+          </button>
+        </div>
+      );
+    }
+
+    if (cart.items.length === 0) {
+      return (
+        <p className="woo-ai-assistant-cart-empty">
+          Your cart is empty. Ask the assistant for ideas!
+        </p>
+      );
+    }
+
+    return (
+      <>
+        {renderItems()}
+        {cart.coupons.length > 0 && renderCoupons()}
+        {renderTotals()}
+        {cart.checkoutUrl && (
+          <CheckoutAction
+            onClick={handleCheckout}
+            disabled={busyKey !== null}
+            fullWidth={true}
+          />
+        )}
+      </>
+    );
+  };
+
+  return (
+    <section className="woo-ai-assistant-cart-panel" aria-label="Cart" aria-busy={isLoading}>
+      {renderContent()}
+
+      {actionError && (
+        <p className="woo-ai-assistant-cart-error" role="alert">
+          {actionError}
+        </p>
+      )}
+
+      {undo && (
+        <UndoNotice
+          undo={undo}
+          isBusy={isUndoing}
+          onUndo={handleUndo}
+          onExpire={() => setUndo(null)}
+        />
+      )}
+    </section>
+  );
+};
+
+CartPanel.propTypes = {
+  wooCommerceData: PropTypes.shape({
+    currencySymbol: PropTypes.string
+  })
+};
+
+export default CartPanel;
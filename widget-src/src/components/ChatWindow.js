@@ -3,7 +3,7 @@
  *
  * Main chat interface component that handles user conversations
  * with the AI assistant. Features full message display, typing indicators,
- * input handling, and responsive design.
+ * input handling, a cart tab, and responsive design.
  *
  * @package WooAiAssistant
  * @subpackage Components
@@ -15,6 +15,9 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import Message from './Message';
 import TypingIndicator from './TypingIndicator';
+import ConversationHistory from './ConversationHistory';
+import CartPanel from './CartPanel';
+import useCart from '../hooks/useCart';
 
 /**
  * Chat Window Component
@@ -25,6 +28,9 @@ import TypingIndicator from './TypingIndicator';
  * @param {Array} props.messages - Array of conversation messages
  * @param {boolean} props.isTyping - Whether the bot is typing
  * @param {boolean} props.isConnected - Whether connected to chat service
+ * @param {boolean} props.isOnline - Whether the backend is reachable
+ * @param {number} props.cooldownUntil - Timestamp until which the server refuses new messages
+ * @param {boolean} props.isGenerating - Whether a reply is in progress
  * @param {string} props.conversationId - Current conversation ID
  * @param {Object} props.userContext - Current user context
  * @param {Object} props.wooCommerceData - WooCommerce data context
@@ -34,6 +40,18 @@ import TypingIndicator from './TypingIndicator';
  * @param {Function} props.onMinimize - Minimize handler
  * @param {Function} props.onSendMessage - Send message handler
  * @param {Function} props.onClearMessages - Clear messages handler
+ * @param {Function} props.onRetryMessage - Resend a failed message
+ * @param {Function} props.onStopGeneration - Stop the reply in progress
+ * @param {Function} props.onRegenerate - Replace the latest answer
+ * @param {Function} props.onEditMessage - Edit an earlier user message and resend it
+ * @param {boolean} props.isReadOnly - Whether the conversation has ended and can only be read
+ * @param {boolean} props.canUseHistory - Whether past conversations can be browsed
+ * @param {Array} props.conversations - Past conversation summaries
+ * @param {boolean} props.isHistoryLoading - Whether past conversations are being loaded
+ * @param {Object} props.historyError - Why past conversations could not be loaded
+ * @param {Function} props.onLoadConversations - Load past conversations
+ * @param {Function} props.onSelectConversation - Reopen a past conversation
+ * @param {Function} props.onNewConversation - Start a new conversation
  * @returns {JSX.Element} Chat window component
  */
 const ChatWindow = ({
@@ -41,6 +59,9 @@ const ChatWindow = ({
   messages,
   isTyping,
   isConnected,
+  isOnline = true,
+  cooldownUntil = null,
+  isGenerating = false,
   conversationId,
   userContext,
   wooCommerceData,
@@ -49,17 +70,63 @@ const ChatWindow = ({
   onClose,
   onMinimize,
   onSendMessage,
-  onClearMessages
+  onClearMessages,
+  onRetryMessage,
+  onStopGeneration,
+  onRegenerate,
+  onEditMessage,
+  isReadOnly = false,
+  canUseHistory = false,
+  conversations = [],
+  isHistoryLoading = false,
+  historyError = null,
+  onLoadConversations,
+  onSelectConversation,
+  onNewConversation
 }) => {
   // Local state
   const [inputValue, setInputValue] = useState('');
   const [isInputFocused, setIsInputFocused] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [cooldownSeconds, setCooldownSeconds] = useState(0);
+  const [activeTab, setActiveTab] = useState('chat');
+
+  // Same cart the assistant changes, for the tab badge
+  const { cart } = useCart();
+  const cartCount = cart?.itemCount || 0;
 
   // Refs
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
   const messagesContainerRef = useRef(null);
 
+  // Only the latest answer can be regenerated, and not while a reply is in progress
+  const latestAnswer = [...messages].reverse().find(message => message.type === 'assistant');
+  const regenerableMessageId = !isGenerating && latestAnswer && !latestAnswer.metadata?.isWelcome
+    ? latestAnswer.id
+    : null;
+
+  // Earlier messages can be edited once the current reply is done
+  const canEdit = isConnected && !isGenerating && !error && !isReadOnly;
+
+  // Toggle the history drawer, refreshing the list when it opens
+  const toggleHistory = useCallback(() => {
+    if (!isHistoryOpen && onLoadConversations) {
+      onLoadConversations();
+    }
+    setIsHistoryOpen(!isHistoryOpen);
+  }, [isHistoryOpen, onLoadConversations]);
+
+  const handleSelectConversation = useCallback((id) => {
+    setIsHistoryOpen(false);
+    onSelectConversation(id);
+  }, [onSelectConversation]);
+
+  const handleNewConversation = useCallback(() => {
+    setIsHistoryOpen(false);
+    onNewConversation();
+  }, [onNewConversation]);
+
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     if (messagesEndRef.current) {
@@ -72,13 +139,40 @@ const ChatWindow = ({
 
   // Focus input when window opens
   useEffect(() => {
-    if (isVisible && inputRef.current && isConnected) {
+    if (isVisible && inputRef.current && isConnected && activeTab === 'chat') {
       const timer = setTimeout(() => {
         inputRef.current.focus();
       }, 100);
       return () => clearTimeout(timer);
     }
-  }, [isVisible, isConnected]);
+  }, [isVisible, isConnected, activeTab]);
+
+  // Count down the seconds until the server accepts messages again
+  useEffect(() => {
+    const updateCooldown = () => {
+      setCooldownSeconds(cooldownUntil ? Math.max(0, Math.ceil((cooldownUntil - Date.now()) / 1000)) : 0);
+    };
+
+    updateCooldown();
+    if (!cooldownUntil) {
+      return undefined;
+    }
+
+    const intervalId = setInterval(updateCooldown, 1000);
+    return () => clearInterval(intervalId);
+  }, [cooldownUntil]);
+
+  const isCoolingDown = cooldownSeconds > 0;
+
+  // Arrow keys move between the tabs, as in the WAI-ARIA tabs pattern
+  const handleTabKeyDown = useCallback((e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      const nextTab = activeTab === 'chat' ? 'cart' : 'chat';
+      setActiveTab(nextTab);
+      document.getElementById(`woo-ai-chat-tab-${nextTab}`)?.focus();
+    }
+  }, [activeTab]);
 
   // Handle input changes with auto-resize
   const handleInputChange = useCallback((e) => {
@@ -95,7 +189,7 @@ const ChatWindow = ({
   const handleSendMessage = useCallback((e) => {
     e.preventDefault();
 
-    if (!inputValue.trim() || !isConnected || isTyping) {
+    if (!inputValue.trim() || !isConnected || isTyping || isCoolingDown) {
       return;
     }
 
@@ -106,7 +200,7 @@ const ChatWindow = ({
     if (inputRef.current) {
       inputRef.current.style.height = 'auto';
     }
-  }, [inputValue, isConnected, isTyping, onSendMessage]);
+  }, [inputValue, isConnected, isTyping, isCoolingDown, onSendMessage]);
 
   // Handle key press (Enter to send, Shift+Enter for new line)
   const handleKeyPress = useCallback((e) => {
@@ -157,6 +251,30 @@ const ChatWindow = ({
         </div>
 
         <div className="woo-ai-assistant-chat-controls">
+          {canUseHistory && (
+            <>
+              <button
+                className="woo-ai-assistant-chat-new"
+                onClick={handleNewConversation}
+                aria-label="New chat"
+                type="button"
+                title="New chat"
+                disabled={!isConnected}
+              >
+                <NewChatIcon />
+              </button>
+              <button
+                className="woo-ai-assistant-chat-history"
+                onClick={toggleHistory}
+                aria-label="Conversation history"
+                aria-expanded={isHistoryOpen}
+                type="button"
+                title="Conversation history"
+              >
+                <HistoryIcon />
+              </button>
+            </>
+          )}
           <button
             className="woo-ai-assistant-chat-minimize"
             onClick={onMinimize}
@@ -178,8 +296,73 @@ const ChatWindow = ({
         </div>
       </div>
 
-      {/* Messages Area */}
-      <div className="woo-ai-assistant-chat-content">
+      {isHistoryOpen && (
+        <ConversationHistory
+          conversations={conversations}
+          isLoading={isHistoryLoading}
+          error={historyError}
+          onRetry={onLoadConversations}
+          activeConversationId={conversationId}
+          onSelect={handleSelectConversation}
+          onNewConversation={handleNewConversation}
+          onClose={() => setIsHistoryOpen(false)}
+        />
+      )}
+
+      {/* Tabs */}
+      <div className="woo-ai-assistant-chat-tabs" role="tablist" aria-label="Assistant views">
+        <button
+          className={`woo-ai-assistant-chat-tab ${activeTab === 'chat' ? 'active' : ''}`}
+          onClick={() => setActiveTab('chat')}
+          role="tab"
+          id="woo-ai-chat-tab-chat"
+          aria-selected={activeTab === 'chat'}
+          aria-controls="woo-ai-chat-panel-chat"
+          tabIndex={activeTab === 'chat' ? 0 : -1}
+          onKeyDown={handleTabKeyDown}
+          type="button"
+        >
+          Chat
+        </button>
+        <button
+          className={`woo-ai-assistant-chat-tab ${activeTab === 'cart' ? 'active' : ''}`}
+          onClick={() => setActiveTab('cart')}
+          role="tab"
+          id="woo-ai-chat-tab-cart"
+          aria-selected={activeTab === 'cart'}
+          aria-controls="woo-ai-chat-panel-cart"
+          tabIndex={activeTab === 'cart' ? 0 : -1}
+          onKeyDown={handleTabKeyDown}
+          type="button"
+        >
+          Cart
+          {cartCount > 0 && (
+            <span className="woo-ai-assistant-chat-tab-badge" aria-label={`${cartCount} items`}>
+              {cartCount}
+            </span>
+          )}
+        </button>
+      </div>
+
+      {activeTab === 'cart' && (
+        <div
+          className="woo-ai-assistant-chat-content"
+          role="tabpanel"
+          id="woo-ai-chat-panel-cart"
+          aria-labelledby="woo-ai-chat-tab-cart"
+        >
+          <CartPanel wooCommerceData={wooCommerceData} />
+        </div>
+      )}
+
+      {/* Messages Area, kept mounted so pending actions survive a look at the cart */}
+      <div
+        className="woo-ai-assistant-chat-content"
+        role="tabpanel"
+        id="woo-ai-chat-panel-chat"
+        aria-labelledby="woo-ai-chat-tab-chat"
+        hidden={activeTab !== 'chat'}
+      >
         <div
           className="woo-ai-assistant-messages"
           ref={messagesContainerRef}
@@ -207,6 +390,12 @@ const ChatWindow = ({
               userContext={userContext}
               wooCommerceData={wooCommerceData}
               config={config}
+              conversationId={conversationId}
+              onRetry={onRetryMessage}
+              onRegenerate={
+                message.id === regenerableMessageId ? onRegenerate : undefined
+              }
+              onEdit={canEdit && message.type === 'user' ? onEditMessage : undefined}
               onActionSuccess={(actionType, result) => {
                 // Handle successful actions (show success message, update UI)
                 // Could emit success notification or update cart display
@@ -232,6 +421,29 @@ const ChatWindow = ({
 
           {isTyping && <TypingIndicator />}
 
+          {isReadOnly && (
+            <div className="woo-ai-assistant-readonly-notice" role="status">
+              This conversation has ended.
+              {onNewConversation && (
+                <button type="button" onClick={handleNewConversation}>
+                  Start a new chat
+                </button>
+              )}
+            </div>
+          )}
+
+          {!isOnline && (
+            <div className="woo-ai-assistant-offline-notice" role="status">
+              You&apos;re offline. Messages will be sent when the connection returns.
+            </div>
+          )}
+
+          {isCoolingDown && (
+            <div className="woo-ai-assistant-cooldown-notice" role="status">
+              You can send again in {cooldownSeconds}s
+            </div>
+          )}
+
           {error && (
             <div className="woo-ai-assistant-error-message">
               <div className="woo-ai-assistant-message-content error">
@@ -273,7 +485,7 @@ const ChatWindow = ({
               rows={1}
               maxLength={2000}
               aria-label="Message input"
-              disabled={!isConnected || !!error}
+              disabled={!isConnected || !!error || isReadOnly}
               style={{ resize: 'none' }}
             />
             <div className="woo-ai-assistant-input-actions">
@@ -288,17 +500,29 @@ const ChatWindow = ({
                   <ClearIcon />
                 </button>
               )}
-              <button
-                className={`woo-ai-assistant-send ${
-                  inputValue.trim() && isConnected && !isTyping ? 'active' : ''
-                }`}
-                type="submit"
-                aria-label="Send message"
-                disabled={!inputValue.trim() || !isConnected || isTyping}
-                title="Send message"
-              >
-                {isTyping ? <LoadingIcon /> : <SendIcon />}
-              </button>
+              {isGenerating && onStopGeneration ? (
+                <button
+                  className="woo-ai-assistant-stop"
+                  onClick={onStopGeneration}
+                  type="button"
+                  aria-label="Stop generating"
+                  title="Stop generating"
+                >
+                  <StopIcon />
+                </button>
+              ) : (
+                <button
+                  className={`woo-ai-assistant-send ${
+                    inputValue.trim() && isConnected && !isTyping && !isCoolingDown ? 'active' : ''
+                  }`}
+                  type="submit"
+                  aria-label="Send message"
+                  disabled={!inputValue.trim() || !isConnected || isTyping || isCoolingDown}
+                  title="Send message"
+                >
+                  {isTyping ? <LoadingIcon /> : <SendIcon />}
+                </button>
+              )}
             </div>
           </div>
 
@@ -444,6 +668,62 @@ const ClearIcon = () => (
   </svg>
 );
 
+/**
+ * New Chat Icon Component
+ */
+const NewChatIcon = () => (
+  <svg
+    width="16"
+    height="16"
+    viewBox="0 0 16 16"
+    fill="none"
+    aria-hidden="true"
+  >
+    <path
+      d="M8 3.5v9M3.5 8h9"
+      stroke="currentColor"
+      strokeWidth="1.5"
+      strokeLinecap="round"
+    />
+  </svg>
+);
+
+/**
+ * History Icon Component
+ */
+const HistoryIcon = () => (
+  <svg
+    width="16"
+    height="16"
+    viewBox="0 0 16 16"
+    fill="none"
+    aria-hidden="true"
+  >
+    <path
+      d="M2.5 8a5.5 5.5 0 101.6-3.9M2.5 2.5v2.5H5M8 5v3l2 1.5"
+      stroke="currentColor"
+      strokeWidth="1.5"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    />
+  </svg>
+);
+
+/**
+ * Stop Icon Component
+ */
+const StopIcon = () => (
+  <svg
+    width="16"
+    height="16"
+    viewBox="0 0 16 16"
+    fill="none"
+    aria-hidden="true"
+  >
+    <rect x="4" y="4" width="8" height="8" rx="1" fill="currentColor" />
+  </svg>
+);
+
 /**
  * Loading Icon Component
  */
@@ -478,6 +758,9 @@ ChatWindow.propTypes = {
   })).isRequired,
   isTyping: PropTypes.bool.isRequired,
   isConnected: PropTypes.bool.isRequired,
+  isOnline: PropTypes.bool,
+  cooldownUntil: PropTypes.number,
+  isGenerating: PropTypes.bool,
   conversationId: PropTypes.string,
   userContext: PropTypes.object.isRequired,
   wooCommerceData: PropTypes.object.isRequired,
@@ -490,7 +773,22 @@ ChatWindow.propTypes = {
   onClose: PropTypes.func.isRequired,
   onMinimize: PropTypes.func.isRequired,
   onSendMessage: PropTypes.func.isRequired,
-  onClearMessages: PropTypes.func.isRequired
+  onClearMessages: PropTypes.func.isRequired,
+  onRetryMessage: PropTypes.func,
+  onStopGeneration: PropTypes.func,
+  onRegenerate: PropTypes.func,
+  onEditMessage: PropTypes.func,
+  isReadOnly: PropTypes.bool,
+  canUseHistory: PropTypes.bool,
+  conversations: PropTypes.array,
+  isHistoryLoading: PropTypes.bool,
+  historyError: PropTypes.shape({
+    type: PropTypes.string,
+    message: PropTypes.string
+  }),
+  onLoadConversations: PropTypes.func,
+  onSelectConversation: PropTypes.func,
+  onNewConversation: PropTypes.func
 };
 
 export default ChatWindow;
@@ -0,0 +1,179 @@
+/**
+ * Conversation History Component
+ *
+ * Drawer inside the chat window listing a logged-in customer's past
+ * conversations. Each entry shows the conversation title, when it was
+ * last active and a preview of the last message.
+ *
+ * @package WooAiAssistant
+ * @subpackage Components
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * ConversationHistory Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array} props.conversations - Conversation summaries, most recent first
+ * @param {boolean} props.isLoading - Whether the list is being loaded
+ * @param {Object} props.error - Why the list could not be loaded
+ * @param {Function} props.onRetry - Loads the list again
+ * @param {string} props.activeConversationId - ID of the conversation shown in the chat
+ * @param {Function} props.onSelect - Called with the ID of the conversation to reopen
+ * @param {Function} props.onNewConversation - Starts a new conversation
+ * @param {Function} props.onClose - Closes the drawer
+ * @returns {JSX.Element} Conversation history drawer
+ */
+const ConversationHistory = ({
+  conversations = [],
+  isLoading = false,
+  error = null,
+  onRetry,
+  activeConversationId = null,
+  onSelect,
+  onNewConversation,
+  onClose
+}) => {
+  // Format the last activity date for display
+  const formatDate = (timestamp) => {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) {
+      return '';
+    }
+
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  };
+
+  const renderList = () => {
+    if (isLoading && conversations.length === 0) {
+      return (
+        <p className="woo-ai-assistant-history-empty" role="status">
+          Loading conversations...
+        </p>
+      );
+    }
+
+    // The chat itself keeps working, only the list is missing
+    if (error && conversations.length === 0) {
+      return (
+        <div className="woo-ai-assistant-history-empty" role="alert">
+          <p>{error.message || 'Your conversations could not be loaded.'}</p>
+          {onRetry && (
+            <button
+              className="woo-ai-assistant-history-retry"
+              onClick={onRetry}
+              type="button"
+            >
+              Try again
+            </button>
+          )}
+        </div>
+      );
+    }
+
+    if (conversations.length === 0) {
+      return (
+        <p className="woo-ai-assistant-history-empty">
+          No past conversations yet.
+        </p>
+      );
+    }
+
+    return (
+      <ul className="woo-ai-assistant-history-list">
+        {conversations.map(conversation => {
+          const isCurrent = conversation.id === activeConversationId;
+
+          return (
+            <li key={conversation.id}>
+              <button
+                className={`woo-ai-assistant-history-item ${
+                  isCurrent ? 'woo-ai-assistant-history-item--current' : ''
+                }`}
+                onClick={() => onSelect(conversation.id)}
+                type="button"
+                aria-current={isCurrent ? 'true' : undefined}
+              >
+                <span className="woo-ai-assistant-history-item-header">
+                  <span className="woo-ai-assistant-history-item-title">
+                    {conversation.title || 'Untitled conversation'}
+                  </span>
+                  <time
+                    className="woo-ai-assistant-history-item-date"
+                    dateTime={conversation.updatedAt}
+                  >
+                    {formatDate(conversation.updatedAt)}
+                  </time>
+                </span>
+                {conversation.lastMessage && (
+                  <span className="woo-ai-assistant-history-item-preview">
+                    {conversation.lastMessage}
+                  </span>
+                )}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    );
+  };
+
+  return (
+    <aside
+      className="woo-ai-assistant-history"
+      aria-label="Conversation history"
+    >
+      <div className="woo-ai-assistant-history-header">
+        <h3 className="woo-ai-assistant-history-title">Your conversations</h3>
+        <button
+          className="woo-ai-assistant-history-close"
+          onClick={onClose}
+          type="button"
+          aria-label="Close conversation history"
+        >
+          &times;
+        </button>
+      </div>
+
+      <button
+        className="woo-ai-assistant-history-new"
+        onClick={onNewConversation}
+        type="button"
+      >
+        + New chat
+      </button>
+
+      {renderList()}
+    </aside>
+  );
+};
+
+// PropTypes
+ConversationHistory.propTypes = {
+  conversations: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    lastMessage: PropTypes.string,
+    updatedAt: PropTypes.string,
+    isActive: PropTypes.bool
+  })),
+  isLoading: PropTypes.bool,
+  error: PropTypes.shape({
+    message: PropTypes.string
+  }),
+  onRetry: PropTypes.func,
+  activeConversationId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  onNewConversation: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ConversationHistory;
@@ -3,7 +3,8 @@
  *
  * Displays individual chat messages with proper styling, avatars,
  * timestamps, and support for different message types (user, assistant, system, error).
- * Includes rich text rendering and fade-in animations.
+ * Includes rich text rendering and fade-in animations. Cart and coupon
+ * actions suggested by the assistant are confirmed in an inline card first.
  *
  * @package WooAiAssistant
  * @subpackage Components
@@ -11,10 +12,12 @@
  * @author Claude Code Assistant
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import ProductCard from './ProductCard';
 import { QuickActionGroup, ApplyCouponAction } from './QuickAction';
+import ActionConfirmation from './ActionConfirmation';
+import UndoNotice from './UndoNotice';
 import productActionService from '../services/ProductActionService';
 
 /**
@@ -32,8 +35,12 @@ import productActionService from '../services/ProductActionService';
  * @param {Object} props.userContext - Current user context
  * @param {Object} props.wooCommerceData - WooCommerce data context
  * @param {Object} props.config - Widget configuration
+ * @param {string} props.conversationId - Conversation the message belongs to
  * @param {Function} props.onActionSuccess - Success callback for actions
  * @param {Function} props.onActionError - Error callback for actions
+ * @param {Function} props.onRetry - Resends a failed user message
+ * @param {Function} props.onRegenerate - Replaces this answer with a new one
+ * @param {Function} props.onEdit - Replaces this user message with edited text
  * @returns {JSX.Element} Message component
  */
 const Message = ({
@@ -42,10 +49,38 @@ const Message = ({
   userContext = {},
   wooCommerceData = {},
   config = {},
+  conversationId,
   onActionSuccess,
-  onActionError
+  onActionError,
+  onRetry,
+  onRegenerate,
+  onEdit
 }) => {
   const [isVisible, setIsVisible] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [confirmation, setConfirmation] = useState(null);
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [undo, setUndo] = useState(null);
+  const [isUndoing, setIsUndoing] = useState(false);
+  const confirmationRef = useRef(null);
+
+  // Start editing with the current text
+  const startEditing = () => {
+    setDraft(message.content);
+    setIsEditing(true);
+  };
+
+  // Submit the edit unless nothing changed
+  const submitEdit = (event) => {
+    event.preventDefault();
+    const content = draft.trim();
+
+    setIsEditing(false);
+    if (content && content !== message.content) {
+      onEdit(message.id, content);
+    }
+  };
 
   // Fade-in animation effect
   useEffect(() => {
@@ -55,6 +90,17 @@ const Message = ({
     return () => clearTimeout(timer);
   }, []);
 
+  useEffect(() => {
+    confirmationRef.current = confirmation;
+  }, [confirmation]);
+
+  // Nobody can confirm a suggestion once its message is gone
+  useEffect(() => () => {
+    if (confirmationRef.current) {
+      productActionService.discardConfirmation(confirmationRef.current.id);
+    }
+  }, []);
+
   // Format timestamp for display
   const formatTimestamp = (timestamp) => {
     try {
@@ -92,6 +138,25 @@ const Message = ({
     return config.assistantName || 'AI Assistant';
   };
 
+  // Report the outcome of an action to the parent. Cart changes are not
+  // cancelled when the message unmounts, the store may already have applied
+  // them, so the parent still hears about them.
+  const reportResult = (actionType, result) => {
+    if (result.success) {
+      // Cart changes can be undone for a few seconds
+      if (result.undo) {
+        setUndo(result.undo);
+      }
+      if (onActionSuccess) {
+        onActionSuccess(actionType, result);
+      }
+    } else {
+      if (onActionError) {
+        onActionError(actionType, result.error);
+      }
+    }
+  };
+
   // Handle product actions
   const handleProductAction = async (actionData) => {
     try {
@@ -108,15 +173,7 @@ const Message = ({
           result = { success: false, error: 'Unknown action type' };
       }
 
-      if (result.success) {
-        if (onActionSuccess) {
-          onActionSuccess(actionData.type, result);
-        }
-      } else {
-        if (onActionError) {
-          onActionError(actionData.type, result.error);
-        }
-      }
+      reportResult(actionData.type, result);
     } catch (error) {
       if (onActionError) {
         onActionError(actionData.type, error.message);
@@ -124,6 +181,53 @@ const Message = ({
     }
   };
 
+  // Ask the shopper to confirm a quick action suggested by the assistant
+  const handleQuickAction = (action) => {
+    const pending = productActionService.requestConfirmation(action, {
+      products: message.metadata?.products,
+      coupons: message.metadata?.suggestedCoupons,
+      conversationId
+    });
+
+    if (pending) {
+      setConfirmation(pending);
+    } else {
+      reportResult(action.type, { success: false, error: 'Unknown action type' });
+    }
+  };
+
+  // Run the confirmed action
+  const handleConfirm = async () => {
+    setIsConfirming(true);
+
+    try {
+      const result = await productActionService.confirmAction(confirmation.id);
+      reportResult(confirmation.action.type, result);
+    } finally {
+      setIsConfirming(false);
+      setConfirmation(null);
+    }
+  };
+
+  // Drop the declined action
+  const handleDecline = () => {
+    productActionService.declineAction(confirmation.id);
+    setConfirmation(null);
+  };
+
+  // Reverse the last cart change
+  const handleUndo = async () => {
+    setIsUndoing(true);
+
+    try {
+      const result = await productActionService.undoAction(undo.id);
+      reportResult('undo', result);
+    } finally {
+      setIsUndoing(false);
+      setUndo(null);
+    }
+  };
+
   // Render enhanced message content with product cards and actions
   const renderContent = (content, metadata = {}) => {
     const components = [];
@@ -152,7 +256,7 @@ const Message = ({
               product={product}
               wooCommerceData={wooCommerceData}
               config={config}
-              onAddToCart={handleProductAction}
+              onAddToCart={productData => handleProductAction({ type: 'add-to-cart', data: productData })}
               size="medium"
               showActions={true}
             />
@@ -184,26 +288,48 @@ const Message = ({
       components.push(couponActions);
     }
 
-    // Render quick actions if present
+    // Render quick actions if present, each waits for the shopper to confirm
     if (metadata.quickActions && Array.isArray(metadata.quickActions)) {
       const quickActions = (
         <div key="quick-actions" className="woo-ai-assistant-message-actions-list">
-          <QuickActionGroup direction="horizontal" spacing="small">
-            {metadata.quickActions.map((action, index) => (
-              <button
-                key={index}
-                className="woo-ai-assistant-quick-action woo-ai-assistant-quick-action--small woo-ai-assistant-quick-action--outline"
-                onClick={() => handleProductAction(action)}
-              >
-                {action.label}
-              </button>
-            ))}
-          </QuickActionGroup>
+          {confirmation ? (
+            <ActionConfirmation
+              confirmation={confirmation}
+              currencySymbol={wooCommerceData.currencySymbol || '$'}
+              isBusy={isConfirming}
+              onConfirm={handleConfirm}
+              onDecline={handleDecline}
+            />
+          ) : (
+            <QuickActionGroup direction="horizontal" spacing="small">
+              {metadata.quickActions.map((action, index) => (
+                <button
+                  key={index}
+                  className="woo-ai-assistant-quick-action woo-ai-assistant-quick-action--small woo-ai-assistant-quick-action--outline"
+                  onClick={() => handleQuickAction(action)}
+                >
+                  {action.label}
+                </button>
+              ))}
+            </QuickActionGroup>
+          )}
         </div>
       );
       components.push(quickActions);
     }
 
+    if (undo) {
+      components.push(
+        <UndoNotice
+          key="undo-notice"
+          undo={undo}
+          isBusy={isUndoing}
+          onUndo={handleUndo}
+          onExpire={() => setUndo(null)}
+        />
+      );
+    }
+
     return components.length > 0 ? components : null;
   };
 
@@ -215,6 +341,8 @@ const Message = ({
     if (isVisible) classes.push(`${baseClass}--visible`);
     if (isLatest) classes.push(`${baseClass}--latest`);
     if (message.metadata?.hasError) classes.push(`${baseClass}--error`);
+    if (message.metadata?.isStreaming) classes.push(`${baseClass}--streaming`);
+    if (message.status) classes.push(`${baseClass}--${message.status}`);
 
     return classes.join(' ');
   };
@@ -298,7 +426,33 @@ const Message = ({
         </div>
 
         <div className="woo-ai-assistant-message-body">
-          {renderContent(message.content, message.metadata)}
+          {isEditing ? (
+            <form className="woo-ai-assistant-message-edit" onSubmit={submitEdit}>
+              <textarea
+                className="woo-ai-assistant-message-edit-input"
+                value={draft}
+                onChange={(event) => setDraft(event.target.value)}
+                maxLength={2000}
+                rows={2}
+                aria-label="Edit message"
+                autoFocus
+              />
+              <div className="woo-ai-assistant-message-edit-actions">
+                <button type="button" onClick={() => setIsEditing(false)}>
+                  Cancel
+                </button>
+                <button type="submit" disabled={!draft.trim()}>
+                  Save &amp; send
+                </button>
+              </div>
+            </form>
+          ) : (
+            renderContent(message.content, message.metadata)
+          )}
+
+          {message.type === 'user' && message.metadata?.isEdited && !isEditing && (
+            <span className="woo-ai-assistant-message-edited">(edited)</span>
+          )}
 
           {/* Message metadata (for debugging in development) */}
           {process.env.NODE_ENV === 'development' && message.metadata && (
@@ -309,9 +463,49 @@ const Message = ({
           )}
         </div>
 
+        {/* Delivery status for user messages */}
+        {message.type === 'user' && message.status && (
+          <div
+            className={`woo-ai-assistant-message-status woo-ai-assistant-message-status--${message.status}`}
+            role="status"
+          >
+            <span>{STATUS_LABELS[message.status]}</span>
+            {message.status === 'failed' && onRetry && (
+              <button
+                className="woo-ai-assistant-message-retry"
+                onClick={() => onRetry(message.id)}
+                type="button"
+                aria-label="Retry sending message"
+              >
+                Retry
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Editing for the shopper's own messages */}
+        {message.type === 'user' && onEdit && !isEditing && message.status !== 'pending' && (
+          <div className="woo-ai-assistant-message-actions">
+            <button
+              className="woo-ai-assistant-message-action"
+              onClick={startEditing}
+              type="button"
+              aria-label="Edit message"
+              title="Edit message"
+            >
+              <EditIcon />
+            </button>
+          </div>
+        )}
+
         {/* Message actions (like/dislike, copy, etc.) */}
-        {message.type === 'assistant' && (
+        {message.type === 'assistant' && !message.metadata?.isStreaming && (
           <div className="woo-ai-assistant-message-actions">
+            {message.metadata?.isStopped && (
+              <span className="woo-ai-assistant-message-stopped">
+                Response stopped
+              </span>
+            )}
             <button
               className="woo-ai-assistant-message-action"
               onClick={() => navigator.clipboard?.writeText(message.content)}
@@ -320,6 +514,17 @@ const Message = ({
             >
               <CopyIcon />
             </button>
+            {onRegenerate && (
+              <button
+                className="woo-ai-assistant-message-action woo-ai-assistant-message-regenerate"
+                onClick={() => onRegenerate()}
+                type="button"
+                aria-label="Regenerate response"
+                title="Regenerate response"
+              >
+                <RegenerateIcon />
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -327,6 +532,13 @@ const Message = ({
   );
 };
 
+// Delivery status labels
+const STATUS_LABELS = {
+  pending: 'Sending...',
+  sent: 'Sent',
+  failed: 'Not sent'
+};
+
 // Icon Components
 
 /**
@@ -434,6 +646,48 @@ const CopyIcon = () => (
   </svg>
 );
 
+/**
+ * Edit Icon Component
+ */
+const EditIcon = () => (
+  <svg
+    width="14"
+    height="14"
+    viewBox="0 0 14 14"
+    fill="none"
+    aria-hidden="true"
+  >
+    <path
+      d="M9.5 2l2.5 2.5L5 11.5H2.5V9L9.5 2z"
+      stroke="currentColor"
+      strokeWidth="1.2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    />
+  </svg>
+);
+
+/**
+ * Regenerate Icon Component
+ */
+const RegenerateIcon = () => (
+  <svg
+    width="14"
+    height="14"
+    viewBox="0 0 14 14"
+    fill="none"
+    aria-hidden="true"
+  >
+    <path
+      d="M12 7a5 5 0 11-1.46-3.54M12 1.5v2.5H9.5"
+      stroke="currentColor"
+      strokeWidth="1.2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    />
+  </svg>
+);
+
 // PropTypes
 Message.propTypes = {
   message: PropTypes.shape({
@@ -441,11 +695,15 @@ Message.propTypes = {
     type: PropTypes.oneOf(['user', 'assistant', 'system', 'error']).isRequired,
     content: PropTypes.string.isRequired,
     timestamp: PropTypes.string.isRequired,
+    status: PropTypes.oneOf(['pending', 'sent', 'failed']),
     metadata: PropTypes.shape({
       products: PropTypes.array,
       suggestedCoupons: PropTypes.array,
       quickActions: PropTypes.array,
       hasError: PropTypes.bool,
+      isStreaming: PropTypes.bool,
+      isStopped: PropTypes.bool,
+      isEdited: PropTypes.bool,
       source: PropTypes.string
     })
   }).isRequired,
@@ -466,8 +724,12 @@ Message.propTypes = {
     features: PropTypes.object,
     styling: PropTypes.object
   }),
+  conversationId: PropTypes.string,
   onActionSuccess: PropTypes.func,
-  onActionError: PropTypes.func
+  onActionError: PropTypes.func,
+  onRetry: PropTypes.func,
+  onRegenerate: PropTypes.func,
+  onEdit: PropTypes.func
 };
 
 export default Message;
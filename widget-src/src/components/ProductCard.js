@@ -4,6 +4,8 @@
  * Displays product information in the chat interface including image,
  * title, price, description, and action buttons. Features responsive design,
  * accessibility support, and integration with WooCommerce cart actions.
+ * Variable products are added as the variation picked in the card, whose
+ * price, image and stock replace those of the product.
  *
  * @package WooAiAssistant
  * @subpackage Components
@@ -11,9 +13,10 @@
  * @author Claude Code Assistant
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import QuickAction from './QuickAction';
+import VariationPicker, { getVariationAttributes, findVariation } from './VariationPicker';
 
 /**
  * Product Card Component
@@ -31,7 +34,9 @@ import QuickAction from './QuickAction';
  * @param {string} props.product.image - Product image URL
  * @param {string} props.product.permalink - Product page URL
  * @param {boolean} props.product.inStock - Whether product is in stock
- * @param {Object} props.product.variations - Product variations if any
+ * @param {string} props.product.type - Product type, e.g. 'simple' or 'variable'
+ * @param {Array} props.product.attributes - Attributes variations are picked by, if any
+ * @param {Array} props.product.variations - Product variations if any
  * @param {Array} props.product.categories - Product categories
  * @param {Object} props.wooCommerceData - WooCommerce context data
  * @param {Object} props.config - Widget configuration
@@ -53,29 +58,63 @@ const ProductCard = ({
   // Local state
   const [isLoading, setIsLoading] = useState(false);
   const [quantity, setQuantity] = useState(1);
-  const [selectedVariation, setSelectedVariation] = useState(null);
+  const [selection, setSelection] = useState({});
+
+  // Variable products need a variation picked before they can be added
+  const variations = useMemo(() => product.variations || [], [product.variations]);
+  const attributes = useMemo(() => getVariationAttributes(product), [product]);
+  const isVariable = product.type === 'variable' || variations.length > 0;
+  const canPickVariation = attributes.length > 0 && variations.length > 0;
+  const selectedVariation = useMemo(
+    () => (canPickVariation ? findVariation(variations, attributes, selection) : null),
+    [canPickVariation, variations, attributes, selection]
+  );
+
+  // The picked variation's price, image and stock replace the product's
+  const displayed = selectedVariation ? {
+    ...product,
+    price: selectedVariation.price,
+    regularPrice: selectedVariation.regularPrice,
+    salePrice: selectedVariation.salePrice,
+    image: selectedVariation.image || product.image,
+    inStock: selectedVariation.inStock,
+    stockQuantity: selectedVariation.stockQuantity
+  } : product;
+  const canAddToCart = displayed.inStock && (!isVariable || !!selectedVariation);
 
   // Handle add to cart action
   const handleAddToCart = useCallback(async () => {
-    if (!onAddToCart || isLoading || !product.inStock) {
+    if (!onAddToCart || isLoading || !canAddToCart) {
       return;
     }
 
     setIsLoading(true);
 
     try {
+      // "Any" attributes of the variation are sent with the picked option
       await onAddToCart({
         productId: product.id,
         quantity,
         variationId: selectedVariation?.id || null,
-        variation: selectedVariation?.attributes || {}
+        variation: selectedVariation
+          ? Object.fromEntries(attributes.map(attribute => [attribute.name, selection[attribute.name]]))
+          : {}
       });
     } catch (error) {
       // Error handling is done in parent component
     } finally {
       setIsLoading(false);
     }
-  }, [onAddToCart, isLoading, product.inStock, product.id, quantity, selectedVariation]);
+  }, [onAddToCart, isLoading, canAddToCart, product.id, quantity, selectedVariation, attributes, selection]);
+
+  // Handle variation option picks
+  const handleVariationChange = useCallback((name, value) => {
+    setSelection(current => ({ ...current, [name]: value }));
+  }, []);
+
+  const handleVariationClear = useCallback(() => {
+    setSelection({});
+  }, []);
 
   // Handle view product action
   const handleViewProduct = useCallback(() => {
@@ -93,8 +132,8 @@ const ProductCard = ({
   }, []);
 
   // Check if product is on sale
-  const isOnSale = product.salePrice && product.regularPrice &&
-                   parseFloat(product.salePrice) < parseFloat(product.regularPrice);
+  const isOnSale = displayed.salePrice && displayed.regularPrice &&
+                   parseFloat(displayed.salePrice) < parseFloat(displayed.regularPrice);
 
   // Get price display
   const getPriceDisplay = () => {
@@ -102,10 +141,10 @@ const ProductCard = ({
       return (
         <div className="woo-ai-assistant-product-price woo-ai-assistant-product-price--sale">
           <span className="woo-ai-assistant-product-price-sale">
-            {wooCommerceData.currencySymbol || '$'}{product.salePrice}
+            {wooCommerceData.currencySymbol || '$'}{displayed.salePrice}
           </span>
           <span className="woo-ai-assistant-product-price-regular">
-            {wooCommerceData.currencySymbol || '$'}{product.regularPrice}
+            {wooCommerceData.currencySymbol || '$'}{displayed.regularPrice}
           </span>
         </div>
       );
@@ -113,7 +152,7 @@ const ProductCard = ({
     return (
       <div className="woo-ai-assistant-product-price">
         <span className="woo-ai-assistant-product-price-current">
-          {wooCommerceData.currencySymbol || '$'}{product.price || product.regularPrice}
+          {wooCommerceData.currencySymbol || '$'}{displayed.price || displayed.regularPrice}
         </span>
       </div>
     );
@@ -121,13 +160,20 @@ const ProductCard = ({
 
   // Get stock status display
   const getStockStatus = () => {
-    if (!product.inStock) {
+    if (!displayed.inStock) {
       return (
         <div className="woo-ai-assistant-product-stock woo-ai-assistant-product-stock--out">
           Out of Stock
         </div>
       );
     }
+    if (selectedVariation && displayed.stockQuantity > 0) {
+      return (
+        <div className="woo-ai-assistant-product-stock woo-ai-assistant-product-stock--in">
+          {displayed.stockQuantity} in stock
+        </div>
+      );
+    }
     return null;
   };
 
@@ -137,7 +183,7 @@ const ProductCard = ({
     const classes = [baseClass, `${baseClass}--${size}`];
 
     if (isOnSale) classes.push(`${baseClass}--on-sale`);
-    if (!product.inStock) classes.push(`${baseClass}--out-of-stock`);
+    if (!displayed.inStock) classes.push(`${baseClass}--out-of-stock`);
     if (isLoading) classes.push(`${baseClass}--loading`);
 
     return classes.join(' ');
@@ -165,9 +211,10 @@ const ProductCard = ({
 
       {/* Product Image */}
       <div className="woo-ai-assistant-product-image-container">
-        {product.image ? (
+        {displayed.image ? (
           <img
-            src={product.image}
+            key={displayed.image}
+            src={displayed.image}
             alt={product.name}
             className="woo-ai-assistant-product-image"
             loading="lazy"
@@ -181,7 +228,7 @@ const ProductCard = ({
         {/* Fallback placeholder */}
         <div
           className="woo-ai-assistant-product-image-placeholder"
-          style={{ display: product.image ? 'none' : 'flex' }}
+          style={{ display: displayed.image ? 'none' : 'flex' }}
           data-testid="image-placeholder"
         >
           <ImagePlaceholderIcon />
@@ -234,6 +281,18 @@ const ProductCard = ({
         {/* Actions */}
         {showActions && product.inStock && (
           <div className="woo-ai-assistant-product-actions">
+            {/* Variation Picker */}
+            {canPickVariation && (
+              <VariationPicker
+                productId={product.id}
+                attributes={attributes}
+                variations={variations}
+                selection={selection}
+                onChange={handleVariationChange}
+                onClear={handleVariationClear}
+              />
+            )}
+
             {/* Quantity Selector */}
             <div className="woo-ai-assistant-product-quantity">
               <label
@@ -256,16 +315,27 @@ const ProductCard = ({
 
             {/* Action Buttons */}
             <div className="woo-ai-assistant-product-buttons">
-              <QuickAction
-                type="add-to-cart"
-                label="Add to Cart"
-                icon={<CartIcon />}
-                onClick={handleAddToCart}
-                disabled={isLoading || !product.inStock}
-                loading={isLoading}
-                size={size === 'small' ? 'small' : 'medium'}
-                primary
-              />
+              {isVariable && !canPickVariation ? (
+                <QuickAction
+                  type="choose-options"
+                  label="Choose Options"
+                  icon={<CartIcon />}
+                  onClick={handleViewProduct}
+                  size={size === 'small' ? 'small' : 'medium'}
+                  primary
+                />
+              ) : (
+                <QuickAction
+                  type="add-to-cart"
+                  label="Add to Cart"
+                  icon={<CartIcon />}
+                  onClick={handleAddToCart}
+                  disabled={isLoading || !canAddToCart}
+                  loading={isLoading}
+                  size={size === 'small' ? 'small' : 'medium'}
+                  primary
+                />
+              )}
 
               <QuickAction
                 type="view-product"
@@ -386,7 +456,9 @@ ProductCard.propTypes = {
     image: PropTypes.string,
     permalink: PropTypes.string,
     inStock: PropTypes.bool,
-    variations: PropTypes.object,
+    type: PropTypes.string,
+    attributes: PropTypes.arrayOf(PropTypes.object),
+    variations: PropTypes.arrayOf(PropTypes.object),
     categories: PropTypes.arrayOf(PropTypes.shape({
       id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
       name: PropTypes.string.isRequired
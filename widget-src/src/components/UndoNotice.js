@@ -0,0 +1,82 @@
+/**
+ * Undo Notice Component
+ *
+ * Short-lived notice shown after a cart change made from the chat, with a
+ * button that reverses the change. Goes away by itself once the change can
+ * no longer be undone.
+ *
+ * @package WooAiAssistant
+ * @subpackage Components
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import React, { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * UndoNotice Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.undo - Undo, { id, description, expiresIn }, see ProductActionService.offerUndo()
+ * @param {boolean} props.isBusy - Whether the change is being undone
+ * @param {Function} props.onUndo - Reverses the change
+ * @param {Function} props.onExpire - Called once the change can no longer be undone
+ * @returns {JSX.Element} Undo notice
+ */
+const UndoNotice = ({
+  undo,
+  isBusy = false,
+  onUndo,
+  onExpire
+}) => {
+  const { id, description, expiresIn } = undo;
+
+  // Latest callback, so re-renders do not restart the timer
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  // Hide the notice when the undo window closes, unless the undo is running
+  useEffect(() => {
+    if (isBusy) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => onExpireRef.current(), expiresIn);
+    return () => clearTimeout(timer);
+  }, [id, expiresIn, isBusy]);
+
+  return (
+    <div className="woo-ai-assistant-undo-notice" role="status">
+      <span className="woo-ai-assistant-undo-notice-text">{description}</span>
+      <button
+        type="button"
+        className="woo-ai-assistant-undo-notice-button"
+        onClick={onUndo}
+        disabled={isBusy}
+        aria-busy={isBusy}
+      >
+        {isBusy ? 'Undoing…' : 'Undo'}
+      </button>
+      <span
+        className="woo-ai-assistant-undo-notice-timer"
+        style={{ animationDuration: `${expiresIn}ms` }}
+        aria-hidden="true"
+      />
+    </div>
+  );
+};
+
+UndoNotice.propTypes = {
+  undo: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    description: PropTypes.string.isRequired,
+    expiresIn: PropTypes.number.isRequired
+  }).isRequired,
+  isBusy: PropTypes.bool,
+  onUndo: PropTypes.func.isRequired,
+  onExpire: PropTypes.func.isRequired
+};
+
+export default UndoNotice;
@@ -0,0 +1,261 @@
+/**
+ * Variation Picker Component
+ *
+ * Attribute selector for variable products shown in a product card.
+ * Attributes with a few options are picked with swatches, longer ones
+ * with a dropdown. Options that would lead to a variation that does not
+ * exist or is out of stock are disabled.
+ *
+ * @package WooAiAssistant
+ * @subpackage Components
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Most options shown as swatches, longer lists use a dropdown
+ */
+const SWATCH_LIMIT = 6;
+
+/**
+ * What picking an option would lead to
+ */
+export const OPTION_STATES = {
+  AVAILABLE: 'available',
+  OUT_OF_STOCK: 'out-of-stock',
+  UNAVAILABLE: 'unavailable'
+};
+
+/**
+ * Turn an attribute key such as attribute_pa_shoe-size into a label
+ */
+const formatAttributeName = (name) => {
+  const label = name.replace(/^attribute_/, '').replace(/^pa_/, '').replace(/[-_]+/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+/**
+ * Get the attributes a variation is picked by
+ *
+ * Payloads without attribute details only list the variations, the
+ * options are then collected from them.
+ *
+ * @param {Object} product - Normalized product
+ * @returns {Array<Object>} Attributes with name, label and options
+ */
+export const getVariationAttributes = (product) => {
+  if (product.attributes?.length > 0) {
+    return product.attributes.map(attribute => ({
+      ...attribute,
+      label: attribute.label || formatAttributeName(attribute.name)
+    }));
+  }
+
+  const options = {};
+  (product.variations || []).forEach(variation => {
+    Object.entries(variation.attributes || {}).forEach(([name, value]) => {
+      options[name] = options[name] || [];
+      if (value && !options[name].includes(value)) {
+        options[name].push(value);
+      }
+    });
+  });
+
+  return Object.entries(options)
+    .filter(([, values]) => values.length > 0)
+    .map(([name, values]) => ({
+      name,
+      label: formatAttributeName(name),
+      options: values.map(value => ({ value, label: value }))
+    }));
+};
+
+/**
+ * Check whether a variation fits the picked options
+ *
+ * Variations without a value for an attribute accept any option.
+ *
+ * @param {Object} variation - Normalized variation
+ * @param {Object} selection - Picked option values by attribute name
+ * @returns {boolean} True if the variation fits
+ */
+export const matchesSelection = (variation, selection) => Object.entries(selection).every(([name, value]) => {
+  const variationValue = variation.attributes?.[name];
+  return !value || !variationValue || variationValue === value;
+});
+
+/**
+ * Find the variation chosen once every attribute is picked
+ *
+ * @param {Array<Object>} variations - Normalized variations
+ * @param {Array<Object>} attributes - Attributes, see getVariationAttributes()
+ * @param {Object} selection - Picked option values by attribute name
+ * @returns {Object|null} Variation, null while options are missing or nothing fits
+ */
+export const findVariation = (variations, attributes, selection) => {
+  if (attributes.length === 0 || !attributes.every(attribute => selection[attribute.name])) {
+    return null;
+  }
+
+  return variations.find(variation => matchesSelection(variation, selection)) || null;
+};
+
+/**
+ * Tell what picking an option would lead to, given the other picks
+ *
+ * @param {Array<Object>} variations - Normalized variations
+ * @param {Object} selection - Picked option values by attribute name
+ * @param {string} name - Attribute name
+ * @param {string} value - Option value
+ * @returns {string} One of OPTION_STATES
+ */
+export const getOptionState = (variations, selection, name, value) => {
+  const candidates = variations.filter(variation => matchesSelection(variation, { ...selection, [name]: value }));
+
+  if (candidates.length === 0) {
+    return OPTION_STATES.UNAVAILABLE;
+  }
+
+  return candidates.some(variation => variation.inStock) ? OPTION_STATES.AVAILABLE : OPTION_STATES.OUT_OF_STOCK;
+};
+
+/**
+ * VariationPicker Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string|number} props.productId - Product the variations belong to
+ * @param {Array} props.attributes - Attributes, see getVariationAttributes()
+ * @param {Array} props.variations - Normalized variations
+ * @param {Object} props.selection - Picked option values by attribute name
+ * @param {Function} props.onChange - Called with the attribute name and the picked value, '' to unpick
+ * @param {Function} props.onClear - Unpicks every option
+ * @returns {JSX.Element} Variation picker
+ */
+const VariationPicker = ({
+  productId,
+  attributes,
+  variations,
+  selection = {},
+  onChange,
+  onClear
+}) => {
+  const hasSelection = Object.values(selection).some(Boolean);
+
+  const describeOption = (option, state) => {
+    if (state === OPTION_STATES.OUT_OF_STOCK) {
+      return `${option.label} (out of stock)`;
+    }
+    return state === OPTION_STATES.UNAVAILABLE ? `${option.label} (unavailable)` : option.label;
+  };
+
+  const renderSwatches = (attribute) => (
+    <div className="woo-ai-assistant-variation-swatches" role="group" aria-label={attribute.label}>
+      {attribute.options.map(option => {
+        const state = getOptionState(variations, selection, attribute.name, option.value);
+        const isSelected = selection[attribute.name] === option.value;
+
+        return (
+          <button
+            key={option.value}
+            type="button"
+            className={`woo-ai-assistant-variation-swatch woo-ai-assistant-variation-swatch--${state} ${
+              isSelected ? 'woo-ai-assistant-variation-swatch--selected' : ''
+            }`}
+            onClick={() => onChange(attribute.name, isSelected ? '' : option.value)}
+            disabled={!isSelected && state !== OPTION_STATES.AVAILABLE}
+            aria-pressed={isSelected}
+            aria-label={describeOption(option, state)}
+          >
+            {option.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  const renderDropdown = (attribute, id) => (
+    <select
+      id={id}
+      className="woo-ai-assistant-variation-select"
+      value={selection[attribute.name] || ''}
+      onChange={(e) => onChange(attribute.name, e.target.value)}
+    >
+      <option value="">Choose an option</option>
+      {attribute.options.map(option => {
+        const state = getOptionState(variations, selection, attribute.name, option.value);
+
+        return (
+          <option
+            key={option.value}
+            value={option.value}
+            disabled={state !== OPTION_STATES.AVAILABLE && selection[attribute.name] !== option.value}
+          >
+            {describeOption(option, state)}
+          </option>
+        );
+      })}
+    </select>
+  );
+
+  return (
+    <div className="woo-ai-assistant-variation-picker">
+      {attributes.map(attribute => {
+        const id = `variation-${productId}-${attribute.name}`;
+        const useSwatches = attribute.options.length <= SWATCH_LIMIT;
+        const picked = attribute.options.find(option => option.value === selection[attribute.name]);
+
+        return (
+          <div key={attribute.name} className="woo-ai-assistant-variation-attribute">
+            {useSwatches ? (
+              <span className="woo-ai-assistant-variation-label">
+                {attribute.label}
+                {picked && <span className="woo-ai-assistant-variation-picked">: {picked.label}</span>}
+              </span>
+            ) : (
+              <label className="woo-ai-assistant-variation-label" htmlFor={id}>
+                {attribute.label}
+              </label>
+            )}
+            {useSwatches ? renderSwatches(attribute) : renderDropdown(attribute, id)}
+          </div>
+        );
+      })}
+
+      {hasSelection && onClear && (
+        <button
+          type="button"
+          className="woo-ai-assistant-variation-clear"
+          onClick={onClear}
+        >
+          Clear selection
+        </button>
+      )}
+    </div>
+  );
+};
+
+VariationPicker.propTypes = {
+  productId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  attributes: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    label: PropTypes.string,
+    options: PropTypes.arrayOf(PropTypes.shape({
+      value: PropTypes.string.isRequired,
+      label: PropTypes.string
+    })).isRequired
+  })).isRequired,
+  variations: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    attributes: PropTypes.object,
+    inStock: PropTypes.bool
+  })).isRequired,
+  selection: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  onClear: PropTypes.func
+};
+
+export default VariationPicker;
@@ -0,0 +1,328 @@
+/**
+ * Chat State Machine
+ *
+ * Reducer behind useChat. The chat is always in exactly one status and
+ * moves between them through typed actions, so streaming, retries and an
+ * agent takeover cannot leave the flags half updated.
+ *
+ * A normal turn runs ready → sending → streaming → ready. Failures move to
+ * error until cleared, and a human takeover parks the chat in handoff.
+ *
+ * @package WooAiAssistant
+ * @subpackage Hooks
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * Chat statuses
+ *
+ * @readonly
+ * @enum {string}
+ */
+const CHAT_STATUS = {
+  // Not connected yet, e.g. a follower tab waiting for the leader
+  IDLE: 'idle',
+  // Starting, restoring or switching conversations
+  CONNECTING: 'connecting',
+  // Connected and waiting for the shopper
+  READY: 'ready',
+  // Message sent, waiting for the first token of the reply
+  SENDING: 'sending',
+  // Reply tokens are arriving
+  STREAMING: 'streaming',
+  // Something failed, see state.error
+  ERROR: 'error',
+  // A human agent has taken over the conversation
+  HANDOFF: 'handoff'
+};
+
+/**
+ * Action types
+ *
+ * @readonly
+ * @enum {string}
+ */
+const CHAT_ACTIONS = {
+  CONNECT_START: 'CONNECT_START',
+  CONNECT_SUCCESS: 'CONNECT_SUCCESS',
+  CONNECT_FAILURE: 'CONNECT_FAILURE',
+  CONVERSATION_LOADED: 'CONVERSATION_LOADED',
+  CONVERSATION_ID_CHANGED: 'CONVERSATION_ID_CHANGED',
+  SEND_START: 'SEND_START',
+  STREAM_START: 'STREAM_START',
+  STREAM_TOKEN: 'STREAM_TOKEN',
+  SEND_FINISHED: 'SEND_FINISHED',
+  MESSAGE_ADDED: 'MESSAGE_ADDED',
+  MESSAGE_UPDATED: 'MESSAGE_UPDATED',
+  MESSAGE_METADATA_MERGED: 'MESSAGE_METADATA_MERGED',
+  MESSAGES_TRUNCATED: 'MESSAGES_TRUNCATED',
+  MESSAGES_CLEARED: 'MESSAGES_CLEARED',
+  ERROR_SET: 'ERROR_SET',
+  ERROR_CLEARED: 'ERROR_CLEARED',
+  ONLINE_CHANGED: 'ONLINE_CHANGED',
+  COOLDOWN_CHANGED: 'COOLDOWN_CHANGED',
+  HANDOFF_STARTED: 'HANDOFF_STARTED',
+  HANDOFF_ENDED: 'HANDOFF_ENDED',
+  SYNC_STATE_RECEIVED: 'SYNC_STATE_RECEIVED',
+  HISTORY_LOAD_START: 'HISTORY_LOAD_START',
+  HISTORY_LOAD_SUCCESS: 'HISTORY_LOAD_SUCCESS',
+  HISTORY_LOAD_FAILURE: 'HISTORY_LOAD_FAILURE'
+};
+
+/**
+ * @typedef {Object} ChatState
+ * @property {string} status - One of CHAT_STATUS
+ * @property {Array} messages - Conversation transcript
+ * @property {string|null} conversationId - Backend conversation ID
+ * @property {boolean} isConnected - Whether a conversation has been set up
+ * @property {boolean} isReadOnly - Whether the conversation has ended
+ * @property {boolean} isOnline - Whether the browser is online
+ * @property {number|null} cooldownUntil - Timestamp until which the server refuses new requests
+ * @property {Object|null} handoff - Agent details while a human has taken over
+ * @property {Object|null} error - Current error with type and message
+ * @property {Array} conversations - Past conversations for the history drawer
+ * @property {boolean} isHistoryLoading - Whether the history is being loaded
+ * @property {Object|null} historyError - Why the history could not be loaded, kept apart from the chat error
+ */
+
+/**
+ * @typedef {Object} ChatAction
+ * @property {string} type - One of CHAT_ACTIONS
+ */
+
+/**
+ * State before the chat connects
+ *
+ * @type {ChatState}
+ */
+const initialChatState = {
+  status: CHAT_STATUS.IDLE,
+  messages: [],
+  conversationId: null,
+  isConnected: false,
+  isReadOnly: false,
+  isOnline: true,
+  cooldownUntil: null,
+  handoff: null,
+  error: null,
+  conversations: [],
+  isHistoryLoading: false,
+  historyError: null
+};
+
+/**
+ * Status to return to once nothing is in progress
+ *
+ * @param {ChatState} state - Current state
+ * @returns {string} Resting status
+ */
+const restingStatus = (state) => {
+  if (!state.isConnected) {
+    return CHAT_STATUS.IDLE;
+  }
+
+  return state.handoff ? CHAT_STATUS.HANDOFF : CHAT_STATUS.READY;
+};
+
+/**
+ * Whether a reply is being requested or rendered
+ *
+ * @param {string} status - Chat status
+ * @returns {boolean} True while sending or streaming
+ */
+const isGeneratingStatus = (status) => (
+  status === CHAT_STATUS.SENDING || status === CHAT_STATUS.STREAMING
+);
+
+/**
+ * Apply a change to one message
+ */
+const mapMessage = (messages, messageId, update) => messages.map(message => (
+  message.id === messageId ? update(message) : message
+));
+
+/**
+ * Chat reducer
+ *
+ * @param {ChatState} state - Current state
+ * @param {ChatAction} action - Action to apply
+ * @returns {ChatState} Next state
+ */
+const chatReducer = (state, action) => {
+  switch (action.type) {
+    case CHAT_ACTIONS.CONNECT_START:
+      return { ...state, status: CHAT_STATUS.CONNECTING, error: null };
+
+    case CHAT_ACTIONS.CONNECT_SUCCESS: {
+      const next = { ...state, isConnected: true };
+      if (action.conversationId !== undefined) {
+        next.conversationId = action.conversationId;
+      }
+      // Greet the shopper unless the conversation already has messages
+      if (action.welcomeMessage && next.messages.length === 0) {
+        next.messages = [action.welcomeMessage];
+      }
+      return { ...next, status: restingStatus(next) };
+    }
+
+    case CHAT_ACTIONS.CONNECT_FAILURE:
+      return {
+        ...state,
+        status: CHAT_STATUS.ERROR,
+        isConnected: false,
+        error: action.error
+      };
+
+    case CHAT_ACTIONS.CONVERSATION_LOADED:
+      return {
+        ...state,
+        conversationId: action.conversationId,
+        messages: action.messages || [],
+        isReadOnly: !!action.isReadOnly,
+        handoff: action.handoff || null
+      };
+
+    case CHAT_ACTIONS.CONVERSATION_ID_CHANGED:
+      return { ...state, conversationId: action.conversationId };
+
+    case CHAT_ACTIONS.SEND_START:
+      return {
+        ...state,
+        // Replies come from the agent during a handoff, nothing to wait for
+        status: state.handoff ? CHAT_STATUS.HANDOFF : CHAT_STATUS.SENDING,
+        error: null
+      };
+
+    case CHAT_ACTIONS.STREAM_START:
+      // Shop staff may hand the conversation back while a message is on its
+      // way, the assistant then answers again although we were in handoff
+      if (state.status !== CHAT_STATUS.SENDING && state.status !== CHAT_STATUS.HANDOFF) {
+        return state;
+      }
+      return {
+        ...state,
+        status: CHAT_STATUS.STREAMING,
+        messages: [...state.messages, action.message]
+      };
+
+    case CHAT_ACTIONS.STREAM_TOKEN:
+      return {
+        ...state,
+        messages: mapMessage(state.messages, action.messageId, message => ({
+          ...message,
+          content: message.content + action.token
+        }))
+      };
+
+    case CHAT_ACTIONS.SEND_FINISHED:
+      // Errors and conversation switches that happened meanwhile take precedence
+      if (!isGeneratingStatus(state.status)) {
+        return state;
+      }
+      return { ...state, status: restingStatus(state) };
+
+    case CHAT_ACTIONS.MESSAGE_ADDED:
+      return { ...state, messages: [...state.messages, action.message] };
+
+    case CHAT_ACTIONS.MESSAGE_UPDATED:
+      return {
+        ...state,
+        messages: mapMessage(state.messages, action.messageId, message => ({
+          ...message,
+          ...action.changes
+        }))
+      };
+
+    case CHAT_ACTIONS.MESSAGE_METADATA_MERGED:
+      return {
+        ...state,
+        messages: mapMessage(state.messages, action.messageId, message => ({
+          ...message,
+          metadata: { ...message.metadata, ...action.metadata }
+        }))
+      };
+
+    case CHAT_ACTIONS.MESSAGES_TRUNCATED: {
+      // Drop the message and everything after it, optionally replacing them
+      const index = state.messages.findIndex(message => message.id === action.messageId);
+      if (index === -1) {
+        return state;
+      }
+      return {
+        ...state,
+        messages: [...state.messages.slice(0, index), ...(action.replacement ? [action.replacement] : [])]
+      };
+    }
+
+    case CHAT_ACTIONS.MESSAGES_CLEARED:
+      return {
+        ...state,
+        messages: [],
+        error: null,
+        status: state.status === CHAT_STATUS.ERROR ? restingStatus(state) : state.status
+      };
+
+    case CHAT_ACTIONS.ERROR_SET:
+      return { ...state, status: CHAT_STATUS.ERROR, error: action.error };
+
+    case CHAT_ACTIONS.ERROR_CLEARED:
+      return {
+        ...state,
+        error: null,
+        status: state.status === CHAT_STATUS.ERROR ? restingStatus(state) : state.status
+      };
+
+    case CHAT_ACTIONS.ONLINE_CHANGED:
+      return { ...state, isOnline: !!action.isOnline };
+
+    case CHAT_ACTIONS.COOLDOWN_CHANGED:
+      return { ...state, cooldownUntil: action.until || null };
+
+    case CHAT_ACTIONS.HANDOFF_STARTED: {
+      const next = { ...state, handoff: action.agent || {} };
+      return isGeneratingStatus(state.status) || state.status === CHAT_STATUS.READY
+        ? { ...next, status: restingStatus(next) }
+        : next;
+    }
+
+    case CHAT_ACTIONS.HANDOFF_ENDED:
+      return {
+        ...state,
+        handoff: null,
+        status: state.status === CHAT_STATUS.HANDOFF ? CHAT_STATUS.READY : state.status
+      };
+
+    case CHAT_ACTIONS.SYNC_STATE_RECEIVED: {
+      const snapshot = action.state || {};
+      return {
+        ...state,
+        status: snapshot.status || CHAT_STATUS.IDLE,
+        messages: snapshot.messages || [],
+        conversationId: snapshot.conversationId || null,
+        isConnected: !!snapshot.isConnected,
+        isReadOnly: !!snapshot.isReadOnly,
+        isOnline: snapshot.isOnline !== false,
+        cooldownUntil: snapshot.cooldownUntil || null,
+        handoff: snapshot.handoff || null,
+        error: snapshot.error || null
+      };
+    }
+
+    case CHAT_ACTIONS.HISTORY_LOAD_START:
+      return { ...state, isHistoryLoading: true, historyError: null };
+
+    case CHAT_ACTIONS.HISTORY_LOAD_SUCCESS:
+      return { ...state, isHistoryLoading: false, conversations: action.conversations };
+
+    // Only the history drawer failed, the conversation itself goes on
+    case CHAT_ACTIONS.HISTORY_LOAD_FAILURE:
+      return { ...state, isHistoryLoading: false, historyError: action.error };
+
+    default:
+      return state;
+  }
+};
+
+export default chatReducer;
+export { chatReducer, initialChatState, isGeneratingStatus, CHAT_STATUS, CHAT_ACTIONS };
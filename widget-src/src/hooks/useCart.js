@@ -0,0 +1,23 @@
+/**
+ * useCart Hook
+ *
+ * Subscribes a component to the shared cart store, so it renders the
+ * same cart as the theme's mini-cart.
+ *
+ * @package WooAiAssistant
+ * @subpackage Hooks
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import { useSyncExternalStore } from 'react';
+import cartStore from '../services/CartStore';
+
+/**
+ * Cart hook
+ *
+ * @returns {Object} { cart, isLoading, error, updatedAt }, see CartStore.getState()
+ */
+export const useCart = () => useSyncExternalStore(cartStore.subscribe, cartStore.getState);
+
+export default useCart;
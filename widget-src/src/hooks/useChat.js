@@ -2,7 +2,8 @@
  * useChat Hook
  *
  * Custom hook for managing chat state, messages, and API communication.
- * Provides a clean interface for chat functionality.
+ * Provides a clean interface for chat functionality. State transitions
+ * live in chatReducer, this hook runs the side effects around them.
  *
  * @package WooAiAssistant
  * @subpackage Hooks
@@ -10,7 +11,19 @@
  * @author Claude Code Assistant
  */
 
-import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
+import { useState, useReducer, useCallback, useEffect, useRef, useMemo } from 'react';
+import apiService from '../services/ApiService';
+import ConversationStorage from '../services/ConversationStorage';
+import tabSync, { SYNC_EVENTS } from '../services/TabSync';
+import MessageOutbox, { MESSAGE_STATUS } from '../services/MessageOutbox';
+import payloadNormalizer from '../services/PayloadNormalizer';
+import cartStore from '../services/CartStore';
+import chatReducer, { initialChatState, isGeneratingStatus, CHAT_STATUS, CHAT_ACTIONS } from './chatReducer';
+
+/**
+ * Conversation status while shop staff answer, ConversationHandler::STATUS_HANDOFF
+ */
+const HANDOFF_CONVERSATION_STATUS = 'handoff';
 
 /**
  * Chat hook for managing conversation state
@@ -23,17 +36,54 @@ import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
  */
 export const useChat = ({ userContext = {}, wooCommerceData = {}, config = {} }) => {
   // State management
-  const [messages, setMessages] = useState([]);
-  const [isTyping, setIsTyping] = useState(false);
-  const [isConnected, setIsConnected] = useState(false);
-  const [conversationId, setConversationId] = useState(null);
-  const [error, setError] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
+  const [state, dispatch] = useReducer(chatReducer, initialChatState);
+  const [isLeaderTab, setIsLeaderTab] = useState(true);
+  const {
+    status,
+    messages,
+    conversationId,
+    isConnected,
+    isReadOnly,
+    isOnline,
+    cooldownUntil,
+    handoff,
+    error,
+    conversations,
+    isHistoryLoading,
+    historyError
+  } = state;
+
+  // Latest state for callbacks that run after awaits or from other tabs
+  const stateRef = useRef(state);
+  stateRef.current = state;
 
   // Refs for managing async operations
   const abortControllerRef = useRef(null);
   const retryCountRef = useRef(0);
   const lastMessageIdRef = useRef(0);
+  const streamingSupportedRef = useRef(true);
+  const syncStateRef = useRef(null);
+  const sendMessageRef = useRef(null);
+  const clearMessagesRef = useRef(null);
+  const retryMessageRef = useRef(null);
+  const stopGenerationRef = useRef(null);
+  const regenerateResponseRef = useRef(null);
+  const editMessageRef = useRef(null);
+  const startNewConversationRef = useRef(null);
+  const openConversationRef = useRef(null);
+  const initializeConnectionRef = useRef(null);
+  const deliverMessageRef = useRef(null);
+  const statusChangeRef = useRef(null);
+
+  // Outbox holding user messages until the backend has them
+  const outboxRef = useRef(null);
+  if (!outboxRef.current) {
+    outboxRef.current = new MessageOutbox({
+      send: (item) => deliverMessageRef.current(item),
+      onStatusChange: (...args) => statusChangeRef.current(...args),
+      onConnectivityChange: (online) => dispatch({ type: CHAT_ACTIONS.ONLINE_CHANGED, isOnline: online })
+    });
+  }
 
   // Configuration with defaults
   const chatConfig = useMemo(() => ({
@@ -41,67 +91,419 @@ export const useChat = ({ userContext = {}, wooCommerceData = {}, config = {} })
     nonce: config.nonce || '',
     maxRetries: config.maxRetries || 3,
     retryDelay: config.retryDelay || 1000,
-    typingDelay: config.typingDelay || 500,
     ...config
   }), [config]);
 
+  // Stream replies over /chat/stream unless disabled in the widget features
+  const streamingEnabled = chatConfig.features?.streaming !== false;
+
+  // Conversation persistence across page loads, scoped to the visitor
+  const visitorKey = userContext?.userId ? `user_${userContext.userId}` : 'guest';
+  const conversationStorage = useMemo(() => new ConversationStorage({
+    ...chatConfig.persistence,
+    visitorKey
+  }), [chatConfig.persistence, visitorKey]);
+
+  // Past conversations are only kept for logged-in customers
+  const canUseHistory = !!userContext?.userId;
+
+  // Share one conversation between open tabs unless disabled
+  const syncTabs = chatConfig.persistence?.syncTabs !== false;
+
+  // Page and cart context sent along with every request
+  const chatContext = useMemo(
+    () => buildChatContext(userContext, wooCommerceData),
+    [userContext, wooCommerceData]
+  );
+
+  /**
+   * Adopt the conversation state broadcast by the leader tab
+   */
+  const applySyncState = useCallback((snapshot = {}) => {
+    dispatch({ type: CHAT_ACTIONS.SYNC_STATE_RECEIVED, state: snapshot });
+
+    if (snapshot.sessionId) {
+      apiService.setSessionId(snapshot.sessionId);
+    }
+  }, []);
+
   // Initialize connection on mount
   useEffect(() => {
-    initializeConnection();
+    outboxRef.current.start();
+    dispatch({ type: CHAT_ACTIONS.ONLINE_CHANGED, isOnline: outboxRef.current.isOnline() });
+
+    if (syncTabs) {
+      tabSync.start(visitorKey);
+      setIsLeaderTab(tabSync.isLeader());
+    }
+
+    // Only the leader tab talks to the backend, the others ask it for its state
+    if (tabSync.isLeader()) {
+      initializeConnection();
+    } else {
+      tabSync.publish(SYNC_EVENTS.STATE_REQUEST);
+    }
 
     return () => {
       // Cleanup on unmount
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
+      if (syncTabs) {
+        tabSync.stop();
+      }
+      outboxRef.current.stop();
     };
   }, []);
 
+  // Follow messages and leadership changes from other tabs
+  useEffect(() => {
+    if (!syncTabs) {
+      return undefined;
+    }
+
+    const unsubscribeMessages = tabSync.subscribe(({ type, payload }) => {
+      const isLeader = tabSync.isLeader();
+
+      switch (type) {
+        case SYNC_EVENTS.STATE:
+          if (!isLeader) {
+            applySyncState(payload);
+          }
+          break;
+        case SYNC_EVENTS.STATE_REQUEST:
+          if (isLeader && syncStateRef.current) {
+            tabSync.publish(SYNC_EVENTS.STATE, syncStateRef.current);
+          }
+          break;
+        case SYNC_EVENTS.SEND:
+          if (isLeader) {
+            sendMessageRef.current?.(payload.content, payload.options);
+          }
+          break;
+        case SYNC_EVENTS.RETRY:
+          if (isLeader) {
+            retryMessageRef.current?.(payload.messageId);
+          }
+          break;
+        case SYNC_EVENTS.STOP:
+          if (isLeader) {
+            stopGenerationRef.current?.();
+          }
+          break;
+        case SYNC_EVENTS.REGENERATE:
+          if (isLeader) {
+            regenerateResponseRef.current?.();
+          }
+          break;
+        case SYNC_EVENTS.EDIT:
+          if (isLeader) {
+            editMessageRef.current?.(payload.messageId, payload.content);
+          }
+          break;
+        case SYNC_EVENTS.CLEAR:
+          if (isLeader) {
+            clearMessagesRef.current?.();
+          }
+          break;
+        case SYNC_EVENTS.NEW_CONVERSATION:
+          if (isLeader) {
+            startNewConversationRef.current?.();
+          }
+          break;
+        case SYNC_EVENTS.OPEN_CONVERSATION:
+          if (isLeader) {
+            openConversationRef.current?.(payload.conversationId);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+
+    const unsubscribeLeader = tabSync.onLeaderChange((isLeader) => {
+      setIsLeaderTab(isLeader);
+
+      // Take over from a closed leader, connecting only if it never got that far
+      if (isLeader && !syncStateRef.current?.isConnected) {
+        initializeConnectionRef.current?.();
+      }
+    });
+
+    return () => {
+      unsubscribeMessages();
+      unsubscribeLeader();
+    };
+  }, [syncTabs, applySyncState]);
+
+  // Leader tab broadcasts its conversation state
+  useEffect(() => {
+    syncStateRef.current = {
+      status,
+      messages: messages.map(({ error: _error, ...message }) => message),
+      isConnected,
+      isOnline,
+      cooldownUntil,
+      conversationId,
+      isReadOnly,
+      handoff,
+      sessionId: apiService.getSessionId(),
+      error: error ? { type: error.type, message: error.message } : null
+    };
+
+    if (syncTabs && isLeaderTab) {
+      tabSync.publish(SYNC_EVENTS.STATE, syncStateRef.current);
+    }
+  }, [syncTabs, isLeaderTab, status, messages, isConnected, isOnline, cooldownUntil, conversationId, isReadOnly, handoff, error]);
+
+  // Follow rate limit pauses so the shopper knows when they can send again
+  useEffect(() => {
+    return apiService.onCooldownChange((until) => {
+      dispatch({ type: CHAT_ACTIONS.COOLDOWN_CHANGED, until });
+    });
+  }, []);
+
+  // Persist the conversation whenever it changes
+  useEffect(() => {
+    if (conversationId) {
+      conversationStorage.save({
+        conversationId,
+        sessionId: apiService.getSessionId(),
+        messages
+      });
+    }
+  }, [conversationStorage, conversationId, messages]);
+
+  /**
+   * Record the backend ID of a user message so it can be edited later
+   */
+  const rememberServerId = useCallback((messageId, serverId) => {
+    if (messageId && serverId) {
+      dispatch({ type: CHAT_ACTIONS.MESSAGE_METADATA_MERGED, messageId, metadata: { messageId: serverId } });
+    }
+  }, []);
+
+  /**
+   * Follow the conversation status reported by the backend
+   *
+   * Shop staff take over by moving the conversation into handoff and hand
+   * it back by making it active again.
+   *
+   * @param {string|null} conversationStatus - Status, null if not reported
+   */
+  const followConversationStatus = useCallback((conversationStatus) => {
+    if (conversationStatus === HANDOFF_CONVERSATION_STATUS) {
+      dispatch({ type: CHAT_ACTIONS.HANDOFF_STARTED });
+    } else if (conversationStatus && stateRef.current.handoff) {
+      dispatch({ type: CHAT_ACTIONS.HANDOFF_ENDED });
+    }
+  }, []);
+
+  /**
+   * Stream the assistant reply into one growing message
+   *
+   * The typing indicator stays up until the first token arrives.
+   *
+   * @param {Object} messageData - Request data for apiService.streamMessage
+   * @param {AbortController} controller - Cancels the stream
+   * @param {string} userMessageId - Local ID of the user message being answered
+   * @returns {Promise<boolean>} False if streaming is unavailable and nothing was rendered
+   */
+  const streamReply = useCallback(async (messageData, controller, userMessageId) => {
+    const activeConversationId = messageData.conversationId;
+    const streamMessageId = generateMessageId();
+    let hasStarted = false;
+    let pendingMetadata = {};
+
+    const mergeMetadata = (metadata) => dispatch({
+      type: CHAT_ACTIONS.MESSAGE_METADATA_MERGED,
+      messageId: streamMessageId,
+      metadata
+    });
+
+    try {
+      const completion = await apiService.streamMessage(messageData, {
+        onToken: (token) => {
+          if (controller.signal.aborted) {
+            return;
+          }
+
+          if (!hasStarted) {
+            hasStarted = true;
+            dispatch({
+              type: CHAT_ACTIONS.STREAM_START,
+              message: {
+                id: streamMessageId,
+                type: 'assistant',
+                content: token,
+                timestamp: new Date().toISOString(),
+                conversationId: activeConversationId,
+                metadata: { ...pendingMetadata, isStreaming: true }
+              }
+            });
+            return;
+          }
+
+          dispatch({ type: CHAT_ACTIONS.STREAM_TOKEN, messageId: streamMessageId, token });
+        },
+        onMetadata: (data) => {
+          // Products, coupons and actions may arrive before or after the text
+          pendingMetadata = { ...pendingMetadata, ...payloadNormalizer.normalizeReplyMetadata(data) };
+          if (hasStarted) {
+            mergeMetadata(pendingMetadata);
+          }
+        },
+        signal: controller.signal
+      });
+
+      if (hasStarted) {
+        mergeMetadata({
+          isStreaming: false,
+          ...(completion?.message_id ? { messageId: completion.message_id } : {})
+        });
+      }
+      rememberServerId(userMessageId, completion?.user_message_id);
+      followConversationStatus(completion?.conversation_status || null);
+
+      return hasStarted || !!completion;
+    } catch (err) {
+      if (controller.signal.aborted) {
+        // Stopped by the shopper, keep whatever text arrived
+        if (hasStarted) {
+          mergeMetadata({ isStreaming: false, isStopped: true });
+        }
+        return true;
+      }
+
+      if (!hasStarted && apiService.isStreamingUnsupported(err)) {
+        // Remember for the rest of the session and use /chat/message instead
+        streamingSupportedRef.current = false;
+        return false;
+      }
+
+      if (!hasStarted) {
+        throw err;
+      }
+
+      // The message was delivered, only the reply broke off
+      mergeMetadata({ isStreaming: false, hasError: true });
+      dispatch({ type: CHAT_ACTIONS.ERROR_SET, error: toChatError('send_failed', err) });
+      return true;
+    }
+  }, [rememberServerId, followConversationStatus]);
+
+  /**
+   * Restore the saved conversation and rehydrate it from the backend
+   *
+   * The saved transcript is shown right away and replaced by the server
+   * copy once it arrives. Conversations the backend no longer knows about,
+   * or that can no longer receive messages, are discarded.
+   *
+   * @returns {Promise<boolean>} True if a conversation was restored
+   */
+  const restoreConversation = useCallback(async () => {
+    const saved = conversationStorage.load();
+    if (!saved) {
+      return false;
+    }
+
+    if (saved.sessionId) {
+      apiService.setSessionId(saved.sessionId);
+    }
+
+    // Messages still queued when the page unloaded may not have been sent
+    const savedMessages = saved.messages.map(message => (
+      message.status === MESSAGE_STATUS.PENDING ? { ...message, status: MESSAGE_STATUS.FAILED } : message
+    ));
+    dispatch({ type: CHAT_ACTIONS.CONVERSATION_LOADED, conversationId: saved.conversationId, messages: savedMessages });
+
+    try {
+      const response = await apiService.getConversation(saved.conversationId);
+      const {
+        status: conversationStatus,
+        messages: serverMessages,
+        isReadOnly: isClosed
+      } = payloadNormalizer.normalizeConversation(response?.data, saved.conversationId);
+
+      if (isClosed) {
+        throw Object.assign(new Error('Conversation is closed'), { status: 410 });
+      }
+
+      if (serverMessages.length > 0) {
+        dispatch({
+          type: CHAT_ACTIONS.CONVERSATION_LOADED,
+          conversationId: saved.conversationId,
+          messages: mergeRestoredMessages(savedMessages, serverMessages)
+        });
+      }
+      followConversationStatus(conversationStatus);
+
+      return true;
+    } catch (err) {
+      if ([403, 404, 410].includes(err.status)) {
+        conversationStorage.clear();
+        dispatch({ type: CHAT_ACTIONS.CONVERSATION_LOADED, conversationId: null, messages: [] });
+        return false;
+      }
+
+      throw err;
+    }
+  }, [conversationStorage, followConversationStatus]);
+
   /**
    * Initialize connection to chat service
    */
   const initializeConnection = useCallback(async () => {
-    setIsLoading(true);
-    setError(null);
+    dispatch({ type: CHAT_ACTIONS.CONNECT_START });
 
     try {
-      // Simulate connection initialization
-      // In Task 4.3, this will make actual API calls
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      setIsConnected(true);
-      setConversationId(generateConversationId());
-
-      // Add welcome message if no messages exist
-      if (messages.length === 0) {
-        addMessage({
-          id: generateMessageId(),
-          type: 'assistant',
-          content: getWelcomeMessage(userContext, wooCommerceData),
-          timestamp: new Date().toISOString()
+      if (!apiService.isInitialized()) {
+        await apiService.initialize({
+          restUrl: chatConfig.restUrl,
+          nonce: chatConfig.nonce || undefined
         });
       }
 
+      if (await restoreConversation()) {
+        dispatch({ type: CHAT_ACTIONS.CONNECT_SUCCESS });
+        return;
+      }
+
+      const response = await apiService.startConversation({
+        context: withLiveCart(chatContext),
+        userId: userContext?.userId || null
+      });
+
+      if (response?.data?.session_id) {
+        apiService.setSessionId(response.data.session_id);
+      }
+
+      // The reducer only adds the welcome message to an empty conversation
+      dispatch({
+        type: CHAT_ACTIONS.CONNECT_SUCCESS,
+        conversationId: normalizeConversationId(response?.data?.conversation_id),
+        welcomeMessage: createWelcomeMessage(userContext, wooCommerceData)
+      });
     } catch (err) {
       if (process.env.NODE_ENV === 'development') {
         console.error('Connection failed:', err);
       }
-      setError({
-        type: 'connection_failed',
-        message: 'Failed to connect to chat service',
-        details: err
-      });
-      setIsConnected(false);
-    } finally {
-      setIsLoading(false);
+      dispatch({ type: CHAT_ACTIONS.CONNECT_FAILURE, error: toChatError('connection_failed', err) });
     }
-  }, [messages.length, userContext, wooCommerceData]);
+  }, [chatConfig.restUrl, chatConfig.nonce, chatContext, userContext, wooCommerceData, restoreConversation]);
 
   /**
    * Send a message
    */
   const sendMessage = useCallback(async (content, options = {}) => {
-    if (!content?.trim() || !isConnected) {
+    const current = stateRef.current;
+    if (!content?.trim() || !current.isConnected || current.isReadOnly) {
+      return;
+    }
+
+    // Let the leader tab send it so the reply is requested once
+    if (!tabSync.isLeader()) {
+      tabSync.publish(SYNC_EVENTS.SEND, { content, options });
       return;
     }
 
@@ -110,13 +512,24 @@ export const useChat = ({ userContext = {}, wooCommerceData = {}, config = {} })
       type: 'user',
       content: content.trim(),
       timestamp: new Date().toISOString(),
+      status: MESSAGE_STATUS.PENDING,
       ...options
     };
 
-    // Add user message immediately
-    addMessage(userMessage);
-    setIsTyping(true);
-    setError(null);
+    // Add user message immediately, the outbox sends it when it can
+    dispatch({ type: CHAT_ACTIONS.MESSAGE_ADDED, message: userMessage });
+    await outboxRef.current.enqueue({ id: userMessage.id, content: userMessage.content });
+  }, []);
+
+  /**
+   * Deliver a queued message and render the reply
+   *
+   * Called by the outbox. Rejects when the message did not reach the
+   * backend so the outbox can hold it or mark it failed.
+   */
+  const deliverMessage = useCallback(async ({ id, content, editMessageId, regenerate }) => {
+    const activeConversationId = stateRef.current.conversationId;
+    dispatch({ type: CHAT_ACTIONS.SEND_START });
 
     try {
       // Cancel previous request if still pending
@@ -125,119 +538,430 @@ export const useChat = ({ userContext = {}, wooCommerceData = {}, config = {} })
       }
 
       // Create new abort controller
-      abortControllerRef.current = new AbortController();
-
-      // Simulate API call delay (will be real API in Task 4.3)
-      await new Promise(resolve => setTimeout(resolve, chatConfig.typingDelay));
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
 
-      // Generate mock response (will be real AI response in Task 4.3)
-      const assistantMessage = {
-        id: generateMessageId(),
-        type: 'assistant',
-        content: generateMockResponse(content, userContext, wooCommerceData),
-        timestamp: new Date().toISOString(),
-        conversationId
+      const messageData = {
+        message: content,
+        conversationId: activeConversationId,
+        context: withLiveCart(chatContext),
+        ...(editMessageId ? { editMessageId } : {}),
+        ...(regenerate ? { regenerate } : {})
       };
 
-      addMessage(assistantMessage);
-      retryCountRef.current = 0; // Reset retry count on success
+      if (streamingEnabled && streamingSupportedRef.current && activeConversationId) {
+        const streamed = await streamReply(messageData, controller, id);
+        if (streamed) {
+          retryCountRef.current = 0;
+          return;
+        }
+      }
 
-    } catch (err) {
-      if (err.name !== 'AbortError') {
-        if (process.env.NODE_ENV === 'development') {
-          console.error('Send message failed:', err);
+      let response;
+      try {
+        response = await apiService.sendMessage(messageData, { signal: controller.signal });
+      } catch (err) {
+        if (controller.signal.aborted) {
+          return;
         }
+        throw err;
+      }
 
-        const errorMessage = {
-          id: generateMessageId(),
-          type: 'error',
-          content: 'Sorry, I encountered an error. Please try again.',
-          timestamp: new Date().toISOString(),
-          error: err
-        };
-
-        addMessage(errorMessage);
-        setError({
-          type: 'send_failed',
-          message: 'Failed to send message',
-          details: err
+      // Ignore replies to requests cancelled while in flight
+      if (controller.signal.aborted) {
+        return;
+      }
+
+      // The backend creates a new conversation when the old one is gone
+      const responseConversationId = normalizeConversationId(response?.data?.conversation_id);
+      if (responseConversationId && responseConversationId !== activeConversationId) {
+        dispatch({ type: CHAT_ACTIONS.CONVERSATION_ID_CHANGED, conversationId: responseConversationId });
+      }
+      if (response?.metadata?.session_id) {
+        apiService.setSessionId(response.metadata.session_id);
+      }
+
+      rememberServerId(id, response?.data?.user_message_id);
+
+      // Shop staff answer outside this request during a handoff
+      const conversationStatus = response?.metadata?.conversation_status || null;
+      if (response?.data?.response || conversationStatus !== HANDOFF_CONVERSATION_STATUS) {
+        dispatch({
+          type: CHAT_ACTIONS.MESSAGE_ADDED,
+          message: mapResponseToMessage(response, responseConversationId || activeConversationId)
         });
       }
+      followConversationStatus(conversationStatus);
+      retryCountRef.current = 0; // Reset retry count on success
     } finally {
-      setIsTyping(false);
+      dispatch({ type: CHAT_ACTIONS.SEND_FINISHED });
+    }
+  }, [chatContext, streamingEnabled, streamReply, rememberServerId, followConversationStatus]);
+
+  /**
+   * Reflect outbox status changes on the user message
+   */
+  const handleStatusChange = useCallback((messageId, messageStatus, err) => {
+    dispatch({ type: CHAT_ACTIONS.MESSAGE_UPDATED, messageId, changes: { status: messageStatus } });
+
+    if (messageStatus !== MESSAGE_STATUS.FAILED || err?.name === 'AbortError') {
+      return;
+    }
+
+    // The cooldown notice tells the shopper when the message can be resent
+    if (apiService.getRetryAfter(err) > 0) {
+      return;
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+      console.error('Send message failed:', err);
+    }
+
+    dispatch({
+      type: CHAT_ACTIONS.MESSAGE_ADDED,
+      message: {
+        id: generateMessageId(),
+        type: 'error',
+        content: 'Sorry, I encountered an error. Please try again.',
+        timestamp: new Date().toISOString(),
+        error: err
+      }
+    });
+    dispatch({ type: CHAT_ACTIONS.ERROR_SET, error: toChatError('send_failed', err) });
+  }, []);
+
+  /**
+   * Stop the reply in progress, keeping any text received so far
+   */
+  const stopGeneration = useCallback(() => {
+    if (!tabSync.isLeader()) {
+      tabSync.publish(SYNC_EVENTS.STOP);
+      return;
     }
-  }, [isConnected, conversationId, userContext, wooCommerceData, chatConfig.typingDelay]);
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }, []);
 
   /**
-   * Add message to conversation
+   * Replace the latest assistant answer by resending the user turn before it
    */
-  const addMessage = useCallback((message) => {
-    setMessages(prev => [...prev, message]);
+  const regenerateResponse = useCallback(() => {
+    if (!tabSync.isLeader()) {
+      tabSync.publish(SYNC_EVENTS.REGENERATE);
+      return Promise.resolve();
+    }
+
+    const current = stateRef.current;
+    const answerIndex = findLastIndex(current.messages, message => message.type === 'assistant');
+    const answer = current.messages[answerIndex];
+    const userMessage = findLast(current.messages.slice(0, answerIndex), message => message.type === 'user');
+
+    if (isGeneratingStatus(current.status) || !answer || answer.metadata?.isWelcome || !userMessage) {
+      return Promise.resolve();
+    }
+
+    // Drop the answer and anything after it, e.g. error notices
+    dispatch({ type: CHAT_ACTIONS.MESSAGES_TRUNCATED, messageId: answer.id });
+    dispatch({ type: CHAT_ACTIONS.ERROR_CLEARED });
+
+    // The backend replaces its copy of the turn, messages it never stored are simply sent again
+    return outboxRef.current.enqueue({
+      id: userMessage.id,
+      content: userMessage.content,
+      editMessageId: userMessage.metadata?.messageId,
+      regenerate: true
+    });
+  }, []);
+
+  /**
+   * Edit an earlier user message and continue the conversation from it
+   *
+   * Everything after the message is dropped and the new text is sent in
+   * its place. The backend keeps the original branch for support staff.
+   */
+  const editMessage = useCallback((messageId, content) => {
+    const current = stateRef.current;
+    if (!content?.trim() || !current.isConnected || current.isReadOnly) {
+      return Promise.resolve();
+    }
+
+    if (!tabSync.isLeader()) {
+      tabSync.publish(SYNC_EVENTS.EDIT, { messageId, content });
+      return Promise.resolve();
+    }
+
+    const original = current.messages.find(message => message.id === messageId);
+    if (isGeneratingStatus(current.status) || original?.type !== 'user' || original.status === MESSAGE_STATUS.PENDING) {
+      return Promise.resolve();
+    }
+
+    const editedMessage = {
+      id: generateMessageId(),
+      type: 'user',
+      content: content.trim(),
+      timestamp: new Date().toISOString(),
+      status: MESSAGE_STATUS.PENDING,
+      metadata: { isEdited: true }
+    };
+
+    dispatch({ type: CHAT_ACTIONS.MESSAGES_TRUNCATED, messageId, replacement: editedMessage });
+    dispatch({ type: CHAT_ACTIONS.ERROR_CLEARED });
+
+    // Messages the backend never stored are simply sent again
+    return outboxRef.current.enqueue({
+      id: editedMessage.id,
+      content: editedMessage.content,
+      editMessageId: original.metadata?.messageId
+    });
+  }, []);
+
+  /**
+   * Send a failed message again
+   */
+  const retryMessage = useCallback((messageId) => {
+    if (!tabSync.isLeader()) {
+      tabSync.publish(SYNC_EVENTS.RETRY, { messageId });
+      return Promise.resolve();
+    }
+
+    const message = stateRef.current.messages.find(m => m.id === messageId && m.type === 'user');
+    if (!message || message.status !== MESSAGE_STATUS.FAILED) {
+      return Promise.resolve();
+    }
+
+    dispatch({ type: CHAT_ACTIONS.ERROR_CLEARED });
+    return outboxRef.current.enqueue({ id: message.id, content: message.content });
   }, []);
 
   /**
    * Clear all messages
    */
   const clearMessages = useCallback(() => {
-    setMessages([]);
-    setError(null);
+    if (!tabSync.isLeader()) {
+      tabSync.publish(SYNC_EVENTS.CLEAR);
+      return;
+    }
+
+    dispatch({ type: CHAT_ACTIONS.MESSAGES_CLEARED });
   }, []);
 
+  /**
+   * Load the logged-in customer's past conversations for the history drawer
+   */
+  const loadConversations = useCallback(async () => {
+    if (!canUseHistory) {
+      return;
+    }
+
+    dispatch({ type: CHAT_ACTIONS.HISTORY_LOAD_START });
+
+    try {
+      const response = await apiService.getConversations({ limit: 20 });
+      dispatch({
+        type: CHAT_ACTIONS.HISTORY_LOAD_SUCCESS,
+        conversations: payloadNormalizer.normalizeConversationSummaries(response?.data?.conversations || [])
+      });
+    } catch (err) {
+      dispatch({ type: CHAT_ACTIONS.HISTORY_LOAD_FAILURE, error: toChatError('history_failed', err) });
+    }
+  }, [canUseHistory]);
+
+  /**
+   * Leave the current conversation and start a fresh one
+   *
+   * The current conversation is ended on the backend and stays available
+   * in the history drawer.
+   */
+  const startNewConversation = useCallback(async () => {
+    if (!tabSync.isLeader()) {
+      tabSync.publish(SYNC_EVENTS.NEW_CONVERSATION);
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+
+    const current = stateRef.current;
+    dispatch({ type: CHAT_ACTIONS.CONNECT_START });
+
+    try {
+      const response = await apiService.startConversation({
+        context: withLiveCart(chatContext),
+        userId: userContext?.userId || null,
+        previousConversationId: current.isReadOnly ? null : current.conversationId
+      });
+
+      if (response?.data?.session_id) {
+        apiService.setSessionId(response.data.session_id);
+      }
+      conversationStorage.clear();
+      dispatch({
+        type: CHAT_ACTIONS.CONVERSATION_LOADED,
+        conversationId: normalizeConversationId(response?.data?.conversation_id),
+        messages: [createWelcomeMessage(userContext, wooCommerceData)]
+      });
+      dispatch({ type: CHAT_ACTIONS.CONNECT_SUCCESS });
+    } catch (err) {
+      dispatch({ type: CHAT_ACTIONS.ERROR_SET, error: toChatError('connection_failed', err) });
+    }
+  }, [chatContext, userContext, wooCommerceData, conversationStorage]);
+
+  /**
+   * Reopen a past conversation from the history drawer
+   *
+   * Conversations that have ended are shown read-only.
+   */
+  const openConversation = useCallback(async (targetId) => {
+    const nextConversationId = normalizeConversationId(targetId);
+
+    if (!tabSync.isLeader()) {
+      tabSync.publish(SYNC_EVENTS.OPEN_CONVERSATION, { conversationId: nextConversationId });
+      return;
+    }
+
+    if (!nextConversationId || nextConversationId === stateRef.current.conversationId) {
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+
+    dispatch({ type: CHAT_ACTIONS.CONNECT_START });
+
+    try {
+      const response = await apiService.getConversation(nextConversationId);
+      const conversation = payloadNormalizer.normalizeConversation(response?.data, nextConversationId);
+
+      dispatch({
+        type: CHAT_ACTIONS.CONVERSATION_LOADED,
+        conversationId: nextConversationId,
+        messages: conversation.messages,
+        isReadOnly: conversation.isReadOnly
+      });
+      followConversationStatus(conversation.status);
+      dispatch({ type: CHAT_ACTIONS.CONNECT_SUCCESS });
+    } catch (err) {
+      dispatch({ type: CHAT_ACTIONS.ERROR_SET, error: toChatError('history_failed', err) });
+    }
+  }, [followConversationStatus]);
+
+  // Latest callbacks for the tab sync listeners and the outbox
+  sendMessageRef.current = sendMessage;
+  retryMessageRef.current = retryMessage;
+  stopGenerationRef.current = stopGeneration;
+  regenerateResponseRef.current = regenerateResponse;
+  editMessageRef.current = editMessage;
+  deliverMessageRef.current = deliverMessage;
+  statusChangeRef.current = handleStatusChange;
+  clearMessagesRef.current = clearMessages;
+  initializeConnectionRef.current = initializeConnection;
+  startNewConversationRef.current = startNewConversation;
+  openConversationRef.current = openConversation;
+
   /**
    * Retry last failed operation
    */
   const retry = useCallback(() => {
     if (retryCountRef.current < chatConfig.maxRetries) {
       retryCountRef.current++;
-      setError(null);
+      dispatch({ type: CHAT_ACTIONS.ERROR_CLEARED });
 
-      if (!isConnected) {
+      if (!stateRef.current.isConnected && tabSync.isLeader()) {
         initializeConnection();
       }
     }
-  }, [chatConfig.maxRetries, isConnected, initializeConnection]);
+  }, [chatConfig.maxRetries, initializeConnection]);
+
+  const isLoading = status === CHAT_STATUS.CONNECTING;
 
   return {
     // State
+    status,
     messages,
-    isTyping,
+    isTyping: status === CHAT_STATUS.SENDING,
     isConnected,
     conversationId,
     error,
     isLoading,
+    isLeaderTab,
+    isOnline,
+    cooldownUntil,
+    isGenerating: isGeneratingStatus(status),
+    isReadOnly,
+    handoff,
+    conversations,
+    isHistoryLoading,
+    historyError,
+    canUseHistory,
 
     // Methods
     sendMessage,
+    retryMessage,
+    stopGeneration,
+    regenerateResponse,
+    editMessage,
     clearMessages,
     retry,
+    loadConversations,
+    startNewConversation,
+    openConversation,
 
     // Computed
     messageCount: messages.length,
-    canSend: isConnected && !isLoading && !error,
+    canSend: isConnected && !isLoading && !error && !isReadOnly,
     hasUnreadMessages: messages.some(msg => msg.unread === true)
   };
 };
 
 /**
- * Generate unique conversation ID
+ * Generate unique message ID
+ */
+const generateMessageId = () => {
+  return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+/**
+ * Find the index of the last array item matching a predicate
  */
-const generateConversationId = () => {
-  return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+const findLastIndex = (items, predicate) => {
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (predicate(items[i])) {
+      return i;
+    }
+  }
+  return -1;
 };
 
 /**
- * Generate unique message ID
+ * Find the last array item matching a predicate
  */
-const generateMessageId = () => {
-  return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+const findLast = (items, predicate) => {
+  const index = findLastIndex(items, predicate);
+  return index === -1 ? undefined : items[index];
 };
 
+/**
+ * Create the assistant greeting shown at the start of a conversation
+ */
+const createWelcomeMessage = (userContext, wooCommerceData) => ({
+  id: generateMessageId(),
+  type: 'assistant',
+  content: getWelcomeMessage(userContext, wooCommerceData),
+  timestamp: new Date().toISOString(),
+  metadata: { isWelcome: true }
+});
+
 /**
  * Generate welcome message based on context
  */
 const getWelcomeMessage = (userContext, wooCommerceData) => {
   const userName = userContext?.userName || '';
-  const hasCart = wooCommerceData?.cartItems?.length > 0;
+  const cart = cartStore.getCart();
+  const hasCart = cart ? cart.itemCount > 0 : wooCommerceData?.cartItems?.length > 0;
   const currentProduct = wooCommerceData?.currentProduct;
 
   if (currentProduct) {
@@ -252,28 +976,103 @@ const getWelcomeMessage = (userContext, wooCommerceData) => {
 };
 
 /**
- * Generate mock response (placeholder for real AI in Task 4.3)
+ * Build the request context from the page and cart data
+ *
+ * Keys follow the snake_case shape read by ChatEndpoint::formatUserContext().
  */
-const generateMockResponse = (userMessage, userContext, wooCommerceData) => {
-  const message = userMessage.toLowerCase();
+const buildChatContext = (userContext = {}, wooCommerceData = {}) => {
+  const context = {
+    page: userContext?.currentPage || window.location.pathname,
+    user_type: userContext?.isLoggedIn ? 'customer' : 'guest',
+    cart_items: wooCommerceData?.cartItems?.length || 0,
+    cart_total: wooCommerceData?.cartTotal || '0',
+    currency: wooCommerceData?.currency || 'USD'
+  };
 
-  if (message.includes('product') || message.includes('item')) {
-    return "I'd be happy to help you find the right product! Could you tell me more about what you're looking for?";
+  if (wooCommerceData?.currentProduct?.id) {
+    context.product_id = wooCommerceData.currentProduct.id;
   }
 
-  if (message.includes('cart') || message.includes('checkout')) {
-    return 'I can help you with your shopping cart. Would you like me to review your items or assist with checkout?';
+  if (wooCommerceData?.currentCategory?.name) {
+    context.category = wooCommerceData.currentCategory.name;
   }
 
-  if (message.includes('price') || message.includes('cost')) {
-    return 'I can help you find information about pricing and any available discounts. What specific product are you interested in?';
-  }
+  return context;
+};
 
-  if (message.includes('shipping') || message.includes('delivery')) {
-    return 'I can provide information about shipping options and delivery times. What would you like to know?';
+/**
+ * Replace the cart data loaded with the page by the live cart, once read
+ */
+const withLiveCart = (context, cart = cartStore.getCart()) => {
+  if (!cart) {
+    return context;
   }
 
-  return "Thanks for your message! I'm here to help with any questions about products, orders, or shopping. What would you like to know?";
+  return {
+    ...context,
+    cart_items: cart.itemCount,
+    cart_total: String(cart.totals.total),
+    ...(cart.totals.currency ? { currency: cart.totals.currency } : {})
+  };
+};
+
+/**
+ * Build the error state for a failed operation
+ */
+const toChatError = (type, err) => ({
+  type,
+  message: apiService.getErrorMessage(err),
+  details: err
+});
+
+/**
+ * Normalize a backend conversation ID to the string form used by the widget
+ */
+const normalizeConversationId = (id) => {
+  return id === null || id === undefined || id === '' ? null : String(id);
+};
+
+/**
+ * Merge the server transcript with the saved one
+ *
+ * The server copy wins for content and order. The saved welcome message,
+ * any rendered extras (products, coupons, actions) the server did not keep
+ * and messages that never reached the server are carried over.
+ */
+const mergeRestoredMessages = (savedMessages = [], serverMessages = []) => {
+  const savedById = new Map();
+  savedMessages.forEach(message => {
+    savedById.set(message.id, message);
+    if (message.metadata?.messageId) {
+      savedById.set(`msg_${message.metadata.messageId}`, message);
+    }
+  });
+
+  const merged = serverMessages.map(message => {
+    const saved = savedById.get(message.id);
+    return saved ? { ...message, metadata: { ...saved.metadata, ...message.metadata } } : message;
+  });
+
+  const welcome = savedMessages.find(message => message.metadata?.isWelcome);
+  const unsent = savedMessages.filter(message => message.status === MESSAGE_STATUS.FAILED);
+
+  return [...(welcome ? [welcome] : []), ...merged, ...unsent];
+};
+
+/**
+ * Map a /chat/message response onto an assistant message
+ */
+const mapResponseToMessage = (response = {}, conversationId = null) => {
+  const data = response?.data || {};
+
+  return {
+    id: data.message_id ? `msg_${data.message_id}` : generateMessageId(),
+    type: 'assistant',
+    content: data.response || '',
+    timestamp: new Date().toISOString(),
+    conversationId,
+    metadata: payloadNormalizer.normalizeReplyMetadata(data)
+  };
 };
 
 export default useChat;
@@ -13,6 +13,7 @@
 
 import { createRoot } from 'react-dom/client';
 import App from './App';
+import cartStore from './services/CartStore';
 import './styles/widget.scss';
 
 // Global widget instance tracking
@@ -215,7 +216,8 @@ function loadWidgetConfiguration() {
       productRecommendations: true,
       cartActions: true,
       couponGeneration: false,
-      humanHandoff: false
+      humanHandoff: false,
+      streaming: true
     },
     styling: {
       theme: 'default',
@@ -227,6 +229,12 @@ function loadWidgetConfiguration() {
       showWelcomeMessage: true,
       typing_delay: 500
     },
+    persistence: {
+      storage: 'session', // 'session', 'local' or 'none'
+      expiryMinutes: 30,
+      maxMessages: 50,
+      syncTabs: true
+    },
     analytics: {
       enabled: false
     },
@@ -407,6 +415,9 @@ function setupGlobalAPI() {
  * Setup event listeners
  */
 function setupEventListeners() {
+  // Keep the widget cart in step with the theme's mini-cart and cart blocks
+  cartStore.connect();
+
   // Listen for cart updates
   document.body.addEventListener('added_to_cart', handleCartUpdate);
   document.body.addEventListener('removed_from_cart', handleCartUpdate);
@@ -478,6 +489,7 @@ function initializeAnalytics() {
  */
 function destroyWidget() {
   if (widgetInstance) {
+    cartStore.disconnect();
     widgetInstance.root.unmount();
     widgetInstance.container.remove();
     widgetInstance = null;
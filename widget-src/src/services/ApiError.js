@@ -0,0 +1,43 @@
+/**
+ * API Errors
+ *
+ * Error class and HTTP status codes shared by ApiService and the chat
+ * transports.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * HTTP status codes for response handling
+ */
+const HTTP_STATUS = {
+  OK: 200,
+  CREATED: 201,
+  BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  TOO_MANY_REQUESTS: 429,
+  INTERNAL_ERROR: 500,
+  NOT_IMPLEMENTED: 501,
+  SERVICE_UNAVAILABLE: 503
+};
+
+/**
+ * Custom error class for API-related errors
+ */
+class ApiError extends Error {
+  constructor(message, status = 500, response = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.response = response;
+  }
+}
+
+export default ApiError;
+export { ApiError, HTTP_STATUS };
@@ -3,7 +3,8 @@
  *
  * Provides REST API communication with the WordPress backend for the
  * Woo AI Assistant widget. Handles all HTTP requests, authentication,
- * error handling, and response processing.
+ * error handling, and response processing. Requests travel over the
+ * transport chosen by ChatTransport (REST, SSE, WebSocket or admin-ajax).
  *
  * @package WooAiAssistant
  * @subpackage Services
@@ -11,6 +12,12 @@
  * @author Claude Code Assistant
  */
 
+import { ApiError, HTTP_STATUS } from './ApiError';
+import ApiTelemetry from './ApiTelemetry';
+import ChatTransport from './ChatTransport';
+import RateLimiter, { PRIORITY } from './RateLimiter';
+import ResponseCache from './ResponseCache';
+
 /**
  * Default configuration for API requests
  */
@@ -19,37 +26,207 @@ const DEFAULT_CONFIG = {
   timeout: 30000, // 30 seconds
   retryAttempts: 3,
   retryDelay: 1000, // 1 second base delay
+  maxRetryAfter: 5000, // Longer Retry-After hints are reported instead of waited out
   cacheTimeout: 300000 // 5 minutes for config cache
 };
 
 /**
- * HTTP status codes for response handling
+ * Stream event types understood by the chat client
+ */
+const STREAM_EVENTS = {
+  TOKEN: 'token',
+  METADATA: 'metadata',
+  DONE: 'done',
+  ERROR: 'error',
+  MESSAGE: 'message'
+};
+
+/**
+ * Error codes WordPress returns when the X-WP-Nonce has expired, e.g. on
+ * pages served from a full-page cache
+ */
+const INVALID_NONCE_CODES = ['rest_cookie_invalid_nonce'];
+
+/**
+ * Create the error raised when a caller stops waiting for a shared request
  */
-const HTTP_STATUS = {
-  OK: 200,
-  CREATED: 201,
-  BAD_REQUEST: 400,
-  UNAUTHORIZED: 401,
-  FORBIDDEN: 403,
-  NOT_FOUND: 404,
-  TOO_MANY_REQUESTS: 429,
-  INTERNAL_ERROR: 500,
-  NOT_IMPLEMENTED: 501,
-  SERVICE_UNAVAILABLE: 503
+const createAbortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+/**
+ * Read the wait time of a 429 response
+ *
+ * Retry-After may be a number of seconds or an HTTP date. The backend also
+ * puts the seconds into the error data for transports without headers.
+ *
+ * @param {Response} response - Fetch response
+ * @param {Object} errorData - Parsed error body
+ * @returns {number} Milliseconds to wait, 0 if unknown
+ */
+const parseRetryAfter = (response, errorData) => {
+  const header = response.headers?.get?.('Retry-After');
+  const value = header ?? errorData?.data?.retry_after;
+
+  if (value === null || value === undefined || value === '') {
+    return 0;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
 };
 
 /**
- * Custom error class for API-related errors
+ * Incremental text/event-stream parser
+ *
+ * Follows the WHATWG server-sent events parsing rules: lines may be split
+ * across network chunks, events are dispatched on blank lines, and the
+ * event, data, id and retry fields are all honored.
  */
-class ApiError extends Error {
-  constructor(message, status = 500, response = null) {
-    super(message);
-    this.name = 'ApiError';
-    this.status = status;
-    this.response = response;
+class EventStreamParser {
+  /**
+   * @param {Function} onEvent - Called with { type, data, id } for each dispatched event
+   */
+  constructor(onEvent) {
+    this.onEvent = onEvent;
+    this.buffer = '';
+    this.eventType = '';
+    this.dataLines = [];
+    this.lastEventId = '';
+    this.retry = null;
+  }
+
+  /**
+   * Feed a decoded chunk of the response body
+   *
+   * @param {string} chunk - Decoded text
+   */
+  feed(chunk) {
+    let text = this.buffer + chunk;
+
+    // A trailing CR may be the first half of a CRLF split across chunks
+    let pendingCr = '';
+    if (text.endsWith('\r')) {
+      pendingCr = '\r';
+      text = text.slice(0, -1);
+    }
+
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    this.buffer = lines.pop() + pendingCr;
+
+    lines.forEach(line => this.processLine(line));
+  }
+
+  /**
+   * Process a single complete line
+   *
+   * @param {string} line - Line without its terminator
+   */
+  processLine(line) {
+    if (line === '') {
+      this.dispatch();
+      return;
+    }
+
+    // Comment lines are used as keep-alives
+    if (line.startsWith(':')) {
+      return;
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'data':
+        this.dataLines.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) {
+          this.lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.retry = parseInt(value, 10);
+        }
+        break;
+      default:
+        // Unknown fields are ignored per spec
+        break;
+    }
+  }
+
+  /**
+   * Dispatch the event collected so far
+   */
+  dispatch() {
+    const type = this.eventType || STREAM_EVENTS.MESSAGE;
+    const hasData = this.dataLines.length > 0;
+    const data = this.dataLines.join('\n');
+
+    this.eventType = '';
+    this.dataLines = [];
+
+    if (!hasData) {
+      return;
+    }
+
+    if (this.onEvent) {
+      this.onEvent({ type, data, id: this.lastEventId });
+    }
+  }
+
+  /**
+   * Discard a partially received event, e.g. after the connection dropped
+   */
+  reset() {
+    this.buffer = '';
+    this.eventType = '';
+    this.dataLines = [];
   }
 }
 
+/**
+ * Request parameters for a message that replaces an earlier one
+ *
+ * @param {Object} messageData - Message data
+ * @returns {Object} Parameters to merge into the request body
+ */
+const editParams = (messageData) => {
+  if (!messageData.editMessageId) {
+    return {};
+  }
+
+  return {
+    edit_message_id: messageData.editMessageId,
+    ...(messageData.regenerate ? { regenerate: true } : {})
+  };
+};
+
+/**
+ * Pick the options a high-level method passes on to the request
+ *
+ * @param {Object} options - Caller options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {string} options.priority - Overrides the method's priority
+ * @param {string} priority - Priority of the method, see PRIORITY
+ * @returns {Object} Request options
+ */
+const callOptions = (options = {}, priority = PRIORITY.NORMAL) => ({
+  signal: options.signal,
+  priority: options.priority || priority
+});
+
 /**
  * API Service class for communicating with WordPress REST API
  */
@@ -58,10 +235,17 @@ class ApiService {
     this.config = { ...DEFAULT_CONFIG };
     this.baseUrl = null;
     this.nonce = null;
+    this.sessionId = null;
+    this.nonceRefresh = null;
     this.configCache = null;
     this.configCacheTime = 0;
     this.requestInterceptors = [];
     this.responseInterceptors = [];
+    this.transport = new ChatTransport(this);
+    this.rateLimiter = new RateLimiter();
+    this.responseCache = new ResponseCache();
+    this.telemetry = new ApiTelemetry(this);
+    this.inflightRequests = new Map();
 
     // Bind methods to maintain context
     this.get = this.get.bind(this);
@@ -74,25 +258,22 @@ class ApiService {
    * Initialize the API service with WordPress REST API details
    *
    * @param {Object} options - Configuration options
-   * @param {string} options.restUrl - WordPress REST API base URL
+   * @param {string} options.restUrl - WordPress REST API base URL, detected when omitted
    * @param {string} options.nonce - WordPress nonce for authentication
+   * @param {string} options.ajaxUrl - admin-ajax.php URL, used when /wp-json/ is blocked
    * @param {Object} options.config - Additional configuration options
    * @returns {Promise<ApiService>} The initialized service instance
    */
   async initialize(options = {}) {
     try {
-      // Set base configuration
-      if (options.restUrl) {
-        this.baseUrl = this.normalizeUrl(options.restUrl);
-      } else if (typeof window !== 'undefined' && window.wpApiSettings) {
-        this.baseUrl = this.normalizeUrl(window.wpApiSettings.root);
-      } else {
-        // Fallback: construct from current location
-        const protocol = window.location.protocol;
-        const host = window.location.host;
-        this.baseUrl = `${protocol}//${host}/wp-json/`;
+      // Merge additional configuration first, the namespace is needed to read the REST root
+      if (options.config) {
+        this.config = { ...this.config, ...options.config };
       }
 
+      // Set base configuration
+      this.baseUrl = this.normalizeUrl(options.restUrl || this.detectRestRoot());
+
       // Set nonce for authentication
       if (options.nonce) {
         this.nonce = options.nonce;
@@ -100,9 +281,10 @@ class ApiService {
         this.nonce = window.wpApiSettings.nonce;
       }
 
-      // Merge additional configuration
-      if (options.config) {
-        this.config = { ...this.config, ...options.config };
+      // Known before /config so the config itself can be loaded over admin-ajax
+      const ajaxUrl = options.ajaxUrl || (typeof window !== 'undefined' && window.wooAiAssistantWidget?.ajaxUrl);
+      if (ajaxUrl) {
+        this.transport.configure({ ajax_url: ajaxUrl });
       }
 
       // Try to load initial configuration from backend
@@ -119,7 +301,41 @@ class ApiService {
   }
 
   /**
-   * Normalize URL to ensure proper format
+   * Find the REST API root of the site
+   *
+   * Prefers the roots printed by WordPress, which already account for
+   * subdirectory installs, custom REST prefixes and plain permalinks, and
+   * only guesses /wp-json/ on the current host when none is available.
+   *
+   * @returns {string} REST API root URL
+   */
+  detectRestRoot() {
+    if (window.wpApiSettings?.root) {
+      return window.wpApiSettings.root;
+    }
+
+    if (window.wooAiAssistantWidget?.restUrl) {
+      return window.wooAiAssistantWidget.restUrl;
+    }
+
+    // Printed in the page head by rest_output_link_wp_head()
+    const link = document.querySelector('link[rel="https://api.w.org/"]');
+    if (link?.getAttribute('href')) {
+      return link.getAttribute('href');
+    }
+
+    const protocol = window.location.protocol;
+    const host = window.location.host;
+    return `${protocol}//${host}/wp-json/`;
+  }
+
+  /**
+   * Normalize a REST root URL to ensure proper format
+   *
+   * The result ends in a slash, or in rest_route=/ for plain permalinks
+   * with rest_route moved to the end, so routes can be appended to it.
+   * A plugin namespace at the end, as in rest_url('woo-ai-assistant/v1'),
+   * is removed.
    *
    * @param {string} url - URL to normalize
    * @returns {string} Normalized URL
@@ -127,12 +343,42 @@ class ApiService {
   normalizeUrl(url) {
     if (!url) return '';
 
-    // Ensure URL ends with slash
-    if (!url.endsWith('/')) {
-      url += '/';
+    const toRoot = (path) => {
+      const root = path.endsWith('/') ? path : `${path}/`;
+      const namespace = `/${this.config.namespace}/`;
+      return root.endsWith(namespace) ? root.slice(0, 1 - namespace.length) : root;
+    };
+
+    // Root-relative URLs, e.g. /blog/wp-json/
+    if (url.startsWith('/') && !url.startsWith('//') && typeof window !== 'undefined') {
+      url = `${window.location.protocol}//${window.location.host}${url}`;
     }
 
-    return url;
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) {
+      return toRoot(url);
+    }
+
+    const path = url.slice(0, queryStart);
+    const params = new URLSearchParams(url.slice(queryStart + 1));
+    const route = params.get('rest_route');
+
+    if (route === null) {
+      return `${toRoot(path)}?${params.toString()}`;
+    }
+
+    params.delete('rest_route');
+    const otherParams = params.toString();
+    return `${path}?${otherParams ? `${otherParams}&` : ''}rest_route=${toRoot(route)}`;
+  }
+
+  /**
+   * Check whether the site uses plain permalinks, passing routes in ?rest_route=
+   *
+   * @returns {boolean} True if routes go into the query string
+   */
+  usesPlainPermalinks() {
+    return /[?&]rest_route=[^&]*$/.test(this.baseUrl || '');
   }
 
   /**
@@ -143,16 +389,25 @@ class ApiService {
    */
   buildUrl(endpoint) {
     const cleanEndpoint = endpoint.startsWith('/') ? endpoint.slice(1) : endpoint;
-    return `${this.baseUrl}${this.config.namespace}/${cleanEndpoint}`;
+    const route = `${this.config.namespace}/${cleanEndpoint}`;
+    const queryStart = this.baseUrl.indexOf('?');
+
+    if (queryStart === -1 || this.usesPlainPermalinks()) {
+      return `${this.baseUrl}${route}`;
+    }
+
+    // Keep query arguments of the root, e.g. ?lang=en, after the route
+    return `${this.baseUrl.slice(0, queryStart)}${route}${this.baseUrl.slice(queryStart)}`;
   }
 
   /**
    * Load widget configuration from backend
    *
    * @param {Object} params - Optional parameters for config request
+   * @param {Object} options - Request options, see get()
    * @returns {Promise<Object>} Configuration object
    */
-  async loadConfig(params = {}) {
+  async loadConfig(params = {}, options = {}) {
     try {
       // Check cache first
       const now = Date.now();
@@ -160,15 +415,33 @@ class ApiService {
         return this.configCache;
       }
 
-      const config = await this.get('/config', params);
+      const config = await this.get('/config', params, options);
 
       // Cache the configuration
       this.configCache = config;
       this.configCacheTime = now;
 
-      // Update nonce if provided in config
-      if (config.nonce) {
-        this.nonce = config.nonce;
+      // Responses cached for another user, e.g. before logging in, are dropped
+      if (config.user) {
+        this.responseCache.setIdentity(String(config.user.id || 0));
+      }
+
+      // Update nonce if provided in config, REST requests need the wp_rest one
+      if (config.rest_nonce || config.nonce) {
+        this.nonce = config.rest_nonce || config.nonce;
+      }
+
+      // Transport order and fallback endpoints
+      if (config.transports) {
+        this.transport.configure(config.transports);
+      }
+
+      if (config.rate_limiting?.requests_per_minute) {
+        this.rateLimiter.configure({ requestsPerMinute: config.rate_limiting.requests_per_minute });
+      }
+
+      if (config.telemetry) {
+        this.telemetry.configure(config.telemetry);
       }
 
       return config;
@@ -216,15 +489,17 @@ class ApiService {
    *
    * @param {string} method - HTTP method
    * @param {Object} options - Request options
+   * @param {string|null} options.nonce - Nonce for this request instead of the shared one, null sends none
    * @returns {Object} Prepared request configuration
    */
   prepareRequest(method, options = {}) {
+    const { nonce = this.nonce, ...requestOptions } = options;
     const config = {
       method: method.toUpperCase(),
       headers: {
         ...(options.headers || {})
       },
-      ...options
+      ...requestOptions
     };
 
     // Only set Content-Type for requests with body
@@ -233,8 +508,13 @@ class ApiService {
     }
 
     // Add nonce for authentication if available
-    if (this.nonce) {
-      config.headers['X-WP-Nonce'] = this.nonce;
+    if (nonce) {
+      config.headers['X-WP-Nonce'] = nonce;
+    }
+
+    // Identify guest sessions so their conversations stay accessible
+    if (this.sessionId) {
+      config.headers['X-Session-ID'] = this.sessionId;
     }
 
     // Add body for non-GET requests
@@ -288,7 +568,17 @@ class ApiService {
         // Response is not JSON, use default message
       }
 
-      throw new ApiError(errorMessage, processedResponse.status, errorData);
+      const error = new ApiError(errorMessage, processedResponse.status, errorData);
+
+      // Hold back every request until the server accepts them again
+      if (processedResponse.status === HTTP_STATUS.TOO_MANY_REQUESTS) {
+        error.retryAfter = parseRetryAfter(processedResponse, errorData);
+        if (error.retryAfter) {
+          this.rateLimiter.pause(error.retryAfter);
+        }
+      }
+
+      throw error;
     }
 
     // Parse response body
@@ -301,23 +591,113 @@ class ApiService {
   }
 
   /**
-   * Execute HTTP request with retry logic and exponential backoff
+   * Execute HTTP request and report its latency, retries and outcome to
+   * the telemetry
    *
    * @param {string} url - Request URL
    * @param {Object} config - Request configuration
    * @returns {Promise<Object>} Response data
    */
   async executeRequest(url, config) {
+    const startedAt = Date.now();
+    const trace = { retries: 0 };
+
+    // Background requests wait until this one is answered
+    const release = config.priority === PRIORITY.HIGH ? this.rateLimiter.hold() : null;
+
+    try {
+      const data = await this.sendWithFreshNonce(url, config, trace);
+      this.telemetry.recordRequest(url, config, { duration: Date.now() - startedAt, retries: trace.retries });
+      return data;
+    } catch (error) {
+      this.telemetry.recordRequest(url, config, {
+        duration: Date.now() - startedAt,
+        retries: trace.retries,
+        error,
+        cancelled: !!config.signal?.aborted
+      });
+      throw error;
+    } finally {
+      if (release) release();
+    }
+  }
+
+  /**
+   * Send HTTP request, replaying it once with a fresh nonce when the nonce
+   * it was sent with has expired
+   *
+   * @param {string} url - Request URL
+   * @param {Object} config - Request configuration
+   * @param {Object} trace - Counts the attempts after the first one
+   * @returns {Promise<Object>} Response data
+   */
+  async sendWithFreshNonce(url, config, trace) {
+    try {
+      return await this.sendRequest(url, config, trace);
+    } catch (error) {
+      const sentNonce = config.headers?.['X-WP-Nonce'];
+      if (!sentNonce || config.signal?.aborted || !this.isInvalidNonceError(error)) {
+        throw error;
+      }
+
+      const freshNonce = await this.refreshNonce(sentNonce);
+      if (freshNonce === sentNonce) {
+        throw error;
+      }
+
+      const headers = { ...config.headers };
+      if (freshNonce) {
+        headers['X-WP-Nonce'] = freshNonce;
+      } else {
+        delete headers['X-WP-Nonce'];
+      }
+
+      trace.retries++;
+      return await this.sendRequest(url, { ...config, headers }, trace);
+    }
+  }
+
+  /**
+   * Send HTTP request with retry logic and exponential backoff
+   *
+   * @param {string} url - Request URL
+   * @param {Object} config - Request configuration
+   * @param {Object} trace - Optional, counts the attempts after the first one
+   * @returns {Promise<Object>} Response data
+   */
+  async sendRequest(url, config, trace = null) {
+    // A caller-provided signal cancels the request alongside the timeout
+    const { signal: callerSignal, priority = PRIORITY.NORMAL, ...requestConfig } = config;
+
+    // Passed on to the browser as a fetch priority hint, which knows high and low
+    if (priority !== PRIORITY.NORMAL) {
+      requestConfig.priority = priority;
+    }
+
     let lastError;
 
     for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
       let timeoutId;
+      let abortRequest;
       try {
+        // Waiting in line does not count towards the timeout
+        if (!this.rateLimiter.tryAcquire(priority)) {
+          await this.rateLimiter.acquire(callerSignal, priority);
+        }
+
         const controller = new AbortController();
         timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
 
+        if (callerSignal) {
+          abortRequest = () => controller.abort();
+          if (callerSignal.aborted) {
+            abortRequest();
+          }
+          callerSignal.addEventListener('abort', abortRequest);
+        }
+
         const response = await fetch(url, {
-          ...config,
+          ...requestConfig,
           signal: controller.signal
         });
 
@@ -330,6 +710,11 @@ class ApiService {
         }
         lastError = error;
 
+        // Cancelled by the caller, nothing to retry
+        if (callerSignal?.aborted) {
+          throw error;
+        }
+
         // Don't retry on client errors (4xx) except rate limiting
         if (error.status >= 400 && error.status < 500 && error.status !== HTTP_STATUS.TOO_MANY_REQUESTS) {
           throw error;
@@ -340,11 +725,26 @@ class ApiService {
           throw error;
         }
 
+        // The limiter holds the next attempt back for as long as the server asked
+        if (error.retryAfter) {
+          if (error.retryAfter > this.config.maxRetryAfter) {
+            throw error;
+          }
+          if (trace) trace.retries++;
+          continue;
+        }
+
+        if (trace) trace.retries++;
+
         // Calculate exponential backoff delay
         const delay = this.config.retryDelay * Math.pow(2, attempt - 1);
 
         // Wait before retrying
         await new Promise(resolve => setTimeout(resolve, delay));
+      } finally {
+        if (abortRequest) {
+          callerSignal.removeEventListener('abort', abortRequest);
+        }
       }
     }
 
@@ -354,23 +754,20 @@ class ApiService {
   /**
    * GET request
    *
+   * Identical concurrent GETs share one fetch, and cached endpoints are
+   * answered from the response cache.
+   *
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
    * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @param {boolean} options.skipCache - Fetch even if a cached response exists
+   * @param {string|null} options.nonce - Nonce for this request instead of the shared one, null sends none
    * @returns {Promise<Object>} Response data
    */
   async get(endpoint, params = {}, options = {}) {
-    const url = new URL(this.buildUrl(endpoint));
-
-    // Add query parameters
-    Object.keys(params).forEach(key => {
-      if (params[key] !== null && params[key] !== undefined) {
-        url.searchParams.append(key, params[key]);
-      }
-    });
-
-    const config = this.prepareRequest('GET', options);
-    return await this.executeRequest(url.toString(), config);
+    return await this.cachedRequest('GET', endpoint, params, options);
   }
 
   /**
@@ -379,12 +776,18 @@ class ApiService {
    * @param {string} endpoint - API endpoint
    * @param {Object} data - Request data
    * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Response data
    */
   async post(endpoint, data = {}, options = {}) {
-    const url = this.buildUrl(endpoint);
-    const config = this.prepareRequest('POST', { ...options, data });
-    return await this.executeRequest(url, config);
+    if (this.responseCache.getPolicy('POST', endpoint)) {
+      return await this.cachedRequest('POST', endpoint, data, options);
+    }
+
+    const response = await this.transport.request({ ...options, method: 'POST', endpoint, data });
+    this.responseCache.invalidate(endpoint);
+    return response;
   }
 
   /**
@@ -393,12 +796,14 @@ class ApiService {
    * @param {string} endpoint - API endpoint
    * @param {Object} data - Request data
    * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Response data
    */
   async put(endpoint, data = {}, options = {}) {
-    const url = this.buildUrl(endpoint);
-    const config = this.prepareRequest('PUT', { ...options, data });
-    return await this.executeRequest(url, config);
+    const response = await this.transport.request({ ...options, method: 'PUT', endpoint, data });
+    this.responseCache.invalidate(endpoint);
+    return response;
   }
 
   /**
@@ -406,12 +811,119 @@ class ApiService {
    *
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @param {Object} options.data - Optional request body
    * @returns {Promise<Object>} Response data
    */
   async delete(endpoint, options = {}) {
-    const url = this.buildUrl(endpoint);
-    const config = this.prepareRequest('DELETE', options);
-    return await this.executeRequest(url, config);
+    const response = await this.transport.request({ ...options, method: 'DELETE', endpoint });
+    this.responseCache.invalidate(endpoint);
+    return response;
+  }
+
+  /**
+   * Send a read request through the response cache
+   *
+   * Fresh cached responses are returned without a request. Stale ones are
+   * returned right away and refreshed in the background.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Object} payload - Query parameters for GET, body otherwise
+   * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @returns {Promise<Object>} Response data
+   */
+  async cachedRequest(method, endpoint, payload, options = {}) {
+    const { skipCache, signal, ...requestOptions } = options;
+    const policy = this.responseCache.getPolicy(method, endpoint);
+    const key = this.responseCache.getKey(method, endpoint, payload);
+
+    if (policy && !skipCache) {
+      const cached = this.responseCache.get(key);
+
+      if (cached) {
+        if (cached.isStale) {
+          this.fetchShared(key, method, endpoint, payload, requestOptions, policy).catch(() => {
+            // Keep showing the stale response, the next read retries
+          });
+        }
+        return cached.data;
+      }
+    }
+
+    return await this.fetchShared(key, method, endpoint, payload, requestOptions, policy, signal);
+  }
+
+  /**
+   * Send a request, or join the identical one already in flight
+   *
+   * The shared request is sent without any caller's signal so one caller
+   * giving up does not cancel it for the others. Requests sent before the
+   * cached data was invalidated are neither joined nor cached.
+   *
+   * @param {string} key - Cache key of the request
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Object} payload - Query parameters for GET, body otherwise
+   * @param {Object} options - Additional options, without the caller's signal
+   * @param {Object|null} policy - Cache policy, the response is stored when set
+   * @param {AbortSignal} signal - Stops waiting for the shared request
+   * @returns {Promise<Object>} Response data
+   */
+  fetchShared(key, method, endpoint, payload, options, policy, signal = undefined) {
+    const generation = policy ? this.responseCache.getGeneration(policy) : 0;
+    let inflight = this.inflightRequests.get(key);
+
+    if (!inflight || inflight.generation !== generation) {
+      const request = method === 'GET'
+        ? { ...options, method, endpoint, params: payload }
+        : { ...options, method, endpoint, data: payload };
+
+      const promise = this.transport.request(request)
+        .then(response => {
+          if (policy) {
+            this.responseCache.set(key, response, policy, generation);
+          }
+          return response;
+        })
+        .finally(() => {
+          if (this.inflightRequests.get(key) === inflight) {
+            this.inflightRequests.delete(key);
+          }
+        });
+
+      inflight = { promise, generation };
+      this.inflightRequests.set(key, inflight);
+    }
+
+    const pending = inflight.promise;
+
+    if (!signal) {
+      return pending;
+    }
+
+    if (signal.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(createAbortError());
+      signal.addEventListener('abort', onAbort);
+
+      pending.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  /**
+   * Drop all cached responses
+   */
+  clearResponseCache() {
+    this.responseCache.clear();
   }
 
   // ===========================
@@ -425,38 +937,147 @@ class ApiService {
    * @param {string} messageData.message - User message content
    * @param {string} messageData.conversationId - Optional conversation ID
    * @param {Object} messageData.context - Chat context (page, product, etc.)
+   * @param {number} messageData.editMessageId - Server ID of an earlier user message this one replaces
+   * @param {boolean} messageData.regenerate - Whether the replaced message is resent unchanged for a new reply
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, high unless set
    * @returns {Promise<Object>} AI response data
    */
-  async sendMessage(messageData) {
+  async sendMessage(messageData, options = {}) {
     try {
       const data = {
         message: messageData.message,
         conversation_id: messageData.conversationId || null,
-        context: messageData.context || {}
+        context: messageData.context || {},
+        ...editParams(messageData)
       };
 
-      return await this.post('/chat/message', data);
+      return await this.post('/chat/message', data, callOptions(options, PRIORITY.HIGH));
     } catch (error) {
       throw new ApiError('Failed to send message', error.status || 500, error);
     }
   }
 
+  /**
+   * Send a chat message and stream the AI response token by token
+   *
+   * @param {Object} messageData - Message data
+   * @param {string} messageData.message - User message content
+   * @param {string} messageData.conversationId - Conversation ID (required by /chat/stream)
+   * @param {Object} messageData.context - Chat context (page, product, etc.)
+   * @param {number} messageData.editMessageId - Server ID of an earlier user message this one replaces
+   * @param {boolean} messageData.regenerate - Whether the replaced message is resent unchanged for a new reply
+   * @param {Object} handlers - Stream callbacks
+   * @param {Function} handlers.onToken - Called with each content chunk
+   * @param {Function} handlers.onMetadata - Called with metadata events (products, actions, etc.)
+   * @param {Function} handlers.onComplete - Called with the final completion event
+   * @param {AbortSignal} handlers.signal - Stops the stream; tokens received so far are kept by the caller
+   * @param {string} handlers.priority - Request priority, high unless set
+   * @returns {Promise<Object|null>} The completion event, if the server sent one
+   */
+  async streamMessage(messageData, handlers = {}) {
+    const data = {
+      message: messageData.message,
+      conversation_id: messageData.conversationId,
+      context: messageData.context || {},
+      ...editParams(messageData)
+    };
+
+    let completion = null;
+    let streamError = null;
+    const startedAt = Date.now();
+    let ttft = null;
+    let retries = 0;
+
+    const recordStream = (error = null) => {
+      this.telemetry.recordStream({
+        route: '/chat/stream',
+        transport: this.transport.getActiveTransport('stream'),
+        duration: Date.now() - startedAt,
+        ttft,
+        retries,
+        error,
+        cancelled: !!handlers.signal?.aborted
+      });
+    };
+
+    try {
+      await this.transport.stream({
+        endpoint: '/chat/stream',
+        data,
+        ...callOptions(handlers, PRIORITY.HIGH),
+        onRetry: () => {
+          retries++;
+        },
+        onEvent: (event) => {
+          if (streamError) {
+            return;
+          }
+
+          const { payload } = event;
+          switch (event.type) {
+            case STREAM_EVENTS.TOKEN:
+              if (ttft === null && payload?.content) {
+                ttft = Date.now() - startedAt;
+              }
+              if (payload?.content && handlers.onToken) handlers.onToken(payload.content, payload);
+              break;
+            case STREAM_EVENTS.METADATA:
+              if (handlers.onMetadata) handlers.onMetadata(payload);
+              break;
+            case STREAM_EVENTS.DONE:
+              completion = payload && typeof payload === 'object' ? payload : completion;
+              break;
+            case STREAM_EVENTS.ERROR:
+              streamError = new ApiError(payload?.error || 'Streaming failed', HTTP_STATUS.INTERNAL_ERROR, payload);
+              break;
+            default:
+              break;
+          }
+        }
+      });
+    } catch (error) {
+      recordStream(error);
+      throw error;
+    }
+
+    recordStream(streamError);
+
+    // Errors thrown inside the chunk callback would be swallowed by the parser
+    if (streamError) {
+      throw streamError;
+    }
+
+    if (handlers.onComplete) handlers.onComplete(completion);
+
+    return completion;
+  }
+
   /**
    * Start a new conversation
    *
    * @param {Object} contextData - Initial context
    * @param {Object} contextData.context - Chat context
    * @param {number} contextData.userId - Optional user ID
+   * @param {number} contextData.previousConversationId - Optional conversation the new one replaces
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} New conversation data
    */
-  async startConversation(contextData = {}) {
+  async startConversation(contextData = {}, options = {}) {
     try {
       const data = {
         context: contextData.context || {},
         user_id: contextData.userId || null
       };
 
-      return await this.post('/chat/conversation', data);
+      if (contextData.previousConversationId) {
+        data.previous_conversation_id = contextData.previousConversationId;
+      }
+
+      return await this.post('/chat/conversation', data, callOptions(options));
     } catch (error) {
       throw new ApiError('Failed to start conversation', error.status || 500, error);
     }
@@ -466,16 +1087,38 @@ class ApiService {
    * Get conversation history
    *
    * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Conversation data
    */
-  async getConversation(conversationId) {
+  async getConversation(conversationId, options = {}) {
     try {
-      return await this.get(`/chat/conversation/${conversationId}`);
+      return await this.get(`/chat/conversation/${conversationId}`, {}, callOptions(options));
     } catch (error) {
       throw new ApiError('Failed to get conversation', error.status || 500, error);
     }
   }
 
+  /**
+   * List the logged-in customer's conversations
+   *
+   * @param {Object} params - Query parameters
+   * @param {number} params.limit - Maximum number of conversations
+   * @param {number} params.offset - Number of conversations to skip
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @returns {Promise<Object>} Conversation summaries, most recent first
+   */
+  async getConversations(params = {}, options = {}) {
+    try {
+      return await this.get('/chat/conversations', params, callOptions(options));
+    } catch (error) {
+      throw new ApiError('Failed to get conversations', error.status || 500, error);
+    }
+  }
+
   // ===========================
   // ACTION API METHODS
   // ===========================
@@ -488,9 +1131,12 @@ class ApiService {
    * @param {number} productData.quantity - Quantity to add
    * @param {number} productData.variationId - Optional variation ID
    * @param {Object} productData.variation - Optional variation attributes
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Cart update response
    */
-  async addToCart(productData) {
+  async addToCart(productData, options = {}) {
     try {
       const data = {
         product_id: productData.productId,
@@ -499,7 +1145,7 @@ class ApiService {
         variation: productData.variation || {}
       };
 
-      return await this.post('/actions/add-to-cart', data);
+      return await this.post('/actions/add-to-cart', data, callOptions(options));
     } catch (error) {
       throw new ApiError('Failed to add product to cart', error.status || 500, error);
     }
@@ -509,29 +1155,69 @@ class ApiService {
    * Apply coupon code
    *
    * @param {string} couponCode - Coupon code to apply
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Coupon application response
    */
-  async applyCoupon(couponCode) {
+  async applyCoupon(couponCode, options = {}) {
     try {
       const data = {
         coupon_code: couponCode
       };
 
-      return await this.post('/actions/apply-coupon', data);
+      return await this.post('/actions/apply-coupon', data, callOptions(options));
     } catch (error) {
       throw new ApiError('Failed to apply coupon', error.status || 500, error);
     }
   }
 
+  /**
+   * Remove coupon code
+   *
+   * @param {string} couponCode - Coupon code to remove
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @returns {Promise<Object>} Coupon removal response
+   */
+  async removeCoupon(couponCode, options = {}) {
+    try {
+      return await this.delete('/actions/remove-coupon', { ...callOptions(options), data: { coupon_code: couponCode } });
+    } catch (error) {
+      throw new ApiError('Failed to remove coupon', error.status || 500, error);
+    }
+  }
+
+  /**
+   * Remove an item from the cart
+   *
+   * @param {string} cartItemKey - Cart item key
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @returns {Promise<Object>} Item removal response
+   */
+  async removeFromCart(cartItemKey, options = {}) {
+    try {
+      return await this.delete('/actions/remove-from-cart', { ...callOptions(options), data: { cart_item_key: cartItemKey } });
+    } catch (error) {
+      throw new ApiError('Failed to remove item from cart', error.status || 500, error);
+    }
+  }
+
   /**
    * Update cart
    *
    * @param {Object} cartData - Cart update data
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Cart update response
    */
-  async updateCart(cartData) {
+  async updateCart(cartData, options = {}) {
     try {
-      return await this.post('/actions/update-cart', cartData);
+      return await this.post('/actions/update-cart', cartData, callOptions(options));
     } catch (error) {
       throw new ApiError('Failed to update cart', error.status || 500, error);
     }
@@ -548,9 +1234,12 @@ class ApiService {
    * @param {string} ratingData.conversationId - Conversation ID
    * @param {number} ratingData.rating - Rating value (1-5)
    * @param {string} ratingData.feedback - Optional feedback text
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Rating submission response
    */
-  async rateConversation(ratingData) {
+  async rateConversation(ratingData, options = {}) {
     try {
       const data = {
         conversation_id: ratingData.conversationId,
@@ -558,7 +1247,7 @@ class ApiService {
         feedback: ratingData.feedback || ''
       };
 
-      return await this.post('/rating/conversation', data);
+      return await this.post('/rating/submit', data, callOptions(options));
     } catch (error) {
       throw new ApiError('Failed to rate conversation', error.status || 500, error);
     }
@@ -568,20 +1257,28 @@ class ApiService {
    * Submit feedback
    *
    * @param {Object} feedbackData - Feedback data
-   * @param {string} feedbackData.type - Feedback type
+   * @param {string} feedbackData.conversationId - Conversation the feedback is about
+   * @param {string} feedbackData.type - Feedback type (general, bug, suggestion, complaint, compliment)
    * @param {string} feedbackData.message - Feedback message
-   * @param {Object} feedbackData.context - Optional context data
+   * @param {string} feedbackData.email - Optional email for follow-up
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Feedback submission response
    */
-  async submitFeedback(feedbackData) {
+  async submitFeedback(feedbackData, options = {}) {
     try {
       const data = {
-        feedback_type: feedbackData.type,
-        message: feedbackData.message,
-        context: feedbackData.context || {}
+        conversation_id: feedbackData.conversationId,
+        feedback_text: feedbackData.message,
+        feedback_type: feedbackData.type || 'general'
       };
 
-      return await this.post('/rating/feedback', data);
+      if (feedbackData.email) {
+        data.user_email = feedbackData.email;
+      }
+
+      return await this.post('/rating/feedback', data, callOptions(options));
     } catch (error) {
       throw new ApiError('Failed to submit feedback', error.status || 500, error);
     }
@@ -594,72 +1291,414 @@ class ApiService {
   /**
    * Create streaming response handler for real-time chat
    *
+   * Events are parsed with EventStreamParser and normalized to the token,
+   * metadata, done and error types. When the connection drops before a done
+   * event arrives, the request is replayed with a Last-Event-ID header so the
+   * server can send only the missed events.
+   *
    * @param {string} endpoint - Streaming endpoint
    * @param {Object} data - Request data
-   * @param {Function} onMessage - Callback for each message chunk
+   * @param {Function} onMessage - Callback for each event, receives (payload, event)
    * @param {Function} onError - Error callback
    * @param {Function} onComplete - Completion callback
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the stream
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @param {Function} options.onRetry - Called before each reconnect
    * @returns {Promise<void>} Streaming promise
    */
-  async createStreamingRequest(endpoint, data, onMessage, onError, onComplete) {
-    try {
-      const url = this.buildUrl(endpoint);
-      const config = this.prepareRequest('POST', {
-        data,
-        headers: {
-          'Accept': 'text/event-stream',
-          'Cache-Control': 'no-cache'
-        }
-      });
+  async createStreamingRequest(endpoint, data, onMessage, onError, onComplete, options = {}) {
+    const url = this.buildUrl(endpoint);
+    let lastEventId = '';
+    let retryDelay = this.config.retryDelay;
+    let reconnects = 0;
+    let isDone = false;
+    let hasRefreshedNonce = false;
+    const priority = options.priority || PRIORITY.NORMAL;
+
+    // Background requests wait until the reply has been streamed
+    const release = priority === PRIORITY.HIGH ? this.rateLimiter.hold() : null;
+
+    const parser = new EventStreamParser((rawEvent) => {
+      lastEventId = rawEvent.id;
+
+      const event = this.normalizeStreamEvent(rawEvent);
+      if (event.type === STREAM_EVENTS.DONE) {
+        isDone = true;
+      }
 
-      const response = await fetch(url, config);
+      if (event.payload === null) {
+        return;
+      }
 
-      if (!response.ok) {
-        const errorData = await this.processResponse(response, url);
-        throw new ApiError('Streaming request failed', response.status, errorData);
+      try {
+        if (onMessage) onMessage(event.payload, event);
+      } catch (handlerError) {
+        // Silently ignore errors thrown by stream consumers
       }
+    });
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
+    try {
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        const sentNonce = this.nonce;
 
-      try {
-        // eslint-disable-next-line no-constant-condition
-        while (true) {
-          const { done, value } = await reader.read();
+        try {
+          await this.readEventStream(url, data, parser, lastEventId, options.signal, priority);
 
-          if (done) {
-            if (onComplete) onComplete();
+          // A clean close without ids means the server cannot resume
+          if (isDone || !lastEventId) {
             break;
           }
 
-          const chunk = decoder.decode(value, { stream: true });
-          const lines = chunk.split('\n').filter(line => line.trim());
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              try {
-                const jsonData = JSON.parse(line.slice(6));
-                if (onMessage) onMessage(jsonData);
-              } catch (parseError) {
-                // Silently ignore parsing errors for streaming data
-              }
+          throw new ApiError('Stream closed before completion', HTTP_STATUS.SERVICE_UNAVAILABLE);
+        } catch (error) {
+          // An expired nonce is rejected before the first event, so the stream can start over
+          if (!hasRefreshedNonce && !lastEventId && sentNonce && this.isInvalidNonceError(error)) {
+            hasRefreshedNonce = true;
+            if (await this.refreshNonce(sentNonce) !== sentNonce) {
+              continue;
             }
           }
+
+          const canResume = !isDone && lastEventId && error.name !== 'AbortError' &&
+            !(error.status >= 400 && error.status < 500) &&
+            reconnects < this.config.retryAttempts;
+
+          if (!canResume) {
+            throw error;
+          }
+
+          reconnects++;
+          if (options.onRetry) options.onRetry(reconnects);
+          parser.reset();
+          if (parser.retry !== null) {
+            retryDelay = parser.retry;
+          }
+
+          await new Promise(resolve => setTimeout(resolve, retryDelay));
         }
-      } finally {
-        reader.releaseLock();
       }
 
+      if (onComplete) onComplete();
+
     } catch (error) {
       if (onError) onError(error);
       throw error;
+    } finally {
+      if (release) release();
     }
   }
 
+  /**
+   * Open an event stream and feed its body into the parser
+   *
+   * @param {string} url - Streaming URL
+   * @param {Object} data - Request data
+   * @param {EventStreamParser} parser - Parser receiving the decoded body
+   * @param {string} lastEventId - ID of the last received event, when resuming
+   * @param {AbortSignal} signal - Cancels the request
+   * @param {string} priority - Request priority, see PRIORITY
+   * @returns {Promise<void>} Resolves when the server closes the stream
+   */
+  async readEventStream(url, data, parser, lastEventId = '', signal = undefined, priority = PRIORITY.NORMAL) {
+    const headers = {
+      'Accept': 'text/event-stream',
+      'Cache-Control': 'no-cache'
+    };
+
+    if (lastEventId) {
+      headers['Last-Event-ID'] = lastEventId;
+    }
+
+    const config = this.prepareRequest('POST', { data, headers, signal });
+    if (!this.rateLimiter.tryAcquire(priority)) {
+      await this.rateLimiter.acquire(signal, priority);
+    }
+    const response = await fetch(url, config);
+
+    if (!response.ok) {
+      const errorData = await this.processResponse(response, url);
+      throw new ApiError('Streaming request failed', response.status, errorData);
+    }
+
+    // Buffering proxies and hosts without SSE answer with a regular body
+    const contentType = response.headers?.get?.('content-type') || '';
+    if (!response.body?.getReader || (contentType && !contentType.includes('text/event-stream'))) {
+      throw new ApiError('Streaming is not supported by the server', HTTP_STATUS.NOT_IMPLEMENTED, {
+        code: 'stream_unsupported',
+        contentType
+      });
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    try {
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        const { done, value } = await reader.read();
+
+        if (done) {
+          // Dispatch a final event the server did not terminate with a blank line
+          parser.feed('\n\n');
+          break;
+        }
+
+        parser.feed(decoder.decode(value, { stream: true }));
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Map a raw server-sent event onto the typed chat stream events
+   *
+   * Supports both named events (event: token) and the legacy format where
+   * the type is carried in the JSON payload ({"type": "chunk"}).
+   *
+   * @param {Object} rawEvent - Event from EventStreamParser
+   * @returns {Object} Event with type, payload and id
+   */
+  normalizeStreamEvent(rawEvent) {
+    if (rawEvent.data === '[DONE]') {
+      return { type: STREAM_EVENTS.DONE, payload: null, id: rawEvent.id };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawEvent.data);
+    } catch (parseError) {
+      payload = rawEvent.data;
+    }
+
+    let type = rawEvent.type;
+    if (type === STREAM_EVENTS.MESSAGE && payload && typeof payload === 'object') {
+      const legacyTypes = {
+        chunk: STREAM_EVENTS.TOKEN,
+        token: STREAM_EVENTS.TOKEN,
+        metadata: STREAM_EVENTS.METADATA,
+        complete: STREAM_EVENTS.DONE,
+        done: STREAM_EVENTS.DONE,
+        error: STREAM_EVENTS.ERROR
+      };
+      type = legacyTypes[payload.type] || STREAM_EVENTS.MESSAGE;
+    }
+
+    return { type, payload, id: rawEvent.id };
+  }
+
+  /**
+   * Check whether an error means the X-WP-Nonce was rejected as expired
+   *
+   * @param {Error} error - Error raised by a request
+   * @returns {boolean} True if the request can be replayed with a fresh nonce
+   */
+  isInvalidNonceError(error) {
+    return error instanceof ApiError &&
+      error.status === HTTP_STATUS.FORBIDDEN &&
+      INVALID_NONCE_CODES.includes(error.response?.code);
+  }
+
+  /**
+   * Replace an expired nonce
+   *
+   * Requests failing at the same time share one refresh, and requests
+   * failing after another one already refreshed reuse its nonce.
+   *
+   * @param {string} staleNonce - Nonce the server rejected
+   * @returns {Promise<string|null>} Fresh nonce, null to continue without one
+   */
+  async refreshNonce(staleNonce) {
+    if (this.nonce !== staleNonce) {
+      return this.nonce;
+    }
+
+    if (!this.nonceRefresh) {
+      this.nonceRefresh = this.fetchFreshNonce().finally(() => {
+        this.nonceRefresh = null;
+      });
+    }
+
+    return await this.nonceRefresh;
+  }
+
+  /**
+   * Get a fresh nonce from the backend
+   *
+   * admin-ajax.php authenticates by cookie alone, so it can hand out a
+   * nonce for the logged-in user. If it is unreachable, /config is loaded
+   * without a nonce, which WordPress answers as a guest request, and its
+   * rest_nonce is used. Without one the stale nonce is kept, so the
+   * original error is thrown instead of a replay that fails the same way.
+   *
+   * @returns {Promise<string|null>} Fresh nonce, the stale one if none could be had
+   */
+  async fetchFreshNonce() {
+    const ajax = this.transport.getTransport('ajax');
+
+    try {
+      const response = await fetch(ajax.getActionUrl(ajax.nonceAction), {
+        method: 'GET',
+        credentials: 'same-origin',
+        headers: { 'Accept': 'application/json' }
+      });
+      const data = response.ok ? await response.json() : null;
+
+      if (data?.nonce) {
+        this.nonce = data.nonce;
+        return this.nonce;
+      }
+    } catch (error) {
+      // Fall back to /config below
+    }
+
+    // Other requests keep the stale nonce until the fresh one is known
+    const staleNonce = this.nonce;
+    this.clearConfigCache();
+    const config = await this.loadConfig({}, { nonce: null });
+
+    // The plugin nonce in /config fails the REST cookie check like the stale one
+    this.nonce = config.rest_nonce || staleNonce;
+
+    return this.nonce;
+  }
+
+  /**
+   * Check whether a streaming error means SSE is unavailable
+   *
+   * These errors are safe to answer with a plain /chat/message request.
+   *
+   * @param {Error} error - Error raised by a streaming request
+   * @returns {boolean} True if the client should fall back to non-streaming
+   */
+  isStreamingUnsupported(error) {
+    if (!error || error.name === 'AbortError') {
+      return false;
+    }
+
+    return [
+      HTTP_STATUS.NOT_FOUND,
+      HTTP_STATUS.METHOD_NOT_ALLOWED,
+      HTTP_STATUS.NOT_IMPLEMENTED
+    ].includes(error.status);
+  }
+
+  /**
+   * Check whether an error means the backend could not be reached
+   *
+   * High-level methods wrap the original error, so the whole chain is
+   * inspected. Such requests are worth repeating once connectivity returns.
+   *
+   * @param {Error} error - Error raised by a request
+   * @returns {boolean} True for offline, fetch, timeout and gateway errors
+   */
+  isNetworkError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return true;
+    }
+
+    let current = error;
+    while (current) {
+      if (
+        current instanceof TypeError ||
+        current.name === 'AbortError' ||
+        current.name === 'NetworkError' ||
+        current.code === 'NETWORK_ERROR' ||
+        [502, HTTP_STATUS.SERVICE_UNAVAILABLE, 504].includes(current.status)
+      ) {
+        return true;
+      }
+      current = current instanceof Error ? current.response : null;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether an error means the caller cancelled the request
+   *
+   * High-level methods wrap the original error, so the whole chain is
+   * searched.
+   *
+   * @param {Error} error - Error raised by a request
+   * @returns {boolean} True if the request was aborted
+   */
+  isAbortError(error) {
+    let current = error;
+    while (current) {
+      if (current.name === 'AbortError') {
+        return true;
+      }
+      current = current instanceof Error ? current.response : null;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get how long the server asked to wait after a 429
+   *
+   * High-level methods wrap the original error, so the whole chain is
+   * inspected.
+   *
+   * @param {Error} error - Error raised by a request
+   * @returns {number} Milliseconds to wait, 0 if the request was not rate limited
+   */
+  getRetryAfter(error) {
+    let current = error;
+    while (current) {
+      if (current.retryAfter) {
+        return current.retryAfter;
+      }
+      current = current instanceof Error ? current.response : null;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Get the time left before requests are sent again
+   *
+   * @returns {number} Milliseconds, 0 when requests are not paused
+   */
+  getCooldown() {
+    return this.rateLimiter.getCooldown();
+  }
+
+  /**
+   * Listen for rate limit pauses starting and ending
+   *
+   * @param {Function} handler - Called with the end timestamp, or null when the pause is over
+   * @returns {Function} Unsubscribe function
+   */
+  onCooldownChange(handler) {
+    return this.rateLimiter.onCooldownChange(handler);
+  }
+
   // ===========================
   // UTILITY METHODS
   // ===========================
 
+  /**
+   * Set the backend session ID sent with every request
+   *
+   * @param {string|null} sessionId - Session ID returned by the chat endpoints
+   */
+  setSessionId(sessionId) {
+    this.sessionId = sessionId || null;
+  }
+
+  /**
+   * Get the backend session ID
+   *
+   * @returns {string|null} Session ID
+   */
+  getSessionId() {
+    return this.sessionId;
+  }
+
   /**
    * Check if API service is properly initialized
    *
@@ -693,11 +1732,14 @@ class ApiService {
   /**
    * Get health check data
    *
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Health check response
    */
-  async getHealth() {
+  async getHealth(options = {}) {
     try {
-      return await this.get('/health');
+      return await this.get('/health', {}, callOptions(options));
     } catch (error) {
       throw new ApiError('Health check failed', error.status || 500, error);
     }
@@ -718,8 +1760,12 @@ class ApiService {
           return 'You don\'t have permission to perform this action.';
         case HTTP_STATUS.NOT_FOUND:
           return 'The requested resource was not found.';
-        case HTTP_STATUS.TOO_MANY_REQUESTS:
-          return 'Too many requests. Please wait a moment and try again.';
+        case HTTP_STATUS.TOO_MANY_REQUESTS: {
+          const retryAfter = this.getRetryAfter(error);
+          return retryAfter
+            ? `Too many requests. You can send again in ${Math.ceil(retryAfter / 1000)}s.`
+            : 'Too many requests. Please wait a moment and try again.';
+        }
         case HTTP_STATUS.SERVICE_UNAVAILABLE:
           return 'Service is temporarily unavailable. Please try again later.';
         case HTTP_STATUS.NOT_IMPLEMENTED:
@@ -745,5 +1791,5 @@ class ApiService {
 const apiService = new ApiService();
 
 export default apiService;
-export { ApiService as ApiServiceClass, ApiError, HTTP_STATUS };
+export { ApiService as ApiServiceClass, ApiError, HTTP_STATUS, EventStreamParser, STREAM_EVENTS, PRIORITY };
 
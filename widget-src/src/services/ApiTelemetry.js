@@ -0,0 +1,459 @@
+/**
+ * API Telemetry
+ *
+ * Measures how the backend performs for shoppers: latency of every request,
+ * time to first token and total duration of reply streams, retries and the
+ * class of each error. Samples are aggregated per route in the browser and
+ * sent in batches to /analytics/api-metrics, where the admin dashboard
+ * reads them. Only timings and counts leave the browser, never payloads.
+ *
+ * Telemetry stays off until /config enables it.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import { ApiError, HTTP_STATUS } from './ApiError';
+import { PRIORITY } from './RateLimiter';
+
+/**
+ * Route the batches are sent to, itself never measured
+ */
+const METRICS_ENDPOINT = '/analytics/api-metrics';
+
+/**
+ * Upper bounds in milliseconds of the latency histogram buckets, plus one
+ * overflow bucket. Must match AnalyticsEndpoint::LATENCY_BUCKETS.
+ */
+const LATENCY_BUCKETS = [100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+/**
+ * Error classes reported to the backend
+ */
+const ERROR_CLASSES = {
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  RATE_LIMITED: 'rate_limited',
+  AUTH: 'auth',
+  CLIENT: 'client',
+  SERVER: 'server',
+  INVALID_RESPONSE: 'invalid_response',
+  STREAM_INTERRUPTED: 'stream_interrupted',
+  UNSUPPORTED: 'unsupported'
+};
+
+/**
+ * Defaults until /config says otherwise
+ */
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  sampleRate: 1,
+  flushInterval: 60000, // Milliseconds between batches
+  batchSize: 50 // Samples that trigger a batch right away
+};
+
+/**
+ * Find the class of an error raised by a request or stream
+ *
+ * An AbortError the caller did not ask for comes from the request timeout.
+ *
+ * @param {Error} error - Error raised by the request
+ * @returns {string} One of ERROR_CLASSES
+ */
+const classifyError = (error) => {
+  if (error?.name === 'AbortError') {
+    return ERROR_CLASSES.TIMEOUT;
+  }
+
+  if (!(error instanceof ApiError)) {
+    return ERROR_CLASSES.NETWORK;
+  }
+
+  // High-level methods wrap the original error
+  if (error.response instanceof ApiError || error.response?.name === 'AbortError') {
+    return classifyError(error.response);
+  }
+
+  if (error.response?.code === 'stream_unsupported') {
+    return ERROR_CLASSES.UNSUPPORTED;
+  }
+
+  if (error.status === HTTP_STATUS.TOO_MANY_REQUESTS) {
+    return ERROR_CLASSES.RATE_LIMITED;
+  }
+
+  if (error.status === HTTP_STATUS.UNAUTHORIZED || error.status === HTTP_STATUS.FORBIDDEN) {
+    return ERROR_CLASSES.AUTH;
+  }
+
+  if (error.status >= 400 && error.status < 500) {
+    return ERROR_CLASSES.CLIENT;
+  }
+
+  if (error.response instanceof SyntaxError) {
+    return ERROR_CLASSES.INVALID_RESPONSE;
+  }
+
+  if (error.message === 'Stream closed before completion') {
+    return ERROR_CLASSES.STREAM_INTERRUPTED;
+  }
+
+  return ERROR_CLASSES.SERVER;
+};
+
+/**
+ * Describe the plugin route a request URL points to
+ *
+ * Handles pretty permalinks, ?rest_route= URLs and the admin-ajax bridge,
+ * which carries the route in the request body. Numeric path segments are
+ * collapsed so every conversation shares one entry.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} config - Request configuration with method and body
+ * @param {string} namespace - Plugin REST namespace
+ * @returns {Object} { route, method, transport }
+ */
+const describeRequest = (url, config = {}, namespace = '') => {
+  let method = config.method || 'GET';
+  let transport = 'rest';
+  let route;
+
+  const parsed = new URL(url, 'http://localhost');
+  if (parsed.searchParams.has('rest_route')) {
+    route = parsed.searchParams.get('rest_route');
+  } else if (parsed.pathname.endsWith('/admin-ajax.php')) {
+    transport = 'ajax';
+    try {
+      const envelope = JSON.parse(config.body);
+      route = envelope.route;
+      method = envelope.method || method;
+    } catch (parseError) {
+      route = parsed.searchParams.get('action');
+    }
+  } else {
+    route = parsed.pathname.replace(/^.*?\/wp-json(?=\/)/, '');
+  }
+
+  route = String(route || '/');
+  if (namespace && route.startsWith(`/${namespace}`)) {
+    route = route.slice(namespace.length + 1) || '/';
+  }
+
+  return { route: route.replace(/\/\d+(?=\/|$)/g, '/:id'), method: method.toUpperCase(), transport };
+};
+
+/**
+ * Create an empty latency histogram
+ */
+const createHistogram = () => ({
+  count: 0,
+  sum: 0,
+  max: 0,
+  buckets: new Array(LATENCY_BUCKETS.length + 1).fill(0)
+});
+
+/**
+ * Add a duration to a histogram
+ */
+const observe = (histogram, duration) => {
+  const value = Math.max(0, Math.round(duration));
+  const index = LATENCY_BUCKETS.findIndex(bound => value <= bound);
+
+  histogram.count += 1;
+  histogram.sum += value;
+  histogram.max = Math.max(histogram.max, value);
+  histogram.buckets[index === -1 ? LATENCY_BUCKETS.length : index] += 1;
+};
+
+/**
+ * API Telemetry class
+ */
+class ApiTelemetry {
+  /**
+   * @param {ApiService} api - Service the batches are sent with
+   */
+  constructor(api) {
+    this.api = api;
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.sampled = false;
+    this.draw = Math.random();
+    this.entries = new Map();
+    this.pending = 0;
+    this.timerId = null;
+    this.listening = false;
+
+    this.flush = this.flush.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Apply the telemetry settings from /config
+   *
+   * @param {Object} settings - Telemetry settings
+   * @param {boolean} settings.enabled - Whether to measure at all
+   * @param {number} settings.sample_rate - Share of page views measured, 0 to 1
+   * @param {number} settings.flush_interval - Seconds between batches
+   * @param {number} settings.batch_size - Samples that trigger a batch right away
+   */
+  configure(settings = {}) {
+    if (typeof settings.enabled === 'boolean') {
+      this.settings.enabled = settings.enabled;
+    }
+    if (settings.sample_rate >= 0 && settings.sample_rate <= 1) {
+      this.settings.sampleRate = settings.sample_rate;
+    }
+    if (settings.flush_interval > 0) {
+      this.settings.flushInterval = settings.flush_interval * 1000;
+    }
+    if (settings.batch_size > 0) {
+      this.settings.batchSize = settings.batch_size;
+    }
+
+    // Drawn once per page view so a shopper is either measured or not
+    this.sampled = this.settings.enabled && this.draw < this.settings.sampleRate;
+
+    if (this.sampled) {
+      this.listen();
+    } else {
+      this.stop();
+      this.clear();
+    }
+  }
+
+  /**
+   * Check whether samples are being collected
+   *
+   * @returns {boolean} True if enabled and this page view is sampled
+   */
+  isEnabled() {
+    return this.sampled;
+  }
+
+  /**
+   * Record a finished request sent through ApiService.executeRequest()
+   *
+   * @param {string} url - Request URL
+   * @param {Object} config - Request configuration
+   * @param {Object} outcome - Measurements
+   * @param {number} outcome.duration - Milliseconds until the response or error
+   * @param {number} outcome.retries - Attempts after the first one
+   * @param {Error} outcome.error - Error the request failed with
+   * @param {boolean} outcome.cancelled - Whether the caller gave up on it
+   */
+  recordRequest(url, config, outcome) {
+    if (!this.sampled) {
+      return;
+    }
+
+    const request = describeRequest(url, config, this.api.config.namespace);
+    if (request.route === METRICS_ENDPOINT) {
+      return;
+    }
+
+    this.record({ ...request, kind: 'request', ...outcome });
+  }
+
+  /**
+   * Record a finished reply stream
+   *
+   * @param {Object} stream - Stream description and measurements
+   * @param {string} stream.route - Stream endpoint
+   * @param {string|null} stream.transport - Transport that carried the stream, if known
+   * @param {number} stream.duration - Milliseconds until the stream ended
+   * @param {number|null} stream.ttft - Milliseconds until the first token
+   * @param {number} stream.retries - Reconnects after the first connection
+   * @param {Error} stream.error - Error the stream failed with
+   * @param {boolean} stream.cancelled - Whether the caller stopped it
+   */
+  recordStream(stream) {
+    if (!this.sampled) {
+      return;
+    }
+
+    this.record({ ...stream, method: 'POST', transport: stream.transport || 'unknown', kind: 'stream' });
+  }
+
+  /**
+   * Add a sample to the entry of its route
+   *
+   * Cancelled calls only count as such, their timings say nothing about the
+   * backend.
+   */
+  record({ route, method, transport, kind, duration, ttft = null, retries = 0, error = null, cancelled = false }) {
+    const key = `${kind} ${method} ${route} ${transport}`;
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        route,
+        method,
+        kind,
+        transport,
+        count: 0,
+        cancelled: 0,
+        retries: 0,
+        errors: {},
+        latency: createHistogram(),
+        ttft: createHistogram()
+      });
+    }
+
+    const entry = this.entries.get(key);
+    entry.count += 1;
+    entry.retries += retries;
+
+    if (cancelled) {
+      entry.cancelled += 1;
+    } else {
+      observe(entry.latency, duration);
+      if (error) {
+        const errorClass = classifyError(error);
+        entry.errors[errorClass] = (entry.errors[errorClass] || 0) + 1;
+      }
+      if (ttft !== null) {
+        observe(entry.ttft, ttft);
+      }
+    }
+
+    this.pending += 1;
+    if (this.pending >= this.settings.batchSize) {
+      this.flush();
+    } else {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Get the aggregated entries in the shape sent to the backend
+   *
+   * @returns {Array<Object>} One entry per kind, method, route and transport
+   */
+  getEntries() {
+    return [...this.entries.values()].map(entry => ({
+      ...entry,
+      errors: { ...entry.errors },
+      latency: { ...entry.latency, buckets: [...entry.latency.buckets] },
+      ttft: { ...entry.ttft, buckets: [...entry.ttft.buckets] }
+    }));
+  }
+
+  /**
+   * Send the collected entries and start over
+   *
+   * A failed batch is dropped, telemetry must never pile up requests.
+   *
+   * @returns {Promise<boolean>} True if a batch was delivered
+   */
+  async flush() {
+    this.cancelTimer();
+
+    const metrics = this.getEntries();
+    this.clear();
+    if (metrics.length === 0) {
+      return false;
+    }
+
+    try {
+      await this.api.post(METRICS_ENDPOINT, { metrics }, { priority: PRIORITY.LOW });
+      return true;
+    } catch (error) {
+      if (process.env.NODE_ENV === 'development') {
+        console.warn('[ApiTelemetry] Dropped a metrics batch:', error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Send the collected entries with sendBeacon, which survives the page unloading
+   *
+   * @returns {boolean} True if the browser queued the batch
+   */
+  flushWithBeacon() {
+    if (this.entries.size === 0) {
+      return false;
+    }
+
+    if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+      this.flush();
+      return false;
+    }
+
+    const body = new Blob([JSON.stringify({ metrics: this.getEntries() })], { type: 'application/json' });
+    if (!navigator.sendBeacon(this.api.buildUrl(METRICS_ENDPOINT), body)) {
+      this.flush();
+      return false;
+    }
+
+    this.cancelTimer();
+    this.clear();
+    return true;
+  }
+
+  /**
+   * Send a batch once the flush interval has passed
+   */
+  schedule() {
+    if (this.timerId === null) {
+      this.timerId = setTimeout(this.flush, this.settings.flushInterval);
+    }
+  }
+
+  /**
+   * Cancel the scheduled batch
+   */
+  cancelTimer() {
+    if (this.timerId !== null) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  /**
+   * Forget the collected entries
+   */
+  clear() {
+    this.entries.clear();
+    this.pending = 0;
+  }
+
+  handlePageHide() {
+    this.flushWithBeacon();
+  }
+
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.flushWithBeacon();
+    }
+  }
+
+  /**
+   * Send what was collected when the shopper leaves the page
+   */
+  listen() {
+    if (this.listening || typeof window === 'undefined') {
+      return;
+    }
+
+    window.addEventListener('pagehide', this.handlePageHide);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.listening = true;
+  }
+
+  /**
+   * Stop the batch timer and page listeners
+   */
+  stop() {
+    this.cancelTimer();
+
+    if (this.listening) {
+      window.removeEventListener('pagehide', this.handlePageHide);
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+      this.listening = false;
+    }
+  }
+}
+
+export default ApiTelemetry;
+export { ApiTelemetry, classifyError, describeRequest, ERROR_CLASSES, LATENCY_BUCKETS, METRICS_ENDPOINT };
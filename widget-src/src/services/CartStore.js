@@ -0,0 +1,401 @@
+/**
+ * Cart Store
+ *
+ * Live copy of the WooCommerce cart shared by the widget components. The
+ * cart is read from /actions/cart after every change the widget makes, and
+ * again whenever the theme changes it: classic add-to-cart buttons and
+ * cart page updates (jQuery events), refreshed mini-cart fragments, and
+ * the cart and mini-cart blocks (WooCommerce Blocks events and the
+ * wc/store/cart data store). Changes made by the widget are announced the
+ * same way so the theme's mini-cart follows the chat.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import apiService from './ApiService';
+import payloadNormalizer from './PayloadNormalizer';
+import { ApiError, HTTP_STATUS } from './ApiError';
+
+/**
+ * Endpoint the cart is read from
+ */
+const CART_ENDPOINT = '/actions/cart';
+
+/**
+ * Events fired on document.body by WooCommerce when the cart changes
+ *
+ * Classic events are triggered through jQuery, the Blocks ones are native.
+ */
+const WC_CART_EVENTS = [
+  'added_to_cart',
+  'removed_from_cart',
+  'wc_fragments_refreshed',
+  'updated_wc_div',
+  'updated_cart_totals',
+  'applied_coupon',
+  'removed_coupon'
+];
+const BLOCKS_CART_EVENTS = ['wc-blocks_added_to_cart', 'wc-blocks_removed_from_cart'];
+
+/**
+ * WooCommerce Blocks data store holding the cart
+ */
+const BLOCKS_CART_STORE = 'wc/store/cart';
+
+/**
+ * Milliseconds to wait for a burst of theme events to settle
+ */
+const REFRESH_DELAY = 250;
+
+/**
+ * Cookie WooCommerce keeps the hash of the session cart in, the mini-cart
+ * fragments are reloaded whenever it changes
+ */
+const CART_HASH_COOKIE = 'woocommerce_cart_hash';
+
+/**
+ * Summarize cart contents so the Blocks cart and ours can be compared
+ *
+ * @param {Array<Object>} items - Items with key and quantity
+ * @param {number} total - Cart total in currency units
+ * @param {Array<string>} coupons - Applied coupon codes
+ * @returns {string} Summary
+ */
+const summarizeCart = (items, total, coupons) => {
+  const contents = items.map(item => `${item.key}:${item.quantity}`).join(',');
+  return `${contents}|${Number.isFinite(total) ? total : ''}|${coupons.join(',')}`;
+};
+
+/**
+ * State before the cart has been read
+ */
+const initialCartState = {
+  cart: null,
+  isLoading: false,
+  error: null,
+  updatedAt: null
+};
+
+/**
+ * Cart Store class
+ */
+class CartStore {
+  constructor() {
+    this.state = initialCartState;
+    this.handlers = [];
+    this.sequence = 0;
+    this.refreshTimer = null;
+    this.isConnected = false;
+    this.blocksSignature = null;
+    this.unsubscribeBlocks = null;
+
+    // Bound for useSyncExternalStore and event listeners
+    this.subscribe = this.subscribe.bind(this);
+    this.getState = this.getState.bind(this);
+    this.handleThemeChange = this.handleThemeChange.bind(this);
+    this.handleBlocksChange = this.handleBlocksChange.bind(this);
+  }
+
+  /**
+   * Get the current state
+   *
+   * The object is replaced on every change and kept otherwise.
+   *
+   * @returns {Object} { cart, isLoading, error, updatedAt }
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Get the current cart
+   *
+   * @returns {Object|null} Cart model, null until it has been read
+   */
+  getCart() {
+    return this.state.cart;
+  }
+
+  /**
+   * Listen for state changes
+   *
+   * @param {Function} handler - Called with the new state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(handler) {
+    this.handlers.push(handler);
+    return () => {
+      this.handlers = this.handlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Read the cart from the backend
+   *
+   * Only the latest of overlapping reads is kept.
+   *
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @returns {Promise<Object>} Cart model
+   */
+  async refresh(options = {}) {
+    const sequence = ++this.sequence;
+    this.setState({ isLoading: true });
+
+    try {
+      const response = await apiService.get(CART_ENDPOINT, {}, options);
+      const cart = payloadNormalizer.normalizeCart(response?.data);
+
+      if (!cart) {
+        throw new ApiError('The store returned an invalid cart', HTTP_STATUS.INTERNAL_ERROR, response);
+      }
+
+      if (sequence === this.sequence) {
+        this.setState({ cart, isLoading: false, error: null, updatedAt: Date.now() });
+      }
+      return cart;
+    } catch (error) {
+      if (sequence === this.sequence) {
+        this.setState({
+          isLoading: false,
+          error: apiService.isAbortError(error) ? this.state.error : apiService.getErrorMessage(error)
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the cart again shortly, once a burst of changes is over
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refresh().catch(() => {
+        // Kept in state.error
+      });
+    }, REFRESH_DELAY);
+  }
+
+  /**
+   * Pick up a change made by the widget and let the theme know about it
+   *
+   * @returns {Promise<Object|null>} Cart model, null if it could not be read
+   */
+  async sync() {
+    this.notifyTheme();
+
+    try {
+      return await this.refresh();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ask the mini-cart fragments and the cart blocks to reload
+   */
+  notifyTheme() {
+    try {
+      if (window.jQuery) {
+        window.jQuery(document.body).trigger('wc_fragment_refresh');
+      }
+
+      window.wp?.data?.dispatch?.(BLOCKS_CART_STORE)?.invalidateResolutionForStore?.();
+    } catch (error) {
+      // The theme keeps its own cart view
+    }
+  }
+
+  /**
+   * Start following the cart changes made by the theme
+   *
+   * @returns {CartStore} The store instance
+   */
+  connect() {
+    if (this.isConnected || typeof document === 'undefined') {
+      return this;
+    }
+
+    this.isConnected = true;
+
+    if (window.jQuery) {
+      window.jQuery(document.body).on(WC_CART_EVENTS.join(' '), this.handleThemeChange);
+    } else {
+      WC_CART_EVENTS.forEach(type => document.body.addEventListener(type, this.handleThemeChange));
+    }
+    BLOCKS_CART_EVENTS.forEach(type => document.body.addEventListener(type, this.handleThemeChange));
+
+    const blocksData = window.wp?.data;
+    const signature = this.readBlocksSignature();
+    if (blocksData?.subscribe && signature !== null) {
+      this.blocksSignature = signature;
+      this.unsubscribeBlocks = blocksData.subscribe(this.handleBlocksChange);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop following the theme
+   */
+  disconnect() {
+    if (!this.isConnected) {
+      return;
+    }
+
+    if (window.jQuery) {
+      window.jQuery(document.body).off(WC_CART_EVENTS.join(' '), this.handleThemeChange);
+    } else {
+      WC_CART_EVENTS.forEach(type => document.body.removeEventListener(type, this.handleThemeChange));
+    }
+    BLOCKS_CART_EVENTS.forEach(type => document.body.removeEventListener(type, this.handleThemeChange));
+
+    if (this.unsubscribeBlocks) {
+      this.unsubscribeBlocks();
+      this.unsubscribeBlocks = null;
+    }
+
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.blocksSignature = null;
+    this.isConnected = false;
+  }
+
+  /**
+   * Forget the cart, e.g. between tests
+   */
+  reset() {
+    this.disconnect();
+    this.sequence++;
+    this.state = initialCartState;
+    this.notify();
+  }
+
+  /**
+   * Handle a cart event from the theme
+   *
+   * @param {Event} event - Native or jQuery event
+   */
+  handleThemeChange(event) {
+    // Fragments showing the cart already read, e.g. reloaded after sync(), change nothing
+    if (event?.type === 'wc_fragments_refreshed' && this.isCurrentCartHash(this.readCartHash())) {
+      return;
+    }
+
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Handle a change in the WordPress data stores
+   *
+   * The data stores share one subscription, so only changes of the cart
+   * contents count, and only if they differ from the cart already read.
+   */
+  handleBlocksChange() {
+    const signature = this.readBlocksSignature();
+
+    if (signature !== null && signature !== this.blocksSignature) {
+      this.blocksSignature = signature;
+
+      if (signature !== this.readCartSignature()) {
+        this.scheduleRefresh();
+      }
+    }
+  }
+
+  /**
+   * Check whether a cart hash belongs to the cart already read
+   *
+   * @param {string|null} hash - Hash of the session cart
+   * @returns {boolean} True if it matches the current cart
+   */
+  isCurrentCartHash(hash) {
+    const cart = this.state.cart;
+    return hash !== null && typeof cart?.hash === 'string' && cart.hash === hash;
+  }
+
+  /**
+   * Read the hash of the session cart set by WooCommerce
+   *
+   * @returns {string|null} Hash, empty for an empty cart, null without cookies
+   */
+  readCartHash() {
+    try {
+      const cookie = document.cookie.split('; ').find(entry => entry.startsWith(`${CART_HASH_COOKIE}=`));
+      return cookie ? decodeURIComponent(cookie.slice(CART_HASH_COOKIE.length + 1)) : '';
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Summarize the cart already read like readBlocksSignature()
+   *
+   * @returns {string|null} Items, total and coupons, null before the first read
+   */
+  readCartSignature() {
+    const cart = this.state.cart;
+    if (!cart) {
+      return null;
+    }
+
+    return summarizeCart(cart.items, cart.totals.total, cart.coupons.map(coupon => coupon.code));
+  }
+
+  /**
+   * Summarize the cart held by the Blocks data store
+   *
+   * @returns {string|null} Items, total and coupons, null without the store
+   */
+  readBlocksSignature() {
+    try {
+      const cart = window.wp?.data?.select?.(BLOCKS_CART_STORE)?.getCartData?.();
+      if (!cart) {
+        return null;
+      }
+
+      // Blocks prices are in the smallest currency unit
+      const minorUnit = cart.totals?.currency_minor_unit ?? 2;
+      const total = Number(cart.totals?.total_price) / 10 ** minorUnit;
+
+      return summarizeCart(cart.items || [], total, (cart.coupons || []).map(coupon => coupon.code));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Replace part of the state and tell the listeners
+   *
+   * @param {Object} changes - Changed state fields
+   */
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.notify();
+  }
+
+  /**
+   * Tell the listeners about the current state
+   */
+  notify() {
+    this.handlers.forEach(handler => {
+      try {
+        handler(this.state);
+      } catch (error) {
+        // Silently ignore listener errors
+      }
+    });
+  }
+}
+
+// Export singleton instance
+const cartStore = new CartStore();
+
+export default cartStore;
+export { CartStore, CART_ENDPOINT, WC_CART_EVENTS, BLOCKS_CART_EVENTS, BLOCKS_CART_STORE };
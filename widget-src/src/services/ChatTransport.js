@@ -0,0 +1,258 @@
+/**
+ * Chat Transport
+ *
+ * Decides how the widget reaches the backend. Requests and reply streams
+ * go through the first usable transport in the preferred order from
+ * /config. When a transport turns out to be blocked, e.g. by a security
+ * plugin filtering /wp-json/, the request is repeated over the next one
+ * and the blocked transport is only tried last from then on.
+ *
+ * Every transport has a name and isAvailable(), plus request() for
+ * regular requests and/or stream() for reply streams:
+ *
+ *   request({ method, endpoint, params, data, signal, priority, headers }) → Promise<Object>
+ *   stream({ endpoint, data, onEvent, signal, priority }) → Promise<void>
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import { ApiError, HTTP_STATUS } from './ApiError';
+import RestTransport from './transports/RestTransport';
+import SseTransport from './transports/SseTransport';
+import AjaxTransport from './transports/AjaxTransport';
+import WebSocketTransport from './transports/WebSocketTransport';
+
+/**
+ * Transport names as used in the /config transports.preferred list
+ */
+const TRANSPORTS = {
+  WEBSOCKET: 'websocket',
+  SSE: 'sse',
+  REST: 'rest',
+  AJAX: 'ajax'
+};
+
+/**
+ * Order used until /config says otherwise
+ */
+const DEFAULT_ORDER = [TRANSPORTS.WEBSOCKET, TRANSPORTS.SSE, TRANSPORTS.REST, TRANSPORTS.AJAX];
+
+/**
+ * Error codes returned when the REST API has been switched off or locked
+ * down, by WordPress itself or by security plugins
+ */
+const BLOCKED_CODES = [
+  'rest_disabled',
+  'rest_cannot_access',
+  'rest_login_required',
+  'rest_not_logged_in',
+  'rest_no_route',
+  'transport_unavailable'
+];
+
+/**
+ * Statuses that mean blocked when the body is not a WordPress error,
+ * e.g. a firewall page instead of JSON
+ */
+const BLOCKED_STATUSES = [
+  HTTP_STATUS.UNAUTHORIZED,
+  HTTP_STATUS.FORBIDDEN,
+  HTTP_STATUS.NOT_FOUND,
+  HTTP_STATUS.METHOD_NOT_ALLOWED,
+  406,
+  HTTP_STATUS.NOT_IMPLEMENTED
+];
+
+/**
+ * Chat Transport class
+ */
+class ChatTransport {
+  /**
+   * @param {ApiService} api - Service shared by the transports
+   */
+  constructor(api) {
+    this.api = api;
+    this.transports = {
+      [TRANSPORTS.WEBSOCKET]: new WebSocketTransport(api),
+      [TRANSPORTS.SSE]: new SseTransport(api),
+      [TRANSPORTS.REST]: new RestTransport(api),
+      [TRANSPORTS.AJAX]: new AjaxTransport(api)
+    };
+    this.order = [...DEFAULT_ORDER];
+    this.blocked = new Set();
+    this.active = { request: null, stream: null };
+  }
+
+  /**
+   * Apply the transports settings from /config
+   *
+   * @param {Object} settings - Transport settings
+   * @param {Array<string>} settings.preferred - Transport names, most preferred first
+   * @param {string} settings.ajax_url - admin-ajax.php URL
+   * @param {string} settings.ajax_action - AJAX action of the backend bridge
+   * @param {string} settings.nonce_action - AJAX action returning a fresh nonce
+   * @param {string} settings.websocket_url - WebSocket relay URL
+   */
+  configure(settings = {}) {
+    if (Array.isArray(settings.preferred)) {
+      const preferred = settings.preferred.filter(name => this.transports[name]);
+      this.order = [...new Set([...preferred, ...DEFAULT_ORDER])];
+    }
+
+    this.transports[TRANSPORTS.AJAX].configure({
+      url: settings.ajax_url,
+      action: settings.ajax_action,
+      nonceAction: settings.nonce_action
+    });
+    this.transports[TRANSPORTS.WEBSOCKET].configure({ url: settings.websocket_url });
+  }
+
+  /**
+   * Send a request over the first transport that is not blocked
+   *
+   * @param {Object} request - Request description, see RestTransport.request()
+   * @returns {Promise<Object>} Response data
+   */
+  async request(request) {
+    let lastError = null;
+
+    for (const transport of this.getCandidates('request')) {
+      try {
+        const result = await transport.request(request);
+        this.active.request = transport.name;
+        return result;
+      } catch (error) {
+        if (request.signal?.aborted || !this.isBlocked(error)) {
+          throw error;
+        }
+
+        lastError = error;
+        this.blocked.add(transport.name);
+      }
+    }
+
+    throw lastError || new ApiError('No transport available', HTTP_STATUS.SERVICE_UNAVAILABLE);
+  }
+
+  /**
+   * Open a reply stream over the first transport that is not blocked
+   *
+   * Falls through to the next transport only while nothing has been
+   * received, so a reply is never rendered twice. When no transport can
+   * stream the error is reported as stream_unsupported, which callers
+   * answer with a regular request.
+   *
+   * @param {Object} request - Stream description, see SseTransport.stream()
+   * @returns {Promise<void>} Resolves when the stream is complete
+   */
+  async stream(request) {
+    let lastError = null;
+
+    for (const transport of this.getCandidates('stream')) {
+      let hasReceived = false;
+
+      try {
+        await transport.stream({
+          ...request,
+          onEvent: (event) => {
+            hasReceived = true;
+            request.onEvent(event);
+          }
+        });
+        this.active.stream = transport.name;
+        return;
+      } catch (error) {
+        const canFallBack = !hasReceived && !request.signal?.aborted &&
+          (this.isBlocked(error) || this.api.isStreamingUnsupported(error));
+
+        if (!canFallBack) {
+          throw error;
+        }
+
+        lastError = error;
+        this.blocked.add(transport.name);
+      }
+    }
+
+    throw new ApiError('Streaming is not supported by the server', HTTP_STATUS.NOT_IMPLEMENTED, {
+      code: 'stream_unsupported',
+      cause: lastError
+    });
+  }
+
+  /**
+   * Get the transports able to handle a kind of call, in the order to try them
+   *
+   * Blocked transports stay at the end so a site that unblocks REST
+   * still works once every alternative failed too.
+   *
+   * @param {string} kind - 'request' or 'stream'
+   * @returns {Array<Object>} Transports
+   */
+  getCandidates(kind) {
+    const usable = this.order
+      .map(name => this.transports[name])
+      .filter(transport => typeof transport[kind] === 'function' && transport.isAvailable());
+
+    return [
+      ...usable.filter(transport => !this.blocked.has(transport.name)),
+      ...usable.filter(transport => this.blocked.has(transport.name))
+    ];
+  }
+
+  /**
+   * Check whether an error means the transport itself is blocked
+   *
+   * Errors returned by the plugin endpoints, like a missing conversation,
+   * are answers and are not retried over another transport.
+   *
+   * @param {Error} error - Error raised by a transport
+   * @returns {boolean} True if another transport should be tried
+   */
+  isBlocked(error) {
+    if (!(error instanceof ApiError)) {
+      return false;
+    }
+
+    const body = error.response;
+    if (body && typeof body === 'object' && !(body instanceof Error)) {
+      return BLOCKED_CODES.includes(body.code);
+    }
+
+    return BLOCKED_STATUSES.includes(error.status);
+  }
+
+  /**
+   * Get a transport by name
+   *
+   * @param {string} name - Transport name, see TRANSPORTS
+   * @returns {Object|null} Transport
+   */
+  getTransport(name) {
+    return this.transports[name] || null;
+  }
+
+  /**
+   * Get the name of the transport that last succeeded
+   *
+   * @param {string} kind - 'request' or 'stream'
+   * @returns {string|null} Transport name
+   */
+  getActiveTransport(kind = 'request') {
+    return this.active[kind];
+  }
+
+  /**
+   * Forget which transports were blocked
+   */
+  reset() {
+    this.blocked.clear();
+    this.active = { request: null, stream: null };
+  }
+}
+
+export default ChatTransport;
+export { ChatTransport, TRANSPORTS, DEFAULT_ORDER };
@@ -0,0 +1,187 @@
+/**
+ * Conversation Storage Service
+ *
+ * Persists the active conversation ID and its recent messages in the
+ * browser so the chat survives page navigations. Supports session
+ * storage, local storage or no persistence at all, with expiry.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * Supported storage modes
+ */
+const STORAGE_MODES = {
+  SESSION: 'session',
+  LOCAL: 'local',
+  NONE: 'none'
+};
+
+/**
+ * Default persistence settings
+ */
+const DEFAULT_OPTIONS = {
+  storage: STORAGE_MODES.SESSION,
+  expiryMinutes: 30, // Matches the server-side session timeout
+  maxMessages: 50,
+  visitorKey: 'guest'
+};
+
+/**
+ * Key prefix for everything the widget stores
+ */
+const STORAGE_PREFIX = 'wooAiAssistant';
+
+/**
+ * Conversation Storage class
+ */
+class ConversationStorage {
+  /**
+   * @param {Object} options - Persistence options
+   * @param {string} options.storage - Storage mode (session, local, none)
+   * @param {number} options.expiryMinutes - Minutes after which a saved conversation is dropped
+   * @param {number} options.maxMessages - Maximum number of messages to keep
+   * @param {string} options.visitorKey - Identifies the visitor (user ID or guest)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.storage = this.resolveStorage(this.options.storage);
+  }
+
+  /**
+   * Resolve the Web Storage backend for a mode
+   *
+   * @param {string} mode - Storage mode
+   * @returns {Storage|null} Storage object, or null when persistence is off or unavailable
+   */
+  resolveStorage(mode) {
+    if (typeof window === 'undefined') {
+      return null;
+    }
+
+    try {
+      switch (mode) {
+        case STORAGE_MODES.LOCAL:
+          return window.localStorage;
+        case STORAGE_MODES.SESSION:
+          return window.sessionStorage;
+        default:
+          return null;
+      }
+    } catch (error) {
+      // Access to storage can throw when cookies are blocked
+      return null;
+    }
+  }
+
+  /**
+   * Get the storage key for the current visitor
+   *
+   * @returns {string} Storage key
+   */
+  getKey() {
+    return `${STORAGE_PREFIX}:conversation:${this.options.visitorKey}`;
+  }
+
+  /**
+   * Check whether conversations are persisted
+   *
+   * @returns {boolean} True if a storage backend is available
+   */
+  isEnabled() {
+    return !!this.storage;
+  }
+
+  /**
+   * Load the saved conversation
+   *
+   * @returns {Object|null} Saved conversation ({ conversationId, sessionId, messages, savedAt }) or null
+   */
+  load() {
+    if (!this.storage) {
+      return null;
+    }
+
+    try {
+      const raw = this.storage.getItem(this.getKey());
+      if (!raw) {
+        return null;
+      }
+
+      const saved = JSON.parse(raw);
+      const maxAge = this.options.expiryMinutes * 60 * 1000;
+
+      if (!saved?.conversationId || !saved.savedAt || Date.now() - saved.savedAt > maxAge) {
+        this.clear();
+        return null;
+      }
+
+      return {
+        conversationId: saved.conversationId,
+        sessionId: saved.sessionId || null,
+        messages: Array.isArray(saved.messages) ? saved.messages : [],
+        savedAt: saved.savedAt
+      };
+    } catch (error) {
+      // Corrupted entry, start over
+      this.clear();
+      return null;
+    }
+  }
+
+  /**
+   * Save the conversation
+   *
+   * Error messages and in-progress replies are not persisted.
+   *
+   * @param {Object} data - Conversation data
+   * @param {string} data.conversationId - Conversation ID
+   * @param {string} data.sessionId - Backend session ID for guest access
+   * @param {Array} data.messages - Conversation messages
+   * @returns {boolean} True if saved
+   */
+  save({ conversationId, sessionId = null, messages = [] }) {
+    if (!this.storage || !conversationId) {
+      return false;
+    }
+
+    const persistable = messages
+      .filter(message => message.type !== 'error' && !message.metadata?.isStreaming)
+      .slice(-this.options.maxMessages)
+      .map(({ error: _error, ...message }) => message);
+
+    try {
+      this.storage.setItem(this.getKey(), JSON.stringify({
+        conversationId,
+        sessionId,
+        messages: persistable,
+        savedAt: Date.now()
+      }));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled
+      return false;
+    }
+  }
+
+  /**
+   * Remove the saved conversation
+   */
+  clear() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.removeItem(this.getKey());
+    } catch (error) {
+      // Silently ignore storage errors
+    }
+  }
+}
+
+export default ConversationStorage;
+export { ConversationStorage, STORAGE_MODES };
@@ -0,0 +1,246 @@
+/**
+ * Message Outbox Service
+ *
+ * Queues outgoing chat messages and sends them one at a time, in order.
+ * When the backend cannot be reached the queue is held, connectivity is
+ * watched through the browser online/offline events and the /health
+ * endpoint, and sending resumes once the backend answers again.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import apiService from './ApiService';
+
+/**
+ * Delivery status of a user message
+ */
+const MESSAGE_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+/**
+ * Default outbox settings
+ */
+const DEFAULT_OPTIONS = {
+  healthCheckInterval: 15000
+};
+
+/**
+ * Message Outbox class
+ */
+class MessageOutbox {
+  /**
+   * @param {Object} options - Outbox options
+   * @param {Function} options.send - Sends one queued item, rejects if it was not delivered
+   * @param {Function} options.onStatusChange - Called with (id, status, error) on every status change
+   * @param {Function} options.onConnectivityChange - Called with true/false when the backend becomes reachable or not
+   * @param {number} options.healthCheckInterval - Milliseconds between /health checks while offline
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.queue = [];
+    this.isFlushing = false;
+    this.online = typeof navigator === 'undefined' || navigator.onLine !== false;
+    this.healthTimer = null;
+
+    // Bind methods to maintain context
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleOffline = this.handleOffline.bind(this);
+  }
+
+  /**
+   * Start watching connectivity
+   *
+   * @returns {MessageOutbox} The outbox instance
+   */
+  start() {
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+      window.addEventListener('offline', this.handleOffline);
+    }
+
+    if (!this.online) {
+      this.startHealthChecks();
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop watching connectivity
+   */
+  stop() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+      window.removeEventListener('offline', this.handleOffline);
+    }
+
+    this.stopHealthChecks();
+  }
+
+  /**
+   * Check whether the backend is considered reachable
+   *
+   * @returns {boolean} True if online
+   */
+  isOnline() {
+    return this.online;
+  }
+
+  /**
+   * Get the number of messages waiting to be sent
+   *
+   * @returns {number} Queue length
+   */
+  getPendingCount() {
+    return this.queue.length;
+  }
+
+  /**
+   * Queue a message and try to send it
+   *
+   * @param {Object} item - Queued item
+   * @param {string} item.id - Message ID
+   * @param {string} item.content - Message text
+   * @returns {Promise<void>} Resolves when the queue has been processed as far as possible
+   */
+  enqueue(item) {
+    if (!this.queue.some(queued => queued.id === item.id)) {
+      this.queue.push(item);
+    }
+
+    this.notifyStatus(item.id, MESSAGE_STATUS.PENDING);
+    return this.flush();
+  }
+
+  /**
+   * Send queued messages in order
+   *
+   * Stops at the first message that could not be delivered because the
+   * backend is unreachable; any other failure marks only that message
+   * as failed.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.isFlushing || !this.online) {
+      return;
+    }
+
+    this.isFlushing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const item = this.queue[0];
+
+        try {
+          await this.options.send(item);
+          this.queue.shift();
+          this.notifyStatus(item.id, MESSAGE_STATUS.SENT);
+        } catch (error) {
+          if (apiService.isNetworkError(error)) {
+            this.setOnline(false);
+            break;
+          }
+
+          this.queue.shift();
+          this.notifyStatus(item.id, MESSAGE_STATUS.FAILED, error);
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Check the backend health and resume sending if it answers
+   *
+   * @returns {Promise<boolean>} True if the backend is reachable
+   */
+  async checkHealth() {
+    try {
+      await apiService.getHealth();
+      this.setOnline(true);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Update connectivity and notify listeners on change
+   *
+   * @param {boolean} isOnline - New connectivity state
+   */
+  setOnline(isOnline) {
+    if (this.online === isOnline) {
+      return;
+    }
+
+    this.online = isOnline;
+
+    if (isOnline) {
+      this.stopHealthChecks();
+      this.flush();
+    } else {
+      this.startHealthChecks();
+    }
+
+    if (this.options.onConnectivityChange) {
+      this.options.onConnectivityChange(isOnline);
+    }
+  }
+
+  /**
+   * Poll /health while offline
+   */
+  startHealthChecks() {
+    if (this.healthTimer) {
+      return;
+    }
+
+    this.healthTimer = setInterval(() => this.checkHealth(), this.options.healthCheckInterval);
+  }
+
+  /**
+   * Stop polling /health
+   */
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  /**
+   * Handle the browser coming back online
+   *
+   * The browser only knows about the local network, so the backend is
+   * asked before anything is resent.
+   */
+  handleOnline() {
+    this.checkHealth();
+  }
+
+  /**
+   * Handle the browser going offline
+   */
+  handleOffline() {
+    this.setOnline(false);
+  }
+
+  /**
+   * Report a status change
+   */
+  notifyStatus(id, status, error = null) {
+    if (this.options.onStatusChange) {
+      this.options.onStatusChange(id, status, error);
+    }
+  }
+}
+
+export default MessageOutbox;
+export { MessageOutbox, MESSAGE_STATUS };
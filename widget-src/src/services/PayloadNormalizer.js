@@ -0,0 +1,594 @@
+/**
+ * Payload Normalizer Service
+ *
+ * Maps the snake_case payloads of the REST API onto the camelCase models
+ * the components render. Each model is described by a schema listing where
+ * its fields come from, their types and which ones are required. Records
+ * missing a required field are dropped and reported instead of rendering
+ * broken product cards or messages.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * Marker for values that do not match their field type
+ */
+const INVALID = Symbol('invalid');
+
+/**
+ * Current time as an ISO timestamp, the fallback for missing dates
+ */
+const now = () => new Date().toISOString();
+
+/**
+ * Convert a field value to its type, or INVALID
+ */
+const TYPES = {
+  id: value => ((typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value.trim() !== '')
+    ? value
+    : INVALID),
+  string: value => {
+    if (typeof value === 'string') return value;
+    return typeof value === 'number' ? String(value) : INVALID;
+  },
+  number: value => (typeof value !== 'boolean' && String(value).trim() !== '' && !isNaN(Number(value))
+    ? Number(value)
+    : INVALID),
+  boolean: value => {
+    if ([true, 1, '1', 'true', 'yes'].includes(value)) return true;
+    return [false, 0, '0', 'false', 'no', ''].includes(value) ? false : INVALID;
+  },
+  // WooCommerce prices are decimal strings, empty when not set
+  price: value => {
+    if (value === '') return undefined;
+    return typeof value === 'number' || (typeof value === 'string' && !isNaN(Number(value))) ? String(value) : INVALID;
+  },
+  // MySQL datetimes from the database or ISO timestamps
+  timestamp: value => {
+    const date = new Date(String(value).replace(' ', 'T'));
+    return isNaN(date.getTime()) ? INVALID : date.toISOString();
+  },
+  // An image URL, a WooCommerce image object or a gallery
+  image: value => {
+    const image = Array.isArray(value) ? value[0] : value;
+    if (typeof image === 'string') return image;
+    return image && typeof (image.src || image.url) === 'string' ? image.src || image.url : INVALID;
+  },
+  // A stock flag or a WooCommerce stock status
+  stock: value => {
+    if (typeof value === 'boolean') return value;
+    if (['instock', 'onbackorder'].includes(value)) return true;
+    return value === 'outofstock' ? false : INVALID;
+  },
+  object: value => (value && typeof value === 'object' && !Array.isArray(value) ? value : INVALID),
+  array: value => (Array.isArray(value) ? value : INVALID),
+  raw: value => value
+};
+
+/**
+ * Product category
+ */
+const CATEGORY_SCHEMA = {
+  id: { type: 'id' },
+  name: { type: 'string', required: true },
+  slug: { type: 'string' }
+};
+
+/**
+ * Option of a variation attribute
+ */
+const ATTRIBUTE_OPTION_SCHEMA = {
+  value: { type: 'string', required: true },
+  label: { from: option => option.label || option.name || option.value, type: 'string' }
+};
+
+/**
+ * Attribute shoppers pick a variation by, keyed like the variation attributes
+ */
+const PRODUCT_ATTRIBUTE_SCHEMA = {
+  name: { type: 'string', required: true },
+  label: { type: 'string' },
+  options: {
+    from: attribute => attribute.options?.map(option => (typeof option === 'object' ? option : { value: option })),
+    type: 'list',
+    schema: ATTRIBUTE_OPTION_SCHEMA,
+    default: () => []
+  }
+};
+
+/**
+ * Variation of a variable product, an empty attribute value matches any option
+ */
+const VARIATION_SCHEMA = {
+  id: { from: ['id', 'variation_id'], type: 'id', required: true },
+  attributes: { type: 'object', default: () => ({}) },
+  price: { type: 'price' },
+  regularPrice: { from: ['regular_price'], type: 'price' },
+  salePrice: { from: ['sale_price'], type: 'price' },
+  image: { from: ['image', 'image_url'], type: 'image' },
+  sku: { type: 'string' },
+  inStock: { from: ['in_stock', 'is_in_stock', 'stock_status'], type: 'stock', default: true },
+  stockQuantity: { from: ['stock_quantity'], type: 'number' }
+};
+
+/**
+ * Product, as sent by the product endpoints, chat replies and WooCommerce
+ */
+const PRODUCT_SCHEMA = {
+  id: { from: ['id', 'product_id'], type: 'id', required: true },
+  name: { from: ['name', 'title'], type: 'string', required: true },
+  type: { type: 'string' },
+  description: { type: 'string' },
+  shortDescription: { from: ['short_description'], type: 'string' },
+  price: { type: 'price' },
+  regularPrice: { from: ['regular_price'], type: 'price' },
+  salePrice: { from: ['sale_price'], type: 'price' },
+  priceHtml: { from: ['price_html'], type: 'string' },
+  image: { from: ['image', 'images', 'image_url'], type: 'image' },
+  permalink: { from: ['permalink', 'url'], type: 'string' },
+  sku: { type: 'string' },
+  // Products without stock information can be bought, the cart checks again
+  inStock: { from: ['in_stock', 'is_in_stock', 'stock_status'], type: 'stock', default: true },
+  stockQuantity: { from: ['stock_quantity'], type: 'number' },
+  categories: {
+    from: product => product.categories?.map(category => (typeof category === 'string' ? { name: category } : category)),
+    type: 'list',
+    schema: CATEGORY_SCHEMA
+  },
+  attributes: { type: 'list', schema: PRODUCT_ATTRIBUTE_SCHEMA },
+  variations: { type: 'list', schema: VARIATION_SCHEMA }
+};
+
+/**
+ * Coupon, applied to the cart, suggested by the assistant or generated
+ */
+const COUPON_SCHEMA = {
+  code: { from: ['code', 'coupon_code'], type: 'string', required: true },
+  description: { type: 'string' },
+  discountType: { from: ['discount_type'], type: 'string' },
+  amount: { type: 'number' },
+  discountAmount: { from: ['discount_amount'], type: 'number' },
+  freeShipping: { from: ['free_shipping'], type: 'boolean', default: false },
+  minimumAmount: { from: ['minimum_amount', 'min_amount'], type: 'number' },
+  maximumAmount: { from: ['maximum_amount'], type: 'number' },
+  expiryDate: { from: ['expiry_date', 'date_expires'], type: 'string' }
+};
+
+/**
+ * Coupon offer the cart is eligible for, from /coupons/available
+ */
+const COUPON_OFFER_SCHEMA = {
+  type: { type: 'string', required: true },
+  discount: { type: 'number' },
+  estimatedSavings: { from: ['estimated_savings'], type: 'number' },
+  description: { type: 'string' },
+  urgency: { type: 'number' },
+  recommended: { type: 'boolean', default: false }
+};
+
+/**
+ * Coupon offers and applied coupons, from /coupons/available
+ */
+const AVAILABLE_COUPONS_SCHEMA = {
+  eligible: { type: 'boolean', default: false },
+  offers: {
+    from: data => (data.recommendations ? Object.values(data.recommendations) : undefined),
+    type: 'list',
+    schema: COUPON_OFFER_SCHEMA,
+    default: () => []
+  },
+  bestOption: { from: ['best_option'], type: 'string' },
+  applied: { type: 'list', schema: COUPON_SCHEMA, default: () => [] }
+};
+
+/**
+ * Cart line item, from /actions/cart
+ */
+const CART_ITEM_SCHEMA = {
+  key: { type: 'string', required: true },
+  productId: { from: ['product_id'], type: 'id', required: true },
+  variationId: { from: ['variation_id'], type: 'number', default: 0 },
+  quantity: { type: 'number', required: true },
+  lineTotal: { from: ['line_total'], type: 'number' },
+  lineSubtotal: { from: ['line_subtotal'], type: 'number' },
+  // Cart products carry no ID of their own
+  product: {
+    from: item => (item.product ? { id: item.variation_id || item.product_id, ...item.product } : undefined),
+    type: 'object',
+    schema: PRODUCT_SCHEMA,
+    required: true
+  },
+  variation: { type: 'object', default: () => ({}) }
+};
+
+/**
+ * Cart totals, from /actions/cart
+ */
+const CART_TOTALS_SCHEMA = {
+  subtotal: { type: 'number' },
+  subtotalTax: { from: ['subtotal_tax'], type: 'number' },
+  discountTotal: { from: ['discount_total'], type: 'number', default: 0 },
+  discountTax: { from: ['discount_tax'], type: 'number' },
+  shippingTotal: { from: ['shipping_total'], type: 'number' },
+  shippingTax: { from: ['shipping_tax'], type: 'number' },
+  feeTotal: { from: ['fee_total'], type: 'number' },
+  feeTax: { from: ['fee_tax'], type: 'number' },
+  taxTotal: { from: ['tax_total'], type: 'number' },
+  total: { type: 'number', required: true },
+  currency: { type: 'string' },
+  currencySymbol: { from: ['currency_symbol'], type: 'string' }
+};
+
+/**
+ * Cart, from /actions/cart
+ */
+const CART_SCHEMA = {
+  items: { type: 'list', schema: CART_ITEM_SCHEMA, default: () => [] },
+  itemCount: { from: ['items_count'], type: 'number', default: 0 },
+  totals: { type: 'object', schema: CART_TOTALS_SCHEMA, required: true },
+  coupons: { type: 'list', schema: COUPON_SCHEMA, default: () => [] },
+  needsPayment: { from: ['needs_payment'], type: 'boolean' },
+  needsShipping: { from: ['needs_shipping'], type: 'boolean' },
+  isEmpty: { from: ['is_empty'], type: 'boolean' },
+  checkoutUrl: { from: ['checkout_url'], type: 'string' },
+  hash: { from: ['cart_hash'], type: 'string' }
+};
+
+/**
+ * Conversation summary, from /chat/conversations
+ */
+const CONVERSATION_SUMMARY_SCHEMA = {
+  id: { type: 'id', required: true },
+  title: { type: 'string', default: '' },
+  lastMessage: { from: ['last_message'], type: 'string', default: '' },
+  updatedAt: { from: ['updated_at', 'created_at'], type: 'timestamp', default: now },
+  isActive: { from: ['is_active'], type: 'boolean', default: false }
+};
+
+/**
+ * Stored conversation message, from /chat/conversation/{id}
+ */
+const MESSAGE_SCHEMA = {
+  id: { type: 'id', required: true },
+  role: { type: 'string', oneOf: ['user', 'assistant', 'system'], required: true },
+  content: { type: 'string', default: '' },
+  createdAt: { from: ['created_at'], type: 'timestamp', default: now },
+  modelUsed: { from: ['model_used'], type: 'string' },
+  metadata: { type: 'object', default: () => ({}) }
+};
+
+/**
+ * Conversation with its messages, from /chat/conversation/{id}
+ */
+const CONVERSATION_SCHEMA = {
+  status: { type: 'string' },
+  messages: { type: 'array', default: () => [] },
+  metadata: { type: 'object', default: () => ({}) }
+};
+
+/**
+ * Schemas by model name
+ */
+const SCHEMAS = {
+  product: PRODUCT_SCHEMA,
+  coupon: COUPON_SCHEMA,
+  availableCoupons: AVAILABLE_COUPONS_SCHEMA,
+  cart: CART_SCHEMA,
+  conversationSummary: CONVERSATION_SUMMARY_SCHEMA,
+  conversation: CONVERSATION_SCHEMA,
+  message: MESSAGE_SCHEMA
+};
+
+/**
+ * Read the raw value of a field
+ *
+ * Fields fall back to their model name so normalized records can be
+ * normalized again, e.g. after being restored from storage.
+ */
+const readField = (payload, key, spec) => {
+  const value = typeof spec.from === 'function'
+    ? spec.from(payload)
+    : (spec.from || []).map(source => payload[source]).find(candidate => candidate !== undefined && candidate !== null);
+
+  return value === undefined || value === null ? payload[key] : value;
+};
+
+/**
+ * Build a model from a payload
+ *
+ * @param {Object} schema - Model schema
+ * @param {*} payload - Backend payload
+ * @param {string} path - Location of the payload, used in error messages
+ * @param {Array<string>} errors - Collects the problems found
+ * @returns {Object|null} Model, or null if the payload is unusable
+ */
+const applySchema = (schema, payload, path, errors) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    errors.push(`${path}: expected an object`);
+    return null;
+  }
+
+  const model = {};
+  let isValid = true;
+
+  Object.entries(schema).forEach(([key, spec]) => {
+    const fieldPath = `${path}.${key}`;
+    const raw = readField(payload, key, spec);
+    let value = raw === undefined || raw === null ? undefined : convert(spec, raw, fieldPath, errors);
+
+    if (value === INVALID) {
+      value = undefined;
+      if (!spec.required) {
+        errors.push(`${fieldPath}: expected ${spec.oneOf ? spec.oneOf.join(', ') : spec.type}`);
+      }
+    }
+
+    if (value === undefined && spec.default !== undefined) {
+      value = typeof spec.default === 'function' ? spec.default() : spec.default;
+    }
+
+    if (value === undefined) {
+      if (spec.required) {
+        errors.push(`${fieldPath}: ${raw === undefined || raw === null ? 'missing required field' : `invalid ${spec.type}`}`);
+        isValid = false;
+      }
+      return;
+    }
+
+    model[key] = value;
+  });
+
+  return isValid ? model : null;
+};
+
+/**
+ * Convert a raw field value to its type
+ */
+const convert = (spec, raw, path, errors) => {
+  if (spec.type === 'list') {
+    if (!Array.isArray(raw)) {
+      return INVALID;
+    }
+
+    // Broken entries are left out, the rest of the list is still usable
+    return raw
+      .map((item, index) => applySchema(spec.schema, item, `${path}[${index}]`, errors))
+      .filter(Boolean);
+  }
+
+  if (spec.schema) {
+    return TYPES.object(raw) === INVALID ? INVALID : (applySchema(spec.schema, raw, path, errors) || INVALID);
+  }
+
+  const value = TYPES[spec.type](raw);
+  return spec.oneOf && !spec.oneOf.includes(value) ? INVALID : value;
+};
+
+/**
+ * Payload Normalizer class
+ */
+class PayloadNormalizer {
+  constructor() {
+    this.malformedHandlers = [];
+  }
+
+  /**
+   * Build a model from a payload
+   *
+   * @param {string} kind - Model name, see SCHEMAS
+   * @param {*} payload - Backend payload
+   * @returns {Object|null} Model, or null if the payload is unusable
+   */
+  normalize(kind, payload) {
+    const errors = [];
+    const model = applySchema(SCHEMAS[kind], payload, kind, errors);
+
+    if (errors.length > 0) {
+      this.report(kind, errors, payload);
+    }
+
+    return model;
+  }
+
+  /**
+   * Build models from a list of payloads, leaving out unusable ones
+   *
+   * @param {string} kind - Model name, see SCHEMAS
+   * @param {Array} payloads - Backend payloads
+   * @returns {Array<Object>} Models
+   */
+  normalizeList(kind, payloads) {
+    if (!Array.isArray(payloads)) {
+      if (payloads !== undefined && payloads !== null) {
+        this.report(kind, [`${kind}: expected a list`], payloads);
+      }
+      return [];
+    }
+
+    return payloads.map(payload => this.normalize(kind, payload)).filter(Boolean);
+  }
+
+  /**
+   * @param {Object} payload - Product payload
+   * @returns {Object|null} Product model
+   */
+  normalizeProduct(payload) {
+    return this.normalize('product', payload);
+  }
+
+  /**
+   * @param {Array} payloads - Product payloads
+   * @returns {Array<Object>} Product models
+   */
+  normalizeProducts(payloads) {
+    return this.normalizeList('product', payloads);
+  }
+
+  /**
+   * @param {Object} payload - Coupon payload
+   * @returns {Object|null} Coupon model
+   */
+  normalizeCoupon(payload) {
+    return this.normalize('coupon', payload);
+  }
+
+  /**
+   * @param {Array} payloads - Coupon payloads
+   * @returns {Array<Object>} Coupon models
+   */
+  normalizeCoupons(payloads) {
+    return this.normalizeList('coupon', payloads);
+  }
+
+  /**
+   * @param {Object} payload - /coupons/available data
+   * @returns {Object|null} Coupon offers and applied coupons
+   */
+  normalizeAvailableCoupons(payload) {
+    return this.normalize('availableCoupons', payload);
+  }
+
+  /**
+   * @param {Object} payload - /actions/cart data
+   * @returns {Object|null} Cart model
+   */
+  normalizeCart(payload) {
+    return this.normalize('cart', payload);
+  }
+
+  /**
+   * @param {Array} payloads - /chat/conversations entries
+   * @returns {Array<Object>} Conversation summaries
+   */
+  normalizeConversationSummaries(payloads) {
+    return this.normalizeList('conversationSummary', payloads).map(summary => ({
+      ...summary,
+      id: String(summary.id)
+    }));
+  }
+
+  /**
+   * Build a chat message from a stored conversation message
+   *
+   * @param {Object} payload - Stored message
+   * @param {string} conversationId - Conversation the message belongs to
+   * @returns {Object|null} Message as rendered by the Message component
+   */
+  normalizeMessage(payload, conversationId = null) {
+    const message = this.normalize('message', payload);
+    if (!message) {
+      return null;
+    }
+
+    const isAssistant = message.role === 'assistant';
+
+    return {
+      id: `msg_${message.id}`,
+      type: isAssistant ? 'assistant' : 'user',
+      content: message.content,
+      timestamp: message.createdAt,
+      conversationId,
+      metadata: isAssistant
+        ? { ...this.normalizeReplyMetadata({ ...message.metadata, model_used: message.modelUsed }), messageId: message.id }
+        : { messageId: message.id, ...(message.metadata.edited_from ? { isEdited: true } : {}) }
+    };
+  }
+
+  /**
+   * Build the visible messages of a stored conversation
+   *
+   * @param {Object} payload - /chat/conversation/{id} data
+   * @param {string} conversationId - Conversation ID
+   * @returns {Object} { status, messages, isReadOnly }
+   */
+  normalizeConversation(payload, conversationId = null) {
+    const conversation = this.normalize('conversation', payload) || { messages: [], metadata: {} };
+
+    return {
+      status: conversation.status || null,
+      messages: conversation.messages
+        .filter(message => message?.role !== 'system')
+        .map(message => this.normalizeMessage(message, conversationId))
+        .filter(Boolean),
+      isReadOnly: conversation.metadata.can_send_messages === false
+    };
+  }
+
+  /**
+   * Map the extras of an assistant reply onto Message metadata
+   *
+   * @param {Object} data - Reply data or stream metadata
+   * @returns {Object} Metadata with products, suggestedCoupons, quickActions and source
+   */
+  normalizeReplyMetadata(data = {}) {
+    const metadata = {};
+
+    const products = this.normalizeProducts(data.products);
+    if (products.length > 0) {
+      metadata.products = products;
+    }
+
+    const coupons = this.normalizeCoupons(data.suggested_coupons || data.suggestedCoupons || data.coupons);
+    if (coupons.length > 0) {
+      metadata.suggestedCoupons = coupons;
+    }
+
+    const quickActions = data.quick_actions || data.quickActions || data.actions;
+    if (Array.isArray(quickActions) && quickActions.length > 0) {
+      metadata.quickActions = quickActions;
+    }
+
+    if (data.model_used || data.source) {
+      metadata.source = data.model_used || data.source;
+    }
+
+    if (data.is_fallback || data.isFallback) {
+      metadata.isFallback = true;
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Listen for malformed payloads
+   *
+   * @param {Function} handler - Called with { kind, errors, payload }
+   * @returns {Function} Unsubscribe function
+   */
+  onMalformed(handler) {
+    this.malformedHandlers.push(handler);
+    return () => {
+      this.malformedHandlers = this.malformedHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Tell listeners about a malformed payload
+   *
+   * @param {string} kind - Model name
+   * @param {Array<string>} errors - Problems found
+   * @param {*} payload - Backend payload
+   */
+  report(kind, errors, payload) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn(`Woo AI Assistant: malformed ${kind} payload`, errors, payload);
+    }
+
+    this.malformedHandlers.forEach(handler => {
+      try {
+        handler({ kind, errors, payload });
+      } catch (error) {
+        // Silently ignore listener errors
+      }
+    });
+  }
+}
+
+// Export singleton instance
+const payloadNormalizer = new PayloadNormalizer();
+
+export default payloadNormalizer;
+export { PayloadNormalizer, SCHEMAS };
@@ -3,7 +3,11 @@
  *
  * Service layer for handling product-related actions like adding to cart,
  * applying coupons, and managing product interactions. Provides a clean
- * interface between components and the API service.
+ * interface between components and the API service, and keeps the cart
+ * store up to date after every cart change. Cart and coupon actions
+ * suggested by the assistant only run once the shopper has confirmed them,
+ * and every decision is recorded in the audit log. Cart changes can be
+ * undone for a few seconds after they succeed.
  *
  * @package WooAiAssistant
  * @subpackage Services
@@ -12,6 +16,107 @@
  */
 
 import apiService from './ApiService';
+import payloadNormalizer from './PayloadNormalizer';
+import cartStore from './CartStore';
+import { ApiError, HTTP_STATUS } from './ApiError';
+import { PRIORITY } from './RateLimiter';
+
+/**
+ * Suggested actions that change the cart and wait for the shopper to
+ * confirm them. Must match ActionEndpoint::CONFIRMABLE_ACTIONS.
+ */
+const CONFIRMABLE_ACTIONS = ['add-to-cart', 'update-cart', 'apply-coupon', 'remove-coupon'];
+
+/**
+ * Decisions the shopper can take on a suggested action
+ */
+const CONFIRMATION_DECISIONS = {
+  CONFIRMED: 'confirmed',
+  DECLINED: 'declined'
+};
+
+/**
+ * How long a cart change can be undone, in milliseconds
+ */
+const UNDO_WINDOW = 5000;
+
+/**
+ * Round a money amount to cents
+ */
+const roundPrice = value => Math.round(value * 100) / 100;
+
+/**
+ * Describe the change a suggested action makes to the cart
+ *
+ * Prices come from the products and coupons shown with the reply and from
+ * the cart store. The price impact is left out when only the store can
+ * tell it, e.g. for coupons with product restrictions.
+ *
+ * @param {Object} action - Quick action, { type, label, data }
+ * @param {Object} context - Pricing context
+ * @param {Array} context.products - Normalized products shown with the reply
+ * @param {Array} context.coupons - Normalized coupons suggested with the reply
+ * @param {Object|null} context.cart - Cart model, see CartStore.getCart()
+ * @returns {Object} { change, quantity, priceImpact }, priceImpact is the change of the cart total or null
+ */
+const describeSuggestedAction = ({ type, data = {} }, { products = [], coupons = [], cart = null }) => {
+  const couponCode = String(data.couponCode || '').trim().toUpperCase();
+
+  switch (type) {
+    case 'add-to-cart': {
+      const product = products.find(candidate => String(candidate.id) === String(data.productId));
+      const variation = product?.variations?.find(candidate => String(candidate.id) === String(data.variationId));
+      const price = parseFloat((variation || product)?.price);
+      const quantity = parseInt(data.quantity) || 1;
+
+      return {
+        change: `Add ${quantity} × ${product?.name || `product #${data.productId}`} to your cart`,
+        quantity,
+        priceImpact: Number.isFinite(price) ? roundPrice(price * quantity) : null
+      };
+    }
+    case 'update-cart': {
+      const item = cart?.items.find(candidate => candidate.key === data.cartItemKey);
+      const name = item?.product.name || 'this item';
+      const quantity = Math.max(0, parseInt(data.quantity) || 0);
+      const unitPrice = item?.quantity > 0 ? item.lineTotal / item.quantity : NaN;
+
+      return {
+        change: quantity === 0 ? `Remove ${name} from your cart` : `Change ${name} to ${quantity} in your cart`,
+        quantity,
+        priceImpact: Number.isFinite(unitPrice) ? roundPrice(unitPrice * (quantity - item.quantity)) : null
+      };
+    }
+    case 'apply-coupon': {
+      const coupon = coupons.find(candidate => candidate.code.toUpperCase() === couponCode);
+      const subtotal = cart?.totals.subtotal;
+      let discount = null;
+
+      if (coupon && Number.isFinite(subtotal) && Number.isFinite(coupon.amount)) {
+        if (coupon.discountType === 'percent') {
+          discount = subtotal * coupon.amount / 100;
+        } else if (coupon.discountType === 'fixed_cart') {
+          discount = Math.min(coupon.amount, subtotal);
+        }
+      }
+
+      return {
+        change: `Apply coupon ${couponCode} to your cart`,
+        quantity: null,
+        priceImpact: discount === null ? null : -roundPrice(discount)
+      };
+    }
+    default: {
+      const coupon = cart?.coupons.find(candidate => candidate.code.toUpperCase() === couponCode);
+
+      return {
+        change: `Remove coupon ${couponCode} from your cart`,
+        quantity: null,
+        priceImpact: Number.isFinite(coupon?.discountAmount) ? roundPrice(coupon.discountAmount) : null
+      };
+    }
+  }
+};
 
 /**
  * Product Action Service class
@@ -24,6 +129,14 @@ class ProductActionService {
       couponApplied: [],
       error: []
     };
+
+    // Suggested actions waiting for the shopper, by confirmation ID
+    this.pendingConfirmations = new Map();
+    this.confirmationCount = 0;
+
+    // Reversals of recent cart changes, by undo ID
+    this.undoActions = new Map();
+    this.undoCount = 0;
   }
 
   /**
@@ -71,6 +184,27 @@ class ProductActionService {
     }
   }
 
+  /**
+   * Tell the error listeners about a failed action
+   *
+   * Requests cancelled by the caller, e.g. an unmounted component, are not
+   * reported.
+   *
+   * @param {string} action - Failed method
+   * @param {Error} error - Request error
+   * @param {Object} details - Arguments of the action, added to the event
+   * @returns {string} Error message for the shopper
+   */
+  reportError(action, error, details = {}) {
+    const errorMessage = apiService.getErrorMessage(error);
+
+    if (!apiService.isAbortError(error)) {
+      this.emit('error', { action, error: errorMessage, ...details });
+    }
+
+    return errorMessage;
+  }
+
   /**
    * Add product to cart
    *
@@ -79,9 +213,12 @@ class ProductActionService {
    * @param {number} productData.quantity - Quantity to add
    * @param {number} productData.variationId - Optional variation ID
    * @param {Object} productData.variation - Optional variation attributes
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Result with success status and data
    */
-  async addToCart(productData) {
+  async addToCart(productData, options = {}) {
     try {
       // Validate input
       if (!productData.productId) {
@@ -99,7 +236,8 @@ class ProductActionService {
         quantity,
         variationId: productData.variationId,
         variation: productData.variation
-      });
+      }, options);
+      cartStore.sync();
 
       // Emit success event
       this.emit('cartUpdated', {
@@ -109,20 +247,26 @@ class ProductActionService {
         response
       });
 
-      return {
+      const result = {
         success: true,
         data: response,
         message: response.message || `Added ${quantity} item(s) to cart`
       };
 
-    } catch (error) {
-      const errorMessage = apiService.getErrorMessage(error);
+      // Undone by going back to the quantity the item had before
+      const { cart_item_key: cartItemKey, cart_item_quantity: cartItemQuantity } = response?.data || {};
+      if (cartItemKey && Number.isFinite(cartItemQuantity)) {
+        const previousQuantity = cartItemQuantity - quantity;
 
-      this.emit('error', {
-        action: 'addToCart',
-        error: errorMessage,
-        productData
-      });
+        result.undo = this.offerUndo(result.message, undoOptions => (previousQuantity > 0
+          ? apiService.updateCart({ cart_item_key: cartItemKey, quantity: previousQuantity }, undoOptions)
+          : apiService.removeFromCart(cartItemKey, undoOptions)));
+      }
+
+      return result;
+
+    } catch (error) {
+      const errorMessage = this.reportError('addToCart', error, { productData });
 
       return {
         success: false,
@@ -136,9 +280,12 @@ class ProductActionService {
    * Apply coupon code
    *
    * @param {string} couponCode - Coupon code to apply
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Result with success status and data
    */
-  async applyCoupon(couponCode) {
+  async applyCoupon(couponCode, options = {}) {
     try {
       // Validate input
       if (!couponCode || typeof couponCode !== 'string') {
@@ -151,7 +298,8 @@ class ProductActionService {
       }
 
       // Call API
-      const response = await apiService.applyCoupon(trimmedCode);
+      const response = await apiService.applyCoupon(trimmedCode, options);
+      cartStore.sync();
 
       // Emit success event
       this.emit('couponApplied', {
@@ -159,20 +307,17 @@ class ProductActionService {
         response
       });
 
+      const message = response.message || `Coupon "${trimmedCode}" applied successfully`;
+
       return {
         success: true,
         data: response,
-        message: response.message || `Coupon "${trimmedCode}" applied successfully`
+        message,
+        undo: this.offerUndo(message, undoOptions => apiService.removeCoupon(trimmedCode, undoOptions))
       };
 
     } catch (error) {
-      const errorMessage = apiService.getErrorMessage(error);
-
-      this.emit('error', {
-        action: 'applyCoupon',
-        error: errorMessage,
-        couponCode
-      });
+      const errorMessage = this.reportError('applyCoupon', error, { couponCode });
 
       return {
         success: false,
@@ -186,29 +331,27 @@ class ProductActionService {
    * Remove coupon code
    *
    * @param {string} couponCode - Coupon code to remove
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Result with success status and data
    */
-  async removeCoupon(couponCode) {
+  async removeCoupon(couponCode, options = {}) {
     try {
-      // Call API (assuming we have this endpoint)
-      const response = await apiService.post('/actions/remove-coupon', {
-        coupon_code: couponCode
-      });
+      const response = await apiService.removeCoupon(couponCode, options);
+      cartStore.sync();
+
+      const message = response.message || `Coupon "${couponCode}" removed successfully`;
 
       return {
         success: true,
         data: response,
-        message: response.message || `Coupon "${couponCode}" removed successfully`
+        message,
+        undo: this.offerUndo(message, undoOptions => apiService.applyCoupon(couponCode, undoOptions))
       };
 
     } catch (error) {
-      const errorMessage = apiService.getErrorMessage(error);
-
-      this.emit('error', {
-        action: 'removeCoupon',
-        error: errorMessage,
-        couponCode
-      });
+      const errorMessage = this.reportError('removeCoupon', error, { couponCode });
 
       return {
         success: false,
@@ -223,14 +366,21 @@ class ProductActionService {
    *
    * @param {string} cartItemKey - Cart item key
    * @param {number} quantity - New quantity (0 to remove)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Result with success status and data
    */
-  async updateCartItem(cartItemKey, quantity) {
+  async updateCartItem(cartItemKey, quantity, options = {}) {
     try {
+      // Kept to add a removed item back on undo
+      const item = cartStore.getCart()?.items.find(candidate => candidate.key === cartItemKey);
+
       const response = await apiService.updateCart({
         cart_item_key: cartItemKey,
         quantity: Math.max(0, parseInt(quantity) || 0)
-      });
+      }, options);
+      cartStore.sync();
 
       this.emit('cartUpdated', {
         action: 'update',
@@ -239,22 +389,111 @@ class ProductActionService {
         response
       });
 
-      return {
+      const result = {
         success: true,
         data: response,
         message: response.message || 'Cart updated successfully'
       };
 
+      const { quantity: newQuantity, previous_quantity: previousQuantity } = response?.data || {};
+      if (Number.isFinite(previousQuantity) && previousQuantity !== newQuantity) {
+        if (newQuantity > 0) {
+          result.undo = this.offerUndo(result.message, undoOptions => apiService.updateCart({
+            cart_item_key: cartItemKey,
+            quantity: previousQuantity
+          }, undoOptions));
+        } else if (item) {
+          result.undo = this.offerUndo(result.message, undoOptions => apiService.addToCart({
+            productId: item.productId,
+            quantity: previousQuantity,
+            variationId: item.variationId,
+            variation: item.variation
+          }, undoOptions));
+        }
+      }
+
+      return result;
+
     } catch (error) {
-      const errorMessage = apiService.getErrorMessage(error);
+      const errorMessage = this.reportError('updateCartItem', error, { cartItemKey, quantity });
 
-      this.emit('error', {
-        action: 'updateCartItem',
+      return {
+        success: false,
         error: errorMessage,
-        cartItemKey,
-        quantity
+        data: null
+      };
+    }
+  }
+
+  /**
+   * Keep the reversal of a cart change for UNDO_WINDOW milliseconds
+   *
+   * @param {string} description - What the change did, shown next to the undo button
+   * @param {Function} reverse - Reverses the change, called with the request options
+   * @returns {Object} Undo { id, description, expiresIn }, see undoAction()
+   */
+  offerUndo(description, reverse) {
+    const now = Date.now();
+
+    // Forget reversals nobody can use anymore
+    this.undoActions.forEach((undo, id) => {
+      if (undo.expiresAt <= now) {
+        this.undoActions.delete(id);
+      }
+    });
+
+    const id = `undo_${++this.undoCount}`;
+    this.undoActions.set(id, { reverse, expiresAt: now + UNDO_WINDOW });
+
+    return {
+      id,
+      description,
+      expiresIn: UNDO_WINDOW
+    };
+  }
+
+  /**
+   * Reverse a recent cart change
+   *
+   * @param {string} undoId - Undo ID from the result of the change
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @returns {Promise<Object>} Result with success status and data
+   */
+  async undoAction(undoId, options = {}) {
+    const undo = this.undoActions.get(undoId);
+
+    // Taken first so a double click cannot reverse the change twice
+    this.undoActions.delete(undoId);
+
+    if (!undo || undo.expiresAt <= Date.now()) {
+      return {
+        success: false,
+        error: 'This change can no longer be undone',
+        data: null
+      };
+    }
+
+    try {
+      const response = await undo.reverse(options);
+      cartStore.sync();
+
+      this.emit('cartUpdated', {
+        action: 'undo',
+        undoId,
+        response
       });
 
+      return {
+        success: true,
+        data: response,
+        message: 'Change undone'
+      };
+
+    } catch (error) {
+      const errorMessage = this.reportError('undoAction', error, { undoId });
+
       return {
         success: false,
         error: errorMessage,
@@ -264,27 +503,25 @@ class ProductActionService {
   }
 
   /**
-   * Get current cart contents
+   * Get current cart contents, updating the cart store
    *
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Cart data
    */
-  async getCart() {
+  async getCart(options = {}) {
     try {
-      const response = await apiService.get('/cart');
+      const cart = await cartStore.refresh(options);
 
       return {
         success: true,
-        data: response,
+        data: cart,
         message: 'Cart retrieved successfully'
       };
 
     } catch (error) {
-      const errorMessage = apiService.getErrorMessage(error);
-
-      this.emit('error', {
-        action: 'getCart',
-        error: errorMessage
-      });
+      const errorMessage = this.reportError('getCart', error);
 
       return {
         success: false,
@@ -297,20 +534,28 @@ class ProductActionService {
   /**
    * Get available coupons for current user/cart
    *
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Available coupons
    */
-  async getAvailableCoupons() {
+  async getAvailableCoupons(options = {}) {
     try {
-      const response = await apiService.get('/coupons/available');
+      const response = await apiService.get('/coupons/available', {}, options);
+      const coupons = payloadNormalizer.normalizeAvailableCoupons(response?.data);
+
+      if (!coupons) {
+        throw new ApiError('The store returned invalid coupons', HTTP_STATUS.INTERNAL_ERROR, response);
+      }
 
       return {
         success: true,
-        data: response,
+        data: coupons,
         message: 'Coupons retrieved successfully'
       };
 
     } catch (error) {
-      const errorMessage = apiService.getErrorMessage(error);
+      const errorMessage = this.reportError('getAvailableCoupons', error);
 
       return {
         success: false,
@@ -324,14 +569,22 @@ class ProductActionService {
    * Generate personalized coupon based on conversation context
    *
    * @param {Object} context - Conversation context
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Generated coupon data
    */
-  async generatePersonalizedCoupon(context = {}) {
+  async generatePersonalizedCoupon(context = {}, options = {}) {
     try {
       const response = await apiService.post('/actions/generate-coupon', {
         context,
         conversation_id: context.conversationId
-      });
+      }, options);
+      const coupon = payloadNormalizer.normalizeCoupon(response?.data);
+
+      if (!coupon) {
+        throw new ApiError('The store returned an invalid coupon', HTTP_STATUS.INTERNAL_ERROR, response);
+      }
 
       this.emit('couponGenerated', {
         context,
@@ -340,25 +593,175 @@ class ProductActionService {
 
       return {
         success: true,
-        data: response,
+        data: coupon,
         message: response.message || 'Personalized coupon generated successfully'
       };
 
     } catch (error) {
-      const errorMessage = apiService.getErrorMessage(error);
+      const errorMessage = this.reportError('generatePersonalizedCoupon', error, { context });
 
-      this.emit('error', {
-        action: 'generatePersonalizedCoupon',
+      return {
+        success: false,
         error: errorMessage,
-        context
-      });
+        data: null
+      };
+    }
+  }
+
+  /**
+   * Prepare an action suggested by the assistant for the shopper to confirm
+   *
+   * Suggested cart and coupon actions never run straight away: the returned
+   * confirmation describes the exact change, and only confirmAction() runs
+   * it. declineAction() drops it.
+   *
+   * @param {Object} action - Quick action from the reply, { type, label, data }
+   * @param {Object} context - What the change is described with
+   * @param {Array} context.products - Normalized products shown with the reply
+   * @param {Array} context.coupons - Normalized coupons suggested with the reply
+   * @param {string} context.conversationId - Conversation the action was suggested in
+   * @returns {Object|null} Confirmation { id, action, change, quantity, priceImpact }, null for other actions
+   */
+  requestConfirmation(action, context = {}) {
+    if (!CONFIRMABLE_ACTIONS.includes(action?.type)) {
+      return null;
+    }
+
+    const confirmation = {
+      id: `confirmation_${++this.confirmationCount}`,
+      action,
+      conversationId: context.conversationId || null,
+      ...describeSuggestedAction(action, { ...context, cart: cartStore.getCart() })
+    };
+
+    this.pendingConfirmations.set(confirmation.id, confirmation);
+    return confirmation;
+  }
 
+  /**
+   * Run a suggested action the shopper has confirmed
+   *
+   * @param {string} confirmationId - Confirmation ID, see requestConfirmation()
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
+   * @returns {Promise<Object>} Result with success status and data
+   */
+  async confirmAction(confirmationId, options = {}) {
+    const confirmation = this.pendingConfirmations.get(confirmationId);
+    if (!confirmation) {
       return {
         success: false,
-        error: errorMessage,
+        error: 'This action is no longer waiting for confirmation',
+        data: null
+      };
+    }
+
+    // Taken first so a double click cannot run the action twice
+    this.pendingConfirmations.delete(confirmationId);
+
+    const { type, data = {} } = confirmation.action;
+    let result;
+
+    switch (type) {
+      case 'add-to-cart':
+        result = await this.addToCart(data, options);
+        break;
+      case 'update-cart':
+        result = await this.updateCartItem(data.cartItemKey, data.quantity, options);
+        break;
+      case 'apply-coupon':
+        result = await this.applyCoupon(data.couponCode, options);
+        break;
+      default:
+        result = await this.removeCoupon(data.couponCode, options);
+    }
+
+    this.recordConfirmation(confirmation, CONFIRMATION_DECISIONS.CONFIRMED, result);
+
+    return result;
+  }
+
+  /**
+   * Drop a suggested action the shopper has declined
+   *
+   * @param {string} confirmationId - Confirmation ID, see requestConfirmation()
+   * @returns {Promise<Object>} Result with success status
+   */
+  async declineAction(confirmationId) {
+    const confirmation = this.pendingConfirmations.get(confirmationId);
+    if (!confirmation) {
+      return {
+        success: false,
+        error: 'This action is no longer waiting for confirmation',
         data: null
       };
     }
+
+    this.pendingConfirmations.delete(confirmationId);
+    await this.recordConfirmation(confirmation, CONFIRMATION_DECISIONS.DECLINED);
+
+    return {
+      success: true,
+      data: null,
+      message: 'Action declined'
+    };
+  }
+
+  /**
+   * Forget a suggested action nobody can answer anymore
+   *
+   * Used when its message goes away, e.g. the widget is closed. The shopper
+   * made no decision, so nothing is recorded.
+   *
+   * @param {string} confirmationId - Confirmation ID, see requestConfirmation()
+   * @returns {boolean} True if the action was still waiting
+   */
+  discardConfirmation(confirmationId) {
+    return this.pendingConfirmations.delete(confirmationId);
+  }
+
+  /**
+   * Record the shopper's decision on a suggested action in the audit log
+   *
+   * @param {Object} confirmation - Confirmation, see requestConfirmation()
+   * @param {string} decision - One of CONFIRMATION_DECISIONS
+   * @param {Object} result - Result of the confirmed action
+   * @returns {Promise<boolean>} True once recorded, never rejects
+   */
+  async recordConfirmation(confirmation, decision, result = null) {
+    const payload = {
+      action_type: confirmation.action.type,
+      decision,
+      details: {
+        change: confirmation.change,
+        quantity: confirmation.quantity,
+        price_impact: confirmation.priceImpact,
+        data: confirmation.action.data || {}
+      }
+    };
+
+    // Conversations not saved yet have no numeric ID
+    if (/^\d+$/.test(String(confirmation.conversationId))) {
+      payload.conversation_id = Number(confirmation.conversationId);
+    }
+
+    if (result) {
+      payload.success = result.success;
+      if (!result.success && result.error) {
+        payload.error = result.error;
+      }
+    }
+
+    try {
+      await apiService.post('/actions/confirmation', payload, { priority: PRIORITY.LOW });
+      return true;
+    } catch (error) {
+      if (process.env.NODE_ENV === 'development') {
+        console.warn('[ProductActionService] Could not record the decision:', error.message);
+      }
+      return false;
+    }
   }
 
   /**
@@ -368,16 +771,23 @@ class ProductActionService {
    * @param {string} interactionData.type - Interaction type
    * @param {number} interactionData.productId - Product ID
    * @param {Object} interactionData.context - Additional context
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, low unless set
    */
-  trackProductInteraction(interactionData) {
+  trackProductInteraction(interactionData, options = {}) {
     try {
       // Track analytics (non-blocking)
       if (window.wooAiAssistant?.trackEvent) {
         window.wooAiAssistant.trackEvent('product_interaction', interactionData);
       }
 
-      // Send to backend for analytics (non-blocking)
-      apiService.post('/analytics/product-interaction', interactionData)
+      // Send to backend for analytics (non-blocking), after anything the shopper waits for
+      apiService.post('/analytics/product-interaction', {
+        type: interactionData.type,
+        product_id: interactionData.productId,
+        context: interactionData.context || {}
+      }, { ...options, priority: options.priority || PRIORITY.LOW })
         .catch(error => {
           // Silently ignore analytics errors
         });
@@ -392,13 +802,16 @@ class ProductActionService {
    *
    * @param {number} productId - Product ID
    * @param {number} quantity - Desired quantity
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Validation result
    */
-  async validateProductAvailability(productId, quantity = 1) {
+  async validateProductAvailability(productId, quantity = 1, options = {}) {
     try {
       const response = await apiService.get(`/products/${productId}/availability`, {
         quantity
-      });
+      }, options);
 
       return {
         success: true,
@@ -421,18 +834,21 @@ class ProductActionService {
    * Get product recommendations based on current context
    *
    * @param {Object} context - Current context (cart, viewed products, etc.)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.priority - Request priority, see PRIORITY
    * @returns {Promise<Object>} Product recommendations
    */
-  async getProductRecommendations(context = {}) {
+  async getProductRecommendations(context = {}, options = {}) {
     try {
       const response = await apiService.post('/products/recommendations', {
         context,
         limit: context.limit || 5
-      });
+      }, options);
 
       return {
         success: true,
-        data: response.products || [],
+        data: payloadNormalizer.normalizeProducts(response.products),
         message: 'Recommendations retrieved successfully'
       };
 
@@ -450,4 +866,4 @@ class ProductActionService {
 const productActionService = new ProductActionService();
 
 export default productActionService;
-export { ProductActionService };
+export { ProductActionService, CONFIRMABLE_ACTIONS, CONFIRMATION_DECISIONS, UNDO_WINDOW };
@@ -0,0 +1,326 @@
+/**
+ * Rate Limiter
+ *
+ * Client-side token bucket in front of every backend request. Requests
+ * wait in line for a token instead of running into the server limits, and
+ * a 429 with a Retry-After hint pauses the whole line until the server
+ * accepts requests again. The remaining pause is exposed so the UI can
+ * tell shoppers when they can send again.
+ *
+ * Requests carry a priority. Higher priorities are served first, and
+ * low-priority requests (background analytics) leave a few tokens for the
+ * others and wait while a high-priority request (a chat message) is in
+ * flight, so the shopper never waits behind them.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * Default bucket size, matching the 60 requests per minute allowed per IP
+ */
+const DEFAULT_LIMITS = {
+  capacity: 10, // Requests that can be sent at once
+  refillPerSecond: 1,
+  lowPriorityReserve: 2 // Tokens low-priority requests leave to the others
+};
+
+/**
+ * Request priorities, most urgent first
+ */
+const PRIORITY = {
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low'
+};
+
+const PRIORITY_RANK = {
+  [PRIORITY.HIGH]: 2,
+  [PRIORITY.NORMAL]: 1,
+  [PRIORITY.LOW]: 0
+};
+
+const rankOf = (priority) => PRIORITY_RANK[priority] ?? PRIORITY_RANK[PRIORITY.NORMAL];
+
+/**
+ * Create the error raised when a waiting request is cancelled
+ */
+const createAbortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+/**
+ * Rate Limiter class
+ */
+class RateLimiter {
+  /**
+   * @param {Object} limits - Bucket settings, see DEFAULT_LIMITS
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.tokens = this.limits.capacity;
+    this.lastRefill = Date.now();
+    this.cooldownUntil = 0;
+    this.queue = [];
+    this.holds = 0;
+    this.timerId = null;
+    this.cooldownTimerId = null;
+    this.cooldownHandlers = [];
+  }
+
+  /**
+   * Change the bucket settings
+   *
+   * @param {Object} limits - Bucket settings
+   * @param {number} limits.requestsPerMinute - Sustained request rate
+   * @param {number} limits.capacity - Requests that can be sent at once
+   */
+  configure({ requestsPerMinute, capacity } = {}) {
+    this.refill();
+
+    if (requestsPerMinute > 0) {
+      this.limits.refillPerSecond = requestsPerMinute / 60;
+    }
+    if (capacity > 0) {
+      this.limits.capacity = capacity;
+      this.tokens = Math.min(this.tokens, capacity);
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Take a token right away if nobody with the same or a higher priority is waiting
+   *
+   * @param {string} priority - Request priority, see PRIORITY
+   * @returns {boolean} True if the request may be sent now
+   */
+  tryAcquire(priority = PRIORITY.NORMAL) {
+    this.refill();
+
+    const rank = rankOf(priority);
+    if (this.queue.some(entry => rankOf(entry.priority) >= rank) || !this.canSend(priority)) {
+      return false;
+    }
+
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Wait for a turn to send a request
+   *
+   * @param {AbortSignal} signal - Gives up the turn when aborted
+   * @param {string} priority - Request priority, see PRIORITY
+   * @returns {Promise<void>} Resolves when the request may be sent
+   */
+  acquire(signal, priority = PRIORITY.NORMAL) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, signal, priority, onAbort: null };
+
+      if (signal) {
+        entry.onAbort = () => {
+          this.queue = this.queue.filter(queued => queued !== entry);
+          reject(createAbortError());
+          this.drain();
+        };
+        signal.addEventListener('abort', entry.onAbort);
+      }
+
+      // Behind everyone with the same or a higher priority
+      const rank = rankOf(priority);
+      const index = this.queue.findIndex(queued => rankOf(queued.priority) < rank);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+      this.drain();
+    });
+  }
+
+  /**
+   * Hold back low-priority requests while a high-priority one is in flight
+   *
+   * @returns {Function} Ends the hold, safe to call more than once
+   */
+  hold() {
+    let isHeld = true;
+    this.holds += 1;
+
+    return () => {
+      if (!isHeld) {
+        return;
+      }
+
+      isHeld = false;
+      this.holds -= 1;
+      this.drain();
+    };
+  }
+
+  /**
+   * Check whether a request of a priority could take a token now
+   *
+   * @param {string} priority - Request priority
+   * @returns {boolean} True if a token is available to it
+   */
+  canSend(priority) {
+    if (this.getCooldown() > 0) {
+      return false;
+    }
+
+    if (priority !== PRIORITY.LOW) {
+      return this.tokens >= 1;
+    }
+
+    return this.holds === 0 && this.tokens >= 1 + this.getLowPriorityReserve();
+  }
+
+  /**
+   * Get the tokens low-priority requests have to leave in the bucket
+   *
+   * @returns {number} Reserve, always below the capacity
+   */
+  getLowPriorityReserve() {
+    return Math.max(0, Math.min(this.limits.lowPriorityReserve, this.limits.capacity - 1));
+  }
+
+  /**
+   * Stop sending until the server accepts requests again
+   *
+   * @param {number} delay - Milliseconds to wait, e.g. from Retry-After
+   */
+  pause(delay) {
+    const until = Date.now() + delay;
+    if (until <= this.cooldownUntil) {
+      return;
+    }
+
+    this.cooldownUntil = until;
+    this.notifyCooldown();
+
+    clearTimeout(this.cooldownTimerId);
+    this.cooldownTimerId = setTimeout(() => {
+      this.cooldownTimerId = null;
+      this.notifyCooldown();
+    }, delay);
+
+    this.schedule();
+  }
+
+  /**
+   * Get the time left before requests are sent again
+   *
+   * @returns {number} Milliseconds, 0 when not paused
+   */
+  getCooldown() {
+    return Math.max(0, this.cooldownUntil - Date.now());
+  }
+
+  /**
+   * Listen for pauses starting and ending
+   *
+   * @param {Function} handler - Called with the end timestamp, or null when the pause is over
+   * @returns {Function} Unsubscribe function
+   */
+  onCooldownChange(handler) {
+    this.cooldownHandlers.push(handler);
+    return () => {
+      this.cooldownHandlers = this.cooldownHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Refill the bucket and cancel any pause
+   */
+  reset() {
+    this.tokens = this.limits.capacity;
+    this.lastRefill = Date.now();
+
+    if (this.cooldownUntil > Date.now()) {
+      this.cooldownUntil = 0;
+      clearTimeout(this.cooldownTimerId);
+      this.cooldownTimerId = null;
+      this.notifyCooldown();
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Let waiting requests go while tokens are available
+   */
+  drain() {
+    this.refill();
+
+    while (this.queue.length > 0 && this.canSend(this.queue[0].priority)) {
+      const entry = this.queue.shift();
+      this.tokens -= 1;
+
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      entry.resolve();
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Wake up when the next waiting request can go
+   */
+  schedule() {
+    clearTimeout(this.timerId);
+    this.timerId = null;
+
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    // Held low-priority requests are woken up by the end of the hold
+    const isLow = this.queue[0].priority === PRIORITY.LOW;
+    if (isLow && this.holds > 0) {
+      return;
+    }
+
+    const needed = isLow ? 1 + this.getLowPriorityReserve() : 1;
+    const tokenWait = this.tokens >= needed
+      ? 0
+      : Math.ceil(((needed - this.tokens) / this.limits.refillPerSecond) * 1000);
+
+    this.timerId = setTimeout(() => {
+      this.timerId = null;
+      this.drain();
+    }, Math.max(this.getCooldown(), tokenWait));
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const earned = ((now - this.lastRefill) / 1000) * this.limits.refillPerSecond;
+
+    this.tokens = Math.min(this.limits.capacity, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Tell listeners about the current pause
+   */
+  notifyCooldown() {
+    const until = this.getCooldown() > 0 ? this.cooldownUntil : null;
+
+    this.cooldownHandlers.forEach(handler => {
+      try {
+        handler(until);
+      } catch (error) {
+        // Silently ignore listener errors
+      }
+    });
+  }
+}
+
+export default RateLimiter;
+export { RateLimiter, DEFAULT_LIMITS, PRIORITY };
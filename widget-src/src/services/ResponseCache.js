@@ -0,0 +1,335 @@
+/**
+ * Response Cache Service
+ *
+ * Stale-while-revalidate cache for backend responses that change slowly,
+ * kept in session storage so reopening the widget or moving to another
+ * page shows them right away. Fresh entries are returned as they are,
+ * stale ones are returned while the caller refreshes them, and expired
+ * ones are dropped.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * Key prefix for cached responses
+ */
+const CACHE_PREFIX = 'wooAiAssistant:cache:';
+
+/**
+ * Storage key of the user the cached responses belong to
+ */
+const IDENTITY_KEY = 'wooAiAssistant:cacheIdentity';
+
+/**
+ * Cached endpoints
+ *
+ * ttl: milliseconds a response is fresh
+ * maxAge: milliseconds a stale response may still be shown while refreshing
+ * invalidatedBy: endpoints that change the cached data when called
+ */
+const CACHE_POLICIES = [
+  {
+    method: 'GET',
+    pattern: /^\/products\/\d+\/availability$/,
+    ttl: 30000, // 30 seconds, stock changes with every order
+    maxAge: 300000,
+    invalidatedBy: /^\/actions\/(add-to-cart|update-cart|remove-from-cart|clear-cart)$/
+  },
+  {
+    method: 'POST',
+    pattern: /^\/products\/recommendations$/,
+    ttl: 300000, // 5 minutes
+    maxAge: 1800000,
+    invalidatedBy: /^\/actions\/(add-to-cart|update-cart|remove-from-cart|clear-cart)$/
+  },
+  {
+    method: 'GET',
+    pattern: /^\/coupons\/available$/,
+    ttl: 120000, // 2 minutes
+    maxAge: 600000,
+    invalidatedBy: /^\/actions\/(add-to-cart|update-cart|remove-from-cart|clear-cart|apply-coupon|remove-coupon|generate-coupon)$/
+  }
+];
+
+/**
+ * Response Cache class
+ */
+class ResponseCache {
+  /**
+   * @param {Array<Object>} policies - Cached endpoints, see CACHE_POLICIES
+   */
+  constructor(policies = CACHE_POLICIES) {
+    this.policies = policies;
+    this.memory = new Map();
+    this.storage = this.resolveStorage();
+    this.identity = null;
+    this.generations = new Map();
+  }
+
+  /**
+   * Get session storage if the browser allows it
+   *
+   * @returns {Storage|null} Storage object
+   */
+  resolveStorage() {
+    try {
+      return typeof window !== 'undefined' ? window.sessionStorage : null;
+    } catch (error) {
+      // Access to storage can throw when cookies are blocked
+      return null;
+    }
+  }
+
+  /**
+   * Set the user the cached responses belong to
+   *
+   * Coupons and recommendations depend on the customer, so everything
+   * cached for someone else, e.g. before logging in or out, is dropped.
+   *
+   * @param {string} identity - Current user
+   */
+  setIdentity(identity) {
+    const previous = this.identity ?? this.readIdentity();
+    this.identity = identity;
+
+    if (previous === identity) {
+      return;
+    }
+
+    this.clear();
+
+    try {
+      this.storage?.setItem(IDENTITY_KEY, identity);
+    } catch (error) {
+      // Storage full, the next page view clears the cache once more
+    }
+  }
+
+  /**
+   * Find the cache policy of an endpoint
+   *
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint path
+   * @returns {Object|null} Policy, or null if the endpoint is not cached
+   */
+  getPolicy(method, endpoint) {
+    const path = normalizeEndpoint(endpoint);
+    return this.policies.find(policy => policy.method === method && policy.pattern.test(path)) || null;
+  }
+
+  /**
+   * Get the number of times the responses of a policy were invalidated
+   *
+   * Requests remember it when they start, so responses requested before
+   * the data changed are not cached.
+   *
+   * @param {Object} policy - Policy of the endpoint
+   * @returns {number} Invalidation generation
+   */
+  getGeneration(policy) {
+    return this.generations.get(policy) || 0;
+  }
+
+  /**
+   * Build the cache key of a request
+   *
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} payload - Query parameters or request body
+   * @returns {string} Cache key
+   */
+  getKey(method, endpoint, payload = {}) {
+    return `${method} ${normalizeEndpoint(endpoint)} ${stableStringify(payload)}`;
+  }
+
+  /**
+   * Look up a cached response
+   *
+   * @param {string} key - Cache key
+   * @returns {Object|null} { data, isStale }, or null when missing or expired
+   */
+  get(key) {
+    const entry = this.memory.get(key) || this.read(key);
+    if (!entry) {
+      return null;
+    }
+
+    const age = Date.now() - entry.storedAt;
+    if (age > entry.maxAge) {
+      this.delete(key);
+      return null;
+    }
+
+    this.memory.set(key, entry);
+    return { data: entry.data, isStale: age > entry.ttl };
+  }
+
+  /**
+   * Store a response
+   *
+   * @param {string} key - Cache key
+   * @param {*} data - Response data
+   * @param {Object} policy - Policy of the endpoint
+   * @param {number} generation - Generation of the policy when the request started
+   */
+  set(key, data, policy, generation = this.getGeneration(policy)) {
+    if (generation !== this.getGeneration(policy)) {
+      return;
+    }
+
+    const entry = { data, storedAt: Date.now(), ttl: policy.ttl, maxAge: policy.maxAge };
+    this.memory.set(key, entry);
+
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(CACHE_PREFIX + key, JSON.stringify(entry));
+    } catch (error) {
+      // Storage full, drop old entries and keep the response in memory only
+      this.prune();
+    }
+  }
+
+  /**
+   * Drop a cached response
+   *
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.memory.delete(key);
+
+    try {
+      this.storage?.removeItem(CACHE_PREFIX + key);
+    } catch (error) {
+      // Silently ignore storage errors
+    }
+  }
+
+  /**
+   * Drop the responses an endpoint call may have changed
+   *
+   * @param {string} endpoint - Endpoint that was called
+   */
+  invalidate(endpoint) {
+    const path = normalizeEndpoint(endpoint);
+    const affected = this.policies.filter(policy => policy.invalidatedBy?.test(path));
+    if (affected.length === 0) {
+      return;
+    }
+
+    this.advanceGenerations(affected);
+    this.keys().forEach(key => {
+      const [method, cachedPath] = key.split(' ');
+      if (affected.some(policy => policy.method === method && policy.pattern.test(cachedPath))) {
+        this.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Drop expired responses
+   */
+  prune() {
+    this.keys().forEach(key => this.get(key));
+  }
+
+  /**
+   * Drop every cached response
+   */
+  clear() {
+    this.advanceGenerations(this.policies);
+    this.keys().forEach(key => this.delete(key));
+    this.memory.clear();
+  }
+
+  /**
+   * Mark the responses of policies as changed
+   *
+   * @param {Array<Object>} policies - Invalidated policies
+   */
+  advanceGenerations(policies) {
+    policies.forEach(policy => this.generations.set(policy, this.getGeneration(policy) + 1));
+  }
+
+  /**
+   * Get the keys of all cached responses
+   *
+   * @returns {Array<string>} Cache keys
+   */
+  keys() {
+    const keys = new Set(this.memory.keys());
+
+    try {
+      for (let i = 0; this.storage && i < this.storage.length; i++) {
+        const storageKey = this.storage.key(i);
+        if (storageKey?.startsWith(CACHE_PREFIX)) {
+          keys.add(storageKey.slice(CACHE_PREFIX.length));
+        }
+      }
+    } catch (error) {
+      // Silently ignore storage errors
+    }
+
+    return Array.from(keys);
+  }
+
+  /**
+   * Read the user of the cached responses from session storage
+   *
+   * @returns {string|null} Stored identity
+   */
+  readIdentity() {
+    try {
+      return this.storage?.getItem(IDENTITY_KEY) ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read an entry from session storage
+   *
+   * @param {string} key - Cache key
+   * @returns {Object|null} Stored entry
+   */
+  read(key) {
+    try {
+      const raw = this.storage?.getItem(CACHE_PREFIX + key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Strip the leading slash variations and query string of an endpoint
+ */
+const normalizeEndpoint = (endpoint) => `/${endpoint.replace(/^\/+/, '').split('?')[0]}`;
+
+/**
+ * Serialize with sorted object keys so equal payloads share a key
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+export default ResponseCache;
+export { ResponseCache, CACHE_POLICIES };
@@ -0,0 +1,347 @@
+/**
+ * Tab Sync Service
+ *
+ * Shares one conversation between all open tabs of the store. Tabs
+ * exchange messages over BroadcastChannel (or storage events where it
+ * is unavailable) and elect a single leader tab that owns the network
+ * connection. Leadership is a lease in localStorage renewed by heartbeat,
+ * so another tab takes over when the leader closes or stops responding.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * Message types exchanged between tabs
+ */
+const SYNC_EVENTS = {
+  STATE: 'state',
+  STATE_REQUEST: 'state-request',
+  SEND: 'send',
+  RETRY: 'retry',
+  STOP: 'stop',
+  REGENERATE: 'regenerate',
+  EDIT: 'edit',
+  NEW_CONVERSATION: 'new-conversation',
+  OPEN_CONVERSATION: 'open-conversation',
+  CLEAR: 'clear',
+  VISIBILITY: 'visibility',
+  LEADER_RESIGNED: 'leader-resigned'
+};
+
+/**
+ * Leader lease timing in milliseconds
+ */
+const LEASE_DURATION = 5000;
+const HEARTBEAT_INTERVAL = 2000;
+
+/**
+ * Key prefix for everything the widget stores
+ */
+const STORAGE_PREFIX = 'wooAiAssistant';
+
+/**
+ * Generate a unique tab ID
+ */
+const generateTabId = () => {
+  return `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+/**
+ * Tab Sync class
+ */
+class TabSync {
+  constructor() {
+    this.tabId = generateTabId();
+    this.scope = null;
+    this.channel = null;
+    this.leader = false;
+    this.heartbeatTimer = null;
+    this.messageHandlers = [];
+    this.leaderHandlers = [];
+
+    // Bind methods to maintain context
+    this.handleStorageEvent = this.handleStorageEvent.bind(this);
+    this.stop = this.stop.bind(this);
+  }
+
+  /**
+   * Start syncing with other tabs
+   *
+   * @param {string} scope - Visitor key; only tabs with the same scope are synced
+   * @returns {TabSync} The service instance
+   */
+  start(scope = 'guest') {
+    if (this.scope || typeof window === 'undefined') {
+      return this;
+    }
+
+    this.scope = scope;
+
+    if (typeof window.BroadcastChannel === 'function') {
+      this.channel = new window.BroadcastChannel(`${STORAGE_PREFIX}:${scope}`);
+      this.channel.onmessage = (event) => this.receive(event.data);
+    }
+
+    // Storage events carry messages without BroadcastChannel and announce lease changes
+    window.addEventListener('storage', this.handleStorageEvent);
+    window.addEventListener('pagehide', this.stop);
+
+    this.renewLease();
+    this.heartbeatTimer = setInterval(() => this.renewLease(), HEARTBEAT_INTERVAL);
+
+    return this;
+  }
+
+  /**
+   * Stop syncing and hand leadership to another tab
+   */
+  stop() {
+    if (!this.scope) {
+      return;
+    }
+
+    if (this.leader) {
+      this.removeItem(this.getLeaseKey());
+      this.publish(SYNC_EVENTS.LEADER_RESIGNED);
+    }
+
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    window.removeEventListener('storage', this.handleStorageEvent);
+    window.removeEventListener('pagehide', this.stop);
+
+    this.scope = null;
+    this.setLeader(false);
+  }
+
+  /**
+   * Check whether syncing is active
+   *
+   * @returns {boolean} True if started
+   */
+  isActive() {
+    return !!this.scope;
+  }
+
+  /**
+   * Check whether this tab owns the network connection
+   *
+   * A tab that is not syncing always acts on its own.
+   *
+   * @returns {boolean} True if this tab is the leader
+   */
+  isLeader() {
+    return !this.scope || this.leader;
+  }
+
+  /**
+   * Broadcast a message to the other tabs
+   *
+   * @param {string} type - Message type (see SYNC_EVENTS)
+   * @param {Object} payload - Message payload
+   */
+  publish(type, payload = {}) {
+    if (!this.scope) {
+      return;
+    }
+
+    const message = { type, payload, tabId: this.tabId, sentAt: Date.now() };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+        return;
+      }
+
+      // Writing then removing the key fires a storage event in the other tabs
+      const key = this.getMessageKey();
+      window.localStorage.setItem(key, JSON.stringify(message));
+      window.localStorage.removeItem(key);
+    } catch (error) {
+      // Messages that cannot be delivered are dropped
+    }
+  }
+
+  /**
+   * Listen for messages from other tabs
+   *
+   * @param {Function} handler - Called with { type, payload, tabId }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(handler) {
+    this.messageHandlers.push(handler);
+    return () => {
+      this.messageHandlers = this.messageHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Listen for leadership changes of this tab
+   *
+   * @param {Function} handler - Called with true when this tab becomes leader, false when it stops
+   * @returns {Function} Unsubscribe function
+   */
+  onLeaderChange(handler) {
+    this.leaderHandlers.push(handler);
+    return () => {
+      this.leaderHandlers = this.leaderHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Handle a message from another tab
+   *
+   * @param {Object} message - Received message
+   */
+  receive(message) {
+    if (!message?.type || message.tabId === this.tabId) {
+      return;
+    }
+
+    if (message.type === SYNC_EVENTS.LEADER_RESIGNED) {
+      this.renewLease();
+    }
+
+    this.messageHandlers.forEach(handler => {
+      try {
+        handler(message);
+      } catch (error) {
+        // Silently ignore handler errors in production
+      }
+    });
+  }
+
+  /**
+   * Handle storage events from other tabs
+   *
+   * @param {StorageEvent} event - Storage event
+   */
+  handleStorageEvent(event) {
+    if (event.key === this.getMessageKey() && event.newValue) {
+      try {
+        this.receive(JSON.parse(event.newValue));
+      } catch (error) {
+        // Ignore malformed messages
+      }
+      return;
+    }
+
+    if (event.key === this.getLeaseKey() && !event.newValue) {
+      // The leader released its lease
+      this.renewLease();
+    }
+  }
+
+  /**
+   * Claim or renew the leader lease
+   *
+   * The lease is taken when it is free, expired or already ours. Reading it
+   * back settles races between tabs claiming at the same time.
+   */
+  renewLease() {
+    if (!this.scope) {
+      return;
+    }
+
+    const key = this.getLeaseKey();
+    const now = Date.now();
+    const lease = this.readLease();
+
+    if (!lease || lease.tabId === this.tabId || lease.expires < now) {
+      if (!this.setItem(key, JSON.stringify({ tabId: this.tabId, expires: now + LEASE_DURATION }))) {
+        // Without storage every tab works on its own
+        this.setLeader(true);
+        return;
+      }
+    }
+
+    this.setLeader(this.readLease()?.tabId === this.tabId);
+  }
+
+  /**
+   * Read the current leader lease
+   *
+   * @returns {Object|null} Lease ({ tabId, expires }) or null
+   */
+  readLease() {
+    try {
+      return JSON.parse(window.localStorage.getItem(this.getLeaseKey()));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Update leadership and notify listeners on change
+   *
+   * @param {boolean} isLeader - New leadership state
+   */
+  setLeader(isLeader) {
+    if (this.leader === isLeader) {
+      return;
+    }
+
+    this.leader = isLeader;
+    this.leaderHandlers.forEach(handler => {
+      try {
+        handler(isLeader);
+      } catch (error) {
+        // Silently ignore handler errors in production
+      }
+    });
+  }
+
+  /**
+   * Get the localStorage key of the leader lease
+   */
+  getLeaseKey() {
+    return `${STORAGE_PREFIX}:leader:${this.scope}`;
+  }
+
+  /**
+   * Get the localStorage key used for storage event messages
+   */
+  getMessageKey() {
+    return `${STORAGE_PREFIX}:sync:${this.scope}`;
+  }
+
+  /**
+   * Write to localStorage, ignoring storage errors
+   *
+   * @returns {boolean} True if written
+   */
+  setItem(key, value) {
+    try {
+      window.localStorage.setItem(key, value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove from localStorage, ignoring storage errors
+   */
+  removeItem(key) {
+    try {
+      window.localStorage.removeItem(key);
+    } catch (error) {
+      // Silently ignore storage errors
+    }
+  }
+}
+
+// Export singleton instance and class
+const tabSync = new TabSync();
+
+export default tabSync;
+export { TabSync, SYNC_EVENTS, LEASE_DURATION, HEARTBEAT_INTERVAL };
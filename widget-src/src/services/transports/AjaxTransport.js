@@ -0,0 +1,134 @@
+/**
+ * admin-ajax Transport
+ *
+ * Sends requests through admin-ajax.php for sites where /wp-json/ is
+ * blocked. The backend AjaxBridge forwards each {route, method, params,
+ * data} envelope to the matching REST route and answers in the REST
+ * format, so responses are handled exactly like REST responses.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * AJAX action served by the backend bridge
+ */
+const DEFAULT_ACTION = 'woo_ai_assistant_rest';
+
+/**
+ * AJAX action returning a fresh REST nonce
+ */
+const DEFAULT_NONCE_ACTION = 'woo_ai_assistant_refresh_nonce';
+
+/**
+ * admin-ajax Transport class
+ */
+class AjaxTransport {
+  /**
+   * @param {ApiService} api - Service providing headers and response handling
+   */
+  constructor(api) {
+    this.api = api;
+    this.name = 'ajax';
+    this.url = null;
+    this.action = DEFAULT_ACTION;
+    this.nonceAction = DEFAULT_NONCE_ACTION;
+  }
+
+  /**
+   * Apply settings from /config
+   *
+   * @param {Object} settings - Transport settings
+   * @param {string} settings.url - admin-ajax.php URL
+   * @param {string} settings.action - AJAX action of the bridge
+   * @param {string} settings.nonceAction - AJAX action returning a fresh nonce
+   */
+  configure({ url, action, nonceAction } = {}) {
+    if (url) {
+      this.url = url;
+    }
+    if (action) {
+      this.action = action;
+    }
+    if (nonceAction) {
+      this.nonceAction = nonceAction;
+    }
+  }
+
+  /**
+   * Get the admin-ajax.php URL, guessing the default location if unknown
+   *
+   * The guess starts from the REST root, which is the site URL followed by
+   * the REST prefix or by index.php?rest_route=, so subdirectory installs
+   * are covered.
+   *
+   * @returns {string} admin-ajax.php URL
+   */
+  getUrl() {
+    if (this.url) {
+      return this.url;
+    }
+
+    const root = this.api.baseUrl;
+    if (root) {
+      const siteUrl = this.api.usesPlainPermalinks()
+        ? root.slice(0, root.indexOf('?')).replace(/index\.php$/, '')
+        : root.replace(/\?.*$/, '').replace(/[^/]+\/$/, '');
+      return `${siteUrl}wp-admin/admin-ajax.php`;
+    }
+
+    return typeof window !== 'undefined' && window.location
+      ? `${window.location.origin}/wp-admin/admin-ajax.php`
+      : '';
+  }
+
+  /**
+   * Get the admin-ajax.php URL for an action
+   *
+   * @param {string} action - AJAX action
+   * @returns {string} URL including the action
+   */
+  getActionUrl(action) {
+    const url = new URL(this.getUrl(), window.location.href);
+    url.searchParams.set('action', action);
+    return url.toString();
+  }
+
+  /**
+   * Check whether admin-ajax.php can be reached
+   *
+   * @returns {boolean} True if a URL is known
+   */
+  isAvailable() {
+    return !!this.getUrl();
+  }
+
+  /**
+   * Send a request through the bridge
+   *
+   * @param {Object} request - Request description
+   * @param {string} request.method - HTTP method of the REST route
+   * @param {string} request.endpoint - Endpoint path inside the plugin namespace
+   * @param {Object} request.params - Query parameters
+   * @param {Object} request.data - Request body
+   * @returns {Promise<Object>} Response data
+   */
+  async request({ method, endpoint, params = {}, data, ...options }) {
+    const cleanEndpoint = endpoint.startsWith('/') ? endpoint.slice(1) : endpoint;
+    const envelope = {
+      route: `/${this.api.config.namespace}/${cleanEndpoint}`,
+      method,
+      params,
+      ...(data === undefined ? {} : { data })
+    };
+
+    // The bridge is always called with POST, the REST method travels in the envelope
+    const config = this.api.prepareRequest('POST', { ...options, data: envelope });
+    return await this.api.executeRequest(this.getActionUrl(this.action), config);
+  }
+}
+
+export default AjaxTransport;
+export { AjaxTransport, DEFAULT_ACTION, DEFAULT_NONCE_ACTION };
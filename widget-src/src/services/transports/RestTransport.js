@@ -0,0 +1,66 @@
+/**
+ * REST Transport
+ *
+ * Sends requests to the plugin routes under /wp-json/ with fetch.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * REST Transport class
+ */
+class RestTransport {
+  /**
+   * @param {ApiService} api - Service providing URLs, headers and response handling
+   */
+  constructor(api) {
+    this.api = api;
+    this.name = 'rest';
+  }
+
+  /**
+   * REST is always attempted, it is the transport WordPress ships with
+   *
+   * @returns {boolean} True
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Send a request
+   *
+   * @param {Object} request - Request description
+   * @param {string} request.method - HTTP method
+   * @param {string} request.endpoint - Endpoint path inside the plugin namespace
+   * @param {Object} request.params - Query parameters (GET only)
+   * @param {Object} request.data - Request body
+   * @returns {Promise<Object>} Response data
+   */
+  async request({ method, endpoint, params = {}, data, ...options }) {
+    let url = this.api.buildUrl(endpoint);
+
+    if (method === 'GET') {
+      const query = new URLSearchParams();
+      Object.keys(params).forEach(key => {
+        if (params[key] !== null && params[key] !== undefined) {
+          query.append(key, params[key]);
+        }
+      });
+
+      // The URL may already carry ?rest_route= on plain permalink sites
+      if (query.toString()) {
+        url += `${url.includes('?') ? '&' : '?'}${query.toString()}`;
+      }
+    }
+
+    const config = this.api.prepareRequest(method, data === undefined ? options : { ...options, data });
+    return await this.api.executeRequest(url, config);
+  }
+}
+
+export default RestTransport;
+export { RestTransport };
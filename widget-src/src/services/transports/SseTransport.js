@@ -0,0 +1,59 @@
+/**
+ * Server-Sent Events Transport
+ *
+ * Streams chat replies from the REST stream routes as text/event-stream,
+ * resuming dropped connections with Last-Event-ID.
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+/**
+ * SSE Transport class
+ */
+class SseTransport {
+  /**
+   * @param {ApiService} api - Service providing the event stream reader
+   */
+  constructor(api) {
+    this.api = api;
+    this.name = 'sse';
+  }
+
+  /**
+   * Streaming needs readable response bodies
+   *
+   * @returns {boolean} True if fetch can be used
+   */
+  isAvailable() {
+    return typeof fetch === 'function';
+  }
+
+  /**
+   * Open a stream
+   *
+   * @param {Object} request - Stream description
+   * @param {string} request.endpoint - Stream endpoint path
+   * @param {Object} request.data - Request body
+   * @param {Function} request.onEvent - Called with each { type, payload, id } event
+   * @param {AbortSignal} request.signal - Cancels the stream
+   * @param {string} request.priority - Request priority, see PRIORITY
+   * @param {Function} request.onRetry - Called before each reconnect
+   * @returns {Promise<void>} Resolves when the stream is complete
+   */
+  async stream({ endpoint, data, onEvent, signal, priority, onRetry }) {
+    await this.api.createStreamingRequest(
+      endpoint,
+      data,
+      (payload, event) => onEvent(event),
+      null,
+      null,
+      { signal, priority, onRetry }
+    );
+  }
+}
+
+export default SseTransport;
+export { SseTransport };
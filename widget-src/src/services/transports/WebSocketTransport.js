@@ -0,0 +1,323 @@
+/**
+ * WebSocket Transport
+ *
+ * Talks to a WebSocket relay configured in /config (websocket_url). One
+ * connection carries all requests and reply streams, matched by frame ID:
+ *
+ *   client → { id, type: 'request', method, route, params, data, headers }
+ *   client → { id, type: 'stream', route, data, headers }
+ *   client → { id, type: 'cancel' }
+ *   server → { id, type: 'response', status, body }
+ *   server → { id, type: 'event', event, data }   (token, metadata, done, error)
+ *   server → { id, type: 'end' }
+ *   server → { id, type: 'error', status, body }
+ *
+ * @package WooAiAssistant
+ * @subpackage Services
+ * @since 1.0.0
+ * @author Claude Code Assistant
+ */
+
+import { ApiError, HTTP_STATUS } from '../ApiError';
+
+/**
+ * Create the error raised when a request is cancelled
+ */
+const createAbortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+/**
+ * WebSocket Transport class
+ */
+class WebSocketTransport {
+  /**
+   * @param {ApiService} api - Service providing headers and timeouts
+   */
+  constructor(api) {
+    this.api = api;
+    this.name = 'websocket';
+    this.url = null;
+    this.socket = null;
+    this.connecting = null;
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Apply settings from /config
+   *
+   * @param {Object} settings - Transport settings
+   * @param {string} settings.url - Relay URL (ws:// or wss://)
+   */
+  configure({ url } = {}) {
+    if (url === undefined || url === this.url) {
+      return;
+    }
+
+    this.close();
+    this.url = url || null;
+  }
+
+  /**
+   * Check whether a relay is configured and the browser supports WebSocket
+   *
+   * @returns {boolean} True if the transport can be used
+   */
+  isAvailable() {
+    return !!this.url && typeof WebSocket !== 'undefined';
+  }
+
+  /**
+   * Send a request over the socket
+   *
+   * @param {Object} request - Request description
+   * @param {string} request.method - HTTP method of the REST route
+   * @param {string} request.endpoint - Endpoint path inside the plugin namespace
+   * @param {Object} request.params - Query parameters
+   * @param {Object} request.data - Request body
+   * @param {AbortSignal} request.signal - Cancels the request
+   * @returns {Promise<Object>} Response body
+   */
+  async request({ method, endpoint, params = {}, data, signal }) {
+    return this.exchange({
+      type: 'request',
+      method,
+      route: this.buildRoute(endpoint),
+      params,
+      data,
+      headers: this.api.prepareRequest(method).headers
+    }, { signal, timeout: this.api.config.timeout });
+  }
+
+  /**
+   * Open a reply stream over the socket
+   *
+   * @param {Object} request - Stream description
+   * @param {string} request.endpoint - Stream endpoint path
+   * @param {Object} request.data - Request body
+   * @param {Function} request.onEvent - Called with each { type, payload, id } event
+   * @param {AbortSignal} request.signal - Cancels the stream
+   * @returns {Promise<void>} Resolves when the server ends the stream
+   */
+  async stream({ endpoint, data, onEvent, signal }) {
+    await this.exchange({
+      type: 'stream',
+      route: this.buildRoute(endpoint),
+      data,
+      headers: this.api.prepareRequest('POST').headers
+    }, { signal, onEvent });
+  }
+
+  /**
+   * Close the connection and fail everything still waiting on it
+   */
+  close() {
+    const socket = this.socket;
+    this.socket = null;
+    this.connecting = null;
+
+    if (socket) {
+      socket.close();
+    }
+    this.failPending(new ApiError('WebSocket connection closed', HTTP_STATUS.SERVICE_UNAVAILABLE, { code: 'connection_lost' }));
+  }
+
+  /**
+   * Build the REST route for an endpoint
+   *
+   * @param {string} endpoint - Endpoint path
+   * @returns {string} Route including the plugin namespace
+   */
+  buildRoute(endpoint) {
+    const cleanEndpoint = endpoint.startsWith('/') ? endpoint.slice(1) : endpoint;
+    return `/${this.api.config.namespace}/${cleanEndpoint}`;
+  }
+
+  /**
+   * Open the connection, reusing the current one
+   *
+   * @returns {Promise<WebSocket>} Open socket
+   */
+  connect() {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      return Promise.resolve(this.socket);
+    }
+
+    if (!this.connecting) {
+      this.connecting = new Promise((resolve, reject) => {
+        const socket = new WebSocket(this.url);
+        const unavailable = new ApiError('WebSocket relay is not reachable', HTTP_STATUS.SERVICE_UNAVAILABLE, {
+          code: 'transport_unavailable'
+        });
+        const timeoutId = setTimeout(() => socket.close(), this.api.config.timeout);
+
+        socket.onopen = () => {
+          clearTimeout(timeoutId);
+          this.socket = socket;
+          this.connecting = null;
+          resolve(socket);
+        };
+
+        socket.onmessage = (event) => this.handleFrame(event.data);
+
+        socket.onclose = () => {
+          clearTimeout(timeoutId);
+          if (this.socket === socket) {
+            this.socket = null;
+            this.failPending(new ApiError('WebSocket connection lost', HTTP_STATUS.SERVICE_UNAVAILABLE, {
+              code: 'connection_lost'
+            }));
+          }
+          if (this.connecting && !this.socket) {
+            this.connecting = null;
+          }
+          // Ignored once the connection has opened
+          reject(unavailable);
+        };
+      });
+    }
+
+    return this.connecting;
+  }
+
+  /**
+   * Send a frame and wait for the server to finish it
+   *
+   * @param {Object} frame - Frame without ID
+   * @param {Object} options - Exchange options
+   * @param {AbortSignal} options.signal - Cancels the exchange
+   * @param {Function} options.onEvent - Receives stream events
+   * @param {number} options.timeout - Fails the exchange after this many milliseconds
+   * @returns {Promise<Object|null>} Response body
+   */
+  async exchange(frame, { signal, onEvent, timeout } = {}) {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const socket = await this.connect();
+    const id = String(++this.nextId);
+
+    return new Promise((resolve, reject) => {
+      let timeoutId;
+
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        this.pending.delete(id);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      const onAbort = () => {
+        cleanup();
+        this.sendFrame({ id, type: 'cancel' });
+        reject(createAbortError());
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      if (timeout) {
+        timeoutId = setTimeout(() => {
+          cleanup();
+          this.sendFrame({ id, type: 'cancel' });
+          reject(createAbortError());
+        }, timeout);
+      }
+
+      this.pending.set(id, {
+        onEvent,
+        resolve: (value) => {
+          cleanup();
+          resolve(value);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        }
+      });
+
+      socket.send(JSON.stringify({ ...frame, id }));
+    });
+  }
+
+  /**
+   * Route a frame from the server to the exchange it belongs to
+   *
+   * @param {string} raw - Frame text
+   */
+  handleFrame(raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw);
+    } catch (parseError) {
+      return;
+    }
+
+    const exchange = this.pending.get(String(frame?.id));
+    if (!exchange) {
+      return;
+    }
+
+    switch (frame.type) {
+      case 'response':
+        if (frame.status >= 400) {
+          exchange.reject(this.createError(frame));
+        } else {
+          exchange.resolve(frame.body ?? null);
+        }
+        break;
+      case 'event':
+        if (exchange.onEvent) {
+          try {
+            exchange.onEvent({ type: frame.event, payload: frame.data ?? null, id: '' });
+          } catch (handlerError) {
+            // Silently ignore errors thrown by stream consumers
+          }
+        }
+        break;
+      case 'end':
+        exchange.resolve(null);
+        break;
+      case 'error':
+        exchange.reject(this.createError(frame));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Build an ApiError from a response or error frame
+   */
+  createError(frame) {
+    const body = frame.body || null;
+    return new ApiError(
+      body?.message || `Request failed: ${frame.status || HTTP_STATUS.INTERNAL_ERROR}`,
+      frame.status || HTTP_STATUS.INTERNAL_ERROR,
+      body
+    );
+  }
+
+  /**
+   * Send a frame if the connection is open
+   */
+  sendFrame(frame) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(frame));
+    }
+  }
+
+  /**
+   * Reject every exchange still waiting for the server
+   */
+  failPending(error) {
+    const exchanges = Array.from(this.pending.values());
+    this.pending.clear();
+    exchanges.forEach(exchange => exchange.reject(error));
+  }
+}
+
+export default WebSocketTransport;
+export { WebSocketTransport };